@@ -0,0 +1,67 @@
+/**
+ * Authentication mode
+ * AUTH_MODE=session (default) keeps users logged in with the Mongo-backed library.sid session cookie.
+ * AUTH_MODE=jwt issues a short-lived access JWT and a rotating refresh token instead,
+ * for clients on other origins where the session cookie cannot be used.
+ */
+
+const AUTH_MODES = ['session', 'jwt'];
+
+const DEFAULT_ACCESS_TOKEN_TTL_MINUTES = 15;
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+
+/**
+ * Read a positive number from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value used when the variable is missing or invalid
+ * @returns {number} The configured value
+ */
+const positiveNumberFromEnv = (name, defaultValue) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : defaultValue;
+};
+
+/**
+ * Configured authentication mode
+ * @returns {string} 'session' or 'jwt'
+ */
+const getAuthMode = () => {
+  const mode = (process.env.AUTH_MODE || 'session').trim().toLowerCase();
+  return AUTH_MODES.includes(mode) ? mode : 'session';
+};
+
+const isJwtMode = () => getAuthMode() === 'jwt';
+
+/**
+ * JWT settings: JWT_SECRET, JWT_ISSUER, JWT_ACCESS_TTL_MINUTES (default 15)
+ * and JWT_REFRESH_TTL_DAYS (default 30)
+ * @returns {Object} { secret, issuer, accessTokenTtlSeconds, refreshTokenTtlMs }
+ */
+const getJwtConfig = () => ({
+  secret: process.env.JWT_SECRET,
+  issuer: process.env.JWT_ISSUER || 'library-management-api',
+  accessTokenTtlSeconds: Math.round(positiveNumberFromEnv('JWT_ACCESS_TTL_MINUTES', DEFAULT_ACCESS_TOKEN_TTL_MINUTES) * 60),
+  refreshTokenTtlMs: positiveNumberFromEnv('JWT_REFRESH_TTL_DAYS', DEFAULT_REFRESH_TOKEN_TTL_DAYS) * 24 * 60 * 60 * 1000
+});
+
+/**
+ * Fail fast on an invalid authentication configuration
+ * @throws {Error} When AUTH_MODE is unknown or JWT mode has no usable secret
+ */
+const validateAuthConfig = () => {
+  const mode = (process.env.AUTH_MODE || 'session').trim().toLowerCase();
+  if (!AUTH_MODES.includes(mode)) {
+    throw new Error(`AUTH_MODE must be one of: ${AUTH_MODES.join(', ')}`);
+  }
+
+  if (mode === 'jwt' && (!process.env.JWT_SECRET || process.env.JWT_SECRET.length < 32)) {
+    throw new Error('JWT_SECRET must be set to at least 32 characters when AUTH_MODE=jwt');
+  }
+};
+
+module.exports = {
+  getAuthMode,
+  isJwtMode,
+  getJwtConfig,
+  validateAuthConfig
+};
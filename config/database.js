@@ -1,5 +1,6 @@
 const { MongoClient } = require('mongodb');
 
+let client;
 let db;
 
 const connectDB = async () => {
@@ -15,7 +16,7 @@ const connectDB = async () => {
       throw new Error('MONGO_DB environment variable is not defined');
     }
 
-    const client = new MongoClient(uri);
+    client = new MongoClient(uri);
     await client.connect();
     
     db = client.db(dbName);
@@ -37,7 +38,17 @@ const getDB = () => {
   return db;
 };
 
+// Used by command line scripts so the process can exit on its own
+const closeDB = async () => {
+  if (client) {
+    await client.close();
+    client = undefined;
+    db = undefined;
+  }
+};
+
 module.exports = {
   connectDB,
-  getDB
+  getDB,
+  closeDB
 };
\ No newline at end of file
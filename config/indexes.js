@@ -0,0 +1,363 @@
+const { getDB } = require('./database');
+
+/**
+ * Index definitions for every collection, created or updated when the server starts.
+ * Unique indexes are what actually guarantee uniqueness: the findOne checks in the
+ * controllers only give a friendlier error in the common case, and a concurrent
+ * insert that slips past them fails with a duplicate key error (see utils/mongoErrors).
+ */
+
+// Case-insensitive comparison, matching the collation used to look users up by email
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+/**
+ * Text index definitions used by the catalog search endpoint.
+ * MongoDB allows a single text index per collection, so any other text index
+ * found on these collections is replaced by the one defined here.
+ */
+const SEARCH_INDEXES = [
+  {
+    type: 'books',
+    collection: () => process.env.MONGO_COLLECTION_BOOKS,
+    name: 'books_text_search',
+    fields: ['title', 'description', 'tags', 'publisher'],
+    weights: { title: 10, tags: 5, publisher: 3, description: 1 }
+  },
+  {
+    type: 'authors',
+    collection: () => process.env.MONGO_COLLECTION_AUTHORS,
+    name: 'authors_text_search',
+    fields: ['firstName', 'lastName', 'biography'],
+    weights: { firstName: 10, lastName: 10, biography: 1 }
+  }
+];
+
+/**
+ * Regular index definitions: { collection, name, key, options }
+ * TTL indexes (expireAfterSeconds) let MongoDB delete expired tokens on its own;
+ * documents whose expiresAt is null never expire.
+ */
+const INDEXES = [
+  {
+    collection: () => process.env.MONGO_COLLECTION_BOOKS,
+    // Books are unique by canonical ISBN-13, whatever hyphenation or ISBN form they were entered with
+    name: 'books_isbn13_unique',
+    key: { isbn13: 1 },
+    options: { unique: true, partialFilterExpression: { isbn13: { $type: 'string' } } }
+  },
+  {
+    collection: () => process.env.MONGO_COLLECTION_BOOKS,
+    name: 'books_author_refs',
+    key: { 'authors.authorId': 1 }
+  },
+  {
+    // Authors created by the book author migration have no email yet
+    collection: () => process.env.MONGO_COLLECTION_AUTHORS,
+    name: 'authors_email_unique',
+    key: { email: 1 },
+    options: { unique: true, partialFilterExpression: { email: { $type: 'string' } } }
+  },
+  {
+    collection: () => 'users',
+    name: 'users_email_unique',
+    key: { email: 1 },
+    options: { unique: true, collation: CASE_INSENSITIVE, partialFilterExpression: { email: { $type: 'string' } } }
+  },
+  {
+    // Local accounts have no googleId
+    collection: () => 'users',
+    name: 'users_google_id_unique',
+    key: { googleId: 1 },
+    options: { unique: true, partialFilterExpression: { googleId: { $type: 'string' } } }
+  },
+  {
+    // A patron can have only one active loan of the same book
+    collection: () => process.env.MONGO_COLLECTION_LOANS || 'loans',
+    name: 'loans_active_unique',
+    key: { userId: 1, bookId: 1 },
+    options: { unique: true, partialFilterExpression: { status: 'active' } }
+  },
+  {
+    collection: () => process.env.MONGO_COLLECTION_LOANS || 'loans',
+    name: 'loans_status_due',
+    key: { status: 1, dueDate: 1 }
+  },
+  {
+    collection: () => process.env.MONGO_COLLECTION_LOANS || 'loans',
+    name: 'loans_book_status',
+    key: { bookId: 1, status: 1 }
+  },
+  {
+    // A patron can have only one open hold on the same book ($in needs MongoDB 6.0 or later)
+    collection: () => process.env.MONGO_COLLECTION_HOLDS || 'holds',
+    name: 'holds_open_unique',
+    key: { userId: 1, bookId: 1 },
+    options: { unique: true, partialFilterExpression: { status: { $in: ['waiting', 'ready'] } } }
+  },
+  {
+    collection: () => process.env.MONGO_COLLECTION_HOLDS || 'holds',
+    name: 'holds_queue',
+    key: { bookId: 1, status: 1, placedAt: 1 }
+  },
+  {
+    collection: () => process.env.MONGO_COLLECTION_HOLDS || 'holds',
+    name: 'holds_user_status',
+    key: { userId: 1, status: 1 }
+  },
+  {
+    // Barcodes are what the circulation desk scans, so each one identifies a single copy
+    collection: () => process.env.MONGO_COLLECTION_ITEMS || 'items',
+    name: 'items_barcode_unique',
+    key: { barcode: 1 },
+    options: { unique: true }
+  },
+  {
+    collection: () => process.env.MONGO_COLLECTION_ITEMS || 'items',
+    name: 'items_book_status',
+    key: { bookId: 1, status: 1, createdAt: 1 }
+  },
+  {
+    // Branch catalog filters and per-branch copy counts
+    collection: () => process.env.MONGO_COLLECTION_ITEMS || 'items',
+    name: 'items_branch_status',
+    key: { branchId: 1, status: 1, bookId: 1 }
+  },
+  {
+    collection: () => process.env.MONGO_COLLECTION_BRANCHES || 'branches',
+    name: 'branches_code_unique',
+    key: { code: 1 },
+    options: { unique: true }
+  },
+  {
+    collection: () => process.env.MONGO_COLLECTION_TRANSFERS || 'transfers',
+    name: 'transfers_status_requested',
+    key: { status: 1, requestedAt: -1 }
+  },
+  {
+    collection: () => process.env.MONGO_COLLECTION_TRANSFERS || 'transfers',
+    name: 'transfers_item_status',
+    key: { itemId: 1, status: 1 }
+  },
+  {
+    collection: () => process.env.MONGO_COLLECTION_REVISIONS || 'revisions',
+    // Numbers revisions per document; also serves the history listings
+    name: 'revisions_entity_revision_unique',
+    key: { entityType: 1, entityId: 1, revision: 1 },
+    options: { unique: true }
+  },
+  {
+    collection: () => process.env.MONGO_COLLECTION_BOOKS,
+    // Only documents in the trash carry deletedAt, so the index stays as small as the trash
+    name: 'books_trash',
+    key: { deletedAt: -1 },
+    options: { partialFilterExpression: { deletedAt: { $exists: true } } }
+  },
+  {
+    collection: () => process.env.MONGO_COLLECTION_AUTHORS,
+    name: 'authors_trash',
+    key: { deletedAt: -1 },
+    options: { partialFilterExpression: { deletedAt: { $exists: true } } }
+  },
+  {
+    collection: () => process.env.MONGO_COLLECTION_FINES || 'fines',
+    name: 'fines_user_created',
+    key: { userId: 1, createdAt: -1 }
+  },
+  {
+    collection: () => process.env.MONGO_COLLECTION_ACCOUNT_TOKENS || 'accountTokens',
+    name: 'account_tokens_hash_unique',
+    key: { tokenHash: 1 },
+    options: { unique: true }
+  },
+  {
+    collection: () => process.env.MONGO_COLLECTION_ACCOUNT_TOKENS || 'accountTokens',
+    name: 'account_tokens_ttl',
+    key: { expiresAt: 1 },
+    options: { expireAfterSeconds: 0 }
+  },
+  {
+    collection: () => process.env.MONGO_COLLECTION_API_TOKENS || 'apiTokens',
+    name: 'api_tokens_hash_unique',
+    key: { tokenHash: 1 },
+    options: { unique: true }
+  },
+  {
+    collection: () => process.env.MONGO_COLLECTION_API_TOKENS || 'apiTokens',
+    name: 'api_tokens_user_created',
+    key: { userId: 1, createdAt: -1 }
+  },
+  {
+    collection: () => process.env.MONGO_COLLECTION_API_TOKENS || 'apiTokens',
+    name: 'api_tokens_ttl',
+    key: { expiresAt: 1 },
+    options: { expireAfterSeconds: 0 }
+  },
+  {
+    collection: () => process.env.MONGO_COLLECTION_REFRESH_TOKENS || 'refreshTokens',
+    name: 'refresh_tokens_hash_unique',
+    key: { tokenHash: 1 },
+    options: { unique: true }
+  },
+  {
+    collection: () => process.env.MONGO_COLLECTION_REFRESH_TOKENS || 'refreshTokens',
+    name: 'refresh_tokens_family',
+    key: { familyId: 1 }
+  },
+  {
+    collection: () => process.env.MONGO_COLLECTION_REFRESH_TOKENS || 'refreshTokens',
+    name: 'refresh_tokens_user',
+    key: { userId: 1 }
+  },
+  {
+    collection: () => process.env.MONGO_COLLECTION_REFRESH_TOKENS || 'refreshTokens',
+    name: 'refresh_tokens_ttl',
+    key: { expiresAt: 1 },
+    options: { expireAfterSeconds: 0 }
+  },
+  {
+    // Only versioned migration records; the lock and standalone run records have no version
+    collection: () => process.env.MONGO_COLLECTION_MIGRATIONS || 'migrations',
+    name: 'migrations_version_unique',
+    key: { version: 1 },
+    options: { unique: true, partialFilterExpression: { version: { $exists: true } } }
+  }
+];
+
+/**
+ * List the indexes of a collection
+ * @param {Collection} collection - MongoDB collection
+ * @returns {Promise<Array<Object>>} Index descriptions
+ */
+const listIndexes = (collection) => collection.listIndexes().toArray().catch((error) => {
+  // A collection that does not exist yet has no indexes
+  if (error.codeName === 'NamespaceNotFound') {
+    return [];
+  }
+  throw error;
+});
+
+/**
+ * Check whether an existing text index matches the definition
+ * @param {Object} index - Index description from listIndexes
+ * @param {Object} definition - Entry of SEARCH_INDEXES
+ * @returns {boolean} True if the index can be kept as is
+ */
+const isSameTextIndex = (index, definition) => {
+  if (index.name !== definition.name || !index.weights || index.language_override !== 'textSearchLanguage') {
+    return false;
+  }
+  const existing = Object.keys(index.weights).sort();
+  const wanted = Object.keys(definition.weights).sort();
+  return existing.length === wanted.length &&
+    wanted.every((field, i) => existing[i] === field && index.weights[field] === definition.weights[field]);
+};
+
+/**
+ * Check whether an existing index matches the definition
+ * @param {Object} index - Index description from listIndexes
+ * @param {Object} definition - Entry of INDEXES
+ * @returns {boolean} True if the index can be kept as is
+ */
+const isSameIndex = (index, definition) => {
+  const options = definition.options || {};
+  const collation = index.collation
+    ? { locale: index.collation.locale, strength: index.collation.strength }
+    : undefined;
+
+  return JSON.stringify(index.key) === JSON.stringify(definition.key) &&
+    Boolean(index.unique) === Boolean(options.unique) &&
+    index.expireAfterSeconds === options.expireAfterSeconds &&
+    JSON.stringify(index.partialFilterExpression) === JSON.stringify(options.partialFilterExpression) &&
+    JSON.stringify(collation) === JSON.stringify(options.collation);
+};
+
+/**
+ * Create or update the text indexes the search endpoint relies on
+ * @returns {Promise<void>}
+ */
+const ensureSearchIndexes = async () => {
+  const db = getDB();
+
+  for (const definition of SEARCH_INDEXES) {
+    const collectionName = definition.collection();
+    if (!collectionName) {
+      console.log(`⚠️ Skipping text index ${definition.name}: collection name not configured`);
+      continue;
+    }
+
+    const collection = db.collection(collectionName);
+    const indexes = await listIndexes(collection);
+
+    const textIndex = indexes.find((index) => index.key && index.key._fts === 'text');
+    if (textIndex && isSameTextIndex(textIndex, definition)) {
+      continue;
+    }
+
+    if (textIndex) {
+      console.log(`🔄 Replacing text index ${textIndex.name} on ${collectionName}`);
+      await collection.dropIndex(textIndex.name);
+    }
+
+    const keys = Object.fromEntries(definition.fields.map((field) => [field, 'text']));
+    await collection.createIndex(keys, {
+      name: definition.name,
+      weights: definition.weights,
+      default_language: 'english',
+      // Books carry a free-text "language" field; keep MongoDB from treating it as the stemming language
+      language_override: 'textSearchLanguage'
+    });
+    console.log(`✅ Text index ${definition.name} created on ${collectionName}`);
+  }
+};
+
+/**
+ * Create every index in INDEXES and SEARCH_INDEXES, replacing outdated ones.
+ * A unique index that cannot be built because existing documents already clash
+ * is reported and skipped, so the server still starts; fix the data and restart.
+ * @returns {Promise<void>}
+ */
+const ensureIndexes = async () => {
+  const db = getDB();
+
+  for (const definition of INDEXES) {
+    const collectionName = definition.collection();
+    if (!collectionName) {
+      console.log(`⚠️ Skipping index ${definition.name}: collection name not configured`);
+      continue;
+    }
+
+    const collection = db.collection(collectionName);
+    const indexes = await listIndexes(collection);
+
+    const existing = indexes.find((index) => index.name === definition.name);
+    if (existing && isSameIndex(existing, definition)) {
+      continue;
+    }
+
+    // Also replace an index on the same keys created under another name, which would block ours
+    const outdated = indexes.filter((index) => index.name === definition.name ||
+      (index.name !== '_id_' && JSON.stringify(index.key) === JSON.stringify(definition.key)));
+    for (const index of outdated) {
+      console.log(`🔄 Replacing index ${index.name} on ${collectionName}`);
+      await collection.dropIndex(index.name);
+    }
+
+    try {
+      await collection.createIndex(definition.key, { name: definition.name, ...definition.options });
+      console.log(`✅ Index ${definition.name} created on ${collectionName}`);
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      console.error(`❌ Cannot create unique index ${definition.name} on ${collectionName}: duplicate values exist (${error.message})`);
+    }
+  }
+
+  await ensureSearchIndexes();
+};
+
+module.exports = {
+  SEARCH_INDEXES,
+  INDEXES,
+  ensureIndexes
+};
@@ -1,7 +1,10 @@
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
+const LocalStrategy = require('passport-local').Strategy;
 const { getDB } = require('./database');
 const User = require('../models/User');
+const { isBootstrapAdminEmail, determineInitialRole } = require('../services/userRoles');
+const { revokeUserRefreshTokens, destroyUserSessions } = require('../services/authTokens');
 const { ObjectId } = require('mongodb');
 
 // Serialize user for session
@@ -16,7 +19,7 @@ passport.serializeUser((user, done) => {
   done(null, userId);
 });
 
-// Deserialize user from session
+// Deserialize user from session (AUTH_MODE=session only; JWT mode reads the user from the access token)
 passport.deserializeUser(async (id, done) => {
   try {
     console.log('🔍 Deserializing user with ID:', id);
@@ -47,12 +50,13 @@ passport.use(new GoogleStrategy({
     const db = getDB();
     
     // Check if user already exists
+    // Emails are unique regardless of case, so look them up the same way
     let existingUser = await db.collection('users').findOne({ 
       $or: [
         { googleId: profile.id },
         { email: profile.emails[0].value }
       ]
-    });
+    }, { collation: { locale: 'en', strength: 2 } });
 
     if (existingUser) {
       // Update existing user with Google info if needed
@@ -63,15 +67,34 @@ passport.use(new GoogleStrategy({
         displayName: profile.displayName,
         profilePicture: profile.photos[0]?.value,
         provider: 'google',
+        emailVerified: true,
         lastLogin: new Date(),
         updatedAt: new Date()
       };
 
+      if (isBootstrapAdminEmail(existingUser.email)) {
+        updateData.role = 'admin';
+      }
+
+      // A local account whose email was never verified may have been registered by someone else
+      // with this address: linking it to Google drops its password and signs out its other logins
+      const unverifiedLocal = existingUser.emailVerified === false;
+      const update = { $set: updateData };
+      if (unverifiedLocal) {
+        update.$set.emailVerifiedAt = new Date();
+        update.$unset = { password: '' };
+      }
+
       await db.collection('users').updateOne(
         { _id: existingUser._id },
-        { $set: updateData }
+        update
       );
 
+      if (unverifiedLocal) {
+        await destroyUserSessions(existingUser._id);
+        await revokeUserRefreshTokens(existingUser._id, 'account_linked');
+      }
+
       const updatedUser = await db.collection('users').findOne({ _id: existingUser._id });
       const userObj = User.fromDatabase(updatedUser);
       return done(null, userObj.toSafeObject());
@@ -86,6 +109,9 @@ passport.use(new GoogleStrategy({
       displayName: profile.displayName,
       profilePicture: profile.photos[0]?.value,
       provider: 'google',
+      role: await determineInitialRole(profile.emails[0].value, { emailVerified: true }),
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
       isActive: true,
       lastLogin: new Date(),
       createdAt: new Date(),
@@ -116,4 +142,44 @@ passport.use(new GoogleStrategy({
   }
 }));
 
+// Local Strategy (email and password)
+passport.use(new LocalStrategy({
+  usernameField: 'email',
+  passwordField: 'password'
+}, async (email, password, done) => {
+  try {
+    const db = getDB();
+    const existingUser = await db.collection('users').findOne(
+      { email: email.trim() },
+      { collation: { locale: 'en', strength: 2 } }
+    );
+
+    // Same message for unknown emails and wrong passwords so accounts cannot be probed
+    if (!existingUser || !existingUser.password) {
+      return done(null, false, { message: 'Invalid email or password' });
+    }
+
+    const userObj = User.fromDatabase(existingUser);
+    const passwordMatches = await User.comparePassword(password, userObj.password);
+    if (!passwordMatches) {
+      return done(null, false, { message: 'Invalid email or password' });
+    }
+
+    if (!userObj.isActive) {
+      return done(null, false, { message: 'Your account has been deactivated. Please contact support.' });
+    }
+
+    await db.collection('users').updateOne(
+      { _id: existingUser._id },
+      { $set: { lastLogin: new Date(), updatedAt: new Date() } }
+    );
+    userObj.updateLastLogin();
+
+    return done(null, userObj.toSafeObject());
+  } catch (error) {
+    console.error('Error in local strategy:', error);
+    return done(error, null);
+  }
+}));
+
 module.exports = passport;
\ No newline at end of file
@@ -0,0 +1,125 @@
+const { ObjectId } = require('mongodb');
+const ApiToken = require('../models/ApiToken');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const { apiTokensCollection, createApiToken, revokeApiToken } = require('../services/apiTokens');
+
+const API_TOKEN_LIST_OPTIONS = {
+  sortable: ['createdAt', 'name'],
+  defaultSort: '-createdAt'
+};
+
+const apiTokensController = {
+  createToken: async (req, res) => {
+    try {
+      const { name, scopes, expiresAt } = req.body;
+
+      const validation = ApiToken.validateApiToken({ name, scopes, expiresAt });
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: validation.errors
+        });
+      }
+
+      const apiToken = new ApiToken({
+        userId: req.user._id,
+        name,
+        scopes,
+        expiresAt
+      });
+      const { token, data } = await createApiToken(apiToken);
+
+      res.status(201).json({
+        success: true,
+        message: 'API token created. Copy it now, it will not be shown again.',
+        token,
+        data
+      });
+    } catch (error) {
+      console.error('Error creating API token:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create API token',
+        details: error.message
+      });
+    }
+  },
+
+  getTokens: async (req, res) => {
+    try {
+      const filter = { userId: new ObjectId(req.user._id) };
+
+      // Revoked tokens are hidden unless asked for
+      if (req.query.includeRevoked !== 'true') {
+        filter.revokedAt = null;
+      }
+
+      const { options, errors } = parseListOptions(req.query, API_TOKEN_LIST_OPTIONS);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: errors
+        });
+      }
+
+      const result = await paginate(apiTokensCollection(), filter, options, req, { projection: { tokenHash: 0 } });
+
+      res.status(200).json({
+        success: true,
+        count: result.data.length,
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        links: result.links,
+        cursors: result.cursors,
+        data: result.data
+      });
+    } catch (error) {
+      console.error('Error fetching API tokens:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch API tokens',
+        details: error.message
+      });
+    }
+  },
+
+  revokeToken: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const idValidation = ApiToken.validateObjectId(id);
+      if (!idValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid API token ID format'
+        });
+      }
+
+      const revoked = await revokeApiToken(req.user._id, id);
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          error: 'API token not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'API token revoked successfully',
+        data: revoked
+      });
+    } catch (error) {
+      console.error('Error revoking API token:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke API token',
+        details: error.message
+      });
+    }
+  }
+};
+
+module.exports = apiTokensController;
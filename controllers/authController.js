@@ -0,0 +1,456 @@
+const passport = require('passport');
+const { getDB } = require('../config/database');
+const { isJwtMode } = require('../config/authMode');
+const User = require('../models/User');
+const { isDuplicateKeyError } = require('../utils/mongoErrors');
+const { determineInitialRole, grantBootstrapAdmin } = require('../services/userRoles');
+const { TOKEN_TYPES, issueToken, findValidToken, consumeToken } = require('../services/accountTokens');
+const { issueTokenPair, rotateRefreshToken, revokeRefreshToken, revokeUserRefreshTokens, destroyUserSessions } = require('../services/authTokens');
+const { sendMail } = require('../services/mailer');
+const { passwordResetMessage, emailVerificationMessage } = require('../services/mailer/messages');
+
+/**
+ * Log the user into the session and persist it, the same way the Google callback does
+ * @param {Object} req - Express request object
+ * @param {Object} user - Safe user object
+ * @returns {Promise<void>}
+ */
+const establishSession = (req, user) => {
+  return new Promise((resolve, reject) => {
+    req.login(user, (loginError) => {
+      if (loginError) {
+        return reject(loginError);
+      }
+      req.session.save((saveError) => (saveError ? reject(saveError) : resolve()));
+    });
+  });
+};
+
+/**
+ * Log the user in with the configured AUTH_MODE
+ * @param {Object} req - Express request object
+ * @param {Object} user - Safe user object
+ * @returns {Promise<Object|null>} Access and refresh tokens in JWT mode, null in session mode
+ */
+const completeLogin = async (req, user) => {
+  if (isJwtMode()) {
+    const { tokens } = await issueTokenPair(user);
+    return tokens;
+  }
+
+  await establishSession(req, user);
+  return null;
+};
+
+/**
+ * Where the Google callback sends the browser with the tokens in JWT mode
+ * JWT_REDIRECT_URL, or CLIENT_URL + /auth/callback
+ * @returns {string|null} Redirect URL, or null to answer with JSON
+ */
+const getJwtRedirectUrl = () => {
+  if (process.env.JWT_REDIRECT_URL) {
+    return process.env.JWT_REDIRECT_URL;
+  }
+  return process.env.CLIENT_URL ? `${process.env.CLIENT_URL.replace(/\/$/, '')}/auth/callback` : null;
+};
+
+/**
+ * Issue an email verification token and mail it to the user
+ * @param {Object} user - User document or safe user object
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+  const { token, expiresAt } = await issueToken(user._id, TOKEN_TYPES.EMAIL_VERIFICATION);
+  await sendMail(emailVerificationMessage(user, token, expiresAt));
+};
+
+const authController = {
+  register: async (req, res) => {
+    try {
+      const { email, password, firstName, lastName, displayName } = req.body;
+
+      const userData = {
+        email: typeof email === 'string' ? email.trim().toLowerCase() : email,
+        password,
+        firstName,
+        lastName,
+        displayName: displayName || [firstName, lastName].filter(Boolean).join(' '),
+        provider: 'local'
+      };
+
+      const validation = User.validateUser(userData);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: validation.errors
+        });
+      }
+
+      const db = getDB();
+      const existingUser = await db.collection('users').findOne(
+        { email: userData.email },
+        { collation: { locale: 'en', strength: 2 } }
+      );
+      if (existingUser) {
+        return res.status(409).json({
+          success: false,
+          error: 'An account with this email already exists'
+        });
+      }
+
+      const newUser = new User({
+        ...userData,
+        // Local accounts start unverified, so ADMIN_EMAIL only gets the role on verification
+        role: await determineInitialRole(userData.email, { emailVerified: false }),
+        isActive: true,
+        lastLogin: new Date()
+      });
+
+      const userToSave = await newUser.toDatabase(password);
+      const result = await db.collection('users').insertOne(userToSave);
+
+      if (!result.insertedId) {
+        throw new Error('Failed to create user');
+      }
+
+      const createdUser = await db.collection('users').findOne({ _id: result.insertedId });
+      const safeUser = User.fromDatabase(createdUser).toSafeObject();
+      const tokens = await completeLogin(req, safeUser);
+
+      // Registration succeeds even if the email cannot be sent; the user can ask for a new one
+      let verificationEmailSent = true;
+      try {
+        await sendVerificationEmail(createdUser);
+      } catch (mailError) {
+        verificationEmailSent = false;
+        console.error('Error sending verification email:', mailError);
+      }
+
+      const response = {
+        success: true,
+        message: 'Registration successful. Please check your email to verify your address.',
+        verificationEmailSent,
+        user: safeUser
+      };
+      if (tokens) {
+        response.tokens = tokens;
+      }
+
+      res.status(201).json(response);
+    } catch (error) {
+      if (isDuplicateKeyError(error, 'email')) {
+        return res.status(409).json({
+          success: false,
+          error: 'An account with this email already exists'
+        });
+      }
+      console.error('Error registering user:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to register user',
+        details: error.message
+      });
+    }
+  },
+
+  login: (req, res, next) => {
+    passport.authenticate('local', async (error, user, info) => {
+      if (error) {
+        return next(error);
+      }
+
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication failed',
+          message: (info && info.message) || 'Invalid email or password'
+        });
+      }
+
+      try {
+        const tokens = await completeLogin(req, user);
+        const response = {
+          success: true,
+          message: 'Login successful',
+          user
+        };
+        if (tokens) {
+          response.tokens = tokens;
+        }
+
+        res.status(200).json(response);
+      } catch (loginError) {
+        next(loginError);
+      }
+    })(req, res, next);
+  },
+
+  completeGoogleLogin: async (req, res) => {
+    try {
+      const { tokens } = await issueTokenPair(req.user);
+      const redirectUrl = getJwtRedirectUrl();
+
+      if (!redirectUrl) {
+        return res.status(200).json({
+          success: true,
+          message: 'Login successful',
+          user: req.user,
+          tokens
+        });
+      }
+
+      // Tokens travel in the URL fragment, which browsers never send to servers
+      const fragment = new URLSearchParams({
+        access_token: tokens.accessToken,
+        token_type: tokens.tokenType,
+        expires_in: String(tokens.expiresIn),
+        refresh_token: tokens.refreshToken
+      });
+      res.redirect(`${redirectUrl}#${fragment.toString()}`);
+    } catch (error) {
+      console.error('Error issuing tokens after Google login:', error);
+      res.redirect('/auth/login/failed');
+    }
+  },
+
+  refresh: async (req, res) => {
+    try {
+      if (!isJwtMode()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Token refresh is only available when AUTH_MODE=jwt'
+        });
+      }
+
+      const result = await rotateRefreshToken(req.body.refreshToken);
+
+      if (result.error === 'reused') {
+        console.log('⚠️ Refresh token reuse detected, token family revoked');
+        return res.status(401).json({
+          success: false,
+          error: 'Refresh token reuse detected',
+          message: 'This refresh token was already used. All tokens from this login have been revoked; please log in again.'
+        });
+      }
+
+      if (result.error) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid or expired refresh token',
+          message: 'Please log in again.'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        user: result.user,
+        tokens: result.tokens
+      });
+    } catch (error) {
+      console.error('Error refreshing tokens:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to refresh tokens',
+        details: error.message
+      });
+    }
+  },
+
+  logoutTokens: async (req, res) => {
+    try {
+      await revokeRefreshToken(req.body.refreshToken);
+
+      // Access tokens cannot be revoked; clients discard them and they expire shortly
+      res.status(200).json({
+        success: true,
+        message: 'Logout successful'
+      });
+    } catch (error) {
+      console.error('Error revoking refresh token:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error during logout',
+        error: error.message
+      });
+    }
+  },
+
+  forgotPassword: async (req, res) => {
+    try {
+      const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+
+      if (!User.isValidEmail(email)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: ['A valid email is required']
+        });
+      }
+
+      const db = getDB();
+      const user = await db.collection('users').findOne(
+        { email },
+        { collation: { locale: 'en', strength: 2 } }
+      );
+
+      // Only accounts with a password can reset it; Google-only accounts sign in through Google
+      if (user && user.password && user.isActive !== false) {
+        const { token, expiresAt } = await issueToken(user._id, TOKEN_TYPES.PASSWORD_RESET);
+        await sendMail(passwordResetMessage(user, token, expiresAt));
+      }
+
+      // Same response whether or not the account exists, so emails cannot be probed
+      res.status(200).json({
+        success: true,
+        message: 'If an account with that email exists, a password reset link has been sent.'
+      });
+    } catch (error) {
+      console.error('Error requesting password reset:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to request password reset',
+        details: error.message
+      });
+    }
+  },
+
+  resetPassword: async (req, res) => {
+    try {
+      const { token, password } = req.body;
+
+      const pending = await findValidToken(token, TOKEN_TYPES.PASSWORD_RESET);
+      if (!pending) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid or expired reset token'
+        });
+      }
+
+      const db = getDB();
+      const user = await db.collection('users').findOne({ _id: pending.userId });
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid or expired reset token'
+        });
+      }
+
+      // Validate before consuming the token so a rejected password does not burn it
+      const validation = User.validatePassword(password, user);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: validation.errors
+        });
+      }
+
+      const consumed = await consumeToken(token, TOKEN_TYPES.PASSWORD_RESET);
+      if (!consumed) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid or expired reset token'
+        });
+      }
+
+      await db.collection('users').updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            password: await User.hashPassword(password),
+            // Receiving the reset email proves the address belongs to the user
+            emailVerified: true,
+            emailVerifiedAt: user.emailVerifiedAt || new Date(),
+            updatedAt: new Date()
+          }
+        }
+      );
+      await grantBootstrapAdmin(user);
+      await destroyUserSessions(user._id);
+      await revokeUserRefreshTokens(user._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Password reset successful. Please log in with your new password.'
+      });
+    } catch (error) {
+      console.error('Error resetting password:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to reset password',
+        details: error.message
+      });
+    }
+  },
+
+  verifyEmail: async (req, res) => {
+    try {
+      const consumed = await consumeToken(req.params.token, TOKEN_TYPES.EMAIL_VERIFICATION);
+      if (!consumed) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid or expired verification token'
+        });
+      }
+
+      const db = getDB();
+      const now = new Date();
+      const user = await db.collection('users').findOneAndUpdate(
+        { _id: consumed.userId },
+        { $set: { emailVerified: true, emailVerifiedAt: now, updatedAt: now } },
+        { returnDocument: 'after' }
+      );
+      if (user) {
+        await grantBootstrapAdmin(user);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Email verified successfully'
+      });
+    } catch (error) {
+      console.error('Error verifying email:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to verify email',
+        details: error.message
+      });
+    }
+  },
+
+  resendVerification: async (req, res) => {
+    try {
+      if (!req.isAuthenticated()) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required',
+          loginUrl: '/auth/login'
+        });
+      }
+
+      if (req.user.emailVerified !== false) {
+        return res.status(409).json({
+          success: false,
+          error: 'Email is already verified'
+        });
+      }
+
+      await sendVerificationEmail(req.user);
+
+      res.status(200).json({
+        success: true,
+        message: 'Verification email sent'
+      });
+    } catch (error) {
+      console.error('Error resending verification email:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to send verification email',
+        details: error.message
+      });
+    }
+  }
+};
+
+module.exports = authController;
@@ -1,12 +1,33 @@
 const { getDB } = require('../config/database');
 const { ObjectId } = require('mongodb');
 const Author = require('../models/Author');
+const Book = require('../models/Book');
+const { BOOK_LIST_OPTIONS, parseBookExpand } = require('../utils/bookFilters');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const { isDuplicateKeyError } = require('../utils/mongoErrors');
+const { presentBooks, getAuthorStats } = require('../services/bookAuthors');
+const { moveToTrash, restoreFromTrash } = require('../services/trash');
+const { recordRevision, parseRevisionNumber, findRevision } = require('../services/revisions');
+const { rejectStaleVersion, sendPreconditionFailed, sendNotModified } = require('../middleware/preconditions');
+const { INITIAL_VERSION, toEtag, versionFilter } = require('../utils/versioning');
+
+/**
+ * Message for a 409 on an email that is already taken, by a live author or one in the trash
+ * @param {Object} author - The author holding the email
+ * @param {string} liveMessage - Message used when that author is live
+ * @returns {string} Error message
+ */
+const emailConflictMessage = (author, liveMessage) => {
+  return author.deletedAt
+    ? 'A deleted author with this email is in the trash; restore or purge it first'
+    : liveMessage;
+};
 
 const authorsController = {
   getAllAuthors: async (req, res) => {
     try {
       const db = getDB();
-      const authors = await db.collection(process.env.MONGO_COLLECTION_AUTHORS).find({}).toArray();
+      const authors = await db.collection(process.env.MONGO_COLLECTION_AUTHORS).find({ deletedAt: null }).toArray();
       
       res.status(200).json({
         success: true,
@@ -35,7 +56,7 @@ const authorsController = {
       }
 
       const db = getDB();
-      const author = await db.collection(process.env.MONGO_COLLECTION_AUTHORS).findOne({ _id: new ObjectId(id) });
+      const author = await db.collection(process.env.MONGO_COLLECTION_AUTHORS).findOne({ _id: new ObjectId(id), deletedAt: null });
       
       if (!author) {
         return res.status(404).json({
@@ -44,6 +65,10 @@ const authorsController = {
         });
       }
 
+      if (sendNotModified(req, res, author, author)) {
+        return;
+      }
+
       res.status(200).json({
         success: true,
         data: author
@@ -58,6 +83,109 @@ const authorsController = {
     }
   },
 
+  getAuthorBooks: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid author ID format'
+        });
+      }
+
+      const authorId = new ObjectId(id);
+      const errors = [];
+      let filter = { 'authors.authorId': authorId, deletedAt: null };
+
+      if (req.query.role !== undefined) {
+        if (Book.AUTHOR_ROLES.includes(req.query.role)) {
+          filter = { authors: { $elemMatch: { authorId, role: req.query.role } }, deletedAt: null };
+        } else {
+          errors.push(`Role must be one of: ${Book.AUTHOR_ROLES.join(', ')}`);
+        }
+      }
+
+      const { options, errors: listErrors } = parseListOptions(req.query, BOOK_LIST_OPTIONS);
+      const { expand, errors: expandErrors } = parseBookExpand(req.query);
+      errors.push(...listErrors, ...expandErrors);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: errors
+        });
+      }
+
+      const db = getDB();
+      const author = await db.collection(process.env.MONGO_COLLECTION_AUTHORS).findOne({ _id: authorId, deletedAt: null });
+      if (!author) {
+        return res.status(404).json({
+          success: false,
+          error: 'Author not found'
+        });
+      }
+
+      const result = await paginate(db.collection(process.env.MONGO_COLLECTION_BOOKS), filter, options, req);
+
+      res.status(200).json({
+        success: true,
+        count: result.data.length,
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        links: result.links,
+        cursors: result.cursors,
+        data: await presentBooks(result.data, expand)
+      });
+    } catch (error) {
+      console.error('Error fetching author books:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch author books',
+        details: error.message
+      });
+    }
+  },
+
+  getAuthorStats: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid author ID format'
+        });
+      }
+
+      const db = getDB();
+      const author = await db.collection(process.env.MONGO_COLLECTION_AUTHORS).findOne({ _id: new ObjectId(id), deletedAt: null });
+      if (!author) {
+        return res.status(404).json({
+          success: false,
+          error: 'Author not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          authorId: author._id,
+          ...(await getAuthorStats(author._id))
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching author stats:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch author stats',
+        details: error.message
+      });
+    }
+  },
+
   createAuthor: async (req, res) => {
     try {
       const authorData = req.body;
@@ -79,14 +207,16 @@ const authorsController = {
       if (existingAuthor) {
         return res.status(409).json({
           success: false,
-          error: 'Author with this email already exists'
+          error: emailConflictMessage(existingAuthor, 'Author with this email already exists')
         });
       }
 
-      const result = await db.collection(process.env.MONGO_COLLECTION_AUTHORS).insertOne(author.toDatabase());
+      const result = await db.collection(process.env.MONGO_COLLECTION_AUTHORS).insertOne({ ...author.toDatabase(), version: INITIAL_VERSION });
       
       if (result.insertedId) {
         const createdAuthor = await db.collection(process.env.MONGO_COLLECTION_AUTHORS).findOne({ _id: result.insertedId });
+        await recordRevision('author', { action: 'create', before: null, after: createdAuthor, userId: req.user._id });
+        res.set('ETag', toEtag(createdAuthor));
         res.status(201).json({
           success: true,
           message: 'Author created successfully',
@@ -96,6 +226,12 @@ const authorsController = {
         throw new Error('Failed to create author');
       }
     } catch (error) {
+      if (isDuplicateKeyError(error, 'email')) {
+        return res.status(409).json({
+          success: false,
+          error: 'Author with this email already exists'
+        });
+      }
       console.error('Error creating author:', error);
       res.status(500).json({
         success: false,
@@ -130,7 +266,7 @@ const authorsController = {
 
       const db = getDB();
       
-      const existingAuthor = await db.collection(process.env.MONGO_COLLECTION_AUTHORS).findOne({ _id: new ObjectId(id) });
+      const existingAuthor = await db.collection(process.env.MONGO_COLLECTION_AUTHORS).findOne({ _id: new ObjectId(id), deletedAt: null });
       if (!existingAuthor) {
         return res.status(404).json({
           success: false,
@@ -138,6 +274,10 @@ const authorsController = {
         });
       }
 
+      if (rejectStaleVersion(req, res, existingAuthor, 'author')) {
+        return;
+      }
+
       const emailConflict = await db.collection(process.env.MONGO_COLLECTION_AUTHORS).findOne({
         email: updateData.email,
         _id: { $ne: new ObjectId(id) }
@@ -146,22 +286,34 @@ const authorsController = {
       if (emailConflict) {
         return res.status(409).json({
           success: false,
-          error: 'Email already exists for another author'
+          error: emailConflictMessage(emailConflict, 'Email already exists for another author')
         });
       }
 
+      // The creation date never changes
+      const fields = author.toDatabase();
+      delete fields.createdAt;
+
       const result = await db.collection(process.env.MONGO_COLLECTION_AUTHORS).updateOne(
-        { _id: new ObjectId(id) },
+        { _id: new ObjectId(id), ...versionFilter(existingAuthor) },
         { 
           $set: {
-            ...author.toDatabase(),
+            ...fields,
             updatedAt: new Date()
-          }
+          },
+          $inc: { version: 1 }
         }
       );
 
+      // Someone else saved the author between the version check and this update
+      if (result.matchedCount === 0) {
+        return sendPreconditionFailed(res, null, 'author');
+      }
+
       if (result.modifiedCount === 1) {
         const updatedAuthor = await db.collection(process.env.MONGO_COLLECTION_AUTHORS).findOne({ _id: new ObjectId(id) });
+        await recordRevision('author', { action: 'update', before: existingAuthor, after: updatedAuthor, userId: req.user._id });
+        res.set('ETag', toEtag(updatedAuthor));
         res.status(200).json({
           success: true,
           message: 'Author updated successfully',
@@ -174,6 +326,12 @@ const authorsController = {
         });
       }
     } catch (error) {
+      if (isDuplicateKeyError(error, 'email')) {
+        return res.status(409).json({
+          success: false,
+          error: 'Email already exists for another author'
+        });
+      }
       console.error('Error updating author:', error);
       res.status(500).json({
         success: false,
@@ -196,7 +354,7 @@ const authorsController = {
 
       const db = getDB();
       
-      const existingAuthor = await db.collection(process.env.MONGO_COLLECTION_AUTHORS).findOne({ _id: new ObjectId(id) });
+      const existingAuthor = await db.collection(process.env.MONGO_COLLECTION_AUTHORS).findOne({ _id: new ObjectId(id), deletedAt: null });
       if (!existingAuthor) {
         return res.status(404).json({
           success: false,
@@ -204,10 +362,18 @@ const authorsController = {
         });
       }
 
+      if (rejectStaleVersion(req, res, existingAuthor, 'author')) {
+        return;
+      }
+
+      // Books not yet linked to author records are still matched on the legacy free-text author.
+      // Books in the trash do not count: they cannot be restored while the author is deleted.
+      const legacyName = [existingAuthor.firstName, existingAuthor.lastName].filter(Boolean).join(' ');
       const authorBooks = await db.collection(process.env.MONGO_COLLECTION_BOOKS).findOne({
+        deletedAt: null,
         $or: [
-          { author: existingAuthor.firstName + ' ' + existingAuthor.lastName },
-          { author: existingAuthor.email }
+          { 'authors.authorId': existingAuthor._id },
+          { authors: { $exists: false }, author: { $in: [legacyName, existingAuthor.email] } }
         ]
       });
 
@@ -218,17 +384,18 @@ const authorsController = {
         });
       }
 
-      const result = await db.collection(process.env.MONGO_COLLECTION_AUTHORS).deleteOne({ _id: new ObjectId(id) });
-      
-      if (result.deletedCount === 1) {
-        res.status(200).json({
-          success: true,
-          message: 'Author deleted successfully',
-          data: existingAuthor
-        });
-      } else {
-        throw new Error('Failed to delete author');
+      const deletedAuthor = await moveToTrash('authors', existingAuthor, req.user._id);
+      if (!deletedAuthor) {
+        return sendPreconditionFailed(res, null, 'author');
       }
+
+      await recordRevision('author', { action: 'delete', before: existingAuthor, after: deletedAuthor, userId: req.user._id });
+
+      res.status(200).json({
+        success: true,
+        message: 'Author moved to the trash',
+        data: deletedAuthor
+      });
     } catch (error) {
       console.error('Error deleting author:', error);
       res.status(500).json({
@@ -237,7 +404,169 @@ const authorsController = {
         details: error.message
       });
     }
+  },
+
+  restoreAuthor: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid author ID format'
+        });
+      }
+
+      const db = getDB();
+
+      const existingAuthor = await db.collection(process.env.MONGO_COLLECTION_AUTHORS).findOne({ _id: new ObjectId(id) });
+      if (!existingAuthor) {
+        return res.status(404).json({
+          success: false,
+          error: 'Author not found'
+        });
+      }
+
+      if (!existingAuthor.deletedAt) {
+        return res.status(409).json({
+          success: false,
+          error: 'Author is not in the trash'
+        });
+      }
+
+      const restoredAuthor = await restoreFromTrash('authors', existingAuthor._id);
+      if (!restoredAuthor) {
+        return res.status(409).json({
+          success: false,
+          error: 'Author is not in the trash'
+        });
+      }
+
+      await recordRevision('author', { action: 'restore', before: existingAuthor, after: restoredAuthor, userId: req.user._id });
+      res.set('ETag', toEtag(restoredAuthor));
+
+      res.status(200).json({
+        success: true,
+        message: 'Author restored successfully',
+        data: restoredAuthor
+      });
+    } catch (error) {
+      console.error('Error restoring author:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to restore author',
+        details: error.message
+      });
+    }
+  },
+
+  revertAuthor: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid author ID format'
+        });
+      }
+
+      const revisionNumber = parseRevisionNumber(req.params.revision);
+      if (!revisionNumber) {
+        return res.status(400).json({
+          success: false,
+          error: 'Revision must be a positive integer'
+        });
+      }
+
+      const db = getDB();
+
+      const existingAuthor = await db.collection(process.env.MONGO_COLLECTION_AUTHORS).findOne({ _id: new ObjectId(id), deletedAt: null });
+      if (!existingAuthor) {
+        return res.status(404).json({
+          success: false,
+          error: 'Author not found'
+        });
+      }
+
+      // If-Match is optional here, since the result does not build on the current version
+      if (req.get('If-Match') && rejectStaleVersion(req, res, existingAuthor, 'author')) {
+        return;
+      }
+
+      const revision = await findRevision('author', existingAuthor._id, revisionNumber);
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          error: 'Revision not found'
+        });
+      }
+
+      const author = new Author(revision.snapshot);
+      const validation = author.validate();
+
+      if (!validation.isValid) {
+        return res.status(409).json({
+          success: false,
+          error: 'Cannot revert author. The revision is no longer valid.',
+          details: validation.errors
+        });
+      }
+
+      const emailConflict = await db.collection(process.env.MONGO_COLLECTION_AUTHORS).findOne({
+        email: author.email,
+        _id: { $ne: existingAuthor._id }
+      });
+
+      if (emailConflict) {
+        return res.status(409).json({
+          success: false,
+          error: emailConflictMessage(emailConflict, 'Email already exists for another author')
+        });
+      }
+
+      const fields = author.toDatabase();
+      delete fields.createdAt;
+      const result = await db.collection(process.env.MONGO_COLLECTION_AUTHORS).updateOne(
+        { _id: existingAuthor._id, ...versionFilter(existingAuthor) },
+        { $set: fields, $inc: { version: 1 } }
+      );
+
+      // Someone else saved the author since it was read above
+      if (result.matchedCount === 0) {
+        return sendPreconditionFailed(res, null, 'author');
+      }
+
+      const revertedAuthor = await db.collection(process.env.MONGO_COLLECTION_AUTHORS).findOne({ _id: existingAuthor._id });
+      await recordRevision('author', {
+        action: 'revert',
+        before: existingAuthor,
+        after: revertedAuthor,
+        userId: req.user._id,
+        revertedTo: revisionNumber
+      });
+      res.set('ETag', toEtag(revertedAuthor));
+
+      res.status(200).json({
+        success: true,
+        message: `Author reverted to revision ${revisionNumber}`,
+        data: revertedAuthor
+      });
+    } catch (error) {
+      if (isDuplicateKeyError(error, 'email')) {
+        return res.status(409).json({
+          success: false,
+          error: 'Email already exists for another author'
+        });
+      }
+      console.error('Error reverting author:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revert author',
+        details: error.message
+      });
+    }
   }
 };
 
-module.exports = authorsController;
\ No newline at end of file
+module.exports = authorsController;
@@ -1,17 +1,164 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const { getDB } = require('../config/database');
 const { ObjectId } = require('mongodb');
 const Book = require('../models/Book');
+const { buildBookFilter, parseBookExpand, BOOK_LIST_OPTIONS, toList } = require('../utils/bookFilters');
+const { parseListOptions, parseSort, paginate } = require('../utils/pagination');
+const { isDuplicateKeyError } = require('../utils/mongoErrors');
+const { validateIsbn, toIsbn13, toIsbn10 } = require('../utils/isbn');
+const { findMissingAuthors, findAuthorIdsByName, presentBooks } = require('../services/bookAuthors');
+const { EXPORT_FORMATS, exportBooks } = require('../services/bookExport');
+const { enrichBookData } = require('../services/metadata');
+const { MAX_NEW_COPIES, itemsCollection, prepareItems, countCopies, insertItems, isHeldOnlyByOtherBranches } = require('../services/bookItems');
+const { findBookIdsAtBranch } = require('../services/branches');
+const { moveToTrash, restoreFromTrash } = require('../services/trash');
+const { recordRevision, parseRevisionNumber, findRevision } = require('../services/revisions');
+const { getStaffBranchId, canManageBranch } = require('../middleware/auth');
+const { rejectStaleVersion, sendPreconditionFailed, sendNotModified } = require('../middleware/preconditions');
+const { INITIAL_VERSION, toEtag, versionFilter } = require('../utils/versioning');
+
+/**
+ * Respond 400 when a book references authors that do not exist
+ * @param {Object} res - Express response object
+ * @param {Book} book - Validated book
+ * @returns {Promise<boolean>} True if a response was sent
+ */
+const rejectMissingAuthors = async (res, book) => {
+  const missing = await findMissingAuthors(book.authors);
+  if (missing.length === 0) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    error: 'Validation failed',
+    details: missing.map((id) => `Author not found: ${id}`)
+  });
+  return true;
+};
+
+/**
+ * Message for a 409 on an ISBN that is already taken, by a live book or one in the trash
+ * @param {Object} book - The book holding the ISBN
+ * @param {string} liveMessage - Message used when that book is live
+ * @returns {string} Error message
+ */
+const isbnConflictMessage = (book, liveMessage) => {
+  return book.deletedAt
+    ? 'A deleted book with this ISBN is in the trash; restore or purge it first'
+    : liveMessage;
+};
+
+/**
+ * Respond 403 when a librarian of a branch acts on a book with copies at other branches
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} book - Book document
+ * @returns {Promise<boolean>} True if a response was sent
+ */
+const rejectCopiesAtOtherBranches = async (req, res, book) => {
+  const staffBranchId = getStaffBranchId(req.user);
+  if (!staffBranchId || !(await itemsCollection().findOne({ bookId: book._id, branchId: { $ne: new ObjectId(staffBranchId) } }))) {
+    return false;
+  }
+
+  res.status(403).json({
+    success: false,
+    error: 'This book has copies at other branches'
+  });
+  return true;
+};
+
+/**
+ * Respond 403 when a librarian of a branch edits a book that only other branches hold copies of.
+ * Books without copies, or with some at the librarian's branch, are shared catalog records.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} book - Book document
+ * @returns {Promise<boolean>} True if a response was sent
+ */
+const rejectBookOfOtherBranches = async (req, res, book) => {
+  const staffBranchId = getStaffBranchId(req.user);
+  if (!staffBranchId) {
+    return false;
+  }
+
+  if (!(await isHeldOnlyByOtherBranches(book._id, staffBranchId))) {
+    return false;
+  }
+
+  res.status(403).json({
+    success: false,
+    error: 'Only other branches hold copies of this book'
+  });
+  return true;
+};
+
+/**
+ * Read the copies of a new book from a create request: an items array, or totalCopies
+ * copies with generated barcodes (one copy when neither is given)
+ * @param {Object} bookData - Request body
+ * @returns {Object} { copies, errors } where copies are item fields for prepareItems
+ */
+const readCopies = (bookData) => {
+  if (bookData.items !== undefined && !Array.isArray(bookData.items)) {
+    return { copies: [], errors: ['items must be an array of copies'] };
+  }
+
+  const copies = Array.isArray(bookData.items)
+    ? bookData.items
+    : Array.from({ length: bookData.totalCopies !== undefined ? Number(bookData.totalCopies) : 1 }, () => ({}));
+  if (copies.length > MAX_NEW_COPIES) {
+    return { copies: [], errors: [`A book can be created with at most ${MAX_NEW_COPIES} copies`] };
+  }
+  return { copies, errors: [] };
+};
+
+/**
+ * Respond 502 when the metadata service could not be reached or failed
+ * @param {Object} res - Express response object
+ * @param {Error} error - Lookup error
+ */
+const sendLookupFailure = (res, error) => {
+  console.error('Error looking up book metadata:', error);
+  res.status(502).json({
+    success: false,
+    error: 'Metadata lookup failed',
+    details: error.message
+  });
+};
 
 const booksController = {
   getAllBooks: async (req, res) => {
     try {
+      const authorMatches = req.query.author ? await findAuthorIdsByName(toList(req.query.author)) : [];
+      const branchBookIds = req.query.branchId ? await findBookIdsAtBranch(req.query.branchId, req.query.available) : [];
+      const { filter, errors: filterErrors } = buildBookFilter(req.query, { authorMatches, branchBookIds });
+      const { options, errors: listErrors } = parseListOptions(req.query, BOOK_LIST_OPTIONS);
+      const { expand, errors: expandErrors } = parseBookExpand(req.query);
+      const errors = [...filterErrors, ...listErrors, ...expandErrors];
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: errors
+        });
+      }
+
       const db = getDB();
-      const books = await db.collection(process.env.MONGO_COLLECTION_BOOKS).find({}).toArray();
+      const result = await paginate(db.collection(process.env.MONGO_COLLECTION_BOOKS), filter, options, req);
       
       res.status(200).json({
         success: true,
-        count: books.length,
-        data: books
+        count: result.data.length,
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        links: result.links,
+        cursors: result.cursors,
+        data: await presentBooks(result.data, expand)
       });
     } catch (error) {
       console.error('Error fetching books:', error);
@@ -23,6 +170,59 @@ const booksController = {
     }
   },
 
+  exportBooks: async (req, res) => {
+    try {
+      const format = req.query.format || 'csv';
+      const authorMatches = req.query.author ? await findAuthorIdsByName(toList(req.query.author)) : [];
+      const branchBookIds = req.query.branchId ? await findBookIdsAtBranch(req.query.branchId, req.query.available) : [];
+      const { filter, errors: filterErrors } = buildBookFilter(req.query, { authorMatches, branchBookIds });
+      const { sort, errors: sortErrors } = parseSort(req.query.sort, BOOK_LIST_OPTIONS.sortable, BOOK_LIST_OPTIONS.defaultSort);
+      const { expand, errors: expandErrors } = parseBookExpand(req.query);
+      const errors = [...filterErrors, ...sortErrors, ...expandErrors];
+
+      if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+        errors.push(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: errors
+        });
+      }
+
+      const { contentType, extension } = EXPORT_FORMATS[format];
+      const fileName = `books-${new Date().toISOString().slice(0, 10)}.${extension}`;
+      res.status(200);
+      res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${fileName}"`
+      });
+
+      await pipeline(
+        Readable.from(exportBooks(format, filter, { sort, expandAuthors: expand.includes('authors') })),
+        res
+      );
+    } catch (error) {
+      // The client went away mid-download; the cursor has already been closed
+      if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+        return;
+      }
+
+      console.error('Error exporting books:', error);
+      // Once streaming has started the download is cut short instead
+      if (res.headersSent || res.destroyed) {
+        return res.destroy();
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to export books',
+        details: error.message
+      });
+    }
+  },
+
   getBookById: async (req, res) => {
     try {
       const { id } = req.params;
@@ -34,8 +234,17 @@ const booksController = {
         });
       }
 
+      const { expand, errors } = parseBookExpand(req.query);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: errors
+        });
+      }
+
       const db = getDB();
-      const book = await db.collection(process.env.MONGO_COLLECTION_BOOKS).findOne({ _id: new ObjectId(id) });
+      const book = await db.collection(process.env.MONGO_COLLECTION_BOOKS).findOne({ _id: new ObjectId(id), deletedAt: null });
       
       if (!book) {
         return res.status(404).json({
@@ -44,9 +253,14 @@ const booksController = {
         });
       }
 
+      const [data] = await presentBooks([book], expand);
+      if (sendNotModified(req, res, book, data)) {
+        return;
+      }
+
       res.status(200).json({
         success: true,
-        data: book
+        data
       });
     } catch (error) {
       console.error('Error fetching book:', error);
@@ -58,9 +272,126 @@ const booksController = {
     }
   },
 
+  getBookByIsbn: async (req, res) => {
+    try {
+      const { isbn } = req.params;
+
+      const isbnError = validateIsbn(isbn);
+      if (isbnError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid ISBN',
+          details: isbnError
+        });
+      }
+
+      const { expand, errors } = parseBookExpand(req.query);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: errors
+        });
+      }
+
+      const isbn13 = toIsbn13(isbn);
+      const db = getDB();
+      const book = await db.collection(process.env.MONGO_COLLECTION_BOOKS).findOne({ isbn13, deletedAt: null });
+
+      if (!book) {
+        return res.status(404).json({
+          success: false,
+          error: 'Book not found'
+        });
+      }
+
+      const [data] = await presentBooks([book], expand);
+      if (sendNotModified(req, res, book, data)) {
+        return;
+      }
+
+      res.status(200).json({
+        success: true,
+        isbn: { isbn13, isbn10: toIsbn10(isbn13) },
+        data
+      });
+    } catch (error) {
+      console.error('Error fetching book by ISBN:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch book',
+        details: error.message
+      });
+    }
+  },
+
+  enrichBook: async (req, res) => {
+    try {
+      const bookData = req.body || {};
+
+      const isbnError = typeof bookData.isbn === 'string' && bookData.isbn.trim() !== ''
+        ? validateIsbn(bookData.isbn)
+        : 'ISBN is required';
+      if (isbnError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: [isbnError]
+        });
+      }
+
+      let result;
+      try {
+        result = await enrichBookData(bookData);
+      } catch (lookupError) {
+        return sendLookupFailure(res, lookupError);
+      }
+
+      if (!result.enrichment.found) {
+        return res.status(404).json({
+          success: false,
+          error: 'No metadata found for this ISBN',
+          enrichment: result.enrichment
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Preview of the book with the looked up metadata; nothing was saved',
+        enrichment: result.enrichment,
+        data: result.data
+      });
+    } catch (error) {
+      console.error('Error enriching book:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to enrich book',
+        details: error.message
+      });
+    }
+  },
+
   createBook: async (req, res) => {
     try {
-      const bookData = req.body;
+      if (req.query.enrich !== undefined && !['true', 'false'].includes(req.query.enrich)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: ['enrich must be true or false']
+        });
+      }
+
+      let bookData = req.body;
+      let enrichment;
+
+      // An invalid ISBN is left for the validation below to report
+      if (req.query.enrich === 'true' && bookData && typeof bookData.isbn === 'string' && Book.isValidISBN(bookData.isbn)) {
+        try {
+          ({ data: bookData, enrichment } = await enrichBookData(bookData));
+        } catch (lookupError) {
+          return sendLookupFailure(res, lookupError);
+        }
+      }
       
       const book = new Book(bookData);
       const validation = book.validate();
@@ -69,33 +400,85 @@ const booksController = {
         return res.status(400).json({
           success: false,
           error: 'Validation failed',
-          details: validation.errors
+          details: validation.errors,
+          enrichment
         });
       }
 
+      if (await rejectMissingAuthors(res, book)) {
+        return;
+      }
+
       const db = getDB();
       
-      const existingBook = await db.collection(process.env.MONGO_COLLECTION_BOOKS).findOne({ isbn: req.body.isbn });
+      const existingBook = await db.collection(process.env.MONGO_COLLECTION_BOOKS).findOne({ isbn13: book.isbn13 });
       if (existingBook) {
         return res.status(409).json({
           success: false,
-          error: 'Book with this ISBN already exists'
+          error: isbnConflictMessage(existingBook, 'Book with this ISBN already exists')
+        });
+      }
+
+      // Copies that do not name a branch go to branchId, or the librarian's own branch
+      const { copies, errors: copyErrors } = readCopies(bookData);
+      const bookId = new ObjectId();
+      const branchId = bookData.branchId !== undefined ? bookData.branchId : getStaffBranchId(req.user);
+      const { items, errors: itemErrors } = copyErrors.length > 0
+        ? { items: [], errors: copyErrors }
+        : await prepareItems(bookId, copies, { branchId });
+      if (itemErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: itemErrors
+        });
+      }
+
+      if (items.some((item) => !canManageBranch(req.user, item.branchId))) {
+        return res.status(403).json({
+          success: false,
+          error: 'You can only add copies to your own branch'
         });
       }
 
-      const result = await db.collection(process.env.MONGO_COLLECTION_BOOKS).insertOne(book.toDatabase());
+      Object.assign(book, countCopies(items));
+      const result = await db.collection(process.env.MONGO_COLLECTION_BOOKS).insertOne({ _id: bookId, ...book.toDatabase(), version: INITIAL_VERSION });
+
+      try {
+        await insertItems(items, { adjustCounts: false });
+      } catch (itemError) {
+        await db.collection(process.env.MONGO_COLLECTION_BOOKS).deleteOne({ _id: bookId });
+        await itemsCollection().deleteMany({ bookId });
+        if (isDuplicateKeyError(itemError, 'barcode')) {
+          return res.status(409).json({
+            success: false,
+            error: 'A barcode is already in use by another copy',
+            details: itemError.keyValue ? `Barcode ${itemError.keyValue.barcode}` : undefined
+          });
+        }
+        throw itemError;
+      }
       
       if (result.insertedId) {
         const createdBook = await db.collection(process.env.MONGO_COLLECTION_BOOKS).findOne({ _id: result.insertedId });
+        await recordRevision('book', { action: 'create', before: null, after: createdBook, userId: req.user._id });
+        res.set('ETag', toEtag(createdBook));
         res.status(201).json({
           success: true,
           message: 'Book created successfully',
+          enrichment,
           data: createdBook
         });
       } else {
         throw new Error('Failed to create book');
       }
     } catch (error) {
+      if (isDuplicateKeyError(error, 'isbn13')) {
+        return res.status(409).json({
+          success: false,
+          error: 'Book with this ISBN already exists'
+        });
+      }
       console.error('Error creating book:', error);
       res.status(500).json({
         success: false,
@@ -128,9 +511,13 @@ const booksController = {
         });
       }
 
+      if (await rejectMissingAuthors(res, book)) {
+        return;
+      }
+
       const db = getDB();
       
-      const existingBook = await db.collection(process.env.MONGO_COLLECTION_BOOKS).findOne({ _id: new ObjectId(id) });
+      const existingBook = await db.collection(process.env.MONGO_COLLECTION_BOOKS).findOne({ _id: new ObjectId(id), deletedAt: null });
       if (!existingBook) {
         return res.status(404).json({
           success: false,
@@ -138,30 +525,51 @@ const booksController = {
         });
       }
 
+      if (await rejectBookOfOtherBranches(req, res, existingBook)) {
+        return;
+      }
+
+      if (rejectStaleVersion(req, res, existingBook, 'book')) {
+        return;
+      }
+
       const isbnConflict = await db.collection(process.env.MONGO_COLLECTION_BOOKS).findOne({
-        isbn: updateData.isbn,
+        isbn13: book.isbn13,
         _id: { $ne: new ObjectId(id) }
       });
       
       if (isbnConflict) {
         return res.status(409).json({
           success: false,
-          error: 'ISBN already exists for another book'
+          error: isbnConflictMessage(isbnConflict, 'ISBN already exists for another book')
         });
       }
 
+      // Copy counters follow the items and are left alone here, like the creation date
+      const fields = book.toDatabase();
+      ['availableCopies', 'totalCopies', 'createdAt'].forEach((field) => delete fields[field]);
       const result = await db.collection(process.env.MONGO_COLLECTION_BOOKS).updateOne(
-        { _id: new ObjectId(id) },
+        { _id: new ObjectId(id), ...versionFilter(existingBook) },
         { 
           $set: {
-            ...book.toDatabase(),
+            ...fields,
             updatedAt: new Date()
-          }
+          },
+          // The author references replace the legacy free-text author
+          $unset: { author: '' },
+          $inc: { version: 1 }
         }
       );
 
+      // Someone else saved the book between the version check and this update
+      if (result.matchedCount === 0) {
+        return sendPreconditionFailed(res, null, 'book');
+      }
+
       if (result.modifiedCount === 1) {
         const updatedBook = await db.collection(process.env.MONGO_COLLECTION_BOOKS).findOne({ _id: new ObjectId(id) });
+        await recordRevision('book', { action: 'update', before: existingBook, after: updatedBook, userId: req.user._id });
+        res.set('ETag', toEtag(updatedBook));
         res.status(200).json({
           success: true,
           message: 'Book updated successfully',
@@ -174,6 +582,12 @@ const booksController = {
         });
       }
     } catch (error) {
+      if (isDuplicateKeyError(error, 'isbn13')) {
+        return res.status(409).json({
+          success: false,
+          error: 'ISBN already exists for another book'
+        });
+      }
       console.error('Error updating book:', error);
       res.status(500).json({
         success: false,
@@ -196,7 +610,7 @@ const booksController = {
 
       const db = getDB();
       
-      const existingBook = await db.collection(process.env.MONGO_COLLECTION_BOOKS).findOne({ _id: new ObjectId(id) });
+      const existingBook = await db.collection(process.env.MONGO_COLLECTION_BOOKS).findOne({ _id: new ObjectId(id), deletedAt: null });
       if (!existingBook) {
         return res.status(404).json({
           success: false,
@@ -204,17 +618,28 @@ const booksController = {
         });
       }
 
-      const result = await db.collection(process.env.MONGO_COLLECTION_BOOKS).deleteOne({ _id: new ObjectId(id) });
-      
-      if (result.deletedCount === 1) {
-        res.status(200).json({
-          success: true,
-          message: 'Book deleted successfully',
-          data: existingBook
-        });
-      } else {
-        throw new Error('Failed to delete book');
+      // Purging a book deletes its copies, so a librarian of a branch needs them all to be there
+      if (await rejectCopiesAtOtherBranches(req, res, existingBook)) {
+        return;
+      }
+
+      if (rejectStaleVersion(req, res, existingBook, 'book')) {
+        return;
+      }
+
+      // The copies stay with the book in the trash until it is purged
+      const deletedBook = await moveToTrash('books', existingBook, req.user._id);
+      if (!deletedBook) {
+        return sendPreconditionFailed(res, null, 'book');
       }
+
+      await recordRevision('book', { action: 'delete', before: existingBook, after: deletedBook, userId: req.user._id });
+
+      res.status(200).json({
+        success: true,
+        message: 'Book moved to the trash',
+        data: deletedBook
+      });
     } catch (error) {
       console.error('Error deleting book:', error);
       res.status(500).json({
@@ -223,7 +648,192 @@ const booksController = {
         details: error.message
       });
     }
+  },
+
+  restoreBook: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid book ID format'
+        });
+      }
+
+      const db = getDB();
+
+      const existingBook = await db.collection(process.env.MONGO_COLLECTION_BOOKS).findOne({ _id: new ObjectId(id) });
+      if (!existingBook) {
+        return res.status(404).json({
+          success: false,
+          error: 'Book not found'
+        });
+      }
+
+      if (!existingBook.deletedAt) {
+        return res.status(409).json({
+          success: false,
+          error: 'Book is not in the trash'
+        });
+      }
+
+      if (await rejectCopiesAtOtherBranches(req, res, existingBook)) {
+        return;
+      }
+
+      const missing = await findMissingAuthors(existingBook.authors);
+      if (missing.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Cannot restore book. Some of its authors are deleted.',
+          message: 'Restore its authors first',
+          details: missing.map((authorId) => `Author not found: ${authorId}`)
+        });
+      }
+
+      const restoredBook = await restoreFromTrash('books', existingBook._id);
+      if (!restoredBook) {
+        return res.status(409).json({
+          success: false,
+          error: 'Book is not in the trash'
+        });
+      }
+
+      await recordRevision('book', { action: 'restore', before: existingBook, after: restoredBook, userId: req.user._id });
+      res.set('ETag', toEtag(restoredBook));
+
+      res.status(200).json({
+        success: true,
+        message: 'Book restored successfully',
+        data: restoredBook
+      });
+    } catch (error) {
+      console.error('Error restoring book:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to restore book',
+        details: error.message
+      });
+    }
+  },
+
+  revertBook: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid book ID format'
+        });
+      }
+
+      const revisionNumber = parseRevisionNumber(req.params.revision);
+      if (!revisionNumber) {
+        return res.status(400).json({
+          success: false,
+          error: 'Revision must be a positive integer'
+        });
+      }
+
+      const db = getDB();
+
+      const existingBook = await db.collection(process.env.MONGO_COLLECTION_BOOKS).findOne({ _id: new ObjectId(id), deletedAt: null });
+      if (!existingBook) {
+        return res.status(404).json({
+          success: false,
+          error: 'Book not found'
+        });
+      }
+
+      // If-Match is optional here, since the result does not build on the current version
+      if (await rejectBookOfOtherBranches(req, res, existingBook)) {
+        return;
+      }
+
+      if (req.get('If-Match') && rejectStaleVersion(req, res, existingBook, 'book')) {
+        return;
+      }
+
+      const revision = await findRevision('book', existingBook._id, revisionNumber);
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          error: 'Revision not found'
+        });
+      }
+
+      // The snapshot passes the same checks as an update, since authors or ISBNs may have changed since
+      const book = new Book(revision.snapshot);
+      const validation = book.validate();
+
+      if (!validation.isValid) {
+        return res.status(409).json({
+          success: false,
+          error: 'Cannot revert book. The revision is no longer valid.',
+          details: validation.errors
+        });
+      }
+
+      if (await rejectMissingAuthors(res, book)) {
+        return;
+      }
+
+      const isbnConflict = await db.collection(process.env.MONGO_COLLECTION_BOOKS).findOne({
+        isbn13: book.isbn13,
+        _id: { $ne: existingBook._id }
+      });
+
+      if (isbnConflict) {
+        return res.status(409).json({
+          success: false,
+          error: isbnConflictMessage(isbnConflict, 'ISBN already exists for another book')
+        });
+      }
+
+      const fields = book.toDatabase();
+      ['availableCopies', 'totalCopies', 'createdAt'].forEach((field) => delete fields[field]);
+      const result = await db.collection(process.env.MONGO_COLLECTION_BOOKS).updateOne(
+        { _id: existingBook._id, ...versionFilter(existingBook) },
+        { $set: fields, $unset: { author: '' }, $inc: { version: 1 } }
+      );
+
+      // Someone else saved the book since it was read above
+      if (result.matchedCount === 0) {
+        return sendPreconditionFailed(res, null, 'book');
+      }
+
+      const revertedBook = await db.collection(process.env.MONGO_COLLECTION_BOOKS).findOne({ _id: existingBook._id });
+      await recordRevision('book', {
+        action: 'revert',
+        before: existingBook,
+        after: revertedBook,
+        userId: req.user._id,
+        revertedTo: revisionNumber
+      });
+      res.set('ETag', toEtag(revertedBook));
+
+      res.status(200).json({
+        success: true,
+        message: `Book reverted to revision ${revisionNumber}`,
+        data: revertedBook
+      });
+    } catch (error) {
+      if (isDuplicateKeyError(error, 'isbn13')) {
+        return res.status(409).json({
+          success: false,
+          error: 'ISBN already exists for another book'
+        });
+      }
+      console.error('Error reverting book:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revert book',
+        details: error.message
+      });
+    }
   }
 };
 
-module.exports = booksController;
\ No newline at end of file
+module.exports = booksController;
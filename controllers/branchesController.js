@@ -0,0 +1,264 @@
+const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+const Branch = require('../models/Branch');
+const Transfer = require('../models/Transfer');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const { isDuplicateKeyError } = require('../utils/mongoErrors');
+const { branchesCollection, transfersCollection } = require('../services/branches');
+const { itemsCollection } = require('../services/bookItems');
+
+const BRANCH_LIST_OPTIONS = {
+  sortable: ['code', 'name', 'createdAt'],
+  defaultSort: 'code'
+};
+
+const branchesController = {
+  getAllBranches: async (req, res) => {
+    try {
+      const errors = [];
+      const filter = {};
+
+      if (req.query.isActive !== undefined) {
+        if (['true', 'false'].includes(req.query.isActive)) {
+          filter.isActive = req.query.isActive === 'true';
+        } else {
+          errors.push('isActive must be true or false');
+        }
+      }
+
+      const { options, errors: listErrors } = parseListOptions(req.query, BRANCH_LIST_OPTIONS);
+      errors.push(...listErrors);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: errors
+        });
+      }
+
+      const result = await paginate(branchesCollection(), filter, options, req);
+
+      res.status(200).json({
+        success: true,
+        count: result.data.length,
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        links: result.links,
+        cursors: result.cursors,
+        data: result.data
+      });
+    } catch (error) {
+      console.error('Error fetching branches:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch branches',
+        details: error.message
+      });
+    }
+  },
+
+  getBranchById: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid branch ID format'
+        });
+      }
+
+      const branch = await branchesCollection().findOne({ _id: new ObjectId(id) });
+      if (!branch) {
+        return res.status(404).json({
+          success: false,
+          error: 'Branch not found'
+        });
+      }
+
+      const [totalCopies, availableCopies] = await Promise.all([
+        itemsCollection().countDocuments({ branchId: branch._id, status: { $ne: 'lost' } }),
+        itemsCollection().countDocuments({ branchId: branch._id, status: 'available' })
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: { ...branch, totalCopies, availableCopies }
+      });
+    } catch (error) {
+      console.error('Error fetching branch:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch branch',
+        details: error.message
+      });
+    }
+  },
+
+  createBranch: async (req, res) => {
+    try {
+      const branch = new Branch(req.body || {});
+      const validation = branch.validate();
+
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: validation.errors
+        });
+      }
+
+      const existingBranch = await branchesCollection().findOne({ code: branch.code });
+      if (existingBranch) {
+        return res.status(409).json({
+          success: false,
+          error: 'Branch with this code already exists'
+        });
+      }
+
+      const result = await branchesCollection().insertOne(branch.toDatabase());
+      const createdBranch = await branchesCollection().findOne({ _id: result.insertedId });
+
+      res.status(201).json({
+        success: true,
+        message: 'Branch created successfully',
+        data: createdBranch
+      });
+    } catch (error) {
+      if (isDuplicateKeyError(error, 'code')) {
+        return res.status(409).json({
+          success: false,
+          error: 'Branch with this code already exists'
+        });
+      }
+      console.error('Error creating branch:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create branch',
+        details: error.message
+      });
+    }
+  },
+
+  updateBranch: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid branch ID format'
+        });
+      }
+
+      const branch = new Branch(req.body || {});
+      const validation = branch.validate();
+
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: validation.errors
+        });
+      }
+
+      const existingBranch = await branchesCollection().findOne({ _id: new ObjectId(id) });
+      if (!existingBranch) {
+        return res.status(404).json({
+          success: false,
+          error: 'Branch not found'
+        });
+      }
+
+      const codeConflict = await branchesCollection().findOne({ code: branch.code, _id: { $ne: existingBranch._id } });
+      if (codeConflict) {
+        return res.status(409).json({
+          success: false,
+          error: 'Code already exists for another branch'
+        });
+      }
+
+      const fields = branch.toDatabase();
+      delete fields.createdAt;
+      await branchesCollection().updateOne({ _id: existingBranch._id }, { $set: fields });
+
+      const updatedBranch = await branchesCollection().findOne({ _id: existingBranch._id });
+      res.status(200).json({
+        success: true,
+        message: 'Branch updated successfully',
+        data: updatedBranch
+      });
+    } catch (error) {
+      if (isDuplicateKeyError(error, 'code')) {
+        return res.status(409).json({
+          success: false,
+          error: 'Code already exists for another branch'
+        });
+      }
+      console.error('Error updating branch:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update branch',
+        details: error.message
+      });
+    }
+  },
+
+  deleteBranch: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid branch ID format'
+        });
+      }
+
+      const existingBranch = await branchesCollection().findOne({ _id: new ObjectId(id) });
+      if (!existingBranch) {
+        return res.status(404).json({
+          success: false,
+          error: 'Branch not found'
+        });
+      }
+
+      // Copies, transfers and librarians keep their branch id, so the branch has to be emptied first
+      const [item, transfer, user] = await Promise.all([
+        itemsCollection().findOne({ branchId: existingBranch._id }, { projection: { _id: 1 } }),
+        transfersCollection().findOne({
+          $or: [{ fromBranchId: existingBranch._id }, { toBranchId: existingBranch._id }],
+          status: { $in: Transfer.OPEN_STATUSES }
+        }, { projection: { _id: 1 } }),
+        getDB().collection('users').findOne({ branchId: existingBranch._id }, { projection: { _id: 1 } })
+      ]);
+
+      if (item || transfer || user) {
+        return res.status(409).json({
+          success: false,
+          error: 'Cannot delete branch. It still has copies, open transfers or assigned users.',
+          message: 'Move its copies to another branch or deactivate it with isActive: false instead'
+        });
+      }
+
+      await branchesCollection().deleteOne({ _id: existingBranch._id });
+
+      res.status(200).json({
+        success: true,
+        message: 'Branch deleted successfully',
+        data: existingBranch
+      });
+    } catch (error) {
+      console.error('Error deleting branch:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete branch',
+        details: error.message
+      });
+    }
+  }
+};
+
+module.exports = branchesController;
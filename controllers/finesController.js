@@ -0,0 +1,181 @@
+const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+const Fine = require('../models/Fine');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const { finesCollection, getBalance, getFineConfig } = require('../services/fines');
+
+const FINE_LIST_OPTIONS = {
+  sortable: ['createdAt', 'type', 'amount'],
+  defaultSort: '-createdAt'
+};
+
+/**
+ * Send a patron's ledger entries together with their balance
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {ObjectId} userId - Patron id
+ */
+const sendLedger = async (req, res, userId) => {
+  const errors = [];
+  const filter = { userId };
+
+  if (req.query.type !== undefined) {
+    if (Fine.ENTRY_TYPES.includes(req.query.type)) {
+      filter.type = req.query.type;
+    } else {
+      errors.push(`Type must be one of: ${Fine.ENTRY_TYPES.join(', ')}`);
+    }
+  }
+
+  const { options, errors: listErrors } = parseListOptions(req.query, FINE_LIST_OPTIONS);
+  errors.push(...listErrors);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: errors
+    });
+  }
+
+  const [summary, result] = await Promise.all([
+    getBalance(userId),
+    paginate(finesCollection(), filter, options, req)
+  ]);
+  const { blockThreshold } = getFineConfig();
+
+  res.status(200).json({
+    success: true,
+    summary: {
+      ...summary,
+      blockThreshold,
+      borrowingBlocked: summary.balance > blockThreshold
+    },
+    count: result.data.length,
+    total: result.total,
+    page: result.page,
+    limit: result.limit,
+    links: result.links,
+    cursors: result.cursors,
+    data: result.data
+  });
+};
+
+/**
+ * Record a payment or waiver against a patron's outstanding balance
+ * @param {string} type - 'payment' or 'waiver'
+ * @returns {Function} Express handler
+ */
+const recordCredit = (type) => async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID format'
+      });
+    }
+
+    const userId = new ObjectId(id);
+    const entry = new Fine({
+      userId,
+      type,
+      amount: req.body.amount,
+      loanId: req.body.loanId,
+      description: req.body.description || (type === 'payment' ? 'Payment received' : 'Fine waived'),
+      recordedBy: new ObjectId(req.user._id)
+    });
+    const validation = entry.validate();
+
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+
+    const db = getDB();
+    const patron = await db.collection('users').findOne({ _id: userId });
+    if (!patron) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const { balance } = await getBalance(userId);
+    if (Fine.roundAmount(entry.amount) > balance) {
+      return res.status(400).json({
+        success: false,
+        error: `The ${type} exceeds the outstanding balance`,
+        details: { balance }
+      });
+    }
+
+    const result = await finesCollection().insertOne(entry.toDatabase());
+
+    if (result.insertedId) {
+      const createdEntry = await finesCollection().findOne({ _id: result.insertedId });
+      res.status(201).json({
+        success: true,
+        message: type === 'payment' ? 'Payment recorded successfully' : 'Fine waived successfully',
+        data: createdEntry,
+        summary: await getBalance(userId)
+      });
+    } else {
+      throw new Error(`Failed to record ${type}`);
+    }
+  } catch (error) {
+    console.error(`Error recording fine ${type}:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to record ${type}`,
+      details: error.message
+    });
+  }
+};
+
+const finesController = {
+  getMyFines: async (req, res) => {
+    try {
+      await sendLedger(req, res, new ObjectId(req.user._id));
+    } catch (error) {
+      console.error('Error fetching fines:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch fines',
+        details: error.message
+      });
+    }
+  },
+
+  getUserFines: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid user ID format'
+        });
+      }
+
+      await sendLedger(req, res, new ObjectId(id));
+    } catch (error) {
+      console.error('Error fetching fines:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch fines',
+        details: error.message
+      });
+    }
+  },
+
+  recordPayment: recordCredit('payment'),
+
+  waiveFine: recordCredit('waiver')
+};
+
+module.exports = finesController;
@@ -0,0 +1,247 @@
+const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+const Hold = require('../models/Hold');
+const { isStaff } = require('../middleware/auth');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const { isDuplicateKeyError } = require('../utils/mongoErrors');
+const { holdsCollection, allocateCopy, expireHolds, getQueuePosition } = require('../services/holdQueue');
+
+const HOLD_LIST_OPTIONS = {
+  sortable: ['placedAt', 'status', 'expiresAt', 'bookTitle'],
+  defaultSort: 'placedAt'
+};
+
+const holdsController = {
+  placeHold: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid book ID format'
+        });
+      }
+
+      const db = getDB();
+      const bookId = new ObjectId(id);
+      const userId = new ObjectId(req.user._id);
+
+      // Settle expired pickups first so the availability check below is accurate
+      await expireHolds({ bookId });
+
+      const book = await db.collection(process.env.MONGO_COLLECTION_BOOKS).findOne({ _id: bookId, deletedAt: null });
+      if (!book) {
+        return res.status(404).json({
+          success: false,
+          error: 'Book not found'
+        });
+      }
+
+      if (book.availableCopies > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Copies of this book are available. Check it out instead of placing a hold.'
+        });
+      }
+
+      const existingHold = await holdsCollection().findOne({
+        userId,
+        bookId,
+        status: { $in: ['waiting', 'ready'] }
+      });
+      if (existingHold) {
+        return res.status(409).json({
+          success: false,
+          error: 'You already have a hold on this book',
+          data: existingHold
+        });
+      }
+
+      const activeLoan = await db.collection(process.env.MONGO_COLLECTION_LOANS || 'loans').findOne({
+        userId,
+        bookId,
+        status: 'active'
+      });
+      if (activeLoan) {
+        return res.status(409).json({
+          success: false,
+          error: 'You already have this book checked out'
+        });
+      }
+
+      const hold = new Hold({
+        userId,
+        bookId,
+        bookTitle: book.title
+      });
+
+      const result = await holdsCollection().insertOne(hold.toDatabase());
+
+      if (result.insertedId) {
+        const createdHold = await holdsCollection().findOne({ _id: result.insertedId });
+        res.status(201).json({
+          success: true,
+          message: 'Hold placed successfully',
+          data: {
+            ...createdHold,
+            queuePosition: await getQueuePosition(createdHold)
+          }
+        });
+      } else {
+        throw new Error('Failed to place hold');
+      }
+    } catch (error) {
+      if (isDuplicateKeyError(error, 'bookId')) {
+        return res.status(409).json({
+          success: false,
+          error: 'You already have a hold on this book'
+        });
+      }
+      console.error('Error placing hold:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to place hold',
+        details: error.message
+      });
+    }
+  },
+
+  getHolds: async (req, res) => {
+    try {
+      const errors = [];
+      const filter = {};
+
+      if (req.query.userId !== undefined) {
+        if (!isStaff(req.user)) {
+          return res.status(403).json({
+            success: false,
+            error: 'Only librarians can view holds of other users'
+          });
+        }
+        if (!ObjectId.isValid(req.query.userId)) {
+          errors.push('Invalid user ID format');
+        } else {
+          filter.userId = new ObjectId(req.query.userId);
+        }
+      } else {
+        filter.userId = new ObjectId(req.user._id);
+      }
+
+      if (req.query.bookId !== undefined) {
+        if (!ObjectId.isValid(req.query.bookId)) {
+          errors.push('Invalid book ID format');
+        } else {
+          filter.bookId = new ObjectId(req.query.bookId);
+        }
+      }
+
+      if (req.query.status !== undefined) {
+        if (Hold.STATUSES.includes(req.query.status)) {
+          filter.status = req.query.status;
+        } else {
+          errors.push(`Status must be one of: ${Hold.STATUSES.join(', ')}`);
+        }
+      }
+
+      const { options, errors: listErrors } = parseListOptions(req.query, HOLD_LIST_OPTIONS);
+      errors.push(...listErrors);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: errors
+        });
+      }
+
+      await expireHolds({ userId: filter.userId });
+
+      const result = await paginate(holdsCollection(), filter, options, req);
+      const data = await Promise.all(result.data.map(async (hold) => ({
+        ...hold,
+        queuePosition: await getQueuePosition(hold)
+      })));
+
+      res.status(200).json({
+        success: true,
+        count: data.length,
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        links: result.links,
+        cursors: result.cursors,
+        data
+      });
+    } catch (error) {
+      console.error('Error fetching holds:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch holds',
+        details: error.message
+      });
+    }
+  },
+
+  cancelHold: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid hold ID format'
+        });
+      }
+
+      const existingHold = await holdsCollection().findOne({ _id: new ObjectId(id) });
+      if (!existingHold) {
+        return res.status(404).json({
+          success: false,
+          error: 'Hold not found'
+        });
+      }
+
+      if (existingHold.userId.toString() !== req.user._id.toString() && !isStaff(req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You can only cancel your own holds'
+        });
+      }
+
+      const now = new Date();
+      const hold = await holdsCollection().findOneAndUpdate(
+        { _id: existingHold._id, status: { $in: ['waiting', 'ready'] } },
+        { $set: { status: 'cancelled', cancelledAt: now, updatedAt: now } },
+        { returnDocument: 'before' }
+      );
+
+      if (!hold) {
+        return res.status(409).json({
+          success: false,
+          error: `Hold is already ${existingHold.status}`
+        });
+      }
+
+      // A ready hold was holding a copy back; pass it on to the next patron
+      if (hold.status === 'ready') {
+        await allocateCopy(hold.bookId, now, hold.itemId ? { itemId: hold.itemId } : { status: 'reserved' });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Hold cancelled successfully',
+        data: { ...hold, status: 'cancelled', cancelledAt: now, updatedAt: now }
+      });
+    } catch (error) {
+      console.error('Error cancelling hold:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to cancel hold',
+        details: error.message
+      });
+    }
+  }
+};
+
+module.exports = holdsController;
@@ -0,0 +1,185 @@
+const { ObjectId } = require('mongodb');
+const { parseImportFile, buildColumnMapping, startImport, getImport } = require('../services/bookImport');
+const { findMissingBranches } = require('../services/branches');
+const { getStaffBranchId } = require('../middleware/auth');
+
+/**
+ * Parse the optional mapping, upsert and branchId form fields of an import request
+ * @param {Object} body - Multipart form fields
+ * @returns {Object} { mapping, upsert, branchId, errors }
+ */
+const parseImportOptions = (body = {}) => {
+  const errors = [];
+  let mapping = {};
+  let upsert = false;
+  let branchId = null;
+
+  if (body.mapping !== undefined && body.mapping !== '') {
+    try {
+      mapping = JSON.parse(body.mapping);
+    } catch {
+      mapping = null;
+    }
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      errors.push('mapping must be a JSON object of column names to book fields');
+      mapping = {};
+    }
+  }
+
+  if (body.upsert !== undefined && body.upsert !== '') {
+    if (!['true', 'false'].includes(body.upsert)) {
+      errors.push('upsert must be true or false');
+    }
+    upsert = body.upsert === 'true';
+  }
+
+  if (body.branchId !== undefined && body.branchId !== '') {
+    if (ObjectId.isValid(body.branchId)) {
+      branchId = new ObjectId(body.branchId);
+    } else {
+      errors.push('branchId must be a valid branch ID');
+    }
+  }
+
+  return { mapping, upsert, branchId, errors };
+};
+
+const importsController = {
+  importBooks: async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          error: 'No file uploaded',
+          message: 'Upload a CSV or JSON file in the "file" form field'
+        });
+      }
+
+      const { mapping: customMapping, upsert, branchId: requestedBranchId, errors: optionErrors } = parseImportOptions(req.body);
+      if (requestedBranchId && (await findMissingBranches([requestedBranchId])).length > 0) {
+        optionErrors.push('Branch not found');
+      }
+      if (optionErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: optionErrors
+        });
+      }
+
+      // Librarians of a branch import copies into their own branch
+      const staffBranchId = getStaffBranchId(req.user);
+      if (staffBranchId && requestedBranchId && requestedBranchId.toString() !== staffBranchId) {
+        return res.status(403).json({
+          success: false,
+          error: 'You can only import copies into your own branch'
+        });
+      }
+      const branchId = requestedBranchId || (staffBranchId ? new ObjectId(staffBranchId) : null);
+
+      let parsed;
+      try {
+        parsed = parseImportFile(req.file);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid import file',
+          details: parseError.message
+        });
+      }
+
+      if (parsed.records.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid import file',
+          details: 'The file contains no rows'
+        });
+      }
+
+      const { mapping, ignored, errors: mappingErrors } = buildColumnMapping(parsed.columns, customMapping);
+      if (mappingErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid column mapping',
+          details: mappingErrors,
+          columns: parsed.columns
+        });
+      }
+
+      const { background, data } = await startImport({
+        fileName: req.file.originalname,
+        format: parsed.format,
+        mapping,
+        ignoredColumns: ignored,
+        upsert,
+        branchId,
+        createdBy: new ObjectId(req.user._id)
+      }, parsed.records, { staffBranchId });
+
+      if (background) {
+        return res.status(202).json({
+          success: true,
+          message: `Import of ${parsed.records.length} rows started. Check its progress at /api/imports/${data._id}`,
+          data
+        });
+      }
+
+      if (data.status === 'failed') {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to import books',
+          details: data.error,
+          data
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `Imported ${data.inserted + data.updated} of ${data.totalRows} rows`,
+        data
+      });
+    } catch (error) {
+      console.error('Error importing books:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to import books',
+        details: error.message
+      });
+    }
+  },
+
+  getImport: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid import ID format'
+        });
+      }
+
+      const job = await getImport(id);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Import not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      console.error('Error fetching import:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch import',
+        details: error.message
+      });
+    }
+  }
+};
+
+module.exports = importsController;
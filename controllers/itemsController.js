@@ -0,0 +1,456 @@
+const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+const Item = require('../models/Item');
+const Transfer = require('../models/Transfer');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const { isDuplicateKeyError } = require('../utils/mongoErrors');
+const { getStaffBranchId, canManageBranch } = require('../middleware/auth');
+const { branchesCollection, transfersCollection, findMissingBranches } = require('../services/branches');
+const { holdsCollection, allocateCopy } = require('../services/holdQueue');
+const { itemsCollection, prepareItems, insertItems, transitionItem, deleteItem } = require('../services/bookItems');
+
+const ITEM_LIST_OPTIONS = {
+  sortable: ['barcode', 'status', 'location', 'condition', 'acquisitionDate', 'createdAt'],
+  defaultSort: 'barcode'
+};
+
+const UPDATABLE_FIELDS = ['barcode', 'branchId', 'location', 'condition', 'acquisitionDate', 'notes'];
+
+// Statuses set by circulation; a copy in one of them changes only through checkout, return, holds or transfers
+const CIRCULATING_STATUSES = ['on_loan', 'reserved', 'in_transit'];
+
+const CIRCULATING_CONFLICTS = {
+  on_loan: 'This copy is on loan; return it first',
+  reserved: 'This copy is set aside for a hold; cancel the hold first',
+  in_transit: 'This copy is in transit; receive or cancel the transfer first'
+};
+
+/**
+ * Check the book and item ids of an items route and load the book
+ * Responds 400 or 404 itself when they are not usable.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} { book, itemId } or null when a response was sent
+ */
+const loadBook = async (req, res) => {
+  const { id, itemId } = req.params;
+
+  if (!ObjectId.isValid(id)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid book ID format'
+    });
+    return null;
+  }
+
+  if (itemId !== undefined && !ObjectId.isValid(itemId)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid item ID format'
+    });
+    return null;
+  }
+
+  const book = await getDB().collection(process.env.MONGO_COLLECTION_BOOKS).findOne({ _id: new ObjectId(id), deletedAt: null });
+  if (!book) {
+    res.status(404).json({
+      success: false,
+      error: 'Book not found'
+    });
+    return null;
+  }
+
+  return { book, itemId: itemId !== undefined ? new ObjectId(itemId) : undefined };
+};
+
+/**
+ * Respond 409 when a barcode is already used by another copy
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the write
+ * @returns {boolean} True if a response was sent
+ */
+const rejectDuplicateBarcode = (res, error) => {
+  if (!isDuplicateKeyError(error, 'barcode')) {
+    return false;
+  }
+  res.status(409).json({
+    success: false,
+    error: 'A barcode is already in use by another copy',
+    details: error.keyValue ? `Barcode ${error.keyValue.barcode}` : undefined
+  });
+  return true;
+};
+
+/**
+ * Respond 403 when a librarian limited to a branch touches a copy of another branch
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {ObjectId|string|null} branchId - Branch of the copy
+ * @returns {boolean} True if a response was sent
+ */
+const rejectOtherBranch = (req, res, branchId) => {
+  if (canManageBranch(req.user, branchId)) {
+    return false;
+  }
+  res.status(403).json({
+    success: false,
+    error: 'You can only manage copies of your own branch'
+  });
+  return true;
+};
+
+const itemsController = {
+  getItems: async (req, res) => {
+    try {
+      const loaded = await loadBook(req, res);
+      if (!loaded) {
+        return;
+      }
+
+      const errors = [];
+      const filter = { bookId: loaded.book._id };
+
+      if (req.query.status !== undefined) {
+        if (Item.STATUSES.includes(req.query.status)) {
+          filter.status = req.query.status;
+        } else {
+          errors.push(`Status must be one of: ${Item.STATUSES.join(', ')}`);
+        }
+      }
+
+      if (req.query.branchId !== undefined) {
+        if (ObjectId.isValid(req.query.branchId)) {
+          filter.branchId = new ObjectId(req.query.branchId);
+        } else {
+          errors.push('branchId must be a valid branch ID');
+        }
+      }
+
+      const { options, errors: listErrors } = parseListOptions(req.query, ITEM_LIST_OPTIONS);
+      errors.push(...listErrors);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: errors
+        });
+      }
+
+      const result = await paginate(itemsCollection(), filter, options, req);
+
+      res.status(200).json({
+        success: true,
+        count: result.data.length,
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        links: result.links,
+        cursors: result.cursors,
+        data: result.data
+      });
+    } catch (error) {
+      console.error('Error fetching items:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch items',
+        details: error.message
+      });
+    }
+  },
+
+  getItem: async (req, res) => {
+    try {
+      const loaded = await loadBook(req, res);
+      if (!loaded) {
+        return;
+      }
+
+      const item = await itemsCollection().findOne({ _id: loaded.itemId, bookId: loaded.book._id });
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          error: 'Item not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: item
+      });
+    } catch (error) {
+      console.error('Error fetching item:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch item',
+        details: error.message
+      });
+    }
+  },
+
+  createItem: async (req, res) => {
+    try {
+      const loaded = await loadBook(req, res);
+      if (!loaded) {
+        return;
+      }
+
+      // Librarians of a branch add copies to their own branch unless they name one
+      const { items, errors } = await prepareItems(loaded.book._id, [req.body || {}], {
+        branchId: getStaffBranchId(req.user)
+      });
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.map((error) => error.replace(/^items\[0\]: /, ''))
+        });
+      }
+
+      if (rejectOtherBranch(req, res, items[0].branchId)) {
+        return;
+      }
+
+      let created;
+      try {
+        [created] = await insertItems(items);
+      } catch (insertError) {
+        if (rejectDuplicateBarcode(res, insertError)) {
+          return;
+        }
+        throw insertError;
+      }
+
+      // A new copy on the shelf goes to the hold queue first, like a returned one
+      let hold = null;
+      if (created.status === 'available') {
+        hold = await allocateCopy(created.bookId, new Date(), { itemId: created._id });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: hold ? 'Item created and reserved for the next hold in the queue' : 'Item created successfully',
+        data: await itemsCollection().findOne({ _id: created._id })
+      });
+    } catch (error) {
+      console.error('Error creating item:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create item',
+        details: error.message
+      });
+    }
+  },
+
+  updateItem: async (req, res) => {
+    try {
+      const loaded = await loadBook(req, res);
+      if (!loaded) {
+        return;
+      }
+
+      const existingItem = await itemsCollection().findOne({ _id: loaded.itemId, bookId: loaded.book._id });
+      if (!existingItem) {
+        return res.status(404).json({
+          success: false,
+          error: 'Item not found'
+        });
+      }
+
+      if (rejectOtherBranch(req, res, existingItem.branchId)) {
+        return;
+      }
+
+      const body = req.body || {};
+      const changes = Object.fromEntries(UPDATABLE_FIELDS
+        .filter((field) => body[field] !== undefined)
+        .map((field) => [field, body[field]]));
+      const status = body.status !== undefined ? body.status : existingItem.status;
+
+      const errors = Item.validateItem({ ...existingItem, ...changes, status }).errors;
+      if (body.status !== undefined && status !== existingItem.status && !Item.MANUAL_STATUSES.includes(status)) {
+        errors.push(`Status can only be changed to ${Item.MANUAL_STATUSES.join(', ')}; checkouts and holds set the others`);
+      }
+      const branchChanged = changes.branchId !== undefined &&
+        String(changes.branchId || '') !== String(existingItem.branchId || '');
+      if (branchChanged && changes.branchId && ObjectId.isValid(changes.branchId) &&
+        (await findMissingBranches([changes.branchId])).length > 0) {
+        errors.push('Branch not found');
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors
+        });
+      }
+
+      // Librarians of a branch move copies with transfers, so the other branch takes part
+      if (branchChanged && getStaffBranchId(req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Use a transfer to move a copy to another branch'
+        });
+      }
+
+      if ((status !== existingItem.status || branchChanged) && CIRCULATING_STATUSES.includes(existingItem.status)) {
+        return res.status(409).json({
+          success: false,
+          error: CIRCULATING_CONFLICTS[existingItem.status]
+        });
+      }
+
+      // Normalize through the model, e.g. the trimmed barcode, the acquisition date and the branch id
+      const normalized = new Item({ ...existingItem, ...changes }).toDatabase();
+      const fields = Object.fromEntries(Object.keys(changes).map((field) => [field, normalized[field]]));
+
+      let item;
+      try {
+        // The status the item was read with is part of the filter, so a concurrent checkout is never overwritten
+        item = await transitionItem({ _id: existingItem._id, status: existingItem.status }, status, fields);
+      } catch (updateError) {
+        if (rejectDuplicateBarcode(res, updateError)) {
+          return;
+        }
+        throw updateError;
+      }
+
+      if (!item) {
+        return res.status(409).json({
+          success: false,
+          error: 'The copy was checked out or changed while updating; try again'
+        });
+      }
+
+      // A copy back from repair (or found again) goes to the hold queue first
+      if (status === 'available' && existingItem.status !== 'available') {
+        await allocateCopy(item.bookId, new Date(), { itemId: item._id });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Item updated successfully',
+        data: await itemsCollection().findOne({ _id: item._id })
+      });
+    } catch (error) {
+      console.error('Error updating item:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update item',
+        details: error.message
+      });
+    }
+  },
+
+  deleteItem: async (req, res) => {
+    try {
+      const loaded = await loadBook(req, res);
+      if (!loaded) {
+        return;
+      }
+
+      const existingItem = await itemsCollection().findOne({ _id: loaded.itemId, bookId: loaded.book._id });
+      if (!existingItem) {
+        return res.status(404).json({
+          success: false,
+          error: 'Item not found'
+        });
+      }
+
+      if (rejectOtherBranch(req, res, existingItem.branchId)) {
+        return;
+      }
+
+      // The branch it was read with is part of the filter, so a copy moved meanwhile is not deleted
+      const item = await deleteItem({
+        _id: existingItem._id,
+        branchId: existingItem.branchId || null,
+        status: { $nin: CIRCULATING_STATUSES }
+      });
+
+      if (!item) {
+        const currentItem = await itemsCollection().findOne({ _id: existingItem._id });
+        return res.status(409).json({
+          success: false,
+          error: currentItem && CIRCULATING_STATUSES.includes(currentItem.status)
+            ? CIRCULATING_CONFLICTS[currentItem.status]
+            : 'The copy was changed while deleting; try again'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Item deleted successfully',
+        data: item
+      });
+    } catch (error) {
+      console.error('Error deleting item:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete item',
+        details: error.message
+      });
+    }
+  },
+
+  getItemByBarcode: async (req, res) => {
+    try {
+      const barcode = req.params.barcode.trim();
+
+      if (!Item.isValidBarcode(barcode)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid barcode',
+          details: 'Barcode must be 4 to 32 letters, digits or hyphens'
+        });
+      }
+
+      const item = await itemsCollection().findOne({ barcode });
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          error: 'No copy has this barcode'
+        });
+      }
+
+      const db = getDB();
+      const [book, loan, hold, branch, transfer] = await Promise.all([
+        db.collection(process.env.MONGO_COLLECTION_BOOKS).findOne(
+          { _id: item.bookId },
+          { projection: { title: 1, isbn: 1, isbn13: 1, authors: 1, availableCopies: 1, totalCopies: 1, deletedAt: 1 } }
+        ),
+        item.status === 'on_loan'
+          ? db.collection(process.env.MONGO_COLLECTION_LOANS || 'loans').findOne({ itemId: item._id, status: 'active' })
+          : null,
+        item.status === 'reserved'
+          ? holdsCollection().findOne({ itemId: item._id, status: 'ready' })
+          : null,
+        item.branchId
+          ? branchesCollection().findOne({ _id: item.branchId }, { projection: { code: 1, name: 1 } })
+          : null,
+        transfersCollection().findOne({ itemId: item._id, status: { $in: Transfer.OPEN_STATUSES } })
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          ...item,
+          book,
+          loan,
+          hold,
+          branch,
+          transfer
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching item by barcode:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch item',
+        details: error.message
+      });
+    }
+  }
+};
+
+module.exports = itemsController;
@@ -0,0 +1,380 @@
+const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+const Loan = require('../models/Loan');
+const { isStaff, getStaffBranchId, canManageBranch } = require('../middleware/auth');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const { isDuplicateKeyError } = require('../utils/mongoErrors');
+const { holdsCollection, allocateCopy, expireHolds } = require('../services/holdQueue');
+const { itemsCollection, transitionItem } = require('../services/bookItems');
+const { assessLoanFine, checkBorrowingBlock } = require('../services/fines');
+
+const LOAN_LIST_OPTIONS = {
+  sortable: ['checkoutDate', 'dueDate', 'returnDate', 'status', 'bookTitle'],
+  defaultSort: '-checkoutDate'
+};
+
+const loansCollection = () => getDB().collection(process.env.MONGO_COLLECTION_LOANS || 'loans');
+
+/**
+ * Resolve which user a circulation request acts for.
+ * Patrons always act for themselves; staff may pass a userId in the body.
+ * @param {Object} req - Express request object
+ * @returns {Object} { userId } or { error, status }
+ */
+const resolveTargetUser = (req) => {
+  const requestedUserId = req.body && req.body.userId;
+
+  if (!requestedUserId || requestedUserId === req.user._id.toString()) {
+    return { userId: new ObjectId(req.user._id) };
+  }
+
+  if (!isStaff(req.user)) {
+    return { status: 403, error: 'Only librarians can check out or return books for other users' };
+  }
+
+  if (!ObjectId.isValid(requestedUserId)) {
+    return { status: 400, error: 'Invalid user ID format' };
+  }
+
+  return { userId: new ObjectId(requestedUserId) };
+};
+
+/**
+ * Resolve the branch a checkout takes its copy from
+ * A branchId in the body wins; librarians of a branch default to their own and cannot pick another.
+ * @param {Object} req - Express request object
+ * @returns {Object} { branchId } (null for any branch) or { error, status }
+ */
+const resolveCheckoutBranch = (req) => {
+  const requestedBranchId = req.body && req.body.branchId;
+
+  if (requestedBranchId === undefined || requestedBranchId === null) {
+    const staffBranchId = getStaffBranchId(req.user);
+    return { branchId: staffBranchId ? new ObjectId(staffBranchId) : null };
+  }
+
+  if (!ObjectId.isValid(requestedBranchId)) {
+    return { status: 400, error: 'Invalid branch ID format' };
+  }
+
+  if (isStaff(req.user) && !canManageBranch(req.user, requestedBranchId)) {
+    return { status: 403, error: 'Librarians can only check out copies held at their own branch' };
+  }
+
+  return { branchId: new ObjectId(requestedBranchId) };
+};
+
+const loansController = {
+  checkoutBook: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid book ID format'
+        });
+      }
+
+      const target = resolveTargetUser(req);
+      const branch = target.error ? target : resolveCheckoutBranch(req);
+      if (branch.error) {
+        return res.status(branch.status).json({
+          success: false,
+          error: branch.error
+        });
+      }
+
+      const db = getDB();
+      const bookId = new ObjectId(id);
+      const { userId } = target;
+      const { branchId } = branch;
+
+      const patron = await db.collection('users').findOne({ _id: userId });
+      if (!patron) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      const fines = await checkBorrowingBlock(userId);
+      if (fines.blocked) {
+        return res.status(403).json({
+          success: false,
+          error: 'Borrowing blocked due to outstanding fines',
+          message: `Outstanding fines of ${fines.balance.toFixed(2)} exceed the limit of ${fines.threshold.toFixed(2)}. Please pay your fines before checking out more books.`
+        });
+      }
+
+      const existingLoan = await loansCollection().findOne({ userId, bookId, status: 'active' });
+      if (existingLoan) {
+        return res.status(409).json({
+          success: false,
+          error: 'This user already has this book checked out',
+          data: existingLoan
+        });
+      }
+
+      await expireHolds({ bookId });
+
+      const book = await db.collection(process.env.MONGO_COLLECTION_BOOKS).findOne({ _id: bookId, deletedAt: null });
+      if (!book) {
+        return res.status(404).json({
+          success: false,
+          error: 'Book not found'
+        });
+      }
+
+      const barcode = req.body && req.body.barcode !== undefined ? String(req.body.barcode).trim() : null;
+
+      // A ready hold already has a copy set aside for this user
+      const readyHold = await holdsCollection().findOneAndUpdate(
+        { userId, bookId, status: 'ready' },
+        { $set: { status: 'fulfilled', fulfilledAt: new Date(), updatedAt: new Date() } }
+      );
+
+      // Claiming the item is atomic, so concurrent checkouts never get the same copy
+      const itemFilter = readyHold
+        ? (readyHold.itemId ? { _id: readyHold.itemId } : { bookId, status: 'reserved' })
+        : { bookId, status: 'available' };
+      if (barcode) {
+        itemFilter.barcode = barcode;
+      }
+      if (getStaffBranchId(req.user) || (branchId && !barcode && !readyHold)) {
+        // Librarians of a branch only lend its copies, even when scanned; otherwise, without
+        // a barcode, any copy on the shelf of the branch the patron is at
+        itemFilter.branchId = branchId;
+      }
+      const item = await transitionItem(itemFilter, 'on_loan');
+
+      const giveBackHold = () => holdsCollection().updateOne(
+        { _id: readyHold._id },
+        { $set: { status: 'ready', fulfilledAt: null } }
+      );
+
+      if (!item) {
+        if (readyHold) {
+          await giveBackHold();
+        }
+
+        if (barcode) {
+          const scanned = await itemsCollection().findOne({ barcode });
+          if (!scanned || !scanned.bookId.equals(bookId)) {
+            return res.status(404).json({
+              success: false,
+              error: `No copy of this book has barcode ${barcode}`
+            });
+          }
+          if (isStaff(req.user) && !canManageBranch(req.user, scanned.branchId)) {
+            return res.status(403).json({
+              success: false,
+              error: 'Librarians can only check out copies held at their own branch'
+            });
+          }
+          return res.status(409).json({
+            success: false,
+            error: readyHold
+              ? 'This user has a copy of this book waiting on the hold shelf; check out that copy instead'
+              : `Copy ${barcode} is not available (status: ${scanned.status})`
+          });
+        }
+
+        return res.status(409).json({
+          success: false,
+          error: branchId
+            ? 'No copies of this book are currently available at this branch. You can place a hold instead.'
+            : 'No copies of this book are currently available. You can place a hold instead.'
+        });
+      }
+
+      const loan = new Loan({
+        userId,
+        bookId,
+        bookTitle: book.title,
+        itemId: item._id,
+        barcode: item.barcode,
+        branchId: item.branchId
+      });
+
+      let result;
+      try {
+        result = await loansCollection().insertOne(loan.toDatabase());
+      } catch (error) {
+        // Give the copy (or the reserved hold) back if the loan could not be recorded
+        if (readyHold) {
+          await giveBackHold();
+          await transitionItem({ _id: item._id }, 'reserved');
+        } else {
+          await transitionItem({ _id: item._id }, 'available');
+        }
+        throw error;
+      }
+
+      const createdLoan = await loansCollection().findOne({ _id: result.insertedId });
+      res.status(201).json({
+        success: true,
+        message: 'Book checked out successfully',
+        data: createdLoan
+      });
+    } catch (error) {
+      if (isDuplicateKeyError(error, 'bookId')) {
+        return res.status(409).json({
+          success: false,
+          error: 'This user already has this book checked out'
+        });
+      }
+      console.error('Error checking out book:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to check out book',
+        details: error.message
+      });
+    }
+  },
+
+  returnBook: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid book ID format'
+        });
+      }
+
+      const target = resolveTargetUser(req);
+      if (target.error) {
+        return res.status(target.status).json({
+          success: false,
+          error: target.error
+        });
+      }
+
+      const bookId = new ObjectId(id);
+      const now = new Date();
+
+      // Closing the loan is atomic, so a double-submitted return only counts once
+      const loan = await loansCollection().findOneAndUpdate(
+        { userId: target.userId, bookId, status: 'active' },
+        { $set: { status: 'returned', returnDate: now, updatedAt: now } },
+        { returnDocument: 'after' }
+      );
+
+      if (!loan) {
+        return res.status(404).json({
+          success: false,
+          error: 'No active loan found for this book'
+        });
+      }
+
+      // The copy goes to the front of the hold queue before it is back on the shelf
+      const hold = await allocateCopy(bookId, now, loan.itemId ? { itemId: loan.itemId } : { status: 'on_loan' });
+
+      // Charge any late days the overdue job has not charged yet
+      const fine = await assessLoanFine(loan, now);
+
+      res.status(200).json({
+        success: true,
+        message: hold
+          ? 'Book returned successfully. The copy is reserved for the next hold in the queue.'
+          : 'Book returned successfully',
+        data: fine ? await loansCollection().findOne({ _id: loan._id }) : loan,
+        fine
+      });
+    } catch (error) {
+      console.error('Error returning book:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to return book',
+        details: error.message
+      });
+    }
+  },
+
+  getLoans: async (req, res) => {
+    try {
+      const errors = [];
+      const filter = {};
+
+      if (req.query.userId !== undefined) {
+        if (!isStaff(req.user)) {
+          return res.status(403).json({
+            success: false,
+            error: 'Only librarians can view loans of other users'
+          });
+        }
+        if (!ObjectId.isValid(req.query.userId)) {
+          errors.push('Invalid user ID format');
+        } else {
+          filter.userId = new ObjectId(req.query.userId);
+        }
+      } else if (!(isStaff(req.user) && req.query.all === 'true')) {
+        filter.userId = new ObjectId(req.user._id);
+      }
+
+      if (req.query.bookId !== undefined) {
+        if (!ObjectId.isValid(req.query.bookId)) {
+          errors.push('Invalid book ID format');
+        } else {
+          filter.bookId = new ObjectId(req.query.bookId);
+        }
+      }
+
+      if (req.query.branchId !== undefined) {
+        if (!ObjectId.isValid(req.query.branchId)) {
+          errors.push('Invalid branch ID format');
+        } else {
+          filter.branchId = new ObjectId(req.query.branchId);
+        }
+      }
+
+      if (req.query.status !== undefined) {
+        if (['active', 'returned'].includes(req.query.status)) {
+          filter.status = req.query.status;
+        } else {
+          errors.push('Status must be active or returned');
+        }
+      }
+
+      if (req.query.overdue === 'true') {
+        filter.status = 'active';
+        filter.dueDate = { $lt: new Date() };
+      }
+
+      const { options, errors: listErrors } = parseListOptions(req.query, LOAN_LIST_OPTIONS);
+      errors.push(...listErrors);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: errors
+        });
+      }
+
+      const result = await paginate(loansCollection(), filter, options, req);
+
+      res.status(200).json({
+        success: true,
+        count: result.data.length,
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        links: result.links,
+        cursors: result.cursors,
+        data: result.data
+      });
+    } catch (error) {
+      console.error('Error fetching loans:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch loans',
+        details: error.message
+      });
+    }
+  }
+};
+
+module.exports = loansController;
@@ -0,0 +1,188 @@
+const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const {
+  REVISION_ACTIONS,
+  REVISION_LIST_OPTIONS,
+  revisionsCollection,
+  parseRevisionNumber,
+  findRevision,
+  hasRevisions
+} = require('../services/revisions');
+
+const ENTITIES = {
+  book: { label: 'Book', collection: () => getDB().collection(process.env.MONGO_COLLECTION_BOOKS) },
+  author: { label: 'Author', collection: () => getDB().collection(process.env.MONGO_COLLECTION_AUTHORS) }
+};
+
+/**
+ * Validate the document id of a history request and check that the document has a history:
+ * it still exists, in the trash or not, or it was purged but has revisions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} entityType - Key of ENTITIES
+ * @returns {Promise<ObjectId|null>} The document id, or null if a response was sent
+ */
+const loadEntityId = async (req, res, entityType) => {
+  const { label, collection } = ENTITIES[entityType];
+  const { id } = req.params;
+
+  if (!ObjectId.isValid(id)) {
+    res.status(400).json({
+      success: false,
+      error: `Invalid ${label.toLowerCase()} ID format`
+    });
+    return null;
+  }
+
+  const entityId = new ObjectId(id);
+  const document = await collection().findOne({ _id: entityId }, { projection: { _id: 1 } });
+  if (!document && !(await hasRevisions(entityType, entityId))) {
+    res.status(404).json({
+      success: false,
+      error: `${label} not found`
+    });
+    return null;
+  }
+
+  return entityId;
+};
+
+/**
+ * List the revisions of a book or an author, newest first by default, without their snapshots
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} entityType - Key of ENTITIES
+ */
+const sendHistory = async (req, res, entityType) => {
+  const errors = [];
+  const filter = { entityType };
+
+  if (req.query.action !== undefined) {
+    if (REVISION_ACTIONS.includes(req.query.action)) {
+      filter.action = req.query.action;
+    } else {
+      errors.push(`Action must be one of: ${REVISION_ACTIONS.join(', ')}`);
+    }
+  }
+
+  const { options, errors: listErrors } = parseListOptions(req.query, REVISION_LIST_OPTIONS);
+  errors.push(...listErrors);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: errors
+    });
+  }
+
+  const entityId = await loadEntityId(req, res, entityType);
+  if (!entityId) {
+    return;
+  }
+  filter.entityId = entityId;
+
+  const result = await paginate(revisionsCollection(), filter, options, req, { projection: { snapshot: 0 } });
+
+  res.status(200).json({
+    success: true,
+    count: result.data.length,
+    total: result.total,
+    page: result.page,
+    limit: result.limit,
+    links: result.links,
+    cursors: result.cursors,
+    data: result.data
+  });
+};
+
+/**
+ * Send one revision of a book or an author with its snapshot
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} entityType - Key of ENTITIES
+ */
+const sendRevision = async (req, res, entityType) => {
+  const revisionNumber = parseRevisionNumber(req.params.revision);
+  if (!revisionNumber) {
+    return res.status(400).json({
+      success: false,
+      error: 'Revision must be a positive integer'
+    });
+  }
+
+  const entityId = await loadEntityId(req, res, entityType);
+  if (!entityId) {
+    return;
+  }
+
+  const revision = await findRevision(entityType, entityId, revisionNumber);
+  if (!revision) {
+    return res.status(404).json({
+      success: false,
+      error: 'Revision not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: revision
+  });
+};
+
+const revisionsController = {
+  getBookHistory: async (req, res) => {
+    try {
+      await sendHistory(req, res, 'book');
+    } catch (error) {
+      console.error('Error fetching book history:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch book history',
+        details: error.message
+      });
+    }
+  },
+
+  getBookRevision: async (req, res) => {
+    try {
+      await sendRevision(req, res, 'book');
+    } catch (error) {
+      console.error('Error fetching book revision:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch book revision',
+        details: error.message
+      });
+    }
+  },
+
+  getAuthorHistory: async (req, res) => {
+    try {
+      await sendHistory(req, res, 'author');
+    } catch (error) {
+      console.error('Error fetching author history:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch author history',
+        details: error.message
+      });
+    }
+  },
+
+  getAuthorRevision: async (req, res) => {
+    try {
+      await sendRevision(req, res, 'author');
+    } catch (error) {
+      console.error('Error fetching author revision:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch author revision',
+        details: error.message
+      });
+    }
+  }
+};
+
+module.exports = revisionsController;
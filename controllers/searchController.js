@@ -0,0 +1,122 @@
+const { ObjectId } = require('mongodb');
+const { getDB } = require('../config/database');
+const { SEARCH_INDEXES } = require('../config/indexes');
+const { extractTerms, buildHighlights } = require('../utils/highlight');
+const { findBookIdsAtBranch, addBranchAvailability } = require('../services/branches');
+
+const SEARCH_TYPES = Object.fromEntries(SEARCH_INDEXES.map((definition) => [definition.type, definition]));
+
+const DEFAULT_SEARCH_LIMIT = 10;
+const MAX_SEARCH_LIMIT = 50;
+
+/**
+ * Run a relevance-ranked $text search on one collection
+ * @param {string} type - Key of SEARCH_TYPES
+ * @param {string} q - Search string
+ * @param {Array<string>} terms - Terms used for highlighting
+ * @param {number} limit - Maximum number of results
+ * @param {Object} [extraFilter] - Further conditions, e.g. the books held at a branch
+ * @returns {Promise<Object>} { count, items }
+ */
+const searchCollection = async (type, q, terms, limit, extraFilter = {}) => {
+  const db = getDB();
+  const { collection: collectionName, fields } = SEARCH_TYPES[type];
+  const collection = db.collection(collectionName());
+  const filter = { $text: { $search: q }, deletedAt: null, ...extraFilter };
+
+  const [count, found] = await Promise.all([
+    collection.countDocuments(filter),
+    collection.find(filter, { projection: { score: { $meta: 'textScore' } } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .toArray()
+  ]);
+  const docs = type === 'books' ? await addBranchAvailability(found) : found;
+
+  return {
+    count,
+    items: docs.map(({ score, ...doc }) => ({
+      score,
+      highlights: buildHighlights(doc, fields, terms),
+      data: doc
+    }))
+  };
+};
+
+const searchController = {
+  search: async (req, res) => {
+    try {
+      const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+      const errors = [];
+
+      if (q.length === 0) {
+        errors.push('Search query (q) is required');
+      } else if (q.length > 200) {
+        errors.push('Search query must be less than 200 characters');
+      }
+
+      let types = Object.keys(SEARCH_TYPES);
+      if (req.query.type) {
+        types = String(req.query.type).split(',').map((type) => type.trim()).filter(Boolean);
+        const unknown = types.filter((type) => !Object.hasOwn(SEARCH_TYPES, type));
+        if (unknown.length > 0) {
+          errors.push(`Unknown search type: ${unknown.join(', ')}. Allowed types: ${Object.keys(SEARCH_TYPES).join(', ')}`);
+        }
+      }
+
+      let limit = DEFAULT_SEARCH_LIMIT;
+      if (req.query.limit !== undefined) {
+        limit = Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+          errors.push(`Limit must be an integer between 1 and ${MAX_SEARCH_LIMIT}`);
+        }
+      }
+
+      // Only book results can be limited to a branch
+      if (req.query.branchId !== undefined && !ObjectId.isValid(req.query.branchId)) {
+        errors.push('branchId must be a valid branch ID');
+      }
+
+      if (req.query.available !== undefined && !['true', 'false'].includes(req.query.available)) {
+        errors.push('available must be true or false');
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid search parameters',
+          details: errors
+        });
+      }
+
+      const filters = { books: {} };
+      if (req.query.branchId !== undefined) {
+        filters.books._id = { $in: await findBookIdsAtBranch(req.query.branchId, req.query.available) };
+      } else if (req.query.available !== undefined) {
+        filters.books.availableCopies = req.query.available === 'true' ? { $gt: 0 } : { $lte: 0 };
+      }
+
+      const terms = extractTerms(q);
+      const results = {};
+      for (const type of types) {
+        results[type] = await searchCollection(type, q, terms, limit, filters[type]);
+      }
+
+      res.status(200).json({
+        success: true,
+        query: q,
+        total: Object.values(results).reduce((sum, group) => sum + group.count, 0),
+        results
+      });
+    } catch (error) {
+      console.error('Error searching catalog:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to search catalog',
+        details: error.message
+      });
+    }
+  }
+};
+
+module.exports = searchController;
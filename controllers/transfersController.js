@@ -0,0 +1,483 @@
+const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+const Transfer = require('../models/Transfer');
+const Item = require('../models/Item');
+const { canManageBranch } = require('../middleware/auth');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const { allocateCopy } = require('../services/holdQueue');
+const { itemsCollection, transitionItem } = require('../services/bookItems');
+const { branchesCollection, transfersCollection } = require('../services/branches');
+
+const TRANSFER_LIST_OPTIONS = {
+  sortable: ['requestedAt', 'shippedAt', 'receivedAt', 'status', 'barcode', 'bookTitle'],
+  defaultSort: '-requestedAt'
+};
+
+/**
+ * Find the copy a transfer request is for
+ * Either the copy is named (itemId or barcode), or any copy of bookId on the shelf of another
+ * branch (fromBranchId when given) that is not already being transferred is picked.
+ * @param {Object} body - Request body
+ * @param {ObjectId} toBranchId - Destination branch
+ * @returns {Promise<Object>} { item } or { error, status }
+ */
+const findTransferItem = async (body, toBranchId) => {
+  if (body.itemId !== undefined) {
+    if (!ObjectId.isValid(body.itemId)) {
+      return { status: 400, error: 'Invalid item ID format' };
+    }
+    const item = await itemsCollection().findOne({ _id: new ObjectId(body.itemId) });
+    return item ? { item } : { status: 404, error: 'Item not found' };
+  }
+
+  if (body.barcode !== undefined) {
+    const barcode = String(body.barcode).trim();
+    if (!Item.isValidBarcode(barcode)) {
+      return { status: 400, error: 'Invalid barcode' };
+    }
+    const item = await itemsCollection().findOne({ barcode });
+    return item ? { item } : { status: 404, error: 'No copy has this barcode' };
+  }
+
+  if (body.bookId === undefined || !ObjectId.isValid(body.bookId)) {
+    return { status: 400, error: 'Give the copy as itemId or barcode, or a valid bookId to pick one' };
+  }
+  if (body.fromBranchId !== undefined && !ObjectId.isValid(body.fromBranchId)) {
+    return { status: 400, error: 'Invalid branch ID format' };
+  }
+
+  const bookId = new ObjectId(body.bookId);
+  const transferring = await transfersCollection().distinct('itemId', { bookId, status: { $in: Transfer.OPEN_STATUSES } });
+  const item = await itemsCollection().findOne(
+    {
+      bookId,
+      status: 'available',
+      branchId: body.fromBranchId !== undefined ? new ObjectId(body.fromBranchId) : { $nin: [toBranchId, null] },
+      _id: { $nin: transferring }
+    },
+    { sort: { createdAt: 1, _id: 1 } }
+  );
+  return item
+    ? { item }
+    : { status: 409, error: 'No copy of this book is on the shelf at another branch' };
+};
+
+/**
+ * Check the transfer id of a request and load the transfer
+ * Responds 400 or 404 itself when it is not usable.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} The transfer, or null when a response was sent
+ */
+const loadTransfer = async (req, res) => {
+  if (!ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid transfer ID format'
+    });
+    return null;
+  }
+
+  const transfer = await transfersCollection().findOne({ _id: new ObjectId(req.params.id) });
+  if (!transfer) {
+    res.status(404).json({
+      success: false,
+      error: 'Transfer not found'
+    });
+    return null;
+  }
+  return transfer;
+};
+
+/**
+ * Load the book of a transferred copy; books in the trash are left out like everywhere else
+ * Responds 404 itself when the book is missing or deleted.
+ * @param {Object} res - Express response object
+ * @param {ObjectId} bookId - Book of the copy
+ * @returns {Promise<Object|null>} The book's title, or null when a response was sent
+ */
+const loadLiveBook = async (res, bookId) => {
+  const book = await getDB().collection(process.env.MONGO_COLLECTION_BOOKS).findOne(
+    { _id: bookId, deletedAt: null },
+    { projection: { title: 1 } }
+  );
+  if (!book) {
+    res.status(404).json({
+      success: false,
+      error: 'Book not found'
+    });
+    return null;
+  }
+  return book;
+};
+
+/**
+ * Atomically move a transfer from one status to the next
+ * @param {Object} transfer - Transfer as loaded
+ * @param {string} from - Status the change is allowed from
+ * @param {string} to - New status
+ * @param {Object} fields - Other fields to set with the status
+ * @returns {Promise<Object|null>} The updated transfer, or null if it was no longer in that status
+ */
+const claimTransfer = (transfer, from, to, fields) => transfersCollection().findOneAndUpdate(
+  { _id: transfer._id, status: from },
+  { $set: { ...fields, status: to, updatedAt: new Date() } },
+  { returnDocument: 'after' }
+);
+
+const transfersController = {
+  getTransfers: async (req, res) => {
+    try {
+      const errors = [];
+      const filter = {};
+
+      if (req.query.status !== undefined) {
+        if (Transfer.STATUSES.includes(req.query.status)) {
+          filter.status = req.query.status;
+        } else if (req.query.status === 'open') {
+          filter.status = { $in: Transfer.OPEN_STATUSES };
+        } else {
+          errors.push(`Status must be open or one of: ${Transfer.STATUSES.join(', ')}`);
+        }
+      }
+
+      if (req.query.branchId !== undefined) {
+        if (ObjectId.isValid(req.query.branchId)) {
+          const branchId = new ObjectId(req.query.branchId);
+          filter.$or = [{ fromBranchId: branchId }, { toBranchId: branchId }];
+        } else {
+          errors.push('branchId must be a valid branch ID');
+        }
+      }
+
+      ['fromBranchId', 'toBranchId', 'bookId', 'itemId'].forEach((field) => {
+        if (req.query[field] !== undefined) {
+          if (ObjectId.isValid(req.query[field])) {
+            filter[field] = new ObjectId(req.query[field]);
+          } else {
+            errors.push(`${field} must be a valid ID`);
+          }
+        }
+      });
+
+      const { options, errors: listErrors } = parseListOptions(req.query, TRANSFER_LIST_OPTIONS);
+      errors.push(...listErrors);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: errors
+        });
+      }
+
+      const result = await paginate(transfersCollection(), filter, options, req);
+
+      res.status(200).json({
+        success: true,
+        count: result.data.length,
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        links: result.links,
+        cursors: result.cursors,
+        data: result.data
+      });
+    } catch (error) {
+      console.error('Error fetching transfers:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch transfers',
+        details: error.message
+      });
+    }
+  },
+
+  getTransfer: async (req, res) => {
+    try {
+      const transfer = await loadTransfer(req, res);
+      if (!transfer) {
+        return;
+      }
+
+      res.status(200).json({
+        success: true,
+        data: transfer
+      });
+    } catch (error) {
+      console.error('Error fetching transfer:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch transfer',
+        details: error.message
+      });
+    }
+  },
+
+  createTransfer: async (req, res) => {
+    try {
+      const body = req.body || {};
+
+      if (!body.toBranchId || !ObjectId.isValid(body.toBranchId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: ['A valid destination branch ID is required']
+        });
+      }
+
+      const toBranch = await branchesCollection().findOne({ _id: new ObjectId(body.toBranchId) });
+      if (!toBranch) {
+        return res.status(404).json({
+          success: false,
+          error: 'Destination branch not found'
+        });
+      }
+      if (!toBranch.isActive) {
+        return res.status(409).json({
+          success: false,
+          error: `Branch ${toBranch.code} is not active and cannot receive copies`
+        });
+      }
+
+      const found = await findTransferItem(body, toBranch._id);
+      if (found.error) {
+        return res.status(found.status).json({
+          success: false,
+          error: found.error
+        });
+      }
+      const { item } = found;
+
+      const book = await loadLiveBook(res, item.bookId);
+      if (!book) {
+        return;
+      }
+
+      const transfer = new Transfer({
+        itemId: item._id,
+        bookId: item.bookId,
+        barcode: item.barcode,
+        fromBranchId: item.branchId,
+        toBranchId: toBranch._id,
+        notes: body.notes,
+        requestedBy: req.user._id
+      });
+      const validation = transfer.validate();
+
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: validation.errors
+        });
+      }
+
+      // Either branch can start a transfer: the sender offering a copy, or the receiver asking for one
+      if (!canManageBranch(req.user, transfer.fromBranchId) && !canManageBranch(req.user, transfer.toBranchId)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You can only request transfers to or from your own branch'
+        });
+      }
+
+      if (['lost', 'in_transit'].includes(item.status)) {
+        return res.status(409).json({
+          success: false,
+          error: `Copy ${item.barcode} cannot be transferred (status: ${item.status})`
+        });
+      }
+
+      const openTransfer = await transfersCollection().findOne({ itemId: item._id, status: { $in: Transfer.OPEN_STATUSES } });
+      if (openTransfer) {
+        return res.status(409).json({
+          success: false,
+          error: 'This copy already has an open transfer',
+          data: openTransfer
+        });
+      }
+
+      transfer.bookTitle = book.title;
+
+      const result = await transfersCollection().insertOne(transfer.toDatabase());
+      const createdTransfer = await transfersCollection().findOne({ _id: result.insertedId });
+
+      res.status(201).json({
+        success: true,
+        message: `Transfer of copy ${item.barcode} to ${toBranch.code} requested`,
+        data: createdTransfer
+      });
+    } catch (error) {
+      console.error('Error creating transfer:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create transfer',
+        details: error.message
+      });
+    }
+  },
+
+  shipTransfer: async (req, res) => {
+    try {
+      const transfer = await loadTransfer(req, res);
+      if (!transfer) {
+        return;
+      }
+
+      if (!canManageBranch(req.user, transfer.fromBranchId)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only staff of the sending branch can ship this transfer'
+        });
+      }
+
+      if (!(await loadLiveBook(res, transfer.bookId))) {
+        return;
+      }
+
+      const now = new Date();
+      const shipped = await claimTransfer(transfer, 'requested', 'in_transit', { shippedAt: now });
+      if (!shipped) {
+        return res.status(409).json({
+          success: false,
+          error: 'Only requested transfers can be shipped'
+        });
+      }
+
+      // The copy has to be on the shelf of the sending branch; it is off the shelf from now on
+      const item = await transitionItem(
+        { _id: transfer.itemId, status: 'available', branchId: transfer.fromBranchId },
+        'in_transit'
+      );
+      if (!item) {
+        await claimTransfer(shipped, 'in_transit', 'requested', { shippedAt: null });
+        const current = await itemsCollection().findOne({ _id: transfer.itemId });
+        return res.status(409).json({
+          success: false,
+          error: current
+            ? `Copy ${current.barcode} is not on the shelf at the sending branch (status: ${current.status})`
+            : 'The copy no longer exists; cancel the transfer'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `Copy ${item.barcode} is in transit`,
+        data: shipped
+      });
+    } catch (error) {
+      console.error('Error shipping transfer:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to ship transfer',
+        details: error.message
+      });
+    }
+  },
+
+  receiveTransfer: async (req, res) => {
+    try {
+      const transfer = await loadTransfer(req, res);
+      if (!transfer) {
+        return;
+      }
+
+      if (!canManageBranch(req.user, transfer.toBranchId)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only staff of the receiving branch can receive this transfer'
+        });
+      }
+
+      if (!(await loadLiveBook(res, transfer.bookId))) {
+        return;
+      }
+
+      const now = new Date();
+      const received = await claimTransfer(transfer, 'in_transit', 'received', { receivedAt: now });
+      if (!received) {
+        return res.status(409).json({
+          success: false,
+          error: 'Only transfers in transit can be received'
+        });
+      }
+
+      // The copy now belongs to the receiving branch and goes to the hold queue first, like a returned one
+      await itemsCollection().updateOne(
+        { _id: transfer.itemId, status: 'in_transit' },
+        { $set: { branchId: transfer.toBranchId, updatedAt: now } }
+      );
+      const hold = await allocateCopy(transfer.bookId, now, { itemId: transfer.itemId });
+
+      res.status(200).json({
+        success: true,
+        message: hold
+          ? 'Transfer received. The copy is reserved for the next hold in the queue.'
+          : 'Transfer received',
+        data: received
+      });
+    } catch (error) {
+      console.error('Error receiving transfer:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to receive transfer',
+        details: error.message
+      });
+    }
+  },
+
+  cancelTransfer: async (req, res) => {
+    try {
+      const transfer = await loadTransfer(req, res);
+      if (!transfer) {
+        return;
+      }
+
+      if (!canManageBranch(req.user, transfer.fromBranchId) && !canManageBranch(req.user, transfer.toBranchId)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You can only cancel transfers to or from your own branch'
+        });
+      }
+
+      if (!Transfer.OPEN_STATUSES.includes(transfer.status)) {
+        return res.status(409).json({
+          success: false,
+          error: `Transfer is already ${transfer.status}`
+        });
+      }
+
+      const now = new Date();
+      const cancelled = await claimTransfer(transfer, transfer.status, 'cancelled', { cancelledAt: now });
+      if (!cancelled) {
+        return res.status(409).json({
+          success: false,
+          error: 'The transfer was changed while cancelling; try again'
+        });
+      }
+
+      // A copy already shipped goes back into circulation at the sending branch
+      let hold = null;
+      if (transfer.status === 'in_transit') {
+        hold = await allocateCopy(transfer.bookId, now, { itemId: transfer.itemId });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: hold
+          ? 'Transfer cancelled. The copy is reserved for the next hold in the queue.'
+          : 'Transfer cancelled',
+        data: cancelled
+      });
+    } catch (error) {
+      console.error('Error cancelling transfer:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to cancel transfer',
+        details: error.message
+      });
+    }
+  }
+};
+
+module.exports = transfersController;
@@ -0,0 +1,160 @@
+const { ObjectId } = require('mongodb');
+const { TRASH_TYPES, getRetentionDays, findInTrash, purgeFromTrash, purgeTrash, listTrash } = require('../services/trash');
+
+const DEFAULT_TRASH_LIMIT = 20;
+const MAX_TRASH_LIMIT = 100;
+
+/**
+ * Read the type query parameter: one or more comma-separated keys of TRASH_TYPES (default all)
+ * @param {Object} query - Express req.query
+ * @returns {Object} { types, errors }
+ */
+const parseTrashTypes = (query) => {
+  if (!query.type) {
+    return { types: Object.keys(TRASH_TYPES), errors: [] };
+  }
+
+  const types = String(query.type).split(',').map((type) => type.trim()).filter(Boolean);
+  const unknown = types.filter((type) => !Object.hasOwn(TRASH_TYPES, type));
+  const errors = unknown.length > 0
+    ? [`Unknown trash type: ${unknown.join(', ')}. Allowed types: ${Object.keys(TRASH_TYPES).join(', ')}`]
+    : [];
+  return { types, errors };
+};
+
+/**
+ * Purge one trashed document of the given type
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} type - Key of TRASH_TYPES
+ * @param {string} label - Name of the type in messages, e.g. 'Book'
+ */
+const purgeOne = async (req, res, type, label) => {
+  const { id } = req.params;
+
+  if (!ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid ${label.toLowerCase()} ID format`
+    });
+  }
+
+  const document = await findInTrash(type, new ObjectId(id));
+  if (!document) {
+    return res.status(404).json({
+      success: false,
+      error: `${label} not found in the trash`
+    });
+  }
+
+  const { purged, items, circulating } = await purgeFromTrash(type, document);
+  if (!purged) {
+    return res.status(409).json({
+      success: false,
+      error: `${label} cannot be purged while ${circulating} of its copies are on loan, on the hold shelf or in transit`
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${label} purged permanently`,
+    purged: { items },
+    data: document
+  });
+};
+
+const trashController = {
+  getTrash: async (req, res) => {
+    try {
+      const { types, errors } = parseTrashTypes(req.query);
+
+      let limit = DEFAULT_TRASH_LIMIT;
+      if (req.query.limit !== undefined) {
+        limit = Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TRASH_LIMIT) {
+          errors.push(`Limit must be an integer between 1 and ${MAX_TRASH_LIMIT}`);
+        }
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: errors
+        });
+      }
+
+      const results = await listTrash(types, limit);
+
+      res.status(200).json({
+        success: true,
+        retentionDays: getRetentionDays(),
+        total: Object.values(results).reduce((sum, group) => sum + group.count, 0),
+        results
+      });
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch trash',
+        details: error.message
+      });
+    }
+  },
+
+  purgeBook: async (req, res) => {
+    try {
+      await purgeOne(req, res, 'books', 'Book');
+    } catch (error) {
+      console.error('Error purging book:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to purge book',
+        details: error.message
+      });
+    }
+  },
+
+  purgeAuthor: async (req, res) => {
+    try {
+      await purgeOne(req, res, 'authors', 'Author');
+    } catch (error) {
+      console.error('Error purging author:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to purge author',
+        details: error.message
+      });
+    }
+  },
+
+  emptyTrash: async (req, res) => {
+    try {
+      const { types, errors } = parseTrashTypes(req.query);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: errors
+        });
+      }
+
+      const purged = await purgeTrash({ types });
+
+      res.status(200).json({
+        success: true,
+        message: 'Trash emptied',
+        data: purged
+      });
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to empty trash',
+        details: error.message
+      });
+    }
+  }
+};
+
+module.exports = trashController;
@@ -0,0 +1,190 @@
+const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+const User = require('../models/User');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const { branchesCollection } = require('../services/branches');
+
+const USER_LIST_OPTIONS = {
+  sortable: ['email', 'lastName', 'firstName', 'role', 'createdAt', 'lastLogin'],
+  defaultSort: 'email'
+};
+
+// Never send password hashes or provider ids to clients
+const SAFE_USER_PROJECTION = { password: 0, googleId: 0 };
+
+const usersController = {
+  getAllUsers: async (req, res) => {
+    try {
+      const errors = [];
+      const filter = {};
+
+      if (req.query.role !== undefined) {
+        if (User.ROLES.includes(req.query.role)) {
+          filter.role = req.query.role === 'patron' ? { $in: ['patron', null] } : req.query.role;
+        } else {
+          errors.push(`Role must be one of: ${User.ROLES.join(', ')}`);
+        }
+      }
+
+      if (req.query.branchId !== undefined) {
+        if (ObjectId.isValid(req.query.branchId)) {
+          filter.branchId = new ObjectId(req.query.branchId);
+        } else {
+          errors.push('branchId must be a valid branch ID');
+        }
+      }
+
+      const { options, errors: listErrors } = parseListOptions(req.query, USER_LIST_OPTIONS);
+      errors.push(...listErrors);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: errors
+        });
+      }
+
+      const db = getDB();
+      const result = await paginate(db.collection('users'), filter, options, req, { projection: SAFE_USER_PROJECTION });
+
+      res.status(200).json({
+        success: true,
+        count: result.data.length,
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        links: result.links,
+        cursors: result.cursors,
+        data: result.data.map((user) => ({ ...user, role: user.role || 'patron' }))
+      });
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch users',
+        details: error.message
+      });
+    }
+  },
+
+  updateUserRole: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { role } = req.body;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid user ID format'
+        });
+      }
+
+      if (!User.ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: [`Role must be one of: ${User.ROLES.join(', ')}`]
+        });
+      }
+
+      const db = getDB();
+      const existingUser = await db.collection('users').findOne({ _id: new ObjectId(id) });
+      if (!existingUser) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      if (existingUser.role === 'admin' && role !== 'admin') {
+        const adminCount = await db.collection('users').countDocuments({ role: 'admin' });
+        if (adminCount <= 1) {
+          return res.status(409).json({
+            success: false,
+            error: 'Cannot remove the admin role from the last admin'
+          });
+        }
+      }
+
+      await db.collection('users').updateOne(
+        { _id: existingUser._id },
+        { $set: { role, updatedAt: new Date() } }
+      );
+
+      const updatedUser = await db.collection('users').findOne({ _id: existingUser._id }, { projection: SAFE_USER_PROJECTION });
+      res.status(200).json({
+        success: true,
+        message: `User role updated to ${role}`,
+        data: updatedUser
+      });
+    } catch (error) {
+      console.error('Error updating user role:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update user role',
+        details: error.message
+      });
+    }
+  },
+
+  updateUserBranch: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { branchId } = req.body || {};
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid user ID format'
+        });
+      }
+
+      if (branchId === undefined || (branchId !== null && !ObjectId.isValid(branchId))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: ['branchId must be a valid branch ID, or null for every branch']
+        });
+      }
+
+      const db = getDB();
+      const existingUser = await db.collection('users').findOne({ _id: new ObjectId(id) });
+      if (!existingUser) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      const branch = branchId ? await branchesCollection().findOne({ _id: new ObjectId(branchId) }) : null;
+      if (branchId && !branch) {
+        return res.status(404).json({
+          success: false,
+          error: 'Branch not found'
+        });
+      }
+
+      await db.collection('users').updateOne(
+        { _id: existingUser._id },
+        { $set: { branchId: branch ? branch._id : null, updatedAt: new Date() } }
+      );
+
+      const updatedUser = await db.collection('users').findOne({ _id: existingUser._id }, { projection: SAFE_USER_PROJECTION });
+      res.status(200).json({
+        success: true,
+        message: branch ? `User assigned to branch ${branch.code}` : 'User assigned to every branch',
+        data: updatedUser
+      });
+    } catch (error) {
+      console.error('Error updating user branch:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update user branch',
+        details: error.message
+      });
+    }
+  }
+};
+
+module.exports = usersController;
@@ -0,0 +1,19 @@
+const { scheduleJob, intervalFromEnv } = require('./scheduler');
+const { expireHolds } = require('../services/holdQueue');
+
+/**
+ * Expire holds that were not picked up in time and pass their copy to the next patron.
+ * Runs every HOLD_EXPIRY_INTERVAL_MINUTES (default 15).
+ */
+const startHoldExpiryJob = () => {
+  return scheduleJob('hold-expiry', intervalFromEnv('HOLD_EXPIRY_INTERVAL_MINUTES', 15), async () => {
+    const expired = await expireHolds();
+    if (expired > 0) {
+      console.log(`📚 Expired ${expired} hold(s) that were not picked up`);
+    }
+  });
+};
+
+module.exports = {
+  startHoldExpiryJob
+};
@@ -0,0 +1,19 @@
+const { scheduleJob, intervalFromEnv } = require('./scheduler');
+const { processOverdueLoans } = require('../services/fines');
+
+/**
+ * Mark overdue loans and charge their daily fines.
+ * Runs every OVERDUE_CHECK_INTERVAL_MINUTES (default 60).
+ */
+const startOverdueFinesJob = () => {
+  return scheduleJob('overdue-fines', intervalFromEnv('OVERDUE_CHECK_INTERVAL_MINUTES', 60), async () => {
+    const { overdue, charged } = await processOverdueLoans();
+    if (overdue > 0) {
+      console.log(`💸 ${overdue} overdue loan(s), ${charged} new fine charge(s)`);
+    }
+  });
+};
+
+module.exports = {
+  startOverdueFinesJob
+};
@@ -0,0 +1,87 @@
+/**
+ * In-process Job Scheduler
+ * Runs background jobs on a fixed interval. A job never overlaps with itself:
+ * if a run is still in progress when the next tick fires, the tick is skipped.
+ */
+
+const jobs = new Map();
+
+/**
+ * Register and start a recurring job
+ * @param {string} name - Unique job name, used in logs
+ * @param {number} intervalMs - Interval between runs in milliseconds
+ * @param {Function} task - Async function to run
+ * @param {Object} options - { runImmediately: run once right away (default true) }
+ * @returns {Object} The job handle
+ */
+const scheduleJob = (name, intervalMs, task, options = {}) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job ${name} is already scheduled`);
+  }
+
+  const job = {
+    name,
+    intervalMs,
+    running: false,
+    lastRunAt: null,
+    lastError: null,
+    timer: null
+  };
+
+  const run = async () => {
+    if (job.running) {
+      return;
+    }
+    job.running = true;
+    try {
+      await task();
+      job.lastError = null;
+    } catch (error) {
+      job.lastError = error.message;
+      console.error(`❌ Job ${name} failed:`, error);
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date();
+    }
+  };
+
+  job.run = run;
+  job.timer = setInterval(run, intervalMs);
+  // Background jobs should never keep the process alive on their own
+  job.timer.unref();
+  jobs.set(name, job);
+
+  if (options.runImmediately !== false) {
+    run();
+  }
+
+  console.log(`⏱️ Job ${name} scheduled every ${Math.round(intervalMs / 1000)}s`);
+  return job;
+};
+
+/**
+ * Stop every scheduled job
+ */
+const stopAllJobs = () => {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+  }
+  jobs.clear();
+};
+
+/**
+ * Parse an interval from an environment variable expressed in minutes
+ * @param {string} name - Environment variable name
+ * @param {number} defaultMinutes - Value used when the variable is missing or invalid
+ * @returns {number} Interval in milliseconds
+ */
+const intervalFromEnv = (name, defaultMinutes) => {
+  const minutes = Number(process.env[name]);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : defaultMinutes) * 60 * 1000;
+};
+
+module.exports = {
+  scheduleJob,
+  stopAllJobs,
+  intervalFromEnv
+};
@@ -0,0 +1,22 @@
+const { scheduleJob, intervalFromEnv } = require('./scheduler');
+const { purgeExpiredTrash } = require('../services/trash');
+
+/**
+ * Purge books and authors that have been in the trash for longer than TRASH_RETENTION_DAYS.
+ * Runs every TRASH_PURGE_INTERVAL_MINUTES (default 60); does nothing when the retention is 0.
+ */
+const startTrashPurgeJob = () => {
+  return scheduleJob('trash-purge', intervalFromEnv('TRASH_PURGE_INTERVAL_MINUTES', 60), async () => {
+    const { books, authors, items, kept } = await purgeExpiredTrash();
+    if (books + authors > 0) {
+      console.log(`🗑️ Purged ${books} book(s) with ${items} copies and ${authors} author(s) from the trash`);
+    }
+    if (kept > 0) {
+      console.log(`🗑️ Kept ${kept} book(s) in the trash until their circulating copies come back`);
+    }
+  });
+};
+
+module.exports = {
+  startTrashPurgeJob
+};
@@ -1,17 +1,75 @@
 /**
  * Authentication Middleware
- * Protects routes by ensuring user is authenticated via session
+ * Protects routes by ensuring user is authenticated via session or personal API token
  */
 
+const ApiToken = require('../models/ApiToken');
+const { isJwtMode } = require('../config/authMode');
+const { authenticateApiToken } = require('../services/apiTokens');
+const { verifyAccessToken } = require('../services/authTokens');
+
+/**
+ * Middleware to resolve an `Authorization: Bearer <token>` header to a user
+ * Runs for every request after the session middleware. A valid API token sets req.user
+ * and req.apiToken; with AUTH_MODE=jwt a valid access token sets req.user from its claims
+ * without a database lookup. Either way requireAuth and requireRole accept it like a session.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticateBearerToken = async (req, res, next) => {
+  const header = req.get('Authorization');
+  if (!header || !/^Bearer\s+/i.test(header)) {
+    return next();
+  }
+
+  const token = header.replace(/^Bearer\s+/i, '').trim();
+
+  if (isJwtMode() && !ApiToken.looksLikeToken(token)) {
+    try {
+      req.user = verifyAccessToken(token);
+      return next();
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication failed',
+        message: error.name === 'TokenExpiredError'
+          ? 'Access token expired. Use POST /auth/refresh to get a new one.'
+          : 'Invalid access token'
+      });
+    }
+  }
+
+  try {
+    const result = await authenticateApiToken(token);
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication failed',
+        message: 'Invalid, expired or revoked API token'
+      });
+    }
+
+    req.user = result.user;
+    req.apiToken = result.apiToken;
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
 /**
  * Middleware to check if user is authenticated
+ * Accepts the library.sid session cookie, a JWT access token (AUTH_MODE=jwt) or a personal API token
+ * (see authenticateBearerToken)
+ * Accounts with an unverified email are limited to read-only requests
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
 const requireAuth = (req, res, next) => {
   if (req.isAuthenticated()) {
-    return next();
+    return requireVerifiedForWrites(req, res, next);
   }
   
   return res.status(401).json({
@@ -22,6 +80,24 @@ const requireAuth = (req, res, next) => {
   });
 };
 
+/**
+ * Limit accounts with an unverified email to read-only requests
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireVerifiedForWrites = (req, res, next) => {
+  if (req.user.emailVerified !== false || ['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    error: 'Email verification required',
+    message: 'Please verify your email address before making changes. Use POST /auth/verify-email/resend to get a new link.'
+  });
+};
+
 /**
  * Middleware to check if user is authenticated (optional)
  * Continues regardless of authentication status but adds user info if available
@@ -59,7 +135,103 @@ const requireActiveAuth = (req, res, next) => {
     });
   }
 
-  return next();
+  return requireVerifiedForWrites(req, res, next);
+};
+
+/**
+ * Check whether a user belongs to the library staff (librarian or admin)
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {boolean} True if the user can act on behalf of other users
+ */
+const isStaff = (user) => {
+  return !!user && ['librarian', 'admin'].includes(user.role);
+};
+
+/**
+ * Branch a librarian's write permissions are limited to
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {string|null} Branch id, or null for admins and librarians of every branch
+ */
+const getStaffBranchId = (user) => {
+  return user && user.role === 'librarian' && user.branchId ? user.branchId.toString() : null;
+};
+
+/**
+ * Check whether a staff member may manage the copies and transfers of a branch
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {ObjectId|string|null} branchId - Branch of the copy, or null for a copy without one
+ * @returns {boolean} True for staff of every branch, or a librarian of that branch
+ */
+const canManageBranch = (user, branchId) => {
+  if (!isStaff(user)) {
+    return false;
+  }
+  const staffBranchId = getStaffBranchId(user);
+  return !staffBranchId || (!!branchId && branchId.toString() === staffBranchId);
+};
+
+/**
+ * Middleware factory to restrict a route to users with one of the given roles
+ * Responds 401 when not authenticated and 403 when the role is not allowed
+ * @param {...string} roles - Allowed roles ('admin', 'librarian', 'patron')
+ * @returns {Function} Express middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.isAuthenticated()) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      message: 'You must be logged in to access this resource. Please authenticate with Google OAuth.',
+      loginUrl: '/auth/google'
+    });
+  }
+
+  if (roles.includes(req.user.role)) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    error: 'Authorization failed',
+    message: `This action requires one of the following roles: ${roles.join(', ')}`
+  });
+};
+
+/**
+ * Middleware factory to require a scope when the request is authenticated with an API token
+ * Tokens without scopes carry all of the owner's permissions; sessions are never restricted
+ * @param {string} scope - Required scope, e.g. 'books:write'
+ * @returns {Function} Express middleware
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiToken || req.apiToken.hasScope(scope)) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    error: 'Insufficient token scope',
+    message: `This API token does not have the ${scope} scope`
+  });
+};
+
+/**
+ * Middleware to require an interactive login (session, or JWT access token in AUTH_MODE=jwt),
+ * e.g. for managing API tokens so that a leaked API token cannot be used to mint new ones
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireSessionAuth = (req, res, next) => {
+  if (req.apiToken) {
+    return res.status(403).json({
+      success: false,
+      error: 'Session required',
+      message: 'API tokens cannot be used for this action. Please log in.'
+    });
+  }
+
+  return requireAuth(req, res, next);
 };
 
 /**
@@ -125,9 +297,17 @@ const authErrorHandler = (err, req, res, next) => {
 };
 
 module.exports = {
+  authenticateBearerToken,
   requireAuth,
+  requireVerifiedForWrites,
   optionalAuth,
   requireActiveAuth,
+  isStaff,
+  getStaffBranchId,
+  canManageBranch,
+  requireRole,
+  requireScope,
+  requireSessionAuth,
   addAuthToSwagger,
   logAuthAttempt,
   authErrorHandler
@@ -0,0 +1,83 @@
+const { toEtag, versionMatches, etagMatches } = require('../utils/versioning');
+
+/**
+ * Conditional Requests
+ * PUT and DELETE on books and authors must send the ETag they read in If-Match (the API has
+ * no PATCH routes); reverts may send it. Reads answer If-None-Match with 304 Not Modified.
+ */
+
+/**
+ * Middleware to require an If-Match header, answering 428 Precondition Required without one
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireIfMatch = (req, res, next) => {
+  if (req.get('If-Match')) {
+    return next();
+  }
+
+  return res.status(428).json({
+    success: false,
+    error: 'Precondition required',
+    message: 'Send the ETag of the version you are changing in an If-Match header'
+  });
+};
+
+/**
+ * Respond 412 when the If-Match header does not name the current version of a document
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} document - The current document
+ * @param {string} label - Name of the document type in messages, e.g. 'book'
+ * @returns {boolean} True if a response was sent
+ */
+const rejectStaleVersion = (req, res, document, label) => {
+  if (versionMatches(req.get('If-Match'), document)) {
+    return false;
+  }
+  sendPreconditionFailed(res, document, label);
+  return true;
+};
+
+/**
+ * Respond 412 because a document changed since the client read it
+ * @param {Object} res - Express response object
+ * @param {Object|null} document - The current document, when known, to send its ETag
+ * @param {string} label - Name of the document type in messages, e.g. 'book'
+ */
+const sendPreconditionFailed = (res, document, label) => {
+  if (document) {
+    res.set('ETag', toEtag(document));
+  }
+  res.status(412).json({
+    success: false,
+    error: 'Precondition failed',
+    message: `The ${label} was changed since you read it. Fetch it again and reapply your changes.`
+  });
+};
+
+/**
+ * Set the ETag of a read, and respond 304 when If-None-Match names it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} document - The document being read
+ * @param {Object} representation - The data the response would send
+ * @returns {boolean} True if a 304 response was sent
+ */
+const sendNotModified = (req, res, document, representation) => {
+  const etag = toEtag(document, representation);
+  res.set('ETag', etag);
+  if (!etagMatches(req.get('If-None-Match'), etag)) {
+    return false;
+  }
+  res.status(304).end();
+  return true;
+};
+
+module.exports = {
+  requireIfMatch,
+  rejectStaleVersion,
+  sendPreconditionFailed,
+  sendNotModified
+};
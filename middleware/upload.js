@@ -0,0 +1,49 @@
+const multer = require('multer');
+
+/**
+ * File Uploads
+ * Uploaded files are kept in memory; IMPORT_MAX_FILE_MB (default 5) caps their size.
+ */
+
+const DEFAULT_MAX_FILE_MB = 5;
+
+const getMaxFileBytes = () => {
+  const megabytes = Number(process.env.IMPORT_MAX_FILE_MB);
+  return Math.round((Number.isFinite(megabytes) && megabytes > 0 ? megabytes : DEFAULT_MAX_FILE_MB) * 1024 * 1024);
+};
+
+/**
+ * Accept a single multipart file in the given field, answering upload errors with 400 or 413
+ * @param {string} field - Form field holding the file
+ * @returns {Function} Express middleware that sets req.file
+ */
+const uploadSingleFile = (field) => {
+  const maxFileBytes = getMaxFileBytes();
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxFileBytes, files: 1 }
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+
+      if (error instanceof multer.MulterError) {
+        const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+        return res.status(tooLarge ? 413 : 400).json({
+          success: false,
+          error: tooLarge ? 'File is too large' : 'Invalid file upload',
+          details: tooLarge ? `Files may be at most ${Number((maxFileBytes / (1024 * 1024)).toFixed(2))} MB` : error.message
+        });
+      }
+
+      next(error);
+    });
+  };
+};
+
+module.exports = {
+  uploadSingleFile
+};
@@ -0,0 +1,62 @@
+const { fullName } = require('../services/authorMatching');
+const { MIGRATION_NAME, legacyAuthorString, migrateBookAuthors } = require('../services/bookAuthorMigration');
+const { migrationsCollection } = require('../services/migrations');
+
+/**
+ * Link books with a legacy free-text `author` string to author documents.
+ * Only exact, case-insensitive and fuzzy matches are applied here; books with
+ * ambiguous or unknown names keep their legacy author until they are resolved with
+ * npm run migrate:book-authors (e.g. with --create-missing).
+ */
+
+module.exports = {
+  description: 'Replace legacy book author strings with author references',
+
+  up: async () => {
+    const report = await migrateBookAuthors();
+    if (report.alreadyApplied) {
+      return;
+    }
+
+    console.log(`   Linked ${report.booksUpdated} of ${report.booksScanned} book(s) to their authors`);
+    if (report.booksSkipped > 0) {
+      console.log(`   ⚠️ ${report.booksSkipped} book(s) could not be matched. Run npm run migrate:book-authors -- --dry-run for details.`);
+    }
+  },
+
+  // Only books converted by up are rolled back, and their references are set aside in
+  // migratedAuthors for a later up to put back, so editors and other roles are not lost.
+  // Authors created by the migration are kept: they may have been completed since,
+  // and a later up matches them exactly
+  down: async (db) => {
+    const booksCollection = db.collection(process.env.MONGO_COLLECTION_BOOKS);
+    const authorsCollection = db.collection(process.env.MONGO_COLLECTION_AUTHORS);
+
+    const books = await booksCollection
+      .find({ authorsMigrated: true, authors: { $type: 'array' } }, { projection: { authors: 1 } })
+      .toArray();
+    const authors = await authorsCollection
+      .find({}, { projection: { firstName: 1, lastName: 1 } })
+      .toArray();
+    const namesById = new Map(authors.map((author) => [author._id.toString(), fullName(author)]));
+
+    const operations = books.map((book) => ({
+      updateOne: {
+        filter: { _id: book._id },
+        update: {
+          $set: { author: legacyAuthorString(book.authors, namesById), updatedAt: new Date() },
+          $rename: { authors: 'migratedAuthors' },
+          $unset: { authorsMigrated: '' },
+          $inc: { version: 1 }
+        }
+      }
+    }));
+
+    if (operations.length > 0) {
+      await booksCollection.bulkWrite(operations);
+    }
+
+    // Forget standalone runs too, so the book author command can run again
+    await migrationsCollection().deleteMany({ name: MIGRATION_NAME, version: { $exists: false } });
+  }
+};
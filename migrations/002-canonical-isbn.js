@@ -0,0 +1,78 @@
+const { toIsbn13 } = require('../utils/isbn');
+
+/**
+ * Store the canonical ISBN-13 of every book in isbn13, which replaces isbn as the
+ * unique key (see config/indexes.js). Books whose ISBN fails the checksum, and later
+ * books whose ISBN is the same as an earlier one in another form, are left without
+ * isbn13 and listed so they can be corrected.
+ */
+
+const LEGACY_INDEX = 'books_isbn_unique';
+const CANONICAL_INDEX = 'books_isbn13_unique';
+
+const dropIndexIfExists = async (collection, name) => {
+  try {
+    await collection.dropIndex(name);
+  } catch (error) {
+    if (!['IndexNotFound', 'NamespaceNotFound'].includes(error.codeName)) {
+      throw error;
+    }
+  }
+};
+
+module.exports = {
+  description: 'Add the canonical ISBN-13 of each book and make it the unique key',
+
+  up: async (db) => {
+    const booksCollection = db.collection(process.env.MONGO_COLLECTION_BOOKS);
+    const books = await booksCollection
+      .find({}, { projection: { isbn: 1, isbn13: 1 } })
+      .sort({ createdAt: 1, _id: 1 })
+      .toArray();
+
+    const seen = new Map();
+    const invalid = [];
+    const duplicates = [];
+    const operations = [];
+
+    books.forEach((book) => {
+      const isbn13 = toIsbn13(book.isbn);
+      if (!isbn13) {
+        invalid.push(book);
+      } else if (seen.has(isbn13)) {
+        duplicates.push({ book, original: seen.get(isbn13) });
+      } else {
+        seen.set(isbn13, book);
+        if (book.isbn13 === isbn13) {
+          return;
+        }
+        operations.push({ updateOne: { filter: { _id: book._id }, update: { $set: { isbn13 } } } });
+        return;
+      }
+
+      if (book.isbn13 !== undefined) {
+        operations.push({ updateOne: { filter: { _id: book._id }, update: { $unset: { isbn13: '' } } } });
+      }
+    });
+
+    if (operations.length > 0) {
+      await booksCollection.bulkWrite(operations);
+    }
+    await dropIndexIfExists(booksCollection, LEGACY_INDEX);
+
+    console.log(`   Canonical ISBN stored for ${seen.size} of ${books.length} book(s)`);
+    invalid.forEach((book) => {
+      console.log(`   ⚠️ Book ${book._id} has an invalid ISBN: ${book.isbn}`);
+    });
+    duplicates.forEach(({ book, original }) => {
+      console.log(`   ⚠️ Book ${book._id} (${book.isbn}) has the same ISBN as book ${original._id} (${original.isbn})`);
+    });
+  },
+
+  down: async (db) => {
+    const booksCollection = db.collection(process.env.MONGO_COLLECTION_BOOKS);
+    await dropIndexIfExists(booksCollection, CANONICAL_INDEX);
+    await booksCollection.updateMany({ isbn13: { $exists: true } }, { $unset: { isbn13: '' } });
+    await booksCollection.createIndex({ isbn: 1 }, { name: LEGACY_INDEX, unique: true });
+  }
+};
@@ -0,0 +1,81 @@
+const Item = require('../models/Item');
+const { nextBarcodes, recountCopies } = require('../services/bookItems');
+
+/**
+ * Give every book one item per copy, so copies can be tracked by barcode. Books keep
+ * at least as many copies as their totalCopies counter; a copy is put on each active
+ * loan and set aside for each ready hold, and the rest are on the shelf. The counters
+ * are then recomputed from the items, which also repairs counters that drifted.
+ */
+
+const loansCollectionName = () => process.env.MONGO_COLLECTION_LOANS || 'loans';
+const holdsCollectionName = () => process.env.MONGO_COLLECTION_HOLDS || 'holds';
+const itemsCollectionName = () => process.env.MONGO_COLLECTION_ITEMS || 'items';
+
+module.exports = {
+  description: 'Create a barcoded item for every copy of every book',
+
+  up: async (db) => {
+    const itemsCollection = db.collection(itemsCollectionName());
+    const loansCollection = db.collection(loansCollectionName());
+    const holdsCollection = db.collection(holdsCollectionName());
+
+    const books = await db.collection(process.env.MONGO_COLLECTION_BOOKS)
+      .find({}, { projection: { totalCopies: 1 } })
+      .sort({ _id: 1 })
+      .toArray();
+
+    let migrated = 0;
+    let created = 0;
+    for (const book of books) {
+      if (await itemsCollection.findOne({ bookId: book._id })) {
+        continue;
+      }
+
+      const loans = await loansCollection.find({ bookId: book._id, status: 'active' }, { projection: { _id: 1 } }).toArray();
+      const holds = await holdsCollection.find({ bookId: book._id, status: 'ready' }, { projection: { _id: 1 } }).toArray();
+      const count = Math.max(book.totalCopies || 0, loans.length + holds.length);
+      const barcodes = await nextBarcodes(count);
+
+      const items = barcodes.map((barcode, index) => {
+        let status = 'available';
+        if (index < loans.length) {
+          status = 'on_loan';
+        } else if (index < loans.length + holds.length) {
+          status = 'reserved';
+        }
+        return new Item({ bookId: book._id, barcode, status }).toDatabase();
+      });
+
+      if (items.length > 0) {
+        const result = await itemsCollection.insertMany(items);
+        const ids = Object.values(result.insertedIds);
+        for (const [index, loan] of loans.entries()) {
+          await loansCollection.updateOne(
+            { _id: loan._id },
+            { $set: { itemId: ids[index], barcode: items[index].barcode } }
+          );
+        }
+        for (const [index, hold] of holds.entries()) {
+          await holdsCollection.updateOne({ _id: hold._id }, { $set: { itemId: ids[loans.length + index] } });
+        }
+      }
+
+      await recountCopies(book._id);
+      migrated++;
+      created += items.length;
+    }
+
+    console.log(`   Created ${created} item(s) for ${migrated} of ${books.length} book(s)`);
+  },
+
+  // The recomputed copy counters are kept; they are what the counters were meant to say
+  down: async (db) => {
+    await db.collection(itemsCollectionName()).deleteMany({});
+    await db.collection(loansCollectionName()).updateMany(
+      { itemId: { $exists: true } },
+      { $unset: { itemId: '', barcode: '' } }
+    );
+    await db.collection(holdsCollectionName()).updateMany({ itemId: { $exists: true } }, { $unset: { itemId: '' } });
+  }
+};
@@ -0,0 +1,77 @@
+const Branch = require('../models/Branch');
+const { recountCopies } = require('../services/bookItems');
+
+/**
+ * Put the copies that exist from before branches into a first branch, MAIN ("Main Library"),
+ * so every copy and loan belongs to one. Loans take the branch of their copy. Nothing is
+ * created when every copy already has a branch; rename the branch afterwards as needed.
+ */
+
+const MAIN_BRANCH_CODE = 'MAIN';
+
+const itemsCollectionName = () => process.env.MONGO_COLLECTION_ITEMS || 'items';
+const loansCollectionName = () => process.env.MONGO_COLLECTION_LOANS || 'loans';
+const branchesCollectionName = () => process.env.MONGO_COLLECTION_BRANCHES || 'branches';
+const transfersCollectionName = () => process.env.MONGO_COLLECTION_TRANSFERS || 'transfers';
+
+module.exports = {
+  description: 'Assign existing copies and loans to a main branch',
+
+  up: async (db) => {
+    const itemsCollection = db.collection(itemsCollectionName());
+    const branchesCollection = db.collection(branchesCollectionName());
+
+    const unassigned = { $or: [{ branchId: { $exists: false } }, { branchId: null }] };
+    if (!(await itemsCollection.findOne(unassigned))) {
+      console.log('   Every copy already has a branch');
+      return;
+    }
+
+    let branch = await branchesCollection.findOne({ code: MAIN_BRANCH_CODE });
+    if (!branch) {
+      const result = await branchesCollection.insertOne(
+        new Branch({ code: MAIN_BRANCH_CODE, name: 'Main Library' }).toDatabase()
+      );
+      branch = { _id: result.insertedId, code: MAIN_BRANCH_CODE };
+    }
+
+    const items = await itemsCollection.updateMany(unassigned, { $set: { branchId: branch._id } });
+
+    // Loans of copies deleted since have no copy to take the branch from
+    const loansCollection = db.collection(loansCollectionName());
+    const loans = await loansCollection
+      .find({ itemId: { $ne: null }, $or: [{ branchId: { $exists: false } }, { branchId: null }] }, { projection: { itemId: 1 } })
+      .toArray();
+    const itemBranches = new Map((await itemsCollection
+      .find({ _id: { $in: loans.map((loan) => loan.itemId) } }, { projection: { branchId: 1 } })
+      .toArray()).map((item) => [item._id.toString(), item.branchId]));
+
+    let assignedLoans = 0;
+    for (const loan of loans) {
+      const branchId = itemBranches.get(loan.itemId.toString());
+      if (branchId) {
+        await loansCollection.updateOne({ _id: loan._id }, { $set: { branchId } });
+        assignedLoans++;
+      }
+    }
+
+    console.log(`   Assigned ${items.modifiedCount} copies and ${assignedLoans} loans to branch ${branch.code}`);
+  },
+
+  // Branches, transfers and the branch of copies, loans and librarians are removed; copies in
+  // transit are put back on the shelf
+  down: async (db) => {
+    const itemsCollection = db.collection(itemsCollectionName());
+    const inTransit = await itemsCollection.distinct('bookId', { status: 'in_transit' });
+    await itemsCollection.updateMany({ status: 'in_transit' }, { $set: { status: 'available' } });
+    for (const bookId of inTransit) {
+      await recountCopies(bookId);
+    }
+
+    await itemsCollection.updateMany({ branchId: { $exists: true } }, { $unset: { branchId: '' } });
+    await db.collection(loansCollectionName()).updateMany({ branchId: { $exists: true } }, { $unset: { branchId: '' } });
+    await db.collection('users').updateMany({ branchId: { $exists: true } }, { $unset: { branchId: '' } });
+    await db.collection(transfersCollectionName()).deleteMany({});
+    await db.collection(branchesCollectionName()).deleteMany({});
+  }
+};
@@ -0,0 +1,116 @@
+const { ObjectId } = require('mongodb');
+const crypto = require('crypto');
+
+const TOKEN_PREFIX = 'lib_';
+const API_TOKEN_SCOPES = [
+  'books:write',
+  'authors:write',
+  'circulation:write',
+  'branches:write',
+  'fines:write',
+  'users:write'
+];
+
+class ApiToken {
+  constructor(data) {
+    this.userId = data.userId;
+    this.name = data.name;
+    this.scopes = data.scopes && data.scopes.length > 0 ? [...new Set(data.scopes)] : null; // null = all of the user's permissions
+    this.tokenHash = data.tokenHash;
+    this.tokenPrefix = data.tokenPrefix;
+    this.expiresAt = data.expiresAt ? new Date(data.expiresAt) : null;
+    this.lastUsedAt = data.lastUsedAt || null;
+    this.revokedAt = data.revokedAt || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static validateApiToken(tokenData) {
+    const errors = [];
+
+    if (!tokenData.name || typeof tokenData.name !== 'string' || tokenData.name.trim().length === 0) {
+      errors.push('Token name is required');
+    } else if (tokenData.name.length > 100) {
+      errors.push('Token name must be less than 100 characters');
+    }
+
+    if (tokenData.scopes !== undefined && tokenData.scopes !== null) {
+      if (!Array.isArray(tokenData.scopes)) {
+        errors.push('Scopes must be an array');
+      } else {
+        const unknown = tokenData.scopes.filter((scope) => !API_TOKEN_SCOPES.includes(scope));
+        if (unknown.length > 0) {
+          errors.push(`Unknown scopes: ${unknown.join(', ')}. Allowed scopes: ${API_TOKEN_SCOPES.join(', ')}`);
+        }
+      }
+    }
+
+    if (tokenData.expiresAt !== undefined && tokenData.expiresAt !== null) {
+      if (isNaN(Date.parse(tokenData.expiresAt))) {
+        errors.push('Invalid expiry date format');
+      } else if (new Date(tokenData.expiresAt) <= new Date()) {
+        errors.push('Expiry date must be in the future');
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  // Generate a new raw token; only its hash is ever stored
+  static generateToken() {
+    return TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  }
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  static looksLikeToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+  }
+
+  static validateObjectId(id) {
+    if (!id) {
+      return { isValid: false, error: 'ID is required' };
+    }
+
+    if (!ObjectId.isValid(id)) {
+      return { isValid: false, error: 'Invalid ID format' };
+    }
+
+    return { isValid: true };
+  }
+
+  validate() {
+    return ApiToken.validateApiToken(this);
+  }
+
+  hasScope(scope) {
+    return this.scopes === null || this.scopes.includes(scope);
+  }
+
+  toDatabase() {
+    const tokenData = { ...this };
+    tokenData.userId = new ObjectId(tokenData.userId);
+    tokenData.name = tokenData.name.trim();
+    tokenData.updatedAt = new Date();
+    return tokenData;
+  }
+
+  static fromDatabase(data) {
+    return new ApiToken(data);
+  }
+
+  // Token metadata that is safe to show; the hash never leaves the server
+  static toSafeObject(data) {
+    const { tokenHash, ...safe } = data;
+    return safe;
+  }
+}
+
+ApiToken.SCOPES = API_TOKEN_SCOPES;
+
+module.exports = ApiToken;
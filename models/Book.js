@@ -1,18 +1,28 @@
 const { ObjectId } = require('mongodb');
+const { validateIsbn, isValidIsbn, toIsbn13 } = require('../utils/isbn');
+
+const BOOK_AUTHOR_ROLES = ['author', 'editor', 'translator', 'illustrator'];
+const BOOK_MAX_TAGS = 20;
+const BOOK_MAX_TAG_LENGTH = 50;
+const BOOK_TEXT_FIELDS = { title: 'Title', isbn: 'ISBN', genre: 'Genre', publisher: 'Publisher', language: 'Language', description: 'Description' };
 
 class Book {
   constructor(data) {
     this.title = data.title;
-    this.author = data.author;
-    this.isbn = data.isbn;
+    this.authors = Book.normalizeAuthors(data);
+    this.isbn = typeof data.isbn === 'string' ? data.isbn.trim().toUpperCase() : data.isbn;
+    // Canonical form used for uniqueness and lookups; isbn keeps the form the client sent
+    this.isbn13 = toIsbn13(data.isbn);
     this.publishedDate = data.publishedDate;
     this.genre = data.genre;
     this.pages = data.pages;
     this.publisher = data.publisher;
     this.language = data.language;
     this.description = data.description;
-    this.availableCopies = data.availableCopies || 1;
-    this.totalCopies = data.totalCopies || 1;
+    this.tags = Book.normalizeTags(data.tags);
+    // Derived from the book's items (services/bookItems), whatever a request sends
+    this.availableCopies = data.availableCopies || 0;
+    this.totalCopies = data.totalCopies || 0;
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
   }
@@ -20,13 +30,19 @@ class Book {
   static validateBook(bookData) {
     const errors = [];
 
+    // The checks below expect strings, so anything else is reported on its own
+    const textErrors = Object.entries(BOOK_TEXT_FIELDS)
+      .filter(([field]) => bookData[field] !== undefined && bookData[field] !== null && typeof bookData[field] !== 'string')
+      .map(([, label]) => `${label} must be text`);
+    if (textErrors.length > 0) {
+      return { isValid: false, errors: textErrors };
+    }
+
     if (!bookData.title || bookData.title.trim().length === 0) {
       errors.push('Title is required');
     }
 
-    if (!bookData.author || bookData.author.trim().length === 0) {
-      errors.push('Author is required');
-    }
+    errors.push(...Book.validateAuthors(bookData.authors));
 
     if (!bookData.isbn || bookData.isbn.trim().length === 0) {
       errors.push('ISBN is required');
@@ -52,16 +68,18 @@ class Book {
       errors.push('Language cannot be empty if provided');
     }
 
+    errors.push(...Book.validateTags(bookData.tags));
+
     if (bookData.availableCopies !== undefined && (isNaN(bookData.availableCopies) || bookData.availableCopies < 0)) {
       errors.push('Available copies must be a non-negative number');
     }
 
-    if (bookData.totalCopies !== undefined && (isNaN(bookData.totalCopies) || bookData.totalCopies <= 0)) {
-      errors.push('Total copies must be a positive number');
+    if (bookData.totalCopies !== undefined && (!Number.isInteger(Number(bookData.totalCopies)) || bookData.totalCopies < 0)) {
+      errors.push('Total copies must be a non-negative whole number');
     }
 
     if (bookData.isbn && !Book.isValidISBN(bookData.isbn)) {
-      errors.push('Invalid ISBN format');
+      errors.push(validateIsbn(bookData.isbn));
     }
 
     if (bookData.publishedDate && isNaN(Date.parse(bookData.publishedDate))) {
@@ -74,14 +92,104 @@ class Book {
     };
   }
 
-  static isValidISBN(isbn) {
-    const cleanISBN = isbn.replace(/[-\s]/g, '');
-    
-    if (!/^(\d{10}|\d{13})$/.test(cleanISBN)) {
-      return false;
+  // Authors are references to the authors collection: [{ authorId, role }]
+  // A single authorId is accepted as shorthand for one entry with the 'author' role
+  static normalizeAuthors(data) {
+    if (data.authors === undefined && data.authorId !== undefined) {
+      return [{ authorId: data.authorId, role: 'author' }];
+    }
+
+    if (!Array.isArray(data.authors)) {
+      return data.authors;
+    }
+
+    return data.authors.map((entry) => (
+      entry && typeof entry === 'object'
+        ? { authorId: entry.authorId, role: entry.role || 'author' }
+        : entry
+    ));
+  }
+
+  // Tags are trimmed and kept once each, ignoring case; a book without tags has an empty list
+  static normalizeTags(tags) {
+    if (tags === undefined || tags === null) {
+      return [];
+    }
+
+    if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== 'string')) {
+      return tags;
+    }
+
+    const seen = new Set();
+    return tags.map((tag) => tag.trim()).filter((tag) => {
+      const key = tag.toLowerCase();
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  static validateTags(tags) {
+    const errors = [];
+
+    if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== 'string')) {
+      errors.push('Tags must be an array of strings');
+      return errors;
+    }
+
+    if (tags.length > BOOK_MAX_TAGS) {
+      errors.push(`A book can have at most ${BOOK_MAX_TAGS} tags`);
+    }
+
+    if (tags.some((tag) => tag.length === 0)) {
+      errors.push('Tags cannot be empty');
+    }
+
+    if (tags.some((tag) => tag.length > BOOK_MAX_TAG_LENGTH)) {
+      errors.push(`Tags must be at most ${BOOK_MAX_TAG_LENGTH} characters long`);
+    }
+
+    return errors;
+  }
+
+  static validateAuthors(authors) {
+    const errors = [];
+
+    if (!Array.isArray(authors) || authors.length === 0) {
+      errors.push('At least one author is required');
+      return errors;
     }
 
-    return true;
+    const seen = new Set();
+    authors.forEach((entry, index) => {
+      if (!entry || typeof entry !== 'object') {
+        errors.push(`authors[${index}] must be an object with authorId and role`);
+        return;
+      }
+
+      if (!entry.authorId || !ObjectId.isValid(entry.authorId)) {
+        errors.push(`authors[${index}].authorId must be a valid author ID`);
+      }
+
+      if (!BOOK_AUTHOR_ROLES.includes(entry.role)) {
+        errors.push(`authors[${index}].role must be one of: ${BOOK_AUTHOR_ROLES.join(', ')}`);
+      }
+
+      const key = `${entry.authorId}:${entry.role}`;
+      if (seen.has(key)) {
+        errors.push(`authors[${index}] is listed more than once with the same role`);
+      }
+      seen.add(key);
+    });
+
+    return errors;
+  }
+
+  // ISBN-10 (check digit may be X) or ISBN-13, hyphens and spaces allowed
+  static isValidISBN(isbn) {
+    return isValidIsbn(isbn);
   }
 
   static validateObjectId(id) {
@@ -102,6 +210,7 @@ class Book {
 
   toDatabase() {
     const bookData = { ...this };
+    bookData.authors = bookData.authors.map(({ authorId, role }) => ({ authorId: new ObjectId(authorId), role }));
     bookData.updatedAt = new Date();
     return bookData;
   }
@@ -111,4 +220,7 @@ class Book {
   }
 }
 
+Book.AUTHOR_ROLES = BOOK_AUTHOR_ROLES;
+Book.TEXT_FIELDS = Object.keys(BOOK_TEXT_FIELDS);
+
 module.exports = Book;
\ No newline at end of file
@@ -0,0 +1,78 @@
+const { ObjectId } = require('mongodb');
+
+class Branch {
+  constructor(data) {
+    // Short code shown on spine labels and transfer slips, e.g. MAIN or EAST
+    this.code = typeof data.code === 'string' ? data.code.trim().toUpperCase() : data.code;
+    this.name = typeof data.name === 'string' ? data.name.trim() : data.name;
+    this.address = data.address || null;
+    this.phone = data.phone || null;
+    this.email = data.email || null;
+    this.isActive = data.isActive !== undefined ? data.isActive : true;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static validateBranch(branchData) {
+    const errors = [];
+
+    if (!branchData.code || typeof branchData.code !== 'string' || !/^[A-Za-z0-9-]{2,10}$/.test(branchData.code.trim())) {
+      errors.push('Code must be 2 to 10 letters, digits or hyphens');
+    }
+
+    if (!branchData.name || typeof branchData.name !== 'string' || branchData.name.trim().length === 0) {
+      errors.push('Name is required');
+    } else if (branchData.name.length > 100) {
+      errors.push('Name must be less than 100 characters');
+    }
+
+    if (branchData.address && (typeof branchData.address !== 'string' || branchData.address.length > 200)) {
+      errors.push('Address must be less than 200 characters');
+    }
+
+    if (branchData.phone && (typeof branchData.phone !== 'string' || branchData.phone.length > 30)) {
+      errors.push('Phone must be less than 30 characters');
+    }
+
+    if (branchData.email && (typeof branchData.email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(branchData.email))) {
+      errors.push('Invalid email format');
+    }
+
+    if (branchData.isActive !== undefined && typeof branchData.isActive !== 'boolean') {
+      errors.push('isActive must be true or false');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  static validateObjectId(id) {
+    if (!id) {
+      return { isValid: false, error: 'ID is required' };
+    }
+
+    if (!ObjectId.isValid(id)) {
+      return { isValid: false, error: 'Invalid ID format' };
+    }
+
+    return { isValid: true };
+  }
+
+  validate() {
+    return Branch.validateBranch(this);
+  }
+
+  toDatabase() {
+    const branchData = { ...this };
+    branchData.updatedAt = new Date();
+    return branchData;
+  }
+
+  static fromDatabase(data) {
+    return new Branch(data);
+  }
+}
+
+module.exports = Branch;
@@ -0,0 +1,91 @@
+const { ObjectId } = require('mongodb');
+
+const FINE_ENTRY_TYPES = ['charge', 'payment', 'waiver'];
+
+class Fine {
+  constructor(data) {
+    this.userId = data.userId;
+    this.type = data.type; // 'charge', 'payment' or 'waiver'
+    this.amount = data.amount;
+    this.loanId = data.loanId || null;
+    this.bookId = data.bookId || null;
+    this.description = data.description;
+    this.recordedBy = data.recordedBy || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static validateFine(fineData) {
+    const errors = [];
+
+    if (!fineData.userId || !ObjectId.isValid(fineData.userId)) {
+      errors.push('A valid user ID is required');
+    }
+
+    if (!FINE_ENTRY_TYPES.includes(fineData.type)) {
+      errors.push(`Type must be one of: ${FINE_ENTRY_TYPES.join(', ')}`);
+    }
+
+    if (fineData.amount === undefined || fineData.amount === null || isNaN(fineData.amount) || Number(fineData.amount) <= 0) {
+      errors.push('Amount must be a positive number');
+    } else if (Math.abs(Math.round(Number(fineData.amount) * 100) - Number(fineData.amount) * 100) > 1e-6) {
+      errors.push('Amount cannot have more than two decimal places');
+    }
+
+    if (fineData.loanId && !ObjectId.isValid(fineData.loanId)) {
+      errors.push('Invalid loan ID format');
+    }
+
+    if (fineData.description && fineData.description.length > 500) {
+      errors.push('Description must be less than 500 characters');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  // Round to whole cents to keep floating point noise out of the ledger
+  static roundAmount(amount) {
+    return Math.round(Number(amount) * 100) / 100;
+  }
+
+  static validateObjectId(id) {
+    if (!id) {
+      return { isValid: false, error: 'ID is required' };
+    }
+
+    if (!ObjectId.isValid(id)) {
+      return { isValid: false, error: 'Invalid ID format' };
+    }
+
+    return { isValid: true };
+  }
+
+  validate() {
+    return Fine.validateFine(this);
+  }
+
+  toDatabase() {
+    const fineData = { ...this };
+    fineData.userId = new ObjectId(fineData.userId);
+    fineData.amount = Fine.roundAmount(fineData.amount);
+    if (fineData.loanId) {
+      fineData.loanId = new ObjectId(fineData.loanId);
+    }
+    if (fineData.bookId) {
+      fineData.bookId = new ObjectId(fineData.bookId);
+    }
+    fineData.updatedAt = new Date();
+    return fineData;
+  }
+
+  static fromDatabase(data) {
+    return new Fine(data);
+  }
+}
+
+Fine.ENTRY_TYPES = FINE_ENTRY_TYPES;
+
+module.exports = Fine;
@@ -0,0 +1,94 @@
+const { ObjectId } = require('mongodb');
+
+const DEFAULT_PICKUP_DAYS = 3;
+const HOLD_STATUSES = ['waiting', 'ready', 'fulfilled', 'cancelled', 'expired'];
+
+class Hold {
+  constructor(data) {
+    this.userId = data.userId;
+    this.bookId = data.bookId;
+    this.bookTitle = data.bookTitle;
+    this.itemId = data.itemId || null; // Copy set aside once the hold is ready
+    this.status = data.status || 'waiting';
+    this.placedAt = data.placedAt || new Date();
+    this.readyAt = data.readyAt || null;
+    this.expiresAt = data.expiresAt || null;
+    this.fulfilledAt = data.fulfilledAt || null;
+    this.cancelledAt = data.cancelledAt || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static validateHold(holdData) {
+    const errors = [];
+
+    if (!holdData.userId || !ObjectId.isValid(holdData.userId)) {
+      errors.push('A valid user ID is required');
+    }
+
+    if (!holdData.bookId || !ObjectId.isValid(holdData.bookId)) {
+      errors.push('A valid book ID is required');
+    }
+
+    if (holdData.status && !HOLD_STATUSES.includes(holdData.status)) {
+      errors.push(`Status must be one of: ${HOLD_STATUSES.join(', ')}`);
+    }
+
+    if (holdData.placedAt && isNaN(Date.parse(holdData.placedAt))) {
+      errors.push('Invalid placed date format');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  // Pickup window is configurable through HOLD_PICKUP_DAYS
+  static getPickupDays() {
+    const days = parseInt(process.env.HOLD_PICKUP_DAYS, 10);
+    return Number.isInteger(days) && days > 0 ? days : DEFAULT_PICKUP_DAYS;
+  }
+
+  static calculateExpiryDate(readyAt) {
+    const expiresAt = new Date(readyAt);
+    expiresAt.setDate(expiresAt.getDate() + Hold.getPickupDays());
+    return expiresAt;
+  }
+
+  static isOpenStatus(status) {
+    return status === 'waiting' || status === 'ready';
+  }
+
+  static validateObjectId(id) {
+    if (!id) {
+      return { isValid: false, error: 'ID is required' };
+    }
+
+    if (!ObjectId.isValid(id)) {
+      return { isValid: false, error: 'Invalid ID format' };
+    }
+
+    return { isValid: true };
+  }
+
+  validate() {
+    return Hold.validateHold(this);
+  }
+
+  toDatabase() {
+    const holdData = { ...this };
+    holdData.userId = new ObjectId(holdData.userId);
+    holdData.bookId = new ObjectId(holdData.bookId);
+    holdData.updatedAt = new Date();
+    return holdData;
+  }
+
+  static fromDatabase(data) {
+    return new Hold(data);
+  }
+}
+
+Hold.STATUSES = HOLD_STATUSES;
+
+module.exports = Hold;
@@ -0,0 +1,107 @@
+const { ObjectId } = require('mongodb');
+
+// on_loan, reserved (set aside for a ready hold) and in_transit (between branches) are only
+// set by circulation and transfers
+const ITEM_STATUSES = ['available', 'on_loan', 'reserved', 'in_transit', 'lost', 'damaged', 'in_repair'];
+const ITEM_MANUAL_STATUSES = ['available', 'lost', 'damaged', 'in_repair'];
+const ITEM_CONDITIONS = ['new', 'good', 'fair', 'poor'];
+
+class Item {
+  constructor(data) {
+    this.bookId = data.bookId;
+    this.branchId = data.branchId || null; // Branch holding the copy; null when not assigned to one
+    this.barcode = typeof data.barcode === 'string' ? data.barcode.trim() : data.barcode;
+    this.location = data.location || null;
+    this.condition = data.condition || 'good';
+    this.acquisitionDate = data.acquisitionDate ? new Date(data.acquisitionDate) : new Date();
+    this.status = data.status || 'available';
+    this.notes = data.notes || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static validateItem(itemData) {
+    const errors = [];
+
+    if (!itemData.bookId || !ObjectId.isValid(itemData.bookId)) {
+      errors.push('A valid book ID is required');
+    }
+
+    if (itemData.branchId !== undefined && itemData.branchId !== null && !ObjectId.isValid(itemData.branchId)) {
+      errors.push('Invalid branch ID format');
+    }
+
+    if (!itemData.barcode || typeof itemData.barcode !== 'string' || !Item.isValidBarcode(itemData.barcode)) {
+      errors.push('Barcode must be 4 to 32 letters, digits or hyphens');
+    }
+
+    if (itemData.location !== undefined && itemData.location !== null &&
+      (typeof itemData.location !== 'string' || itemData.location.length > 100)) {
+      errors.push('Location must be a string of at most 100 characters');
+    }
+
+    if (itemData.condition !== undefined && !ITEM_CONDITIONS.includes(itemData.condition)) {
+      errors.push(`Condition must be one of: ${ITEM_CONDITIONS.join(', ')}`);
+    }
+
+    if (itemData.acquisitionDate !== undefined && isNaN(Date.parse(itemData.acquisitionDate))) {
+      errors.push('Invalid acquisition date format');
+    }
+
+    if (itemData.status !== undefined && !ITEM_STATUSES.includes(itemData.status)) {
+      errors.push(`Status must be one of: ${ITEM_STATUSES.join(', ')}`);
+    }
+
+    if (itemData.notes && (typeof itemData.notes !== 'string' || itemData.notes.length > 500)) {
+      errors.push('Notes must be less than 500 characters');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  static isValidBarcode(barcode) {
+    return /^[A-Za-z0-9-]{4,32}$/.test(barcode.trim());
+  }
+
+  // Copies that still belong to the library; lost copies no longer count
+  static isHeld(status) {
+    return status !== 'lost';
+  }
+
+  static validateObjectId(id) {
+    if (!id) {
+      return { isValid: false, error: 'ID is required' };
+    }
+
+    if (!ObjectId.isValid(id)) {
+      return { isValid: false, error: 'Invalid ID format' };
+    }
+
+    return { isValid: true };
+  }
+
+  validate() {
+    return Item.validateItem(this);
+  }
+
+  toDatabase() {
+    const itemData = { ...this };
+    itemData.bookId = new ObjectId(itemData.bookId);
+    itemData.branchId = itemData.branchId ? new ObjectId(itemData.branchId) : null;
+    itemData.updatedAt = new Date();
+    return itemData;
+  }
+
+  static fromDatabase(data) {
+    return new Item(data);
+  }
+}
+
+Item.STATUSES = ITEM_STATUSES;
+Item.MANUAL_STATUSES = ITEM_MANUAL_STATUSES;
+Item.CONDITIONS = ITEM_CONDITIONS;
+
+module.exports = Item;
@@ -0,0 +1,101 @@
+const { ObjectId } = require('mongodb');
+
+const DEFAULT_LOAN_PERIOD_DAYS = 14;
+
+class Loan {
+  constructor(data) {
+    this.userId = data.userId;
+    this.bookId = data.bookId;
+    this.bookTitle = data.bookTitle;
+    this.itemId = data.itemId || null;
+    this.barcode = data.barcode || null;
+    this.branchId = data.branchId || null; // Branch of the copy at checkout
+    this.checkoutDate = data.checkoutDate || new Date();
+    this.dueDate = data.dueDate || Loan.calculateDueDate(this.checkoutDate);
+    this.returnDate = data.returnDate || null;
+    this.status = data.status || 'active'; // 'active' or 'returned'
+    this.overdue = data.overdue || false;
+    this.fineAccrued = data.fineAccrued || 0;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static validateLoan(loanData) {
+    const errors = [];
+
+    if (!loanData.userId || !ObjectId.isValid(loanData.userId)) {
+      errors.push('A valid user ID is required');
+    }
+
+    if (!loanData.bookId || !ObjectId.isValid(loanData.bookId)) {
+      errors.push('A valid book ID is required');
+    }
+
+    if (!loanData.checkoutDate || isNaN(Date.parse(loanData.checkoutDate))) {
+      errors.push('Checkout date is required');
+    }
+
+    if (!loanData.dueDate || isNaN(Date.parse(loanData.dueDate))) {
+      errors.push('Due date is required');
+    }
+
+    if (loanData.checkoutDate && loanData.dueDate && new Date(loanData.dueDate) <= new Date(loanData.checkoutDate)) {
+      errors.push('Due date must be after the checkout date');
+    }
+
+    if (loanData.status && !['active', 'returned'].includes(loanData.status)) {
+      errors.push('Status must be active or returned');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  // Loan period is configurable through LOAN_PERIOD_DAYS
+  static getLoanPeriodDays() {
+    const days = parseInt(process.env.LOAN_PERIOD_DAYS, 10);
+    return Number.isInteger(days) && days > 0 ? days : DEFAULT_LOAN_PERIOD_DAYS;
+  }
+
+  static calculateDueDate(checkoutDate) {
+    const dueDate = new Date(checkoutDate);
+    dueDate.setDate(dueDate.getDate() + Loan.getLoanPeriodDays());
+    return dueDate;
+  }
+
+  static validateObjectId(id) {
+    if (!id) {
+      return { isValid: false, error: 'ID is required' };
+    }
+
+    if (!ObjectId.isValid(id)) {
+      return { isValid: false, error: 'Invalid ID format' };
+    }
+
+    return { isValid: true };
+  }
+
+  validate() {
+    return Loan.validateLoan(this);
+  }
+
+  isOverdue(now = new Date()) {
+    return this.status === 'active' && new Date(this.dueDate) < now;
+  }
+
+  toDatabase() {
+    const loanData = { ...this };
+    loanData.userId = new ObjectId(loanData.userId);
+    loanData.bookId = new ObjectId(loanData.bookId);
+    loanData.updatedAt = new Date();
+    return loanData;
+  }
+
+  static fromDatabase(data) {
+    return new Loan(data);
+  }
+}
+
+module.exports = Loan;
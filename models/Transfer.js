@@ -0,0 +1,96 @@
+const { ObjectId } = require('mongodb');
+
+// requested -> in_transit (shipped by the sending branch) -> received (by the other branch);
+// requested and in_transit transfers can be cancelled
+const TRANSFER_STATUSES = ['requested', 'in_transit', 'received', 'cancelled'];
+const TRANSFER_OPEN_STATUSES = ['requested', 'in_transit'];
+
+class Transfer {
+  constructor(data) {
+    this.itemId = data.itemId;
+    this.bookId = data.bookId;
+    this.barcode = data.barcode;
+    this.bookTitle = data.bookTitle;
+    this.fromBranchId = data.fromBranchId;
+    this.toBranchId = data.toBranchId;
+    this.status = data.status || 'requested';
+    this.notes = data.notes || null;
+    this.requestedBy = data.requestedBy;
+    this.requestedAt = data.requestedAt || new Date();
+    this.shippedAt = data.shippedAt || null;
+    this.receivedAt = data.receivedAt || null;
+    this.cancelledAt = data.cancelledAt || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static validateTransfer(transferData) {
+    const errors = [];
+
+    if (!transferData.itemId || !ObjectId.isValid(transferData.itemId)) {
+      errors.push('A valid item ID is required');
+    }
+
+    if (!transferData.fromBranchId || !ObjectId.isValid(transferData.fromBranchId)) {
+      errors.push('The copy must belong to a branch to be transferred');
+    }
+
+    if (!transferData.toBranchId || !ObjectId.isValid(transferData.toBranchId)) {
+      errors.push('A valid destination branch ID is required');
+    }
+
+    if (transferData.fromBranchId && transferData.toBranchId &&
+      transferData.fromBranchId.toString() === transferData.toBranchId.toString()) {
+      errors.push('The copy is already at the destination branch');
+    }
+
+    if (transferData.status && !TRANSFER_STATUSES.includes(transferData.status)) {
+      errors.push(`Status must be one of: ${TRANSFER_STATUSES.join(', ')}`);
+    }
+
+    if (transferData.notes && (typeof transferData.notes !== 'string' || transferData.notes.length > 500)) {
+      errors.push('Notes must be less than 500 characters');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  static validateObjectId(id) {
+    if (!id) {
+      return { isValid: false, error: 'ID is required' };
+    }
+
+    if (!ObjectId.isValid(id)) {
+      return { isValid: false, error: 'Invalid ID format' };
+    }
+
+    return { isValid: true };
+  }
+
+  validate() {
+    return Transfer.validateTransfer(this);
+  }
+
+  toDatabase() {
+    const transferData = { ...this };
+    transferData.itemId = new ObjectId(transferData.itemId);
+    transferData.bookId = new ObjectId(transferData.bookId);
+    transferData.fromBranchId = new ObjectId(transferData.fromBranchId);
+    transferData.toBranchId = new ObjectId(transferData.toBranchId);
+    transferData.requestedBy = new ObjectId(transferData.requestedBy);
+    transferData.updatedAt = new Date();
+    return transferData;
+  }
+
+  static fromDatabase(data) {
+    return new Transfer(data);
+  }
+}
+
+Transfer.STATUSES = TRANSFER_STATUSES;
+Transfer.OPEN_STATUSES = TRANSFER_OPEN_STATUSES;
+
+module.exports = Transfer;
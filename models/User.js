@@ -1,6 +1,8 @@
 const { ObjectId } = require('mongodb');
 const bcrypt = require('bcrypt');
 
+const USER_ROLES = ['admin', 'librarian', 'patron'];
+
 class User {
   constructor(data) {
     // Store _id if it exists (from database)
@@ -18,6 +20,12 @@ class User {
       this.password = data.password; // This is already hashed from database
     }
     this.provider = data.provider || 'google'; // 'google' or 'local'
+    this.role = data.role || 'patron'; // 'admin', 'librarian' or 'patron'
+    // Librarians with a branch can only manage the copies and transfers of that branch
+    this.branchId = data.branchId || null;
+    // Google verifies emails itself; local accounts start unverified
+    this.emailVerified = data.emailVerified !== undefined ? data.emailVerified : this.provider !== 'local';
+    this.emailVerifiedAt = data.emailVerifiedAt || null;
     this.isActive = data.isActive !== undefined ? data.isActive : true;
     this.lastLogin = data.lastLogin;
     this.createdAt = data.createdAt || new Date();
@@ -45,15 +53,17 @@ class User {
 
     // Provider-specific validation
     if (userData.provider === 'local') {
-      if (!userData.password || userData.password.length < 6) {
-        errors.push('Password must be at least 6 characters long');
-      }
+      errors.push(...User.validatePassword(userData.password, userData).errors);
     } else if (userData.provider === 'google') {
       if (!userData.googleId) {
         errors.push('Google ID is required for Google authentication');
       }
     }
 
+    if (userData.role && !USER_ROLES.includes(userData.role)) {
+      errors.push(`Role must be one of: ${USER_ROLES.join(', ')}`);
+    }
+
     // Length validations
     if (userData.firstName && userData.firstName.length > 50) {
       errors.push('First name must be less than 50 characters');
@@ -73,6 +83,46 @@ class User {
     };
   }
 
+  // Password policy for local accounts
+  static validatePassword(password, userData = {}) {
+    const errors = [];
+
+    if (!password || typeof password !== 'string') {
+      errors.push('Password is required');
+      return { isValid: false, errors };
+    }
+
+    if (password.length < 10) {
+      errors.push('Password must be at least 10 characters long');
+    }
+
+    if (password.length > 128) {
+      errors.push('Password must be less than 128 characters');
+    }
+
+    if (!/[a-z]/.test(password) || !/[A-Z]/.test(password)) {
+      errors.push('Password must contain both uppercase and lowercase letters');
+    }
+
+    if (!/\d/.test(password)) {
+      errors.push('Password must contain at least one number');
+    }
+
+    if (!/[^A-Za-z0-9]/.test(password)) {
+      errors.push('Password must contain at least one symbol');
+    }
+
+    const emailName = userData.email ? userData.email.split('@')[0].toLowerCase() : '';
+    if (emailName.length >= 3 && password.toLowerCase().includes(emailName)) {
+      errors.push('Password must not contain your email address');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
   static isValidEmail(email) {
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     return emailRegex.test(email);
@@ -149,6 +199,9 @@ class User {
       displayName: this.displayName,
       profilePicture: this.profilePicture,
       provider: this.provider,
+      role: this.role,
+      branchId: this.branchId,
+      emailVerified: this.emailVerified,
       isActive: this.isActive,
       lastLogin: this.lastLogin,
       createdAt: this.createdAt,
@@ -163,4 +216,6 @@ class User {
   }
 }
 
+User.ROLES = USER_ROLES;
+
 module.exports = User;
\ No newline at end of file
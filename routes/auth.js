@@ -1,6 +1,13 @@
 const express = require('express');
 const passport = require('passport');
 const router = express.Router();
+const authController = require('../controllers/authController');
+const apiTokensController = require('../controllers/apiTokensController');
+const { requireSessionAuth } = require('../middleware/auth');
+const { isJwtMode } = require('../config/authMode');
+
+// In JWT mode Google login issues tokens instead of storing the user in a session
+const useJwt = isJwtMode();
 
 /**
  * @swagger
@@ -33,6 +40,17 @@ const router = express.Router();
  *           type: string
  *           enum: [google, local]
  *           description: Authentication provider
+ *         emailVerified:
+ *           type: boolean
+ *           description: Whether the email address has been verified. Unverified accounts are read-only.
+ *         role:
+ *           type: string
+ *           enum: [admin, librarian, patron]
+ *           description: Access role. Patrons can only read the catalog; librarians and admins can modify it.
+ *         branchId:
+ *           type: string
+ *           nullable: true
+ *           description: Librarians only - the branch whose copies and transfers they manage; null for every branch
  *         isActive:
  *           type: boolean
  *           description: Whether the user account is active
@@ -48,19 +66,100 @@ const router = express.Router();
  *           type: string
  *           format: date-time
  *           description: Last update timestamp
+ *     ApiToken:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The token ID
+ *         name:
+ *           type: string
+ *           description: Name to recognise the token by
+ *           example: Nightly catalog sync
+ *         scopes:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: string
+ *             enum: [books:write, authors:write, circulation:write, fines:write, users:write, branches:write]
+ *           description: Write actions the token may perform; null means every action the owner is allowed
+ *         tokenPrefix:
+ *           type: string
+ *           description: First characters of the token, to tell tokens apart
+ *           example: lib_Xk2bQ9aT
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     ApiTokenInput:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Nightly catalog sync
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [books:write, authors:write, circulation:write, fines:write, users:write, branches:write]
+ *           description: Omit to give the token all of your permissions. Read access is never restricted.
+ *           example: [books:write]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Optional expiry; the token never expires when omitted
+ *     AuthTokens:
+ *       type: object
+ *       description: Issued by login, registration and refresh when AUTH_MODE=jwt
+ *       properties:
+ *         tokenType:
+ *           type: string
+ *           example: Bearer
+ *         accessToken:
+ *           type: string
+ *           description: Signed JWT, sent as Authorization Bearer header
+ *         expiresIn:
+ *           type: integer
+ *           description: Access token lifetime in seconds
+ *           example: 900
+ *         refreshToken:
+ *           type: string
+ *           description: Single-use token for POST /auth/refresh
+ *         refreshTokenExpiresAt:
+ *           type: string
+ *           format: date-time
  *   securitySchemes:
  *     sessionAuth:
  *       type: apiKey
  *       in: cookie
- *       name: connect.sid
- *       description: Session-based authentication using Google OAuth
+ *       name: library.sid
+ *       description: Session cookie set by Google OAuth (/auth/google) or email/password login (/auth/login)
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       description: Personal API token created at POST /auth/tokens or, when AUTH_MODE=jwt, an access token from login or POST /auth/refresh
  */
 
 /**
  * @swagger
  * tags:
- *   name: Authentication
- *   description: User authentication and session management
+ *   - name: Authentication
+ *     description: User authentication and session management
+ *   - name: API Tokens
+ *     description: Personal API tokens for scripts and integrations
  */
 
 /**
@@ -101,8 +200,13 @@ router.get('/google',
  *           type: string
  *         description: State parameter for security
  *     responses:
+ *       200:
+ *         description: JWT mode without JWT_REDIRECT_URL or CLIENT_URL, the tokens are returned as JSON
  *       302:
- *         description: Redirect to dashboard on success or login on failure
+ *         description: |
+ *           Redirect to dashboard on success or login on failure. When AUTH_MODE=jwt the redirect goes to
+ *           JWT_REDIRECT_URL (default CLIENT_URL/auth/callback) with access_token, token_type, expires_in and
+ *           refresh_token in the URL fragment.
  *       400:
  *         description: Authentication failed
  *       500:
@@ -110,9 +214,14 @@ router.get('/google',
  */
 router.get('/google/callback',
   passport.authenticate('google', { 
+    session: !useJwt,
     failureRedirect: '/auth/login/failed' 
   }),
   (req, res) => {
+    if (useJwt) {
+      return authController.completeGoogleLogin(req, res);
+    }
+
     // Successful authentication
     console.log('🎯 OAuth callback - User authenticated:', req.user ? 'Yes' : 'No');
     console.log('🎯 OAuth callback - Session ID:', req.sessionID);
@@ -131,6 +240,337 @@ router.get('/google/callback',
   }
 );
 
+/**
+ * @swagger
+ * /auth/register:
+ *   post:
+ *     summary: Register a local account
+ *     tags: [Authentication]
+ *     description: |
+ *       Creates an email/password account and logs it in, starting the same session as Google login.
+ *       When AUTH_MODE=jwt the response contains access and refresh tokens instead.
+ *       Passwords must be at least 10 characters long and contain uppercase and lowercase letters,
+ *       a number and a symbol, and must not contain the email address.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *               - firstName
+ *               - lastName
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *               displayName:
+ *                 type: string
+ *           example:
+ *             email: "kiosk@library.example"
+ *             password: "Correct-Horse-42"
+ *             firstName: "Front"
+ *             lastName: "Desk"
+ *     responses:
+ *       201:
+ *         description: Account created and logged in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Registration successful
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *                 tokens:
+ *                   $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: Validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: An account with this email already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/register', authController.register);
+
+/**
+ * @swagger
+ * /auth/login:
+ *   post:
+ *     summary: Log in with email and password
+ *     tags: [Authentication]
+ *     description: Authenticates a local account and starts a session (library.sid cookie), or returns access and refresh tokens when AUTH_MODE=jwt.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Login successful
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *                 tokens:
+ *                   $ref: '#/components/schemas/AuthTokens'
+ *       401:
+ *         description: Invalid email or password
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/login', authController.login);
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for new tokens
+ *     tags: [Authentication]
+ *     description: |
+ *       Only available when AUTH_MODE=jwt. Refresh tokens are single-use: every call returns a new
+ *       refresh token. Presenting a refresh token that was already used revokes every token issued
+ *       from the same login.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *                 tokens:
+ *                   $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: The server is not running in JWT mode
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/refresh', authController.refresh);
+
+/**
+ * @swagger
+ * /auth/password/forgot:
+ *   post:
+ *     summary: Request a password reset email
+ *     tags: [Authentication]
+ *     description: |
+ *       Sends a single-use reset token to the account's email address. The response is the same
+ *       whether or not the account exists.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Invalid email
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/password/forgot', authController.forgotPassword);
+
+/**
+ * @swagger
+ * /auth/password/reset:
+ *   post:
+ *     summary: Reset a password with a reset token
+ *     tags: [Authentication]
+ *     description: Sets a new password and signs the account out of every session. Tokens are single-use and time-limited.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the reset email
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: New password, following the same policy as registration
+ *     responses:
+ *       200:
+ *         description: Password reset successful
+ *       400:
+ *         description: Invalid or expired token, or the password does not meet the policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/password/reset', authController.resetPassword);
+
+/**
+ * @swagger
+ * /auth/verify-email/resend:
+ *   post:
+ *     summary: Send a new email verification link
+ *     tags: [Authentication]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Email is already verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/verify-email/resend', authController.resendVerification);
+
+/**
+ * @swagger
+ * /auth/verify-email/{token}:
+ *   get:
+ *     summary: Verify an email address
+ *     tags: [Authentication]
+ *     description: Confirms the email address of a local account. Unverified accounts have read-only access.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Token from the verification email
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid, expired or already used token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/verify-email/:token', authController.verifyEmail);
+
 /**
  * @swagger
  * /auth/login/success:
@@ -222,7 +662,16 @@ router.get('/login/failed', (req, res) => {
  *     tags: [Authentication]
  *     security:
  *       - sessionAuth: []
- *     description: Logs out the current user and destroys the session
+ *     description: Logs out the current user and destroys the session. When AUTH_MODE=jwt, send the refresh token to revoke it and every token issued from the same login.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Logout successful
@@ -252,6 +701,10 @@ router.get('/login/failed', (req, res) => {
  *                   example: Error during logout
  */
 router.post('/logout', (req, res) => {
+  if (useJwt) {
+    return authController.logoutTokens(req, res);
+  }
+
   req.logout((err) => {
     if (err) {
       return res.status(500).json({
@@ -270,7 +723,7 @@ router.post('/logout', (req, res) => {
         });
       }
       
-      res.clearCookie('connect.sid');
+      res.clearCookie('library.sid');
       res.status(200).json({
         success: true,
         message: 'Logout successful'
@@ -377,4 +830,200 @@ router.get('/status', (req, res) => {
   });
 });
 
+/**
+ * @swagger
+ * /auth/tokens:
+ *   post:
+ *     summary: Create a personal API token
+ *     tags: [API Tokens]
+ *     security:
+ *       - sessionAuth: []
+ *     description: |
+ *       Creates a token that authenticates as you through the `Authorization: Bearer <token>` header.
+ *       The token is only returned in this response; store it safely. Requires a session, an API token cannot create tokens.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ApiTokenInput'
+ *     responses:
+ *       201:
+ *         description: Token created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 token:
+ *                   type: string
+ *                   description: The raw token, shown only once
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiToken'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Request was authenticated with an API token, or the email is not verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   get:
+ *     summary: List your API tokens
+ *     tags: [API Tokens]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeRevoked
+ *         schema:
+ *           type: boolean
+ *         description: Include revoked tokens
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: -createdAt
+ *         description: Sort by createdAt or name, prefix with - for descending
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Your tokens, without the token values
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                   nullable: true
+ *                 limit:
+ *                   type: integer
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
+ *                 cursors:
+ *                   $ref: '#/components/schemas/PaginationCursors'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiToken'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Request was authenticated with an API token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/tokens', requireSessionAuth, apiTokensController.createToken);
+router.get('/tokens', requireSessionAuth, apiTokensController.getTokens);
+
+/**
+ * @swagger
+ * /auth/tokens/{id}:
+ *   delete:
+ *     summary: Revoke a personal API token
+ *     tags: [API Tokens]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The token ID
+ *     responses:
+ *       200:
+ *         description: Token revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiToken'
+ *       400:
+ *         description: Invalid token ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Request was authenticated with an API token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Token not found or already revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/tokens/:id', requireSessionAuth, apiTokensController.revokeToken);
+
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const authorsController = require('../controllers/authorsController');
-const { requireAuth } = require('../middleware/auth');
+const revisionsController = require('../controllers/revisionsController');
+const { requireAuth, requireRole, requireScope } = require('../middleware/auth');
+const { requireIfMatch } = require('../middleware/preconditions');
 
 /**
  * @swagger
@@ -19,6 +21,10 @@ const { requireAuth } = require('../middleware/auth');
  *         _id:
  *           type: string
  *           description: The auto-generated id of the author
+ *         version:
+ *           type: integer
+ *           readOnly: true
+ *           description: Incremented by every change to the author; sent as its ETag
  *         firstName:
  *           type: string
  *           description: The first name of the author
@@ -51,6 +57,15 @@ const { requireAuth } = require('../middleware/auth');
  *           type: string
  *           format: date-time
  *           description: The date the author was last updated
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: When the author was moved to the trash; only set on deleted authors
+ *         deletedBy:
+ *           type: string
+ *           readOnly: true
+ *           description: Id of the user who deleted the author
  *       example:
  *         firstName: "Jane"
  *         lastName: "Doe"
@@ -159,9 +174,13 @@ router.get('/', authorsController.getAllAuthors);
  *           type: string
  *         required: true
  *         description: The author id (MongoDB ObjectId)
+ *       - $ref: '#/components/parameters/IfNoneMatch'
  *     responses:
  *       200:
  *         description: The author description by id
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -172,6 +191,8 @@ router.get('/', authorsController.getAllAuthors);
  *                   example: true
  *                 data:
  *                   $ref: '#/components/schemas/Author'
+ *       304:
+ *         $ref: '#/components/responses/NotModified'
  *       400:
  *         description: Invalid author ID format
  *         content:
@@ -193,6 +214,169 @@ router.get('/', authorsController.getAllAuthors);
  */
 router.get('/:id', authorsController.getAuthorById);
 
+/**
+ * @swagger
+ * /api/authors/{id}/books:
+ *   get:
+ *     summary: List the books of an author
+ *     tags: [Authors]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: Books linked to the author in any role, with the same sorting and pagination as GET /api/books.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The author id (MongoDB ObjectId)
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [author, editor, translator, illustrator]
+ *         description: Only books where the author has this role
+ *       - $ref: '#/components/parameters/BookSort'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/BookExpand'
+ *     responses:
+ *       200:
+ *         description: A page of the author's books
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                   nullable: true
+ *                 limit:
+ *                   type: integer
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
+ *                 cursors:
+ *                   $ref: '#/components/schemas/PaginationCursors'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Book'
+ *       400:
+ *         description: Invalid author ID or query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The author was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/books', requireAuth, authorsController.getAuthorBooks);
+
+/**
+ * @swagger
+ * /api/authors/{id}/stats:
+ *   get:
+ *     summary: Catalog statistics for an author
+ *     tags: [Authors]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The author id (MongoDB ObjectId)
+ *     responses:
+ *       200:
+ *         description: Statistics over every book linked to the author
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     authorId:
+ *                       type: string
+ *                     titles:
+ *                       type: integer
+ *                       description: Number of books linked to the author
+ *                     totalCopies:
+ *                       type: integer
+ *                     copiesOnLoan:
+ *                       type: integer
+ *                       description: Copies currently checked out
+ *                     genres:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     publicationYears:
+ *                       type: object
+ *                       properties:
+ *                         first:
+ *                           type: integer
+ *                           nullable: true
+ *                         last:
+ *                           type: integer
+ *                           nullable: true
+ *       400:
+ *         description: Invalid author ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The author was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/stats', requireAuth, authorsController.getAuthorStats);
+
 /**
  * @swagger
  * /api/authors:
@@ -201,6 +385,7 @@ router.get('/:id', authorsController.getAuthorById);
  *     tags: [Authors]
  *     security:
  *       - sessionAuth: []
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -218,6 +403,9 @@ router.get('/:id', authorsController.getAuthorById);
  *     responses:
  *       201:
  *         description: The author was created successfully
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -255,8 +443,14 @@ router.get('/:id', authorsController.getAuthorById);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Librarian or admin role required, or the API token lacks the authors:write scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       409:
- *         description: Author with this email already exists
+ *         description: An author with this email already exists, live or in the trash
  *         content:
  *           application/json:
  *             schema:
@@ -268,7 +462,7 @@ router.get('/:id', authorsController.getAuthorById);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', requireAuth, authorsController.createAuthor);
+router.post('/', requireAuth, requireRole('librarian', 'admin'), requireScope('authors:write'), authorsController.createAuthor);
 
 /**
  * @swagger
@@ -278,6 +472,7 @@ router.post('/', requireAuth, authorsController.createAuthor);
  *     tags: [Authors]
  *     security:
  *       - sessionAuth: []
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -285,6 +480,7 @@ router.post('/', requireAuth, authorsController.createAuthor);
  *           type: string
  *         required: true
  *         description: The author id (MongoDB ObjectId)
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -302,6 +498,9 @@ router.post('/', requireAuth, authorsController.createAuthor);
  *     responses:
  *       200:
  *         description: The author was updated successfully
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -327,6 +526,12 @@ router.post('/', requireAuth, authorsController.createAuthor);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Librarian or admin role required, or the API token lacks the authors:write scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: The author was not found
  *         content:
@@ -334,11 +539,15 @@ router.post('/', requireAuth, authorsController.createAuthor);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       409:
- *         description: Email conflict with another author
+ *         description: Email conflict with another author, live or in the trash
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       428:
+ *         $ref: '#/components/responses/PreconditionRequired'
  *       500:
  *         description: Server error
  *         content:
@@ -346,7 +555,7 @@ router.post('/', requireAuth, authorsController.createAuthor);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put('/:id', requireAuth, authorsController.updateAuthor);
+router.put('/:id', requireAuth, requireRole('librarian', 'admin'), requireScope('authors:write'), requireIfMatch, authorsController.updateAuthor);
 
 /**
  * @swagger
@@ -356,6 +565,86 @@ router.put('/:id', requireAuth, authorsController.updateAuthor);
  *     tags: [Authors]
  *     security:
  *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: |
+ *       Moves the author to the trash, where it keeps its email until it is restored or purged
+ *       (see /api/trash). Authors of live books cannot be deleted.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The author id (MongoDB ObjectId)
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: The author was moved to the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Author moved to the trash"
+ *                 data:
+ *                   $ref: '#/components/schemas/Author'
+ *       400:
+ *         description: Invalid author ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Librarian or admin role required, or the API token lacks the authors:write scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The author was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Cannot delete author. Author has associated books that are not in the trash.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       428:
+ *         $ref: '#/components/responses/PreconditionRequired'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id', requireAuth, requireRole('librarian', 'admin'), requireScope('authors:write'), requireIfMatch, authorsController.deleteAuthor);
+
+/**
+ * @swagger
+ * /api/authors/{id}/restore:
+ *   post:
+ *     summary: Restore an author from the trash
+ *     tags: [Authors]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -365,7 +654,10 @@ router.put('/:id', requireAuth, authorsController.updateAuthor);
  *         description: The author id (MongoDB ObjectId)
  *     responses:
  *       200:
- *         description: The author was deleted successfully
+ *         description: The author was restored
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -376,7 +668,7 @@ router.put('/:id', requireAuth, authorsController.updateAuthor);
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Author deleted successfully"
+ *                   example: "Author restored successfully"
  *                 data:
  *                   $ref: '#/components/schemas/Author'
  *       400:
@@ -391,6 +683,12 @@ router.put('/:id', requireAuth, authorsController.updateAuthor);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Librarian or admin role required, or the API token lacks the authors:write scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: The author was not found
  *         content:
@@ -398,11 +696,266 @@ router.put('/:id', requireAuth, authorsController.updateAuthor);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       409:
- *         description: Cannot delete author. Author has associated books.
+ *         description: The author is not in the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/restore', requireAuth, requireRole('librarian', 'admin'), requireScope('authors:write'), authorsController.restoreAuthor);
+
+/**
+ * @swagger
+ * /api/authors/{id}/history:
+ *   get:
+ *     summary: List the revisions of an author (librarians and admins)
+ *     tags: [Authors]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: |
+ *       Every create, update, delete, restore and revert made through the API, newest first,
+ *       with who made it and the fields it changed. Deleted and purged authors keep their history.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The author id (MongoDB ObjectId)
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, restore, revert]
+ *         description: Only list revisions of this action
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: "-revision"
+ *         description: Comma-separated sort fields (revision, createdAt), prefix with "-" for descending
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: The revisions, without their snapshots
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                   nullable: true
+ *                 limit:
+ *                   type: integer
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
+ *                 cursors:
+ *                   $ref: '#/components/schemas/PaginationCursors'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Revision'
+ *       400:
+ *         description: Invalid author ID format or query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Librarian or admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The author was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/history', requireAuth, requireRole('librarian', 'admin'), revisionsController.getAuthorHistory);
+
+/**
+ * @swagger
+ * /api/authors/{id}/history/{revision}:
+ *   get:
+ *     summary: Get one revision of an author with its snapshot (librarians and admins)
+ *     tags: [Authors]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The author id (MongoDB ObjectId)
+ *       - in: path
+ *         name: revision
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The revision number
+ *     responses:
+ *       200:
+ *         description: The revision
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Revision'
+ *       400:
+ *         description: Invalid author ID format or revision number
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Librarian or admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The author or the revision was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/history/:revision', requireAuth, requireRole('librarian', 'admin'), revisionsController.getAuthorRevision);
+
+/**
+ * @swagger
+ * /api/authors/{id}/history/{revision}/revert:
+ *   post:
+ *     summary: Revert an author to a revision
+ *     tags: [Authors]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: |
+ *       Puts back the fields the author had after the revision and records the
+ *       revert as a new revision. Deleted authors have to be restored first.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The author id (MongoDB ObjectId)
+ *       - in: path
+ *         name: revision
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The revision number
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: Optional ETag of the current version, to revert only if nobody changed the author since
+ *     responses:
+ *       200:
+ *         description: The author was reverted
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Author reverted to revision 3"
+ *                 data:
+ *                   $ref: '#/components/schemas/Author'
+ *       400:
+ *         description: Invalid author ID format or revision number
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Librarian or admin role required, or the API token lacks the authors:write scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The author or the revision was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The revision is no longer valid, or its email belongs to another author
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         description: Server error
  *         content:
@@ -410,6 +963,6 @@ router.put('/:id', requireAuth, authorsController.updateAuthor);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id', requireAuth, authorsController.deleteAuthor);
+router.post('/:id/history/:revision/revert', requireAuth, requireRole('librarian', 'admin'), requireScope('authors:write'), authorsController.revertAuthor);
 
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const booksController = require('../controllers/booksController');
-const { requireAuth } = require('../middleware/auth');
+const loansController = require('../controllers/loansController');
+const holdsController = require('../controllers/holdsController');
+const importsController = require('../controllers/importsController');
+const itemsController = require('../controllers/itemsController');
+const revisionsController = require('../controllers/revisionsController');
+const { requireAuth, requireRole, requireScope } = require('../middleware/auth');
+const { uploadSingleFile } = require('../middleware/upload');
+const { requireIfMatch } = require('../middleware/preconditions');
 
 /**
  * @swagger
@@ -11,7 +18,7 @@ const { requireAuth } = require('../middleware/auth');
  *       type: object
  *       required:
  *         - title
- *         - authorId
+ *         - authors
  *         - isbn
  *         - publishedDate
  *         - genre
@@ -20,15 +27,26 @@ const { requireAuth } = require('../middleware/auth');
  *         _id:
  *           type: string
  *           description: The auto-generated id of the book
+ *         version:
+ *           type: integer
+ *           readOnly: true
+ *           description: Incremented by every change to the book; sent as its ETag
  *         title:
  *           type: string
  *           description: The title of the book
- *         authorId:
- *           type: string
- *           description: The MongoDB ObjectId of the author
+ *         authors:
+ *           type: array
+ *           minItems: 1
+ *           items:
+ *             $ref: '#/components/schemas/BookAuthorRef'
+ *           description: The book's authors, editors, translators and illustrators
  *         isbn:
  *           type: string
- *           description: The ISBN number of the book
+ *           description: The ISBN as entered (ISBN-10 or ISBN-13, hyphens allowed)
+ *         isbn13:
+ *           type: string
+ *           description: Canonical ISBN-13 without hyphens, used to detect duplicates and look books up
+ *           example: "9783161484100"
  *         publishedDate:
  *           type: string
  *           format: date
@@ -49,10 +67,6 @@ const { requireAuth } = require('../middleware/auth');
  *         language:
  *           type: string
  *           description: The language the book is written in
- *         price:
- *           type: number
- *           minimum: 0
- *           description: The price of the book
  *         availability:
  *           type: boolean
  *           description: Whether the book is available for checkout
@@ -60,12 +74,22 @@ const { requireAuth } = require('../middleware/auth');
  *           type: array
  *           items:
  *             type: string
- *           description: Tags associated with the book
- *         rating:
- *           type: number
- *           minimum: 0
- *           maximum: 5
- *           description: Average rating of the book (0-5)
+ *           maxItems: 20
+ *           description: Tags associated with the book, each at most 50 characters; searched by /api/search
+ *         availableCopies:
+ *           type: integer
+ *           readOnly: true
+ *           description: Copies on the shelf, derived from the book's items
+ *         totalCopies:
+ *           type: integer
+ *           readOnly: true
+ *           description: Copies the library owns (every item except lost ones), derived from the book's items
+ *         branches:
+ *           type: array
+ *           readOnly: true
+ *           items:
+ *             $ref: '#/components/schemas/BranchAvailability'
+ *           description: Copies per branch
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -74,25 +98,81 @@ const { requireAuth } = require('../middleware/auth');
  *           type: string
  *           format: date-time
  *           description: The date the book was last updated
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: When the book was moved to the trash; only set on deleted books
+ *         deletedBy:
+ *           type: string
+ *           readOnly: true
+ *           description: Id of the user who deleted the book
  *       example:
  *         title: "The Great Adventure"
- *         authorId: "507f1f77bcf86cd799439011"
+ *         authors:
+ *           - authorId: "507f1f77bcf86cd799439011"
+ *             role: "author"
+ *           - authorId: "507f1f77bcf86cd799439012"
+ *             role: "translator"
  *         isbn: "978-3-16-148410-0"
+ *         isbn13: "9783161484100"
  *         publishedDate: "2023-01-15"
  *         genre: "Fiction"
  *         publisher: "Adventure Books Publishing"
  *         description: "An exciting tale of adventure and discovery in uncharted territories."
  *         pages: 320
  *         language: "English"
- *         price: 19.99
  *         availability: true
  *         tags: ["adventure", "fiction", "bestseller"]
- *         rating: 4.5
+ *     BookAuthorRef:
+ *       type: object
+ *       required:
+ *         - authorId
+ *       properties:
+ *         authorId:
+ *           type: string
+ *           description: The MongoDB ObjectId of an existing author
+ *         role:
+ *           type: string
+ *           enum: [author, editor, translator, illustrator]
+ *           default: author
+ *         author:
+ *           allOf:
+ *             - $ref: '#/components/schemas/Author'
+ *           nullable: true
+ *           description: The author document, only present with ?expand=authors (null if the author no longer exists)
+ *     BookEnrichment:
+ *       type: object
+ *       description: What the metadata lookup added to the book
+ *       properties:
+ *         source:
+ *           type: string
+ *           description: Metadata provider
+ *           example: "openlibrary"
+ *         isbn13:
+ *           type: string
+ *           example: "9780141439518"
+ *         found:
+ *           type: boolean
+ *           description: Whether the provider knows the ISBN
+ *         filled:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [title, authors, publisher, publishedDate, pages, description]
+ *           description: Fields taken from the metadata; fields sent by the client are never replaced
+ *           example: ["title", "publisher", "pages"]
+ *         unmatchedAuthors:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Author names from the metadata without a single matching author; authors are only filled in when every name matches
+ *           example: ["Jane Austen"]
  *     BookInput:
  *       type: object
  *       required:
  *         - title
- *         - authorId
+ *         - authors
  *         - isbn
  *         - publishedDate
  *         - genre
@@ -101,12 +181,19 @@ const { requireAuth } = require('../middleware/auth');
  *         title:
  *           type: string
  *           description: The title of the book
+ *         authors:
+ *           type: array
+ *           minItems: 1
+ *           items:
+ *             $ref: '#/components/schemas/BookAuthorRef'
+ *           description: The book's authors, editors, translators and illustrators. Every authorId must exist.
  *         authorId:
  *           type: string
- *           description: The MongoDB ObjectId of the author
+ *           deprecated: true
+ *           description: Shorthand for a single entry in authors with the author role
  *         isbn:
  *           type: string
- *           description: The ISBN number of the book
+ *           description: ISBN-10 (the check digit may be X) or ISBN-13 with a valid check digit; hyphens and spaces are allowed
  *         publishedDate:
  *           type: string
  *           format: date
@@ -127,10 +214,6 @@ const { requireAuth } = require('../middleware/auth');
  *         language:
  *           type: string
  *           description: The language the book is written in
- *         price:
- *           type: number
- *           minimum: 0
- *           description: The price of the book
  *         availability:
  *           type: boolean
  *           description: Whether the book is available for checkout
@@ -138,12 +221,96 @@ const { requireAuth } = require('../middleware/auth');
  *           type: array
  *           items:
  *             type: string
- *           description: Tags associated with the book
- *         rating:
- *           type: number
+ *           maxItems: 20
+ *           description: Tags associated with the book, each at most 50 characters; searched by /api/search
+ *         items:
+ *           type: array
+ *           maxItems: 500
+ *           items:
+ *             $ref: '#/components/schemas/ItemInput'
+ *           description: Create only - the copies of the new book. Copies without a barcode get a generated one.
+ *         branchId:
+ *           type: string
+ *           description: Create only - branch of the copies that do not name one. Defaults to the librarian's own branch.
+ *         totalCopies:
+ *           type: integer
  *           minimum: 0
- *           maximum: 5
- *           description: Average rating of the book (0-5)
+ *           maximum: 500
+ *           default: 1
+ *           description: |
+ *             Create only, when items is not given - number of copies to create with generated barcodes.
+ *             Copy counters are derived from the items and cannot be changed by updating the book.
+ *     Revision:
+ *       type: object
+ *       description: One recorded change to a book or an author
+ *       properties:
+ *         _id:
+ *           type: string
+ *         entityType:
+ *           type: string
+ *           enum: [book, author]
+ *         entityId:
+ *           type: string
+ *           description: Id of the book or author
+ *         revision:
+ *           type: integer
+ *           description: Number of the revision, counting from 1 for each book or author
+ *           example: 3
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete, restore, revert]
+ *         userId:
+ *           type: string
+ *           description: Id of the user who made the change
+ *         changes:
+ *           type: array
+ *           description: The fields the change modified; null stands for a missing field
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: "title"
+ *               from:
+ *                 nullable: true
+ *                 example: "The Great Adventure"
+ *               to:
+ *                 nullable: true
+ *                 example: "The Greatest Adventure"
+ *         snapshot:
+ *           type: object
+ *           description: The tracked fields after the change; only returned for a single revision
+ *         revertedTo:
+ *           type: integer
+ *           description: For reverts, the revision that was put back
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     PaginationLinks:
+ *       type: object
+ *       properties:
+ *         self:
+ *           type: string
+ *           description: Link to the current page
+ *         next:
+ *           type: string
+ *           nullable: true
+ *           description: Link to the next page, or null on the last page
+ *         prev:
+ *           type: string
+ *           nullable: true
+ *           description: Link to the previous page, or null on the first page
+ *     PaginationCursors:
+ *       type: object
+ *       properties:
+ *         next:
+ *           type: string
+ *           nullable: true
+ *           description: Opaque cursor for the next page
+ *         prev:
+ *           type: string
+ *           nullable: true
+ *           description: Opaque cursor for the previous page
  *     Error:
  *       type: object
  *       properties:
@@ -156,6 +323,164 @@ const { requireAuth } = require('../middleware/auth');
  *         details:
  *           type: string
  *           description: Detailed error information
+ *   parameters:
+ *     BookGenre:
+ *       in: query
+ *       name: genre
+ *       schema:
+ *         type: string
+ *       description: Filter by genre (case-insensitive, comma-separated for several)
+ *     BookLanguage:
+ *       in: query
+ *       name: language
+ *       schema:
+ *         type: string
+ *       description: Filter by language (case-insensitive, comma-separated for several)
+ *     BookPublisher:
+ *       in: query
+ *       name: publisher
+ *       schema:
+ *         type: string
+ *       description: Filter by publisher (case-insensitive, comma-separated for several)
+ *     BookAuthor:
+ *       in: query
+ *       name: author
+ *       schema:
+ *         type: string
+ *       description: Filter by author name (case-insensitive partial match on first and last name)
+ *     BookAuthorId:
+ *       in: query
+ *       name: authorId
+ *       schema:
+ *         type: string
+ *       description: Filter by author ID (comma-separated for several), in any role
+ *     BookExpand:
+ *       in: query
+ *       name: expand
+ *       schema:
+ *         type: string
+ *         enum: [authors]
+ *       description: Embed related documents; authors adds the author document to each entry of authors
+ *     BookPublishedFrom:
+ *       in: query
+ *       name: publishedFrom
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: Only books published on or after this date
+ *     BookPublishedTo:
+ *       in: query
+ *       name: publishedTo
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: Only books published on or before this date
+ *     BookMinPages:
+ *       in: query
+ *       name: minPages
+ *       schema:
+ *         type: integer
+ *         minimum: 0
+ *       description: Minimum number of pages
+ *     BookMaxPages:
+ *       in: query
+ *       name: maxPages
+ *       schema:
+ *         type: integer
+ *         minimum: 0
+ *       description: Maximum number of pages
+ *     BookAvailable:
+ *       in: query
+ *       name: available
+ *       schema:
+ *         type: boolean
+ *       description: |
+ *         true for books with available copies, false for books with none.
+ *         Combined with branchId, availability at that branch.
+ *     BookBranchId:
+ *       in: query
+ *       name: branchId
+ *       schema:
+ *         type: string
+ *       description: Only books with copies at this branch
+ *     BookSort:
+ *       in: query
+ *       name: sort
+ *       schema:
+ *         type: string
+ *         example: "-publishedDate,title"
+ *       description: |
+ *         Comma-separated sort fields, prefix with "-" for descending order.
+ *         Sortable fields: title, publishedDate, genre, publisher, language, pages,
+ *         availableCopies, totalCopies, createdAt, updatedAt. Defaults to title.
+ *     Page:
+ *       in: query
+ *       name: page
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         default: 1
+ *       description: Page number for offset pagination (cannot be combined with cursor)
+ *     Limit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 100
+ *         default: 20
+ *       description: Number of items per page
+ *     Cursor:
+ *       in: query
+ *       name: cursor
+ *       schema:
+ *         type: string
+ *       description: Opaque cursor from a previous response for cursor pagination (cannot be combined with page)
+ *     IfMatch:
+ *       in: header
+ *       name: If-Match
+ *       required: true
+ *       schema:
+ *         type: string
+ *         example: '"3"'
+ *       description: |
+ *         The ETag of the version being changed, from a previous read; "*" matches any version.
+ *         Required by PUT and DELETE on books and authors, the only updates that take it.
+ *     IfNoneMatch:
+ *       in: header
+ *       name: If-None-Match
+ *       schema:
+ *         type: string
+ *         example: '"3"'
+ *       description: ETag of a cached copy; the response is 304 Not Modified while it is still current
+ *   headers:
+ *     ETag:
+ *       description: |
+ *         The version of the document as a quoted entity tag, e.g. "3". Reads add a digest of
+ *         the response, e.g. "3.5d41402abc4b2a76"; If-Match only compares the version part.
+ *       schema:
+ *         type: string
+ *   responses:
+ *     NotModified:
+ *       description: The document did not change since the ETag sent in If-None-Match
+ *       headers:
+ *         ETag:
+ *           $ref: '#/components/headers/ETag'
+ *     PreconditionFailed:
+ *       description: The document was changed since it was read; the ETag header holds its current version
+ *       headers:
+ *         ETag:
+ *           $ref: '#/components/headers/ETag'
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Error'
+ *     PreconditionRequired:
+ *       description: The If-Match header is missing
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Error'
  */
 
 /**
@@ -169,8 +494,25 @@ const { requireAuth } = require('../middleware/auth');
  * @swagger
  * /api/books:
  *   get:
- *     summary: Returns the list of all books
+ *     summary: Returns a filtered, sorted and paginated list of books
  *     tags: [Books]
+ *     parameters:
+ *       - $ref: '#/components/parameters/BookGenre'
+ *       - $ref: '#/components/parameters/BookLanguage'
+ *       - $ref: '#/components/parameters/BookPublisher'
+ *       - $ref: '#/components/parameters/BookAuthor'
+ *       - $ref: '#/components/parameters/BookAuthorId'
+ *       - $ref: '#/components/parameters/BookPublishedFrom'
+ *       - $ref: '#/components/parameters/BookPublishedTo'
+ *       - $ref: '#/components/parameters/BookMinPages'
+ *       - $ref: '#/components/parameters/BookMaxPages'
+ *       - $ref: '#/components/parameters/BookAvailable'
+ *       - $ref: '#/components/parameters/BookBranchId'
+ *       - $ref: '#/components/parameters/BookSort'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/BookExpand'
  *     responses:
  *       200:
  *         description: The list of books
@@ -184,11 +526,31 @@ const { requireAuth } = require('../middleware/auth');
  *                   example: true
  *                 count:
  *                   type: integer
- *                   description: Number of books returned
+ *                   description: Number of books returned in this page
+ *                 total:
+ *                   type: integer
+ *                   description: Number of books matching the filters
+ *                 page:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: Current page number (null when using cursor pagination)
+ *                 limit:
+ *                   type: integer
+ *                   description: Maximum number of books per page
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
+ *                 cursors:
+ *                   $ref: '#/components/schemas/PaginationCursors'
  *                 data:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Book'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -198,6 +560,162 @@ const { requireAuth } = require('../middleware/auth');
  */
 router.get('/', requireAuth, booksController.getAllBooks);
 
+/**
+ * @swagger
+ * /api/books/export:
+ *   get:
+ *     summary: Download the books matching the list filters as a file
+ *     description: |
+ *       Accepts the same filters and sort as `GET /api/books` but returns every matching book,
+ *       streamed as it is read. Formats:
+ *       - `csv`: one row per book with author names separated by `;` (the layout `POST /api/books/import` accepts)
+ *       - `jsonl`: one book document per line; use `expand=authors` to embed the authors
+ *       - `marc`: MARC21 bibliographic records in ISO 2709 with UTF-8 encoding
+ *       - `marcxml`: the same records as a MARCXML collection
+ *       - `bibtex`: one `@book` entry per book
+ *     tags: [Books]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, jsonl, marc, marcxml, bibtex]
+ *           default: csv
+ *         description: File format
+ *       - $ref: '#/components/parameters/BookGenre'
+ *       - $ref: '#/components/parameters/BookLanguage'
+ *       - $ref: '#/components/parameters/BookPublisher'
+ *       - $ref: '#/components/parameters/BookAuthor'
+ *       - $ref: '#/components/parameters/BookAuthorId'
+ *       - $ref: '#/components/parameters/BookPublishedFrom'
+ *       - $ref: '#/components/parameters/BookPublishedTo'
+ *       - $ref: '#/components/parameters/BookMinPages'
+ *       - $ref: '#/components/parameters/BookMaxPages'
+ *       - $ref: '#/components/parameters/BookAvailable'
+ *       - $ref: '#/components/parameters/BookBranchId'
+ *       - $ref: '#/components/parameters/BookSort'
+ *       - $ref: '#/components/parameters/BookExpand'
+ *     responses:
+ *       200:
+ *         description: The exported books, sent as an attachment
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/marc:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/marcxml+xml:
+ *             schema:
+ *               type: string
+ *           application/x-bibtex:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid query parameters or unknown format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/export', requireAuth, booksController.exportBooks);
+
+/**
+ * @swagger
+ * /api/books/isbn/{isbn}:
+ *   get:
+ *     summary: Get a book by ISBN
+ *     description: The ISBN may be given as ISBN-10 or ISBN-13, with or without hyphens; both forms find the same book.
+ *     tags: [Books]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: isbn
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ISBN-10 or ISBN-13
+ *         example: "0-14-143951-3"
+ *       - $ref: '#/components/parameters/BookExpand'
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *     responses:
+ *       200:
+ *         description: The book with this ISBN
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 isbn:
+ *                   type: object
+ *                   description: Both forms of the requested ISBN
+ *                   properties:
+ *                     isbn13:
+ *                       type: string
+ *                       example: "9780141439518"
+ *                     isbn10:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Null for ISBN-13s starting with 979, which have no ISBN-10
+ *                       example: "0141439513"
+ *                 data:
+ *                   $ref: '#/components/schemas/Book'
+ *       304:
+ *         $ref: '#/components/responses/NotModified'
+ *       400:
+ *         description: Invalid ISBN (wrong length or check digit)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: No book has this ISBN
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/isbn/:isbn', requireAuth, booksController.getBookByIsbn);
+
 /**
  * @swagger
  * /api/books/{id}:
@@ -211,9 +729,14 @@ router.get('/', requireAuth, booksController.getAllBooks);
  *           type: string
  *         required: true
  *         description: The book id (MongoDB ObjectId)
+ *       - $ref: '#/components/parameters/BookExpand'
+ *       - $ref: '#/components/parameters/IfNoneMatch'
  *     responses:
  *       200:
  *         description: The book description by id
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -224,6 +747,8 @@ router.get('/', requireAuth, booksController.getAllBooks);
  *                   example: true
  *                 data:
  *                   $ref: '#/components/schemas/Book'
+ *       304:
+ *         $ref: '#/components/responses/NotModified'
  *       400:
  *         description: Invalid book ID format
  *         content:
@@ -253,6 +778,14 @@ router.get('/:id', requireAuth, booksController.getBookById);
  *     tags: [Books]
  *     security:
  *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: enrich
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Fill in the fields left out of the request from the metadata of the ISBN before validating
  *     requestBody:
  *       required: true
  *       content:
@@ -262,6 +795,9 @@ router.get('/:id', requireAuth, booksController.getBookById);
  *     responses:
  *       201:
  *         description: The book was created successfully
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -273,6 +809,8 @@ router.get('/:id', requireAuth, booksController.getBookById);
  *                 message:
  *                   type: string
  *                   example: "Book created successfully"
+ *                 enrichment:
+ *                   $ref: '#/components/schemas/BookEnrichment'
  *                 data:
  *                   $ref: '#/components/schemas/Book'
  *       400:
@@ -292,13 +830,21 @@ router.get('/:id', requireAuth, booksController.getBookById);
  *                   type: array
  *                   items:
  *                     type: string
- *                   example: ["Title is required", "ISBN must be valid", "Author ID is required"]
+ *                   example: ["Title is required", "ISBN-13 check digit is wrong", "Author ID is required"]
  *       401:
  *         description: Authentication required
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: |
+ *           Librarian or admin role required, the API token lacks the books:write scope,
+ *           or copies are added to another branch than the librarian's
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Author not found
  *         content:
@@ -306,7 +852,7 @@ router.get('/:id', requireAuth, booksController.getBookById);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       409:
- *         description: Book with this ISBN already exists
+ *         description: A book with this ISBN already exists, live or in the trash
  *         content:
  *           application/json:
  *             schema:
@@ -317,33 +863,45 @@ router.get('/:id', requireAuth, booksController.getBookById);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       502:
+ *         description: The metadata lookup requested with enrich=true failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post('/', requireAuth, booksController.createBook);
+router.post('/', requireAuth, requireRole('librarian', 'admin'), requireScope('books:write'), booksController.createBook);
 
 /**
  * @swagger
- * /api/books/{id}:
- *   put:
- *     summary: Update a book by id
+ * /api/books/enrich:
+ *   post:
+ *     summary: Preview a book completed with the metadata of its ISBN
+ *     description: |
+ *       Looks the ISBN up with the metadata provider (METADATA_PROVIDER, Open Library by default) and
+ *       returns the book with title, authors, publisher, published date, pages and description filled
+ *       in where the request left them out. Nothing is saved; send the result to `POST /api/books`,
+ *       or use `POST /api/books?enrich=true` to do both at once. Lookups are cached.
  *     tags: [Books]
  *     security:
  *       - sessionAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         schema:
- *           type: string
- *         required: true
- *         description: The book id (MongoDB ObjectId)
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/BookInput'
+ *             type: object
+ *             required:
+ *               - isbn
+ *             description: Any fields of BookInput; only isbn is required
+ *             properties:
+ *               isbn:
+ *                 type: string
+ *                 example: "978-0-14-143951-8"
  *     responses:
  *       200:
- *         description: The book was updated successfully
+ *         description: The completed book
  *         content:
  *           application/json:
  *             schema:
@@ -354,11 +912,12 @@ router.post('/', requireAuth, booksController.createBook);
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Book updated successfully"
+ *                 enrichment:
+ *                   $ref: '#/components/schemas/BookEnrichment'
  *                 data:
- *                   $ref: '#/components/schemas/Book'
+ *                   $ref: '#/components/schemas/BookInput'
  *       400:
- *         description: Invalid book ID format or validation error or no changes made
+ *         description: Missing or invalid ISBN
  *         content:
  *           application/json:
  *             schema:
@@ -369,14 +928,14 @@ router.post('/', requireAuth, booksController.createBook);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       404:
- *         description: The book or author was not found
+ *       403:
+ *         description: Librarian or admin role required, or the API token lacks the books:write scope
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       409:
- *         description: ISBN conflict with another book
+ *       404:
+ *         description: The metadata provider does not know this ISBN
  *         content:
  *           application/json:
  *             schema:
@@ -387,27 +946,63 @@ router.post('/', requireAuth, booksController.createBook);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       502:
+ *         description: The metadata provider could not be reached or failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.put('/:id', requireAuth, booksController.updateBook);
+router.post('/enrich', requireAuth, requireRole('librarian', 'admin'), requireScope('books:write'), booksController.enrichBook);
 
 /**
  * @swagger
- * /api/books/{id}:
- *   delete:
- *     summary: Delete a book by id
- *     tags: [Books]
+ * /api/books/import:
+ *   post:
+ *     summary: Import books from a CSV or JSON file
+ *     description: |
+ *       Each row is validated like a book created through the API; rows that fail are listed in the
+ *       import's error report and the rest of the file is still imported. Columns named like the book
+ *       fields (e.g. Title, ISBN, Author, Published Date, Pages, Copies) are mapped automatically;
+ *       use `mapping` for other names. Authors are given by name (several separated by `&` or `;`)
+ *       or by id. Files with more than 100 rows (IMPORT_SYNC_MAX_ROWS) are imported in the
+ *       background: the response is 202 and the progress is available at `GET /api/imports/{id}`.
+ *     tags: [Books, Imports]
  *     security:
  *       - sessionAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         schema:
- *           type: string
- *         required: true
- *         description: The book id (MongoDB ObjectId)
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: A .csv file with a header row, or a .json file holding an array of books
+ *               mapping:
+ *                 type: string
+ *                 description: JSON object mapping file columns to book fields (title, authors, authorId, isbn, publishedDate, genre, publisher, description, pages, language, tags, totalCopies); map a column to null to skip it
+ *                 example: '{"Book Name": "title", "EAN": "isbn", "Internal code": null}'
+ *               upsert:
+ *                 type: string
+ *                 enum: ['true', 'false']
+ *                 default: 'false'
+ *                 description: |
+ *                   Update books whose ISBN already exists instead of reporting them as errors. Librarians of
+ *                   a branch cannot update books that only other branches hold copies of.
+ *               branchId:
+ *                 type: string
+ *                 description: |
+ *                   Branch of the imported copies; defaults to the librarian's own branch. With a branch,
+ *                   totalCopies of an updated book counts the copies at that branch only.
  *     responses:
  *       200:
- *         description: The book was deleted successfully
+ *         description: The import finished; see inserted, updated, failed and errors
  *         content:
  *           application/json:
  *             schema:
@@ -418,11 +1013,25 @@ router.put('/:id', requireAuth, booksController.updateBook);
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Book deleted successfully"
+ *                   example: "Imported 48 of 50 rows"
  *                 data:
- *                   $ref: '#/components/schemas/Book'
+ *                   $ref: '#/components/schemas/BookImport'
+ *       202:
+ *         description: The import continues in the background
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/BookImport'
  *       400:
- *         description: Invalid book ID format
+ *         description: No file, unsupported or unreadable file, or invalid column mapping
  *         content:
  *           application/json:
  *             schema:
@@ -433,8 +1042,1136 @@ router.put('/:id', requireAuth, booksController.updateBook);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       404:
- *         description: The book was not found
+ *       403:
+ *         description: |
+ *           Librarian or admin role required, the API token lacks the books:write scope,
+ *           or branchId is another branch than the librarian's
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       413:
+ *         description: File is larger than IMPORT_MAX_FILE_MB
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/import', requireAuth, requireRole('librarian', 'admin'), requireScope('books:write'), uploadSingleFile('file'), importsController.importBooks);
+
+/**
+ * @swagger
+ * /api/books/{id}:
+ *   put:
+ *     summary: Update a book by id
+ *     tags: [Books]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The book id (MongoDB ObjectId)
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BookInput'
+ *     responses:
+ *       200:
+ *         description: The book was updated successfully
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Book updated successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Book'
+ *       400:
+ *         description: Invalid book ID format or validation error or no changes made
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: |
+ *           Librarian or admin role required, the API token lacks the books:write scope,
+ *           or only other branches than the librarian's hold copies of the book
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The book or author was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: ISBN conflict with another book, live or in the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       428:
+ *         $ref: '#/components/responses/PreconditionRequired'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:id', requireAuth, requireRole('librarian', 'admin'), requireScope('books:write'), requireIfMatch, booksController.updateBook);
+
+/**
+ * @swagger
+ * /api/books/{id}:
+ *   delete:
+ *     summary: Delete a book by id
+ *     tags: [Books]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: |
+ *       Moves the book to the trash. It disappears from every listing and lookup but keeps its
+ *       copies and ISBN until it is restored or purged (see /api/trash).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The book id (MongoDB ObjectId)
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: The book was moved to the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Book moved to the trash"
+ *                 data:
+ *                   $ref: '#/components/schemas/Book'
+ *       400:
+ *         description: Invalid book ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: |
+ *           Librarian or admin role required, the API token lacks the books:write scope,
+ *           or the book has copies at other branches than the librarian's
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The book was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       428:
+ *         $ref: '#/components/responses/PreconditionRequired'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id', requireAuth, requireRole('librarian', 'admin'), requireScope('books:write'), requireIfMatch, booksController.deleteBook);
+
+/**
+ * @swagger
+ * /api/books/{id}/restore:
+ *   post:
+ *     summary: Restore a book from the trash
+ *     tags: [Books]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: Its authors must not be deleted; restore them first.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The book id (MongoDB ObjectId)
+ *     responses:
+ *       200:
+ *         description: The book was restored
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Book restored successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Book'
+ *       400:
+ *         description: Invalid book ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: |
+ *           Librarian or admin role required, the API token lacks the books:write scope,
+ *           or the book has copies at other branches than the librarian's
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The book was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The book is not in the trash, or some of its authors are deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/restore', requireAuth, requireRole('librarian', 'admin'), requireScope('books:write'), booksController.restoreBook);
+
+/**
+ * @swagger
+ * /api/books/{id}/history:
+ *   get:
+ *     summary: List the revisions of a book (librarians and admins)
+ *     tags: [Books]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: |
+ *       Every create, update, delete, restore and revert made through the API, newest first,
+ *       with who made it and the fields it changed. Deleted and purged books keep their history.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The book id (MongoDB ObjectId)
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, restore, revert]
+ *         description: Only list revisions of this action
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: "-revision"
+ *         description: Comma-separated sort fields (revision, createdAt), prefix with "-" for descending
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: The revisions, without their snapshots
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                   nullable: true
+ *                 limit:
+ *                   type: integer
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
+ *                 cursors:
+ *                   $ref: '#/components/schemas/PaginationCursors'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Revision'
+ *       400:
+ *         description: Invalid book ID format or query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Librarian or admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The book was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/history', requireAuth, requireRole('librarian', 'admin'), revisionsController.getBookHistory);
+
+/**
+ * @swagger
+ * /api/books/{id}/history/{revision}:
+ *   get:
+ *     summary: Get one revision of a book with its snapshot (librarians and admins)
+ *     tags: [Books]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The book id (MongoDB ObjectId)
+ *       - in: path
+ *         name: revision
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The revision number
+ *     responses:
+ *       200:
+ *         description: The revision
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Revision'
+ *       400:
+ *         description: Invalid book ID format or revision number
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Librarian or admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The book or the revision was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/history/:revision', requireAuth, requireRole('librarian', 'admin'), revisionsController.getBookRevision);
+
+/**
+ * @swagger
+ * /api/books/{id}/history/{revision}/revert:
+ *   post:
+ *     summary: Revert a book to a revision
+ *     tags: [Books]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: |
+ *       Puts back the fields the book had after the revision (copies are not affected) and records the
+ *       revert as a new revision. Deleted books have to be restored first.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The book id (MongoDB ObjectId)
+ *       - in: path
+ *         name: revision
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: The revision number
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: Optional ETag of the current version, to revert only if nobody changed the book since
+ *     responses:
+ *       200:
+ *         description: The book was reverted
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Book reverted to revision 3"
+ *                 data:
+ *                   $ref: '#/components/schemas/Book'
+ *       400:
+ *         description: Invalid book ID format or revision number, or an author of the revision no longer exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: |
+ *           Librarian or admin role required, the API token lacks the books:write scope,
+ *           or only other branches than the librarian's hold copies of the book
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The book or the revision was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The revision is no longer valid, or its ISBN belongs to another book
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/history/:revision/revert', requireAuth, requireRole('librarian', 'admin'), requireScope('books:write'), booksController.revertBook);
+
+/**
+ * @swagger
+ * /api/books/{id}/checkout:
+ *   post:
+ *     summary: Check out a copy of a book
+ *     tags: [Circulation]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: |
+ *       Creates a loan for the current user and takes one available copy: the scanned copy when
+ *       barcode is given, otherwise any copy on the shelf (of branchId, when given or when a librarian
+ *       of a branch checks out). Librarians of a branch only lend copies held there. Copies are claimed atomically, so two
+ *       patrons can never both take the last copy. A user with a ready hold gets the copy set aside for it.
+ *       Librarians can check out for another user by passing userId.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The book id (MongoDB ObjectId)
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CirculationInput'
+ *     responses:
+ *       201:
+ *         description: The book was checked out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Book checked out successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Loan'
+ *       400:
+ *         description: Invalid book or user ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: |
+ *           Only librarians can check out for other users, a librarian of a branch asked for another
+ *           branch or scanned a copy held at another branch, or the API token lacks the circulation:write scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The book or user was not found, or no copy of the book has the barcode
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: No copies available, the scanned copy is not available, or the user already has this book
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/checkout', requireAuth, requireScope('circulation:write'), loansController.checkoutBook);
+
+/**
+ * @swagger
+ * /api/books/{id}/return:
+ *   post:
+ *     summary: Return a checked out copy of a book
+ *     tags: [Circulation]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: |
+ *       Closes the current user's active loan for the book and puts the copy back.
+ *       Librarians can return for another user by passing userId.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The book id (MongoDB ObjectId)
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CirculationInput'
+ *     responses:
+ *       200:
+ *         description: The book was returned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Book returned successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Loan'
+ *       400:
+ *         description: Invalid book or user ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Only librarians can return for other users, or the API token lacks the circulation:write scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: No active loan found for this book
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/return', requireAuth, requireScope('circulation:write'), loansController.returnBook);
+
+/**
+ * @swagger
+ * /api/books/{id}/holds:
+ *   post:
+ *     summary: Place a hold on a book
+ *     tags: [Holds]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: |
+ *       Joins the first-come hold queue for a book that has no available copies.
+ *       When a copy is returned, the hold at the front of the queue becomes ready for pickup
+ *       for HOLD_PICKUP_DAYS days; holds not picked up in time expire and the copy moves on.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The book id (MongoDB ObjectId)
+ *     responses:
+ *       201:
+ *         description: The hold was placed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Hold placed successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Hold'
+ *       400:
+ *         description: Invalid book ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The API token lacks the circulation:write scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The book was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Copies are available, or the user already has a hold or loan for this book
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/holds', requireAuth, requireScope('circulation:write'), holdsController.placeHold);
+
+/**
+ * @swagger
+ * /api/books/{id}/items:
+ *   get:
+ *     summary: List the copies of a book
+ *     tags: [Items]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The book id (MongoDB ObjectId)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [available, on_loan, reserved, in_transit, lost, damaged, in_repair]
+ *         description: Filter by copy status
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *         description: Filter by the branch holding the copy
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: "barcode"
+ *         description: Comma-separated sort fields (barcode, status, location, condition, acquisitionDate, createdAt), prefix with "-" for descending
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: The copies of the book
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                   nullable: true
+ *                 limit:
+ *                   type: integer
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
+ *                 cursors:
+ *                   $ref: '#/components/schemas/PaginationCursors'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Item'
+ *       400:
+ *         description: Invalid book ID format or query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The book was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Add a copy of a book
+ *     tags: [Items]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: |
+ *       Adds a copy and updates the book's copy counters. A new available copy is set aside
+ *       for the next waiting hold, if any, like a returned copy. The copy goes to the librarian's
+ *       own branch unless branchId is given.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The book id (MongoDB ObjectId)
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ItemInput'
+ *     responses:
+ *       201:
+ *         description: The copy was added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Item created successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Item'
+ *       400:
+ *         description: Invalid book ID format or validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: |
+ *           Librarian or admin role required, the API token lacks the books:write scope,
+ *           or the copy belongs to another branch than the librarian's
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The book was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The barcode is already in use by another copy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/items', requireAuth, itemsController.getItems);
+router.post('/:id/items', requireAuth, requireRole('librarian', 'admin'), requireScope('books:write'), itemsController.createItem);
+
+/**
+ * @swagger
+ * /api/books/{id}/items/{itemId}:
+ *   get:
+ *     summary: Get a copy of a book
+ *     tags: [Items]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The book id (MongoDB ObjectId)
+ *       - in: path
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The item id (MongoDB ObjectId)
+ *     responses:
+ *       200:
+ *         description: The copy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Item'
+ *       400:
+ *         description: Invalid book or item ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The book or copy was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     summary: Update a copy of a book
+ *     tags: [Items]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: |
+ *       Updates the barcode, branch, location, condition, acquisition date, notes or status of a copy.
+ *       The status can only be set to available, lost, damaged or in_repair, and neither the status nor
+ *       the branch can change while the copy is on loan, set aside for a hold or in transit.
+ *       Librarians limited to a branch cannot change the branch; they use transfers.
+ *       A copy that becomes available goes to the next waiting hold first.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The book id (MongoDB ObjectId)
+ *       - in: path
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The item id (MongoDB ObjectId)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ItemInput'
+ *     responses:
+ *       200:
+ *         description: The copy was updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Item updated successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Item'
+ *       400:
+ *         description: Invalid ID format or validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: |
+ *           Librarian or admin role required, the API token lacks the books:write scope,
+ *           or the copy belongs to another branch than the librarian's
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The book or copy was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The copy is on loan, reserved or in transit, or the barcode is already in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a copy of a book
+ *     tags: [Items]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: Removes a copy, e.g. when it is weeded from the collection. Copies on loan or set aside for a hold cannot be deleted.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The book id (MongoDB ObjectId)
+ *       - in: path
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The item id (MongoDB ObjectId)
+ *     responses:
+ *       200:
+ *         description: The copy was deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Item deleted successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Item'
+ *       400:
+ *         description: Invalid book or item ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: |
+ *           Librarian or admin role required, the API token lacks the books:write scope,
+ *           or the copy belongs to another branch than the librarian's
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The book or copy was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The copy is on loan, set aside for a hold or in transit
  *         content:
  *           application/json:
  *             schema:
@@ -446,6 +2183,8 @@ router.put('/:id', requireAuth, booksController.updateBook);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id', requireAuth, booksController.deleteBook);
+router.get('/:id/items/:itemId', requireAuth, itemsController.getItem);
+router.put('/:id/items/:itemId', requireAuth, requireRole('librarian', 'admin'), requireScope('books:write'), itemsController.updateItem);
+router.delete('/:id/items/:itemId', requireAuth, requireRole('librarian', 'admin'), requireScope('books:write'), itemsController.deleteItem);
 
 module.exports = router;
\ No newline at end of file
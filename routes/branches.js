@@ -0,0 +1,411 @@
+const express = require('express');
+const router = express.Router();
+const branchesController = require('../controllers/branchesController');
+const { requireAuth, requireRole, requireScope } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Branch:
+ *       type: object
+ *       required:
+ *         - code
+ *         - name
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The auto-generated id of the branch
+ *         code:
+ *           type: string
+ *           pattern: '^[A-Za-z0-9-]{2,10}$'
+ *           description: Unique short code, stored in upper case
+ *           example: "EAST"
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *           example: "East Side Library"
+ *         address:
+ *           type: string
+ *           maxLength: 200
+ *           nullable: true
+ *         phone:
+ *           type: string
+ *           maxLength: 30
+ *           nullable: true
+ *         email:
+ *           type: string
+ *           format: email
+ *           nullable: true
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *           description: Inactive branches cannot receive transfers
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     BranchAvailability:
+ *       type: object
+ *       properties:
+ *         branchId:
+ *           type: string
+ *           nullable: true
+ *           description: The branch, or null for copies not assigned to one
+ *         code:
+ *           type: string
+ *           nullable: true
+ *         name:
+ *           type: string
+ *           nullable: true
+ *         availableCopies:
+ *           type: integer
+ *           description: Copies on the shelf at the branch
+ *         totalCopies:
+ *           type: integer
+ *           description: Copies held by the branch, except lost ones
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Branches
+ *   description: Library branches holding the copies
+ */
+
+/**
+ * @swagger
+ * /api/branches:
+ *   get:
+ *     summary: List branches
+ *     tags: [Branches]
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: "name"
+ *         description: Comma-separated sort fields (code, name, createdAt), prefix with "-" for descending
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: The list of branches
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                   nullable: true
+ *                 limit:
+ *                   type: integer
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
+ *                 cursors:
+ *                   $ref: '#/components/schemas/PaginationCursors'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Branch'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', branchesController.getAllBranches);
+
+/**
+ * @swagger
+ * /api/branches/{id}:
+ *   get:
+ *     summary: Get a branch by id
+ *     tags: [Branches]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The branch id (MongoDB ObjectId)
+ *     responses:
+ *       200:
+ *         description: The branch with its copy counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Branch'
+ *                     - type: object
+ *                       properties:
+ *                         availableCopies:
+ *                           type: integer
+ *                           description: Copies on the shelf at the branch
+ *                         totalCopies:
+ *                           type: integer
+ *                           description: Copies held by the branch, except lost ones
+ *       400:
+ *         description: Invalid branch ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The branch was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', branchesController.getBranchById);
+
+/**
+ * @swagger
+ * /api/branches:
+ *   post:
+ *     summary: Create a branch (admins only)
+ *     tags: [Branches]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Branch'
+ *     responses:
+ *       201:
+ *         description: The branch was created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Branch created successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Branch'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin role required, or the API token lacks the branches:write scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A branch with this code already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', requireAuth, requireRole('admin'), requireScope('branches:write'), branchesController.createBranch);
+
+/**
+ * @swagger
+ * /api/branches/{id}:
+ *   put:
+ *     summary: Update a branch (admins only)
+ *     tags: [Branches]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The branch id (MongoDB ObjectId)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Branch'
+ *     responses:
+ *       200:
+ *         description: The branch was updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Branch updated successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Branch'
+ *       400:
+ *         description: Invalid branch ID format or validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin role required, or the API token lacks the branches:write scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The branch was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Another branch has this code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:id', requireAuth, requireRole('admin'), requireScope('branches:write'), branchesController.updateBranch);
+
+/**
+ * @swagger
+ * /api/branches/{id}:
+ *   delete:
+ *     summary: Delete a branch (admins only)
+ *     tags: [Branches]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: Only empty branches can be deleted; deactivate a branch that still has copies instead.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The branch id (MongoDB ObjectId)
+ *     responses:
+ *       200:
+ *         description: The branch was deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Branch deleted successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Branch'
+ *       400:
+ *         description: Invalid branch ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin role required, or the API token lacks the branches:write scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The branch was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The branch still has copies, open transfers or assigned users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id', requireAuth, requireRole('admin'), requireScope('branches:write'), branchesController.deleteBranch);
+
+module.exports = router;
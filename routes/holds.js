@@ -0,0 +1,232 @@
+const express = require('express');
+const router = express.Router();
+const holdsController = require('../controllers/holdsController');
+const { requireAuth, requireScope } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Hold:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The auto-generated id of the hold
+ *         userId:
+ *           type: string
+ *           description: The id of the user who placed the hold
+ *         bookId:
+ *           type: string
+ *           description: The id of the book on hold
+ *         bookTitle:
+ *           type: string
+ *           description: Title of the book when the hold was placed
+ *         itemId:
+ *           type: string
+ *           nullable: true
+ *           description: The copy set aside for a ready hold
+ *         status:
+ *           type: string
+ *           enum: [waiting, ready, fulfilled, cancelled, expired]
+ *           description: |
+ *             waiting - in the queue; ready - a copy is set aside for pickup until expiresAt;
+ *             fulfilled - the book was checked out; cancelled - cancelled by the user;
+ *             expired - not picked up in time
+ *         queuePosition:
+ *           type: integer
+ *           nullable: true
+ *           description: Position in the queue for waiting holds (1 = next in line)
+ *         placedAt:
+ *           type: string
+ *           format: date-time
+ *         readyAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: End of the pickup window for ready holds
+ *         fulfilledAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Holds
+ *   description: Reservation queue for books with no copies available
+ */
+
+/**
+ * @swagger
+ * /api/holds:
+ *   get:
+ *     summary: List holds
+ *     tags: [Holds]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: Returns the current user's holds. Librarians can pass userId to see another user's holds.
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Librarians only - filter by user id
+ *       - in: query
+ *         name: bookId
+ *         schema:
+ *           type: string
+ *         description: Filter by book id
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [waiting, ready, fulfilled, cancelled, expired]
+ *         description: Filter by hold status
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: "placedAt"
+ *         description: Comma-separated sort fields (placedAt, status, expiresAt, bookTitle), prefix with "-" for descending
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: The list of holds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                   nullable: true
+ *                 limit:
+ *                   type: integer
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
+ *                 cursors:
+ *                   $ref: '#/components/schemas/PaginationCursors'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Hold'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Only librarians can view holds of other users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', requireAuth, holdsController.getHolds);
+
+/**
+ * @swagger
+ * /api/holds/{id}:
+ *   delete:
+ *     summary: Cancel a hold
+ *     tags: [Holds]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: Cancels one of your waiting or ready holds. A copy set aside for a ready hold goes to the next patron.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The hold id (MongoDB ObjectId)
+ *     responses:
+ *       200:
+ *         description: The hold was cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Hold cancelled successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Hold'
+ *       400:
+ *         description: Invalid hold ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The hold belongs to another user, or the API token lacks the circulation:write scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The hold was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The hold is no longer open
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id', requireAuth, requireScope('circulation:write'), holdsController.cancelHold);
+
+module.exports = router;
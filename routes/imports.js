@@ -0,0 +1,164 @@
+const express = require('express');
+const router = express.Router();
+const importsController = require('../controllers/importsController');
+const { requireAuth, requireRole } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BookImport:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The auto-generated id of the import
+ *         fileName:
+ *           type: string
+ *           example: "vendor-catalog.csv"
+ *         format:
+ *           type: string
+ *           enum: [csv, json]
+ *         mapping:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           description: Column of the file used for each book field
+ *           example: { "Book Title": "title", "ISBN-13": "isbn", "Author": "authors" }
+ *         ignoredColumns:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Columns of the file that were not imported
+ *         upsert:
+ *           type: boolean
+ *           description: Whether books with an existing ISBN were updated instead of reported
+ *         branchId:
+ *           type: string
+ *           nullable: true
+ *           description: The branch the copies were imported into
+ *         status:
+ *           type: string
+ *           enum: [pending, processing, completed, failed]
+ *         totalRows:
+ *           type: integer
+ *         processedRows:
+ *           type: integer
+ *         inserted:
+ *           type: integer
+ *         updated:
+ *           type: integer
+ *         failed:
+ *           type: integer
+ *         errors:
+ *           type: array
+ *           description: Rows that were not imported (at most 1000)
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: integer
+ *                 description: Row number, starting at 1 for the first row after the CSV header
+ *               isbn:
+ *                 type: string
+ *                 nullable: true
+ *               errors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *           example:
+ *             - row: 7
+ *               isbn: "978-0-00-000000-0"
+ *               errors: ["Author not found: Jane Austin", "Pages must be a positive number"]
+ *         errorsTruncated:
+ *           type: boolean
+ *           description: True when more rows failed than are listed in errors
+ *         error:
+ *           type: string
+ *           nullable: true
+ *           description: Why the import as a whole failed
+ *         createdBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Imports
+ *   description: Bulk book imports from CSV and JSON files (librarian or admin role)
+ */
+
+/**
+ * @swagger
+ * /api/imports/{id}:
+ *   get:
+ *     summary: Get the progress and error report of a book import
+ *     tags: [Imports]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The import id
+ *     responses:
+ *       200:
+ *         description: The import
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/BookImport'
+ *       400:
+ *         description: Invalid import ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Librarian or admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Import not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', requireAuth, requireRole('librarian', 'admin'), importsController.getImport);
+
+module.exports = router;
@@ -0,0 +1,186 @@
+const express = require('express');
+const router = express.Router();
+const itemsController = require('../controllers/itemsController');
+const { requireAuth, requireRole } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Item:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The auto-generated id of the copy
+ *         bookId:
+ *           type: string
+ *           description: The id of the book this is a copy of
+ *         branchId:
+ *           type: string
+ *           nullable: true
+ *           description: The branch holding the copy; null when it is not assigned to one
+ *         barcode:
+ *           type: string
+ *           description: Unique barcode of the copy, as scanned at the circulation desk
+ *           example: "LIB00000042"
+ *         location:
+ *           type: string
+ *           nullable: true
+ *           description: Shelf location
+ *           example: "Main floor, FIC AUS"
+ *         condition:
+ *           type: string
+ *           enum: [new, good, fair, poor]
+ *         acquisitionDate:
+ *           type: string
+ *           format: date-time
+ *           description: When the library acquired the copy
+ *         status:
+ *           type: string
+ *           enum: [available, on_loan, reserved, in_transit, lost, damaged, in_repair]
+ *           description: |
+ *             available - on the shelf; on_loan - checked out; reserved - set aside for a ready hold;
+ *             in_transit - shipped to another branch; lost, damaged, in_repair - out of circulation. Lost copies no longer count in totalCopies.
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     ItemInput:
+ *       type: object
+ *       properties:
+ *         barcode:
+ *           type: string
+ *           pattern: '^[A-Za-z0-9-]{4,32}$'
+ *           description: Barcode of the copy; generated (LIB followed by 8 digits) when left out on create
+ *         branchId:
+ *           type: string
+ *           nullable: true
+ *           description: |
+ *             Branch holding the copy. Defaults to the librarian's own branch on create; librarians
+ *             limited to a branch move copies with transfers instead.
+ *         location:
+ *           type: string
+ *           maxLength: 100
+ *           nullable: true
+ *         condition:
+ *           type: string
+ *           enum: [new, good, fair, poor]
+ *           default: good
+ *         acquisitionDate:
+ *           type: string
+ *           format: date
+ *           description: Defaults to the current date on create
+ *         status:
+ *           type: string
+ *           enum: [available, lost, damaged, in_repair]
+ *           default: available
+ *           description: on_loan, reserved and in_transit are only set by checkouts, holds and transfers
+ *         notes:
+ *           type: string
+ *           maxLength: 500
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Items
+ *   description: Individual copies of books, each with its own barcode
+ */
+
+/**
+ * @swagger
+ * /api/items/barcode/{barcode}:
+ *   get:
+ *     summary: Look up a copy by barcode
+ *     tags: [Items]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: |
+ *       Returns the scanned copy with a summary of its book, its branch, the active loan when the copy is
+ *       on loan, the ready hold when it is set aside for one and its open transfer, if any.
+ *       Meant for circulation desk scanners.
+ *     parameters:
+ *       - in: path
+ *         name: barcode
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The barcode of the copy
+ *     responses:
+ *       200:
+ *         description: The copy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Item'
+ *                     - type: object
+ *                       properties:
+ *                         book:
+ *                           type: object
+ *                           nullable: true
+ *                           description: The book's title, ISBN, authors and copy counters
+ *                         loan:
+ *                           allOf:
+ *                             - $ref: '#/components/schemas/Loan'
+ *                           nullable: true
+ *                         hold:
+ *                           allOf:
+ *                             - $ref: '#/components/schemas/Hold'
+ *                           nullable: true
+ *                         branch:
+ *                           type: object
+ *                           nullable: true
+ *                           description: The branch's code and name
+ *                         transfer:
+ *                           allOf:
+ *                             - $ref: '#/components/schemas/Transfer'
+ *                           nullable: true
+ *       400:
+ *         description: Invalid barcode
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Librarian or admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: No copy has this barcode
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/barcode/:barcode', requireAuth, requireRole('librarian', 'admin'), itemsController.getItemByBarcode);
+
+module.exports = router;
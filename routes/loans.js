@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router();
+const loansController = require('../controllers/loansController');
+const { requireAuth } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Loan:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The auto-generated id of the loan
+ *         userId:
+ *           type: string
+ *           description: The id of the user who borrowed the book
+ *         bookId:
+ *           type: string
+ *           description: The id of the borrowed book
+ *         bookTitle:
+ *           type: string
+ *           description: Title of the book at checkout time
+ *         itemId:
+ *           type: string
+ *           nullable: true
+ *           description: The id of the copy on loan (null for loans recorded before copies had items)
+ *         barcode:
+ *           type: string
+ *           nullable: true
+ *           description: Barcode of the copy on loan
+ *         branchId:
+ *           type: string
+ *           nullable: true
+ *           description: Branch the copy belonged to at checkout
+ *         checkoutDate:
+ *           type: string
+ *           format: date-time
+ *           description: When the book was checked out
+ *         dueDate:
+ *           type: string
+ *           format: date-time
+ *           description: When the book must be returned
+ *         returnDate:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the book was returned, null while on loan
+ *         status:
+ *           type: string
+ *           enum: [active, returned]
+ *           description: Loan status
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     CirculationInput:
+ *       type: object
+ *       properties:
+ *         userId:
+ *           type: string
+ *           description: Librarians only - the user to check out or return for. Defaults to the current user.
+ *         barcode:
+ *           type: string
+ *           description: Checkout only - the scanned barcode of the copy to lend. Defaults to any available copy.
+ *           example: "LIB00000042"
+ *         branchId:
+ *           type: string
+ *           description: |
+ *             Checkout only, without a barcode - take a copy on the shelf of this branch.
+ *             Defaults to the librarian's own branch, otherwise any branch.
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Circulation
+ *   description: Checking out and returning book copies
+ */
+
+/**
+ * @swagger
+ * /api/loans:
+ *   get:
+ *     summary: List loans
+ *     tags: [Circulation]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: |
+ *       Returns the current user's loans. Librarians can pass userId to see another user's loans
+ *       or all=true to see every loan.
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Librarians only - filter by user id
+ *       - in: query
+ *         name: all
+ *         schema:
+ *           type: boolean
+ *         description: Librarians only - return loans of all users
+ *       - in: query
+ *         name: bookId
+ *         schema:
+ *           type: string
+ *         description: Filter by book id
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *         description: Filter by the branch of the copy at checkout
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, returned]
+ *         description: Filter by loan status
+ *       - in: query
+ *         name: overdue
+ *         schema:
+ *           type: boolean
+ *         description: Only active loans past their due date
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: "-checkoutDate"
+ *         description: Comma-separated sort fields (checkoutDate, dueDate, returnDate, status, bookTitle), prefix with "-" for descending
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: The list of loans
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                   nullable: true
+ *                 limit:
+ *                   type: integer
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
+ *                 cursors:
+ *                   $ref: '#/components/schemas/PaginationCursors'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Loan'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Only librarians can view loans of other users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', requireAuth, loansController.getLoans);
+
+module.exports = router;
@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+const { requireAuth } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SearchHit:
+ *       type: object
+ *       properties:
+ *         score:
+ *           type: number
+ *           description: Relevance score computed by MongoDB
+ *         highlights:
+ *           type: object
+ *           additionalProperties: true
+ *           description: Matching fields with the search terms wrapped in <mark> tags
+ *           example:
+ *             title: "The Great <mark>Adventure</mark>"
+ *         data:
+ *           type: object
+ *           description: The matching book or author document
+ *     SearchGroup:
+ *       type: object
+ *       properties:
+ *         count:
+ *           type: integer
+ *           description: Total number of matches of this type
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SearchHit'
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Search
+ *   description: Full-text catalog search across books and authors
+ */
+
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: Search books and authors
+ *     tags: [Search]
+ *     description: |
+ *       Relevance-ranked full-text search over book title, description, tags and publisher
+ *       and author first name, last name and biography. Supports quoted phrases ("great adventure")
+ *       and excluded terms (-poetry). Results are grouped by type.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *         description: Search terms
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           example: books,authors
+ *         description: Comma-separated result types to include (books, authors). Defaults to all.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *         description: Maximum number of results per type
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *         description: Only books with copies at this branch
+ *       - in: query
+ *         name: available
+ *         schema:
+ *           type: boolean
+ *         description: Only books with (true) or without (false) copies on the shelf, at branchId if given
+ *     responses:
+ *       200:
+ *         description: Search results grouped by type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 query:
+ *                   type: string
+ *                 total:
+ *                   type: integer
+ *                   description: Total number of matches across all types
+ *                 results:
+ *                   type: object
+ *                   properties:
+ *                     books:
+ *                       $ref: '#/components/schemas/SearchGroup'
+ *                     authors:
+ *                       $ref: '#/components/schemas/SearchGroup'
+ *       400:
+ *         description: Missing or invalid search parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', requireAuth, searchController.search);
+
+module.exports = router;
@@ -0,0 +1,566 @@
+const express = require('express');
+const router = express.Router();
+const transfersController = require('../controllers/transfersController');
+const { requireAuth, requireRole, requireScope } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Transfer:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The auto-generated id of the transfer
+ *         itemId:
+ *           type: string
+ *           description: The copy being moved
+ *         bookId:
+ *           type: string
+ *         barcode:
+ *           type: string
+ *           description: Barcode of the copy, for the transfer slip
+ *         bookTitle:
+ *           type: string
+ *           nullable: true
+ *         fromBranchId:
+ *           type: string
+ *           description: The sending branch
+ *         toBranchId:
+ *           type: string
+ *           description: The receiving branch
+ *         status:
+ *           type: string
+ *           enum: [requested, in_transit, received, cancelled]
+ *           description: |
+ *             requested - waiting for the sending branch; in_transit - shipped, the copy is off the shelf;
+ *             received - the copy belongs to the receiving branch; cancelled - the copy stays at the sending branch
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         requestedBy:
+ *           type: string
+ *           description: The librarian who requested the transfer
+ *         requestedAt:
+ *           type: string
+ *           format: date-time
+ *         shippedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         receivedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     TransferInput:
+ *       type: object
+ *       required:
+ *         - toBranchId
+ *       properties:
+ *         itemId:
+ *           type: string
+ *           description: The copy to move
+ *         barcode:
+ *           type: string
+ *           description: The copy to move, by barcode, when itemId is not given
+ *         bookId:
+ *           type: string
+ *           description: |
+ *             When neither itemId nor barcode is given - move any copy of this book that is on the shelf
+ *             at another branch and not already being transferred
+ *         fromBranchId:
+ *           type: string
+ *           description: With bookId - take the copy from this branch
+ *         toBranchId:
+ *           type: string
+ *           description: The receiving branch
+ *         notes:
+ *           type: string
+ *           maxLength: 500
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Transfers
+ *   description: Moving copies between branches
+ */
+
+/**
+ * @swagger
+ * /api/transfers:
+ *   get:
+ *     summary: List transfers
+ *     tags: [Transfers]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, requested, in_transit, received, cancelled]
+ *         description: Filter by status; open is requested or in_transit
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *         description: Transfers from or to this branch
+ *       - in: query
+ *         name: fromBranchId
+ *         schema:
+ *           type: string
+ *         description: Filter by sending branch
+ *       - in: query
+ *         name: toBranchId
+ *         schema:
+ *           type: string
+ *         description: Filter by receiving branch
+ *       - in: query
+ *         name: bookId
+ *         schema:
+ *           type: string
+ *         description: Filter by book id
+ *       - in: query
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *         description: Filter by copy id
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: "-requestedAt"
+ *         description: Comma-separated sort fields (requestedAt, shippedAt, receivedAt, status, barcode, bookTitle), prefix with "-" for descending
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: The list of transfers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                   nullable: true
+ *                 limit:
+ *                   type: integer
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
+ *                 cursors:
+ *                   $ref: '#/components/schemas/PaginationCursors'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Transfer'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Librarian or admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', requireAuth, requireRole('librarian', 'admin'), transfersController.getTransfers);
+
+/**
+ * @swagger
+ * /api/transfers:
+ *   post:
+ *     summary: Request a transfer of a copy to another branch
+ *     tags: [Transfers]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: |
+ *       Either branch can request the transfer: the sending branch offering a copy or the receiving
+ *       branch asking for one. The copy stays in circulation until the sending branch ships it.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TransferInput'
+ *     responses:
+ *       201:
+ *         description: The transfer was requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Transfer of copy LIB00000042 to EAST requested"
+ *                 data:
+ *                   $ref: '#/components/schemas/Transfer'
+ *       400:
+ *         description: Validation error, e.g. the copy is already at the receiving branch or has no branch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: |
+ *           Librarian or admin role required, the API token lacks the circulation:write scope,
+ *           or neither branch is the librarian's
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The copy, its book or the receiving branch was not found; books in the trash count as not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: |
+ *           The receiving branch is not active, the copy is lost, in transit or already has an open
+ *           transfer, or no copy of the book is on the shelf at another branch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', requireAuth, requireRole('librarian', 'admin'), requireScope('circulation:write'), transfersController.createTransfer);
+
+/**
+ * @swagger
+ * /api/transfers/{id}:
+ *   get:
+ *     summary: Get a transfer by id
+ *     tags: [Transfers]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The transfer id (MongoDB ObjectId)
+ *     responses:
+ *       200:
+ *         description: The transfer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Transfer'
+ *       400:
+ *         description: Invalid transfer ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Librarian or admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The transfer was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', requireAuth, requireRole('librarian', 'admin'), transfersController.getTransfer);
+
+/**
+ * @swagger
+ * /api/transfers/{id}/ship:
+ *   post:
+ *     summary: Ship a requested transfer
+ *     tags: [Transfers]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: |
+ *       Done by the sending branch. The copy must be on its shelf; it becomes in_transit and no longer
+ *       counts as available until it is received or the transfer is cancelled.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The transfer id (MongoDB ObjectId)
+ *     responses:
+ *       200:
+ *         description: The copy is in transit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Copy LIB00000042 is in transit"
+ *                 data:
+ *                   $ref: '#/components/schemas/Transfer'
+ *       400:
+ *         description: Invalid transfer ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: |
+ *           Librarian or admin role required, the API token lacks the circulation:write scope,
+ *           or the librarian is not staff of the sending branch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The transfer was not found, or the book of its copy is in the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The transfer is not requested, or the copy is not on the shelf at the sending branch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/ship', requireAuth, requireRole('librarian', 'admin'), requireScope('circulation:write'), transfersController.shipTransfer);
+
+/**
+ * @swagger
+ * /api/transfers/{id}/receive:
+ *   post:
+ *     summary: Receive a transfer in transit
+ *     tags: [Transfers]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: |
+ *       Done by the receiving branch. The copy now belongs to it and, like a returned copy, goes to
+ *       the next waiting hold for the book first, otherwise back on the shelf.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The transfer id (MongoDB ObjectId)
+ *     responses:
+ *       200:
+ *         description: The transfer was received
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Transfer received"
+ *                 data:
+ *                   $ref: '#/components/schemas/Transfer'
+ *       400:
+ *         description: Invalid transfer ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: |
+ *           Librarian or admin role required, the API token lacks the circulation:write scope,
+ *           or the librarian is not staff of the receiving branch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The transfer was not found, or the book of its copy is in the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The transfer is not in transit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/receive', requireAuth, requireRole('librarian', 'admin'), requireScope('circulation:write'), transfersController.receiveTransfer);
+
+/**
+ * @swagger
+ * /api/transfers/{id}/cancel:
+ *   post:
+ *     summary: Cancel an open transfer
+ *     tags: [Transfers]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: |
+ *       The copy stays at the sending branch. A copy already in transit goes back into circulation there,
+ *       to the next waiting hold first.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The transfer id (MongoDB ObjectId)
+ *     responses:
+ *       200:
+ *         description: The transfer was cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Transfer cancelled"
+ *                 data:
+ *                   $ref: '#/components/schemas/Transfer'
+ *       400:
+ *         description: Invalid transfer ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: |
+ *           Librarian or admin role required, the API token lacks the circulation:write scope,
+ *           or neither branch is the librarian's
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The transfer was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The transfer was already received or cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/cancel', requireAuth, requireRole('librarian', 'admin'), requireScope('circulation:write'), transfersController.cancelTransfer);
+
+module.exports = router;
@@ -0,0 +1,343 @@
+const express = require('express');
+const router = express.Router();
+const trashController = require('../controllers/trashController');
+const { requireAuth, requireRole, requireScope } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TrashGroup:
+ *       type: object
+ *       properties:
+ *         count:
+ *           type: integer
+ *           description: Number of documents of this type in the trash
+ *         items:
+ *           type: array
+ *           description: The most recently deleted documents first, with their main fields
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               deletedAt:
+ *                 type: string
+ *                 format: date-time
+ *               deletedBy:
+ *                 type: string
+ *                 description: Id of the user who deleted it
+ *               purgeAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: When it will be purged automatically, or null when automatic purging is off
+ *     TrashPurgeResult:
+ *       type: object
+ *       properties:
+ *         books:
+ *           type: integer
+ *           description: Books purged
+ *         authors:
+ *           type: integer
+ *           description: Authors purged
+ *         items:
+ *           type: integer
+ *           description: Copies deleted with the purged books
+ *         kept:
+ *           type: integer
+ *           description: Books left in the trash because copies are on loan, on the hold shelf or in transit
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Trash
+ *   description: Deleted books and authors, until they are restored or purged
+ */
+
+/**
+ * @swagger
+ * /api/trash:
+ *   get:
+ *     summary: List deleted books and authors (librarians and admins)
+ *     tags: [Trash]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           example: "books"
+ *         description: Comma-separated types to list (books, authors); all by default
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Maximum number of documents per type
+ *     responses:
+ *       200:
+ *         description: The trash, grouped by type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 retentionDays:
+ *                   type: integer
+ *                   description: Days before deleted documents are purged automatically (0 = never)
+ *                 total:
+ *                   type: integer
+ *                   description: Documents in the trash across the listed types
+ *                 results:
+ *                   type: object
+ *                   properties:
+ *                     books:
+ *                       $ref: '#/components/schemas/TrashGroup'
+ *                     authors:
+ *                       $ref: '#/components/schemas/TrashGroup'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Librarian or admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', requireAuth, requireRole('librarian', 'admin'), trashController.getTrash);
+
+/**
+ * @swagger
+ * /api/trash:
+ *   delete:
+ *     summary: Empty the trash (admins only)
+ *     tags: [Trash]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: |
+ *       Purges every deleted book and author for good. Purged books take their copies with them,
+ *       and their open transfers and holds are cancelled. Books with copies on loan, on the hold
+ *       shelf or in transit stay in the trash until those copies come back.
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           example: "books"
+ *         description: Comma-separated types to purge (books, authors); all by default
+ *     responses:
+ *       200:
+ *         description: The trash was emptied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Trash emptied"
+ *                 data:
+ *                   $ref: '#/components/schemas/TrashPurgeResult'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin role required, or the API token lacks the books:write or authors:write scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/', requireAuth, requireRole('admin'), requireScope('books:write'), requireScope('authors:write'), trashController.emptyTrash);
+
+/**
+ * @swagger
+ * /api/trash/books/{id}:
+ *   delete:
+ *     summary: Purge a deleted book (admins only)
+ *     tags: [Trash]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: |
+ *       Deletes the book and its copies for good and cancels their open transfers and holds.
+ *       Refused while copies are on loan, on the hold shelf or in transit.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The book id (MongoDB ObjectId)
+ *     responses:
+ *       200:
+ *         description: The book was purged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Book purged permanently"
+ *                 purged:
+ *                   type: object
+ *                   properties:
+ *                     items:
+ *                       type: integer
+ *                       description: Copies deleted with the book
+ *                 data:
+ *                   $ref: '#/components/schemas/Book'
+ *       400:
+ *         description: Invalid book ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin role required, or the API token lacks the books:write scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The book is not in the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Copies of the book are on loan, on the hold shelf or in transit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/books/:id', requireAuth, requireRole('admin'), requireScope('books:write'), trashController.purgeBook);
+
+/**
+ * @swagger
+ * /api/trash/authors/{id}:
+ *   delete:
+ *     summary: Purge a deleted author (admins only)
+ *     tags: [Trash]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: Deleted books that still name the author cannot be restored afterwards.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The author id (MongoDB ObjectId)
+ *     responses:
+ *       200:
+ *         description: The author was purged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Author purged permanently"
+ *                 data:
+ *                   $ref: '#/components/schemas/Author'
+ *       400:
+ *         description: Invalid author ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin role required, or the API token lacks the authors:write scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The author is not in the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/authors/:id', requireAuth, requireRole('admin'), requireScope('authors:write'), trashController.purgeAuthor);
+
+module.exports = router;
@@ -0,0 +1,615 @@
+const express = require('express');
+const router = express.Router();
+const finesController = require('../controllers/finesController');
+const usersController = require('../controllers/usersController');
+const { requireAuth, requireRole, requireScope } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FineEntry:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The auto-generated id of the ledger entry
+ *         userId:
+ *           type: string
+ *           description: The patron the entry belongs to
+ *         type:
+ *           type: string
+ *           enum: [charge, payment, waiver]
+ *           description: Charges increase the balance, payments and waivers reduce it
+ *         amount:
+ *           type: number
+ *           minimum: 0.01
+ *           description: Amount in currency units
+ *         loanId:
+ *           type: string
+ *           nullable: true
+ *           description: The loan a charge (or waiver) relates to
+ *         bookId:
+ *           type: string
+ *           nullable: true
+ *         description:
+ *           type: string
+ *         recordedBy:
+ *           type: string
+ *           nullable: true
+ *           description: The librarian who recorded a payment or waiver
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     FineSummary:
+ *       type: object
+ *       properties:
+ *         balance:
+ *           type: number
+ *           description: Outstanding amount (charges - payments - waivers)
+ *         charges:
+ *           type: number
+ *         payments:
+ *           type: number
+ *         waivers:
+ *           type: number
+ *         blockThreshold:
+ *           type: number
+ *           description: Balance above which checkouts are blocked
+ *         borrowingBlocked:
+ *           type: boolean
+ *     FineLedger:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         summary:
+ *           $ref: '#/components/schemas/FineSummary'
+ *         count:
+ *           type: integer
+ *         total:
+ *           type: integer
+ *         page:
+ *           type: integer
+ *           nullable: true
+ *         limit:
+ *           type: integer
+ *         links:
+ *           $ref: '#/components/schemas/PaginationLinks'
+ *         cursors:
+ *           $ref: '#/components/schemas/PaginationCursors'
+ *         data:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/FineEntry'
+ *     FineCreditInput:
+ *       type: object
+ *       required:
+ *         - amount
+ *       properties:
+ *         amount:
+ *           type: number
+ *           minimum: 0.01
+ *           description: Amount paid or waived, at most the outstanding balance
+ *         loanId:
+ *           type: string
+ *           description: Optional loan the payment or waiver relates to
+ *         description:
+ *           type: string
+ *           maxLength: 500
+ *       example:
+ *         amount: 2.5
+ *         description: "Paid in cash at the front desk"
+ *   parameters:
+ *     FineType:
+ *       in: query
+ *       name: type
+ *       schema:
+ *         type: string
+ *         enum: [charge, payment, waiver]
+ *       description: Filter ledger entries by type
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Users
+ *     description: User administration (admins only)
+ *   - name: Fines
+ *     description: Overdue fines ledger
+ */
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: List users (admins only)
+ *     tags: [Users]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [admin, librarian, patron]
+ *         description: Filter by role
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *         description: Filter by assigned branch
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: "email"
+ *         description: Comma-separated sort fields (email, lastName, firstName, role, createdAt, lastLogin), prefix with "-" for descending
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: The list of users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                   nullable: true
+ *                 limit:
+ *                   type: integer
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
+ *                 cursors:
+ *                   $ref: '#/components/schemas/PaginationCursors'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', requireAuth, requireRole('admin'), usersController.getAllUsers);
+
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *   put:
+ *     summary: Change a user's role (admins only)
+ *     tags: [Users]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The user id (MongoDB ObjectId)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, librarian, patron]
+ *     responses:
+ *       200:
+ *         description: The role was updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "User role updated to librarian"
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid user ID format or role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin role required, or the API token lacks the users:write scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The user was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Cannot demote the last admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:id/role', requireAuth, requireRole('admin'), requireScope('users:write'), usersController.updateUserRole);
+
+/**
+ * @swagger
+ * /api/users/{id}/branch:
+ *   put:
+ *     summary: Assign a user to a branch (admins only)
+ *     tags: [Users, Branches]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     description: |
+ *       Librarians assigned to a branch can only add, change and delete the copies of that branch
+ *       and take part in its transfers. Librarians without a branch manage every branch.
+ *       Signed-in API clients see the change once their access token is refreshed.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The user id (MongoDB ObjectId)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - branchId
+ *             properties:
+ *               branchId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: The branch, or null for every branch
+ *     responses:
+ *       200:
+ *         description: The branch was updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "User assigned to branch EAST"
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid user ID format or branchId
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin role required, or the API token lacks the users:write scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The user or branch was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:id/branch', requireAuth, requireRole('admin'), requireScope('users:write'), usersController.updateUserBranch);
+
+/**
+ * @swagger
+ * /api/users/me/fines:
+ *   get:
+ *     summary: Get your fines ledger
+ *     tags: [Fines]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/FineType'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Ledger entries and outstanding balance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FineLedger'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/me/fines', requireAuth, finesController.getMyFines);
+
+/**
+ * @swagger
+ * /api/users/{id}/fines:
+ *   get:
+ *     summary: Get a patron's fines ledger (librarians only)
+ *     tags: [Fines]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The user id (MongoDB ObjectId)
+ *       - $ref: '#/components/parameters/FineType'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Ledger entries and outstanding balance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FineLedger'
+ *       400:
+ *         description: Invalid user ID format or query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Only librarians can access this resource
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/fines', requireAuth, requireRole('librarian', 'admin'), finesController.getUserFines);
+
+/**
+ * @swagger
+ * /api/users/{id}/fines/payments:
+ *   post:
+ *     summary: Record a fine payment (librarians only)
+ *     tags: [Fines]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The user id (MongoDB ObjectId)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FineCreditInput'
+ *     responses:
+ *       201:
+ *         description: The payment was recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Payment recorded successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/FineEntry'
+ *                 summary:
+ *                   $ref: '#/components/schemas/FineSummary'
+ *       400:
+ *         description: Validation error or amount exceeds the outstanding balance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Only librarians can access this resource, or the API token lacks the fines:write scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The user was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/fines/payments', requireAuth, requireRole('librarian', 'admin'), requireScope('fines:write'), finesController.recordPayment);
+
+/**
+ * @swagger
+ * /api/users/{id}/fines/waivers:
+ *   post:
+ *     summary: Waive part or all of a patron's fines (librarians only)
+ *     tags: [Fines]
+ *     security:
+ *       - sessionAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The user id (MongoDB ObjectId)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FineCreditInput'
+ *     responses:
+ *       201:
+ *         description: The waiver was recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Fine waived successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/FineEntry'
+ *                 summary:
+ *                   $ref: '#/components/schemas/FineSummary'
+ *       400:
+ *         description: Validation error or amount exceeds the outstanding balance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Only librarians can access this resource, or the API token lacks the fines:write scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The user was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/fines/waivers', requireAuth, requireRole('librarian', 'admin'), requireScope('fines:write'), finesController.waiveFine);
+
+module.exports = router;
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+// Apply, revert and list the versioned migrations in migrations/.
+//
+// Usage: npm run migrate:up [-- --to=<version>]
+//        npm run migrate:down [-- --steps=<n> | --to=<version>]
+//        npm run migrate:status
+const dotenv = require('dotenv');
+dotenv.config();
+
+const { connectDB, closeDB } = require('../config/database');
+const { getMigrationStatus, migrateUp, migrateDown } = require('../services/migrations');
+
+const USAGE = `Usage: node scripts/migrate.js <up|down|status> [options]
+
+Commands:
+  up       Apply pending migrations
+  down     Revert the most recently applied migration
+  status   List applied and pending migrations
+
+Options:
+  --to=<version>   up: apply versions up to and including this one
+                   down: revert every version above this one (0 reverts all)
+  --steps=<n>      down: number of migrations to revert (default 1)
+  --help           Show this help`;
+
+const COMMANDS = ['up', 'down', 'status'];
+
+const parseInteger = (arg, name, min) => {
+  const value = Number(arg.slice(name.length + 1));
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`${name} must be an integer of at least ${min}`);
+  }
+  return value;
+};
+
+const parseArgs = (args) => {
+  const [command, ...rest] = args;
+  const options = {};
+
+  if (command === '--help' || rest.includes('--help')) {
+    return { help: true };
+  }
+  if (!COMMANDS.includes(command)) {
+    throw new Error(command ? `Unknown command: ${command}` : 'Missing command');
+  }
+
+  for (const arg of rest) {
+    if (arg.startsWith('--to=') && command !== 'status') {
+      options.to = parseInteger(arg, '--to', 0);
+    } else if (arg.startsWith('--steps=') && command === 'down') {
+      options.steps = parseInteger(arg, '--steps', 1);
+    } else {
+      throw new Error(`Unknown option for ${command}: ${arg}`);
+    }
+  }
+
+  if (options.to !== undefined && options.steps !== undefined) {
+    throw new Error('Use either --to or --steps, not both');
+  }
+
+  return { command, options };
+};
+
+const printStatus = (migrations) => {
+  if (migrations.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
+
+  const icons = { applied: '✅', pending: '⏳', missing: '❓' };
+  migrations.forEach((migration) => {
+    const appliedAt = migration.appliedAt ? ` (applied ${migration.appliedAt.toISOString()})` : '';
+    console.log(`${icons[migration.status]} ${migration.version}-${migration.name} ${migration.status}${appliedAt}`);
+    if (migration.description) {
+      console.log(`   ${migration.description}`);
+    }
+  });
+
+  const pending = migrations.filter((migration) => migration.status === 'pending').length;
+  console.log(`\n${pending} pending migration(s)`);
+};
+
+const main = async () => {
+  let parsed;
+  try {
+    parsed = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (parsed.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const { command, options } = parsed;
+
+  try {
+    await connectDB();
+
+    if (command === 'status') {
+      printStatus(await getMigrationStatus());
+    } else if (command === 'up') {
+      const applied = await migrateUp(options);
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.length} migration(s)`
+        : '✅ No pending migrations');
+    } else {
+      const reverted = await migrateDown(options);
+      console.log(reverted.length > 0
+        ? `✅ Reverted ${reverted.length} migration(s)`
+        : '✅ No migrations to revert');
+    }
+  } catch (error) {
+    console.error(`❌ Migration ${command} failed:`, error);
+    process.exitCode = 1;
+  } finally {
+    await closeDB();
+  }
+};
+
+main();
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+// Link books that carry a legacy free-text `author` string to documents in the authors collection.
+//
+// Usage: npm run migrate:book-authors -- [--dry-run] [--create-missing] [--threshold=0.8] [--force]
+const dotenv = require('dotenv');
+dotenv.config();
+
+const { connectDB, closeDB } = require('../config/database');
+const { migrateBookAuthors } = require('../services/bookAuthorMigration');
+const { DEFAULT_FUZZY_THRESHOLD } = require('../services/authorMatching');
+const { withMigrationLock } = require('../services/migrations');
+
+const USAGE = `Usage: npm run migrate:book-authors -- [options]
+
+Options:
+  --dry-run          Show what would change without writing anything
+  --create-missing   Create an author for every name without a match
+  --threshold=<n>    Minimum similarity for fuzzy matches, between 0 and 1 (default ${DEFAULT_FUZZY_THRESHOLD})
+  --force            Run again even if the migration was already applied
+  --help             Show this help`;
+
+const parseArgs = (args) => {
+  const options = { dryRun: false, createMissing: false, threshold: DEFAULT_FUZZY_THRESHOLD, force: false };
+
+  for (const arg of args) {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--create-missing') {
+      options.createMissing = true;
+    } else if (arg === '--force') {
+      options.force = true;
+    } else if (arg.startsWith('--threshold=')) {
+      const threshold = Number(arg.slice('--threshold='.length));
+      if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) {
+        throw new Error('--threshold must be a number greater than 0 and at most 1');
+      }
+      options.threshold = threshold;
+    } else if (arg === '--help') {
+      options.help = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+};
+
+const printReport = (report) => {
+  const prefix = report.dryRun ? '[dry run] ' : '';
+
+  console.log(`\n${prefix}📚 Books with a legacy author: ${report.booksScanned}`);
+  console.log(`${prefix}✅ Books ${report.dryRun ? 'to update' : 'updated'}: ${report.booksUpdated}`);
+  console.log(`${prefix}⏭️  Books skipped: ${report.booksSkipped}`);
+  if (report.booksRestored > 0) {
+    console.log(`${prefix}↩️  Of which given back the authors they had before a rollback: ${report.booksRestored}`);
+  }
+  console.log(`${prefix}🔎 Matches: ${Object.entries(report.matches).map(([method, count]) => `${method} ${count}`).join(', ')}`);
+
+  if (report.fuzzy.length > 0) {
+    console.log('\n🤏 Fuzzy matches (please review):');
+    report.fuzzy.forEach(({ name, author }) => {
+      console.log(`  "${name}" -> ${author.name} (${author._id}, score ${author.score})`);
+    });
+  }
+
+  if (report.created.length > 0) {
+    console.log(`\n➕ Authors ${report.dryRun ? 'to create' : 'created'} (flagged needsReview):`);
+    report.created.forEach(({ _id, name }) => {
+      console.log(`  ${name}${_id ? ` (${_id})` : ''}`);
+    });
+  }
+
+  if (report.ambiguous.length > 0) {
+    console.log('\n⚠️ Ambiguous names (books left unchanged):');
+    report.ambiguous.forEach(({ name, candidates, books }) => {
+      console.log(`  "${name}" in ${books.length} book(s): ${books.map((book) => book.title).join('; ')}`);
+      candidates.forEach((candidate) => {
+        console.log(`    candidate: ${candidate.name} (${candidate._id}, score ${candidate.score})`);
+      });
+    });
+  }
+
+  if (report.missing.length > 0) {
+    console.log('\n❌ Names without a matching author (books left unchanged, use --create-missing to create them):');
+    report.missing.forEach(({ name, books }) => {
+      console.log(`  "${name}" in ${books.length} book(s): ${books.map((book) => book.title).join('; ')}`);
+    });
+  }
+};
+
+const main = async () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  try {
+    await connectDB();
+    const report = await withMigrationLock(() => migrateBookAuthors(options));
+
+    if (report.alreadyApplied) {
+      console.log(`✅ Migration already applied on ${report.appliedAt.toISOString()}. Use --force to run it again.`);
+      return;
+    }
+
+    printReport(report);
+  } catch (error) {
+    console.error('❌ Book author migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await closeDB();
+  }
+};
+
+main();
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+// Load the sample authors and books in data/ into the database.
+//
+// Usage: npm run seed -- [--env=<name>] [--dry-run] [--reset]
+const dotenv = require('dotenv');
+dotenv.config();
+
+const { connectDB, closeDB } = require('../config/database');
+const { ensureIndexes } = require('../config/indexes');
+const { listFixtureSets, loadFixtureSet, seedDatabase } = require('../services/fixtures');
+
+const USAGE = `Usage: npm run seed -- [options]
+
+Options:
+  --env=<name>   Fixture set to load: data/<name>/ if it exists, otherwise data/
+                 (default: NODE_ENV, or development)
+  --dry-run      Validate and show what would change without writing anything
+  --reset        Delete every book, copy, author, loan, hold and fine before loading (refused in production)
+  --help         Show this help`;
+
+const parseArgs = (args) => {
+  const options = { env: process.env.NODE_ENV || 'development', dryRun: false, reset: false };
+
+  for (const arg of args) {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--reset') {
+      options.reset = true;
+    } else if (arg.startsWith('--env=')) {
+      options.env = arg.slice('--env='.length).trim();
+      if (!options.env) {
+        throw new Error('--env needs a name');
+      }
+    } else if (arg === '--help') {
+      options.help = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+};
+
+const printSummary = (result) => {
+  const prefix = result.dryRun ? '[dry run] ' : '';
+
+  if (result.reset) {
+    console.log(`${prefix}🗑️  ${result.dryRun ? 'Would delete' : 'Deleted'} ${result.reset.authors} author(s), ${result.reset.books} book(s) and ${result.reset.items} copies`);
+    console.log(`${prefix}🗑️  ${result.dryRun ? 'Would delete' : 'Deleted'} ${result.reset.loans} loan(s), ${result.reset.holds} hold(s) and ${result.reset.fines} fine entries`);
+  }
+
+  console.log(`\n${prefix}Summary:`);
+  console.log('  Type      Inserted  Updated  Skipped  Invalid');
+  [['Authors', result.authors], ['Books', result.books]].forEach(([label, counts]) => {
+    const cells = [counts.inserted, counts.updated, counts.skipped, counts.invalid].map((count, i) =>
+      String(count).padStart(i === 0 ? 8 : 7));
+    console.log(`  ${label.padEnd(8)}${cells.join('  ')}`);
+  });
+
+  if (result.invalid.length > 0) {
+    console.log('\n❌ Invalid records (not loaded):');
+    result.invalid.forEach(({ type, record, errors }) => {
+      console.log(`  ${type} ${record}: ${errors.join('; ')}`);
+    });
+  }
+};
+
+const main = async () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (options.help) {
+    const sets = listFixtureSets();
+    console.log(`${USAGE}\n\nFixture sets: default${sets.length > 0 ? `, ${sets.join(', ')}` : ''}`);
+    return;
+  }
+
+  if (options.reset && (options.env === 'production' || process.env.NODE_ENV === 'production')) {
+    console.error('❌ Refusing to reset a production database');
+    process.exitCode = 1;
+    return;
+  }
+
+  let fixtures;
+  try {
+    fixtures = loadFixtureSet(options.env);
+  } catch (error) {
+    console.error('❌ Could not read fixtures:', error.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await connectDB();
+    console.log(`📦 Loading fixture set "${fixtures.name}" (${fixtures.authors.length} author(s), ${fixtures.books.length} book(s))`);
+
+    // Unique ISBN and email indexes make concurrent seeding safe
+    if (!options.dryRun) {
+      await ensureIndexes();
+    }
+
+    const result = await seedDatabase(fixtures, options);
+    printSummary(result);
+
+    if (result.invalid.length > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Seeding failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await closeDB();
+  }
+};
+
+main();
@@ -9,8 +9,17 @@ const MongoStore = require('connect-mongo');
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
 const { connectDB } = require('./config/database');
+const { isJwtMode, validateAuthConfig } = require('./config/authMode');
+const { ensureIndexes } = require('./config/indexes');
+const { checkMigrationsOnStartup } = require('./services/migrations');
+const { startHoldExpiryJob } = require('./jobs/holdExpiry');
+const { startOverdueFinesJob } = require('./jobs/overdueFines');
+const { startTrashPurgeJob } = require('./jobs/trashPurge');
+const { bootstrapAdmin } = require('./services/userRoles');
 const passport = require('./config/passport');
-const { authErrorHandler } = require('./middleware/auth');
+const { authenticateBearerToken, authErrorHandler } = require('./middleware/auth');
+
+validateAuthConfig();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -28,7 +37,8 @@ const corsOptions = {
     : ['http://localhost:3000', 'http://localhost:3001', 'http://localhost:5173'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match', 'If-None-Match'],
+  exposedHeaders: ['ETag']
 };
 
 // Middleware
@@ -37,47 +47,55 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Session configuration
-const sessionStore = MongoStore.create({
-  mongoUrl: process.env.MONGODB_URI,
-  dbName: process.env.MONGO_DB,
-  collectionName: 'sessions',
-  ttl: 24 * 60 * 60 // 24 hours
-});
+// AUTH_MODE=jwt replaces the session with access and refresh tokens (see config/authMode.js)
+if (!isJwtMode()) {
+  const sessionStore = MongoStore.create({
+    mongoUrl: process.env.MONGODB_URI,
+    dbName: process.env.MONGO_DB,
+    collectionName: 'sessions',
+    ttl: 24 * 60 * 60 // 24 hours
+  });
 
-// Add session store event listeners for debugging
-sessionStore.on('connected', () => {
-  console.log('✅ Session store connected to MongoDB');
-});
+  // Add session store event listeners for debugging
+  sessionStore.on('connected', () => {
+    console.log('✅ Session store connected to MongoDB');
+  });
 
-sessionStore.on('error', (error) => {
-  console.error('❌ Session store error:', error);
-});
+  sessionStore.on('error', (error) => {
+    console.error('❌ Session store error:', error);
+  });
 
-if(process.env.SESSION_SECRET === '')
-  console.log('❌ ❌ ❌ SESSION_SECRET empty')
+  if(process.env.SESSION_SECRET === '')
+    console.log('❌ ❌ ❌ SESSION_SECRET empty')
 
-if(process.env.NODE_ENV === '')
-  console.log('❌ ❌ ❌ NODE_ENV empty')
+  app.use(session({
+    name: 'library.sid', // Custom session name
+    secret: process.env.SESSION_SECRET,
+    resave: false,
+    saveUninitialized: false,
+    store: sessionStore,
+    cookie: {
+      secure: process.env.NODE_ENV === 'production', // Use secure cookies in production
+      httpOnly: true, // Prevent XSS attacks
+      maxAge: 24 * 60 * 60 * 1000, // 24 hours
+      sameSite: 'lax' // Use 'lax' for better compatibility
+    }
 
-app.use(session({
-  name: 'library.sid', // Custom session name
-  secret: process.env.SESSION_SECRET,
-  resave: false,
-  saveUninitialized: false,
-  store: sessionStore,
-  cookie: {
-    secure: process.env.NODE_ENV === 'production', // Use secure cookies in production
-    httpOnly: true, // Prevent XSS attacks
-    maxAge: 24 * 60 * 60 * 1000, // 24 hours
-    sameSite: 'lax' // Use 'lax' for better compatibility
-  }
 
+  }));
+}
 
-}));
+if(process.env.NODE_ENV === '')
+  console.log('❌ ❌ ❌ NODE_ENV empty')
 
 // Passport middleware
 app.use(passport.initialize());
-app.use(passport.session());
+if (!isJwtMode()) {
+  app.use(passport.session());
+}
+
+// Personal API tokens (Authorization: Bearer <token>) for scripts and integrations
+app.use(authenticateBearerToken);
 
 // Swagger configuration
 // if Production uses render link
@@ -88,7 +106,7 @@ const swaggerOptions = {
     info: {
       title: 'Library Management API with OAuth Authentication',
       version: '2.0.0',
-      description: 'A comprehensive Library Management API with CRUD operations for books and authors, featuring Google OAuth authentication. POST, PUT, and DELETE operations require authentication.',
+      description: 'A comprehensive Library Management API with CRUD operations for books and authors, featuring Google OAuth authentication. Creating, updating and deleting books and authors requires the librarian or admin role.',
     },
     servers: [
       {
@@ -103,14 +121,22 @@ const swaggerOptions = {
         sessionAuth: {
           type: 'apiKey',
           in: 'cookie',
-          name: 'connect.sid',
-          description: 'Session-based authentication using Google OAuth. Login at /auth/google to authenticate.'
+          name: 'library.sid',
+          description: 'Session-based authentication. Login at /auth/google or /auth/login to authenticate.'
+        },
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'Personal API token created at POST /auth/tokens or, when AUTH_MODE=jwt, an access token from login or POST /auth/refresh, sent as "Authorization: Bearer <token>".'
         }
       }
     },
     security: [
       {
         sessionAuth: []
+      },
+      {
+        bearerAuth: []
       }
     ]
   },
@@ -128,6 +154,15 @@ app.use('/auth', require('./routes/auth'));
 // API routes
 app.use('/api/books', require('./routes/books'));
 app.use('/api/authors', require('./routes/authors'));
+app.use('/api/search', require('./routes/search'));
+app.use('/api/loans', require('./routes/loans'));
+app.use('/api/holds', require('./routes/holds'));
+app.use('/api/items', require('./routes/items'));
+app.use('/api/branches', require('./routes/branches'));
+app.use('/api/transfers', require('./routes/transfers'));
+app.use('/api/trash', require('./routes/trash'));
+app.use('/api/users', require('./routes/users'));
+app.use('/api/imports', require('./routes/imports'));
 
 app.get('/', (req, res) => {
   res.json({
@@ -135,15 +170,30 @@ app.get('/', (req, res) => {
     documentation: '/api-docs',
     authentication: {
       login: '/auth/google',
+      register: '/auth/register',
+      localLogin: '/auth/login',
       logout: '/auth/logout',
       status: '/auth/status',
-      dashboard: '/auth/dashboard'
+      dashboard: '/auth/dashboard',
+      refresh: '/auth/refresh',
+      apiTokens: '/auth/tokens'
     },
     endpoints: {
       books: '/api/books',
-      authors: '/api/authors'
+      authors: '/api/authors',
+      search: '/api/search?q=',
+      loans: '/api/loans',
+      holds: '/api/holds',
+      items: '/api/books/:id/items',
+      itemByBarcode: '/api/items/barcode/:barcode',
+      branches: '/api/branches',
+      transfers: '/api/transfers',
+      trash: '/api/trash',
+      fines: '/api/users/me/fines',
+      imports: '/api/books/import',
+      exports: '/api/books/export'
     },
-    note: 'POST, PUT, and DELETE operations require authentication'
+    note: 'Creating, updating and deleting books and authors requires the librarian or admin role'
   });
 });
 
@@ -171,6 +221,12 @@ app.use((req, res) => {
 const startServer = async () => {
   try {
     await connectDB();
+    await checkMigrationsOnStartup();
+    await ensureIndexes();
+    await bootstrapAdmin();
+    startHoldExpiryJob();
+    startOverdueFinesJob();
+    startTrashPurgeJob();
     app.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
       console.log(`API Documentation available at http://localhost:${PORT}/api-docs`);
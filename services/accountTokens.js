@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { getDB } = require('../config/database');
+
+/**
+ * Account Tokens
+ * Single-use, time-limited tokens for password resets and email verification.
+ * Only the SHA-256 hash of a token is stored; the raw token only exists in the email.
+ */
+
+const TOKEN_TYPES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification'
+};
+
+const tokensCollection = () => getDB().collection(process.env.MONGO_COLLECTION_ACCOUNT_TOKENS || 'accountTokens');
+
+/**
+ * Hash a raw token for storage and lookup
+ * @param {string} token - Raw token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Lifetime of a token type in milliseconds
+ * PASSWORD_RESET_TTL_MINUTES (default 60) and EMAIL_VERIFICATION_TTL_HOURS (default 48)
+ * @param {string} type - Token type
+ * @returns {number} Lifetime in milliseconds
+ */
+const getTokenLifetime = (type) => {
+  if (type === TOKEN_TYPES.PASSWORD_RESET) {
+    const minutes = Number(process.env.PASSWORD_RESET_TTL_MINUTES);
+    return (Number.isFinite(minutes) && minutes > 0 ? minutes : 60) * 60 * 1000;
+  }
+  const hours = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : 48) * 60 * 60 * 1000;
+};
+
+/**
+ * Issue a new token. Earlier unused tokens of the same type for the user are revoked.
+ * @param {ObjectId} userId - Owner of the token
+ * @param {string} type - One of TOKEN_TYPES
+ * @returns {Promise<Object>} { token, expiresAt }
+ */
+const issueToken = async (ownerId, type) => {
+  const userId = new ObjectId(ownerId);
+  const now = new Date();
+  await tokensCollection().updateMany(
+    { userId, type, usedAt: null },
+    { $set: { usedAt: now, revoked: true } }
+  );
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(now.getTime() + getTokenLifetime(type));
+
+  await tokensCollection().insertOne({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt,
+    usedAt: null,
+    createdAt: now
+  });
+
+  return { token, expiresAt };
+};
+
+/**
+ * Look up a token without using it
+ * @param {string} token - Raw token
+ * @param {string} type - Expected token type
+ * @returns {Promise<Object|null>} Token document if it is valid and unused
+ */
+const findValidToken = async (token, type) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+  return tokensCollection().findOne({
+    tokenHash: hashToken(token),
+    type,
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+/**
+ * Use a token. The update is atomic, so a token can only ever be consumed once.
+ * @param {string} token - Raw token
+ * @param {string} type - Expected token type
+ * @returns {Promise<Object|null>} The consumed token document, or null if invalid, expired or used
+ */
+const consumeToken = async (token, type) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+  const now = new Date();
+  return tokensCollection().findOneAndUpdate(
+    { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } }
+  );
+};
+
+module.exports = {
+  TOKEN_TYPES,
+  hashToken,
+  issueToken,
+  findValidToken,
+  consumeToken
+};
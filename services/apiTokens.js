@@ -0,0 +1,97 @@
+const { ObjectId } = require('mongodb');
+const { getDB } = require('../config/database');
+const ApiToken = require('../models/ApiToken');
+const User = require('../models/User');
+
+/**
+ * Personal API Tokens
+ * Long-lived bearer tokens that let scripts and integrations act as a user.
+ * Only the SHA-256 hash is stored; the raw token is returned once, at creation.
+ */
+
+// lastUsedAt is refreshed at most once per minute to avoid a write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const apiTokensCollection = () => getDB().collection(process.env.MONGO_COLLECTION_API_TOKENS || 'apiTokens');
+
+/**
+ * Create a token for a user
+ * @param {ApiToken} apiToken - Validated token metadata (name, scopes, expiresAt)
+ * @returns {Promise<Object>} { token, data } where token is the raw value
+ */
+const createApiToken = async (apiToken) => {
+  const token = ApiToken.generateToken();
+  apiToken.tokenHash = ApiToken.hashToken(token);
+  apiToken.tokenPrefix = token.slice(0, 12);
+
+  const result = await apiTokensCollection().insertOne(apiToken.toDatabase());
+  if (!result.insertedId) {
+    throw new Error('Failed to create API token');
+  }
+
+  const created = await apiTokensCollection().findOne({ _id: result.insertedId });
+  return { token, data: ApiToken.toSafeObject(created) };
+};
+
+/**
+ * Resolve a raw bearer token to its user
+ * @param {string} token - Raw token from the Authorization header
+ * @returns {Promise<Object|null>} { user, apiToken } or null when the token is unknown, revoked or expired,
+ *   or its owner is deactivated
+ */
+const authenticateApiToken = async (token) => {
+  if (!ApiToken.looksLikeToken(token)) {
+    return null;
+  }
+
+  const now = new Date();
+  const stored = await apiTokensCollection().findOne({
+    tokenHash: ApiToken.hashToken(token),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+  });
+  if (!stored) {
+    return null;
+  }
+
+  const user = await getDB().collection('users').findOne({ _id: stored.userId });
+  if (!user || user.isActive === false) {
+    return null;
+  }
+
+  await apiTokensCollection().updateOne(
+    {
+      _id: stored._id,
+      $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: new Date(now.getTime() - LAST_USED_RESOLUTION_MS) } }]
+    },
+    { $set: { lastUsedAt: now } }
+  );
+
+  return {
+    user: User.fromDatabase(user).toSafeObject(),
+    apiToken: ApiToken.fromDatabase(stored)
+  };
+};
+
+/**
+ * Revoke one of a user's tokens
+ * @param {ObjectId} userId - Owner of the token
+ * @param {string} id - Token id
+ * @returns {Promise<Object|null>} The revoked token, or null if the user has no such active token
+ */
+const revokeApiToken = async (userId, id) => {
+  const now = new Date();
+  const revoked = await apiTokensCollection().findOneAndUpdate(
+    { _id: new ObjectId(id), userId: new ObjectId(userId), revokedAt: null },
+    { $set: { revokedAt: now, updatedAt: now } },
+    { returnDocument: 'after' }
+  );
+  return revoked ? ApiToken.toSafeObject(revoked) : null;
+};
+
+module.exports = {
+  apiTokensCollection,
+  createApiToken,
+  authenticateApiToken,
+  revokeApiToken
+};
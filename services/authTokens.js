@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ObjectId } = require('mongodb');
+const { getDB } = require('../config/database');
+const { getJwtConfig } = require('../config/authMode');
+const User = require('../models/User');
+
+/**
+ * JWT Authentication Tokens (AUTH_MODE=jwt)
+ * Access tokens are short-lived signed JWTs carrying the user's claims, so requests are
+ * authenticated without a database lookup. Refresh tokens are opaque, stored hashed, and
+ * rotate on every use; all tokens issued from one login share a family. Presenting a refresh
+ * token that was already rotated means it leaked, so the whole family is revoked.
+ */
+
+const refreshTokensCollection = () => getDB().collection(process.env.MONGO_COLLECTION_REFRESH_TOKENS || 'refreshTokens');
+
+/**
+ * Hash a raw refresh token for storage and lookup
+ * @param {string} token - Raw token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Sign an access token for a user
+ * @param {Object} user - Safe user object
+ * @returns {string} Signed JWT
+ */
+const signAccessToken = (user) => {
+  const { secret, issuer, accessTokenTtlSeconds } = getJwtConfig();
+  return jwt.sign(
+    {
+      email: user.email,
+      displayName: user.displayName,
+      provider: user.provider,
+      role: user.role,
+      branchId: user.branchId ? user.branchId.toString() : null,
+      emailVerified: user.emailVerified
+    },
+    secret,
+    {
+      algorithm: 'HS256',
+      subject: user._id.toString(),
+      issuer,
+      expiresIn: accessTokenTtlSeconds
+    }
+  );
+};
+
+/**
+ * Verify an access token and rebuild the user from its claims
+ * @param {string} token - Signed JWT
+ * @returns {Object} User object shaped like req.user in session mode
+ * @throws {JsonWebTokenError|TokenExpiredError} When the token is invalid or expired
+ */
+const verifyAccessToken = (token) => {
+  const { secret, issuer } = getJwtConfig();
+  const payload = jwt.verify(token, secret, { algorithms: ['HS256'], issuer });
+  return {
+    _id: new ObjectId(payload.sub),
+    email: payload.email,
+    displayName: payload.displayName,
+    provider: payload.provider,
+    role: payload.role,
+    branchId: payload.branchId ? new ObjectId(payload.branchId) : null,
+    emailVerified: payload.emailVerified,
+    // Deactivated users cannot refresh, so a valid access token implies an active account
+    isActive: true
+  };
+};
+
+/**
+ * Store a new refresh token
+ * @param {ObjectId} userId - Owner of the token
+ * @param {ObjectId} familyId - Login the token belongs to
+ * @returns {Promise<Object>} { _id, token, expiresAt }
+ */
+const createRefreshToken = async (userId, familyId) => {
+  const { refreshTokenTtlMs } = getJwtConfig();
+  const now = new Date();
+  const token = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(now.getTime() + refreshTokenTtlMs);
+
+  const result = await refreshTokensCollection().insertOne({
+    userId: new ObjectId(userId),
+    familyId,
+    tokenHash: hashToken(token),
+    expiresAt,
+    usedAt: null,
+    replacedBy: null,
+    revokedAt: null,
+    createdAt: now
+  });
+
+  return { _id: result.insertedId, token, expiresAt };
+};
+
+/**
+ * Issue an access token and a refresh token for a user
+ * @param {Object} user - Safe user object
+ * @param {ObjectId} [familyId] - Existing login to continue; a new login when omitted
+ * @returns {Promise<Object>} Tokens as sent to the client, plus the new refresh token id
+ */
+const issueTokenPair = async (user, familyId = new ObjectId()) => {
+  const { accessTokenTtlSeconds } = getJwtConfig();
+  const refreshToken = await createRefreshToken(user._id, familyId);
+
+  return {
+    refreshTokenId: refreshToken._id,
+    tokens: {
+      tokenType: 'Bearer',
+      accessToken: signAccessToken(user),
+      expiresIn: accessTokenTtlSeconds,
+      refreshToken: refreshToken.token,
+      refreshTokenExpiresAt: refreshToken.expiresAt
+    }
+  };
+};
+
+/**
+ * Revoke every refresh token issued from one login
+ * @param {ObjectId} familyId - Token family
+ * @param {string} reason - Why the family was revoked
+ * @returns {Promise<void>}
+ */
+const revokeRefreshTokenFamily = async (familyId, reason) => {
+  await refreshTokensCollection().updateMany(
+    { familyId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * @param {string} token - Raw refresh token
+ * @returns {Promise<Object>} { user, tokens } on success, otherwise { error: 'invalid' | 'reused' }
+ */
+const rotateRefreshToken = async (token) => {
+  if (typeof token !== 'string' || token.length === 0) {
+    return { error: 'invalid' };
+  }
+
+  const stored = await refreshTokensCollection().findOne({ tokenHash: hashToken(token) });
+  if (!stored || stored.revokedAt) {
+    return { error: 'invalid' };
+  }
+
+  if (stored.usedAt) {
+    await revokeRefreshTokenFamily(stored.familyId, 'reuse');
+    return { error: 'reused' };
+  }
+
+  const now = new Date();
+  if (stored.expiresAt <= now) {
+    return { error: 'invalid' };
+  }
+
+  // Claim the token atomically; losing the race means it was presented twice
+  const claimed = await refreshTokensCollection().findOneAndUpdate(
+    { _id: stored._id, usedAt: null, revokedAt: null },
+    { $set: { usedAt: now } }
+  );
+  if (!claimed) {
+    await revokeRefreshTokenFamily(stored.familyId, 'reuse');
+    return { error: 'reused' };
+  }
+
+  // Reload the user so role changes and deactivation take effect on refresh
+  const user = await getDB().collection('users').findOne({ _id: stored.userId });
+  if (!user || user.isActive === false) {
+    await revokeRefreshTokenFamily(stored.familyId, 'inactive');
+    return { error: 'invalid' };
+  }
+
+  const safeUser = User.fromDatabase(user).toSafeObject();
+  const { refreshTokenId, tokens } = await issueTokenPair(safeUser, stored.familyId);
+  await refreshTokensCollection().updateOne({ _id: stored._id }, { $set: { replacedBy: refreshTokenId } });
+
+  return { user: safeUser, tokens };
+};
+
+/**
+ * Revoke the login a refresh token belongs to, e.g. on logout
+ * @param {string} token - Raw refresh token
+ * @returns {Promise<boolean>} True if the token was known
+ */
+const revokeRefreshToken = async (token) => {
+  if (typeof token !== 'string' || token.length === 0) {
+    return false;
+  }
+
+  const stored = await refreshTokensCollection().findOne({ tokenHash: hashToken(token) });
+  if (!stored) {
+    return false;
+  }
+
+  await revokeRefreshTokenFamily(stored.familyId, 'logout');
+  return true;
+};
+
+/**
+ * Revoke every refresh token of a user, e.g. after a password reset
+ * @param {ObjectId} userId - Owner of the tokens
+ * @param {string} [reason] - Stored as revokedReason
+ * @returns {Promise<void>}
+ */
+const revokeUserRefreshTokens = async (userId, reason = 'password_reset') => {
+  await refreshTokensCollection().updateMany(
+    { userId: new ObjectId(userId), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+/**
+ * Remove every stored login session of a user (AUTH_MODE=session), e.g. after a password reset
+ * @param {ObjectId} userId - User id
+ * @returns {Promise<void>}
+ */
+const destroyUserSessions = async (userId) => {
+  // connect-mongo stores the session as a JSON string containing passport.user
+  await getDB().collection('sessions').deleteMany({
+    session: { $regex: `"user":"${userId.toString()}"` }
+  });
+};
+
+module.exports = {
+  verifyAccessToken,
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserRefreshTokens,
+  destroyUserSessions
+};
@@ -0,0 +1,145 @@
+/**
+ * Author Matching
+ * Resolves free-text author names (e.g. "Jane Austen") to author documents,
+ * trying an exact match, then a case- and accent-insensitive match, then a fuzzy match.
+ */
+
+const DEFAULT_FUZZY_THRESHOLD = 0.8;
+
+// Two fuzzy candidates closer than this are considered equally likely
+const AMBIGUITY_MARGIN = 0.05;
+
+/**
+ * Full display name of an author document
+ * @param {Object} author - Author document
+ * @returns {string} "firstName lastName", without stray whitespace
+ */
+const fullName = (author) => [author.firstName, author.lastName]
+  .map((part) => (part || '').trim())
+  .filter(Boolean)
+  .join(' ');
+
+/**
+ * Normalize a name for comparison: lowercase, no accents, no punctuation, single spaces
+ * @param {string} name - Raw name
+ * @returns {string} Normalized name
+ */
+const normalizeName = (name) => String(name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]/gu, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Similarity of two normalized names between 0 and 1
+ * "Austen, Jane" is also compared as "Jane Austen"
+ * @param {string} name - Raw name from a book
+ * @param {string} candidate - Normalized author name
+ * @returns {number} Similarity score
+ */
+const nameSimilarity = (name, candidate) => {
+  const variants = [normalizeName(name)];
+  const commaParts = String(name).split(',').map((part) => part.trim()).filter(Boolean);
+  if (commaParts.length === 2) {
+    variants.push(normalizeName(`${commaParts[1]} ${commaParts[0]}`));
+  }
+
+  return Math.max(...variants.map((variant) => {
+    const longest = Math.max(variant.length, candidate.length);
+    return longest === 0 ? 0 : 1 - editDistance(variant, candidate) / longest;
+  }));
+};
+
+/**
+ * Split a legacy author string that names several people, e.g. "Neil Gaiman & Terry Pratchett"
+ * @param {string} value - Legacy author string
+ * @returns {Array<string>} Individual names
+ */
+const splitAuthorNames = (value) => String(value || '')
+  .split(/\s*[&;]\s*/)
+  .map((name) => name.trim())
+  .filter(Boolean);
+
+/**
+ * Build a matcher over a list of author documents
+ * @param {Array<Object>} authors - Author documents
+ * @param {Object} [options] - { threshold } minimum fuzzy similarity (default 0.8)
+ * @returns {Function} (name) => { status, method, author, candidates }
+ *   status is 'matched', 'ambiguous' or 'missing'; method is 'exact', 'case-insensitive' or 'fuzzy'
+ */
+const createAuthorMatcher = (authors, { threshold = DEFAULT_FUZZY_THRESHOLD } = {}) => {
+  const entries = authors.map((author) => ({
+    author,
+    name: fullName(author),
+    normalized: normalizeName(fullName(author))
+  }));
+
+  const describe = (entry, score) => ({ _id: entry.author._id, name: entry.name, score });
+
+  const resolve = (matches, method) => {
+    if (matches.length === 1) {
+      return { status: 'matched', method, author: matches[0].author, candidates: [] };
+    }
+    return { status: 'ambiguous', method, author: null, candidates: matches.map((entry) => describe(entry, 1)) };
+  };
+
+  return (name) => {
+    const trimmed = String(name || '').trim();
+
+    const exact = entries.filter((entry) => entry.name === trimmed);
+    if (exact.length > 0) {
+      return resolve(exact, 'exact');
+    }
+
+    const normalized = normalizeName(trimmed);
+    const insensitive = entries.filter((entry) => entry.normalized === normalized);
+    if (insensitive.length > 0) {
+      return resolve(insensitive, 'case-insensitive');
+    }
+
+    const scored = entries
+      .map((entry) => ({ entry, score: Math.round(nameSimilarity(trimmed, entry.normalized) * 1000) / 1000 }))
+      .filter(({ score }) => score >= threshold)
+      .sort((a, b) => b.score - a.score);
+
+    if (scored.length === 0) {
+      return { status: 'missing', method: null, author: null, candidates: [] };
+    }
+
+    const close = scored.filter(({ score }) => scored[0].score - score < AMBIGUITY_MARGIN);
+    if (close.length > 1) {
+      return { status: 'ambiguous', method: 'fuzzy', author: null, candidates: close.map(({ entry, score }) => describe(entry, score)) };
+    }
+
+    return { status: 'matched', method: 'fuzzy', author: scored[0].entry.author, candidates: [describe(scored[0].entry, scored[0].score)] };
+  };
+};
+
+module.exports = {
+  DEFAULT_FUZZY_THRESHOLD,
+  fullName,
+  normalizeName,
+  splitAuthorNames,
+  createAuthorMatcher
+};
@@ -0,0 +1,231 @@
+const { getDB } = require('../config/database');
+const { INITIAL_VERSION } = require('../utils/versioning');
+const { createAuthorMatcher, fullName, splitAuthorNames, DEFAULT_FUZZY_THRESHOLD } = require('./authorMatching');
+const { migrationsCollection } = require('./migrations');
+
+/**
+ * Book Author Migration
+ * Rewrites books that still carry a legacy free-text `author` string to use
+ * `authors: [{ authorId, role }]` references. Books whose names are ambiguous or
+ * unknown are left untouched and reported, so the migration can be re-run after fixing them.
+ * Converted books are marked with authorsMigrated, so rolling back leaves books created with
+ * references alone; a rolled-back book keeps its references in migratedAuthors until it is
+ * converted again.
+ */
+
+const MIGRATION_NAME = 'book-author-references';
+
+/**
+ * Split a name into the first and last name fields of an author
+ * @param {string} name - Full name
+ * @returns {Object} { firstName, lastName }
+ */
+const splitFullName = (name) => {
+  const parts = name.trim().split(/\s+/);
+  return parts.length === 1
+    ? { firstName: parts[0], lastName: '' }
+    : { firstName: parts.slice(0, -1).join(' '), lastName: parts[parts.length - 1] };
+};
+
+/**
+ * The legacy author string of a list of author references: the names of the authors in the
+ * 'author' role, or of everyone credited when there are none, joined with " & "
+ * @param {Array<Object>} entries - [{ authorId, role }]
+ * @param {Map<string, string>} namesById - Full names by author id
+ * @returns {string} Legacy author string
+ */
+const legacyAuthorString = (entries, namesById) => {
+  const credited = entries.filter((entry) => entry.role === 'author');
+  return (credited.length > 0 ? credited : entries)
+    .map((entry) => namesById.get(entry.authorId.toString()))
+    .filter(Boolean)
+    .join(' & ');
+};
+
+/**
+ * Add a book to the report entry of an unresolved name
+ * @param {Array<Object>} entries - report.ambiguous or report.missing
+ * @param {string} name - Unresolved name
+ * @param {Object} book - Book document
+ * @param {Array<Object>} [candidates] - Possible authors
+ */
+const reportUnresolved = (entries, name, book, candidates) => {
+  let entry = entries.find((item) => item.name === name);
+  if (!entry) {
+    entry = candidates ? { name, candidates, books: [] } : { name, books: [] };
+    entries.push(entry);
+  }
+  entry.books.push({ _id: book._id, title: book.title });
+};
+
+/**
+ * Link books with a legacy author string to author documents
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Report what would change without writing anything
+ * @param {boolean} [options.createMissing=false] - Create an author for names without a match
+ * @param {number} [options.threshold=0.8] - Minimum similarity for a fuzzy match (0-1)
+ * @param {boolean} [options.force=false] - Run even if the migration was already applied
+ * @returns {Promise<Object>} Migration report
+ */
+const migrateBookAuthors = async ({ dryRun = false, createMissing = false, threshold = DEFAULT_FUZZY_THRESHOLD, force = false } = {}) => {
+  const db = getDB();
+  const booksCollection = db.collection(process.env.MONGO_COLLECTION_BOOKS);
+  const authorsCollection = db.collection(process.env.MONGO_COLLECTION_AUTHORS);
+
+  const previous = await migrationsCollection().findOne({ name: MIGRATION_NAME, status: 'applied' });
+  if (previous && !force) {
+    return { alreadyApplied: true, appliedAt: previous.appliedAt };
+  }
+
+  const candidates = await booksCollection
+    .find({ author: { $type: 'string' }, authors: { $exists: false } }, { projection: { title: 1, author: 1, migratedAuthors: 1 } })
+    .toArray();
+  const authors = await authorsCollection
+    .find({}, { projection: { firstName: 1, lastName: 1 } })
+    .toArray();
+
+  // Rolled-back books get their references back, roles included, unless their author was edited since
+  const namesById = new Map(authors.map((author) => [author._id.toString(), fullName(author)]));
+  const isRestorable = (book) => Array.isArray(book.migratedAuthors) &&
+    book.author === legacyAuthorString(book.migratedAuthors, namesById);
+  const restorable = candidates.filter(isRestorable);
+  const books = candidates.filter((book) => !isRestorable(book));
+
+  const report = {
+    dryRun,
+    booksScanned: candidates.length,
+    booksUpdated: 0,
+    booksRestored: 0,
+    booksSkipped: 0,
+    matches: { exact: 0, 'case-insensitive': 0, fuzzy: 0, created: 0 },
+    fuzzy: [],
+    created: [],
+    ambiguous: [],
+    missing: []
+  };
+
+  let match = createAuthorMatcher(authors, { threshold });
+  const resolutions = new Map();
+  const names = [...new Set(books.flatMap((book) => splitAuthorNames(book.author)))];
+
+  for (const name of names) {
+    let result = match(name);
+
+    if (result.status === 'missing' && createMissing) {
+      const now = new Date();
+      // Created authors only carry a name; needsReview flags them for a librarian to complete
+      const newAuthor = {
+        ...splitFullName(name),
+        needsReview: true,
+        source: MIGRATION_NAME,
+        version: INITIAL_VERSION,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      if (!dryRun) {
+        const inserted = await authorsCollection.insertOne(newAuthor);
+        newAuthor._id = inserted.insertedId;
+      }
+
+      authors.push(newAuthor);
+      match = createAuthorMatcher(authors, { threshold });
+      report.created.push({ _id: newAuthor._id || null, name: fullName(newAuthor) });
+      result = { status: 'matched', method: 'created', author: newAuthor, candidates: [] };
+    } else if (result.status === 'matched' && result.method === 'fuzzy') {
+      report.fuzzy.push({ name, author: result.candidates[0] });
+    }
+
+    resolutions.set(name, result);
+  }
+
+  for (const book of restorable) {
+    if (!dryRun) {
+      const restored = await booksCollection.updateOne(
+        { _id: book._id, authors: { $exists: false } },
+        {
+          $rename: { migratedAuthors: 'authors' },
+          $set: { authorsMigrated: true, updatedAt: new Date() },
+          $unset: { author: '' },
+          $inc: { version: 1 }
+        }
+      );
+      report.booksRestored += restored.modifiedCount;
+    } else {
+      report.booksRestored++;
+    }
+  }
+  report.booksUpdated += report.booksRestored;
+
+  for (const book of books) {
+    const bookNames = splitAuthorNames(book.author);
+    const results = bookNames.map((name) => resolutions.get(name));
+    let resolved = bookNames.length > 0;
+
+    if (bookNames.length === 0) {
+      reportUnresolved(report.missing, book.author, book);
+    }
+
+    results.forEach((result, index) => {
+      if (result.status === 'ambiguous') {
+        reportUnresolved(report.ambiguous, bookNames[index], book, result.candidates);
+        resolved = false;
+      } else if (result.status === 'missing') {
+        reportUnresolved(report.missing, bookNames[index], book);
+        resolved = false;
+      }
+    });
+
+    if (!resolved) {
+      report.booksSkipped++;
+      continue;
+    }
+
+    results.forEach((result) => {
+      report.matches[result.method]++;
+    });
+
+    if (dryRun) {
+      report.booksUpdated++;
+      continue;
+    }
+
+    const updated = await booksCollection.updateOne(
+      { _id: book._id, authors: { $exists: false } },
+      {
+        $set: {
+          authors: results.map((result) => ({ authorId: result.author._id, role: 'author' })),
+          authorsMigrated: true,
+          updatedAt: new Date()
+        },
+        $unset: { author: '', migratedAuthors: '' },
+        $inc: { version: 1 }
+      }
+    );
+    report.booksUpdated += updated.modifiedCount;
+  }
+
+  if (!dryRun) {
+    // A partial run is recorded too, but only a complete one stops the migration from running again
+    await migrationsCollection().insertOne({
+      name: MIGRATION_NAME,
+      status: report.booksSkipped === 0 ? 'applied' : 'partial',
+      appliedAt: new Date(),
+      options: { createMissing, threshold },
+      summary: {
+        booksScanned: report.booksScanned,
+        booksUpdated: report.booksUpdated,
+        booksSkipped: report.booksSkipped,
+        authorsCreated: report.created.length
+      }
+    });
+  }
+
+  return report;
+};
+
+module.exports = {
+  MIGRATION_NAME,
+  legacyAuthorString,
+  migrateBookAuthors
+};
@@ -0,0 +1,169 @@
+const { ObjectId } = require('mongodb');
+const { getDB } = require('../config/database');
+const { escapeRegex } = require('../utils/bookFilters');
+const { addBranchAvailability } = require('./branches');
+
+/**
+ * Book Authors
+ * Books reference authors as { authorId, role } entries in their authors array.
+ * These helpers check the references and resolve them to author documents.
+ */
+
+const authorsCollection = () => getDB().collection(process.env.MONGO_COLLECTION_AUTHORS);
+
+/**
+ * Unique author ids of a list of author references
+ * @param {Array<Object>} authors - Book author entries
+ * @returns {Array<ObjectId>} Unique ids
+ */
+const uniqueAuthorIds = (authors) => {
+  const ids = new Map();
+  (authors || []).forEach(({ authorId }) => {
+    if (authorId && ObjectId.isValid(authorId)) {
+      ids.set(authorId.toString(), new ObjectId(authorId));
+    }
+  });
+  return [...ids.values()];
+};
+
+/**
+ * Find referenced authors that do not exist or are in the trash
+ * @param {Array<Object>} authors - Book author entries
+ * @returns {Promise<Array<string>>} Ids of the missing authors
+ */
+const findMissingAuthors = async (authors) => {
+  const ids = uniqueAuthorIds(authors);
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const found = await authorsCollection()
+    .find({ _id: { $in: ids }, deletedAt: null }, { projection: { _id: 1 } })
+    .toArray();
+  const foundIds = new Set(found.map((author) => author._id.toString()));
+
+  return ids.map((id) => id.toString()).filter((id) => !foundIds.has(id));
+};
+
+/**
+ * Ids of authors whose full name contains any of the given names (case-insensitive)
+ * @param {Array<string>} names - Name fragments
+ * @returns {Promise<Array<ObjectId>>} Matching author ids
+ */
+const findAuthorIdsByName = async (names) => {
+  if (names.length === 0) {
+    return [];
+  }
+
+  const fullName = { $concat: ['$firstName', ' ', { $ifNull: ['$lastName', ''] }] };
+  const authors = await authorsCollection()
+    .find(
+      {
+        deletedAt: null,
+        $or: names.map((name) => ({
+          $expr: { $regexMatch: { input: fullName, regex: escapeRegex(name), options: 'i' } }
+        }))
+      },
+      { projection: { _id: 1 } }
+    )
+    .toArray();
+
+  return authors.map((author) => author._id);
+};
+
+/**
+ * Embed the author documents in each entry of the books' authors arrays
+ * Authors that no longer exist or are in the trash are embedded as null
+ * @param {Array<Object>} books - Book documents
+ * @returns {Promise<Array<Object>>} Books with authors[].author populated
+ */
+const expandBookAuthors = async (books) => {
+  const ids = uniqueAuthorIds(books.flatMap((book) => book.authors || []));
+  const authors = ids.length > 0
+    ? await authorsCollection().find({ _id: { $in: ids }, deletedAt: null }).toArray()
+    : [];
+  const authorsById = new Map(authors.map((author) => [author._id.toString(), author]));
+
+  return books.map((book) => ({
+    ...book,
+    authors: (book.authors || []).map((entry) => ({
+      ...entry,
+      author: authorsById.get(entry.authorId.toString()) || null
+    }))
+  }));
+};
+
+/**
+ * Apply the requested expansions to book documents and add their per-branch availability
+ * @param {Array<Object>} books - Book documents
+ * @param {Array<string>} expand - Options parsed by parseBookExpand
+ * @returns {Promise<Array<Object>>} Books ready to send
+ */
+const presentBooks = async (books, expand) => {
+  const expanded = expand.includes('authors') ? await expandBookAuthors(books) : books;
+  return addBranchAvailability(expanded);
+};
+
+/**
+ * Catalog statistics for one author, over every live book they are linked to in any role
+ * @param {ObjectId} authorId - Author id
+ * @returns {Promise<Object>} { titles, totalCopies, copiesOnLoan, genres, publicationYears: { first, last } }
+ */
+const getAuthorStats = async (authorId) => {
+  const booksCollection = getDB().collection(process.env.MONGO_COLLECTION_BOOKS);
+
+  // publishedDate is normally a YYYY-MM-DD string, but older documents may hold a Date
+  const publicationYear = {
+    $cond: [
+      { $eq: [{ $type: '$publishedDate' }, 'date'] },
+      { $year: '$publishedDate' },
+      { $convert: { input: { $substrBytes: [{ $ifNull: ['$publishedDate', ''] }, 0, 4] }, to: 'int', onError: null, onNull: null } }
+    ]
+  };
+
+  const [summary] = await booksCollection.aggregate([
+    { $match: { 'authors.authorId': authorId, deletedAt: null } },
+    {
+      $group: {
+        _id: null,
+        titles: { $sum: 1 },
+        totalCopies: { $sum: { $ifNull: ['$totalCopies', 0] } },
+        genres: { $addToSet: '$genre' },
+        firstYear: { $min: publicationYear },
+        lastYear: { $max: publicationYear },
+        bookIds: { $push: '$_id' }
+      }
+    }
+  ]).toArray();
+
+  if (!summary) {
+    return {
+      titles: 0,
+      totalCopies: 0,
+      copiesOnLoan: 0,
+      genres: [],
+      publicationYears: { first: null, last: null }
+    };
+  }
+
+  const copiesOnLoan = await getDB().collection(process.env.MONGO_COLLECTION_LOANS || 'loans').countDocuments({
+    bookId: { $in: summary.bookIds },
+    status: 'active'
+  });
+
+  return {
+    titles: summary.titles,
+    totalCopies: summary.totalCopies,
+    copiesOnLoan,
+    genres: summary.genres.filter(Boolean).sort((a, b) => a.localeCompare(b)),
+    publicationYears: { first: summary.firstYear, last: summary.lastYear }
+  };
+};
+
+module.exports = {
+  findMissingAuthors,
+  findAuthorIdsByName,
+  expandBookAuthors,
+  presentBooks,
+  getAuthorStats
+};
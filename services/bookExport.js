@@ -0,0 +1,286 @@
+const { getDB } = require('../config/database');
+const { formatCsvRow } = require('../utils/csv');
+const { MARCXML_HEADER, MARCXML_FOOTER, toIso2709, toMarcXml } = require('../utils/marc');
+const { fullName } = require('./authorMatching');
+const { expandBookAuthors } = require('./bookAuthors');
+
+/**
+ * Book Export
+ * Streams the books matching a catalog filter as CSV, JSON Lines, MARC21 (ISO 2709 or
+ * MARCXML) or BibTeX. Books are read from a cursor in batches so the whole catalog is
+ * never held in memory; each batch's authors are looked up together.
+ */
+
+const EXPORT_BATCH_SIZE = 100;
+
+const CSV_COLUMNS = ['id', 'title', 'authors', 'isbn', 'publishedDate', 'genre', 'publisher', 'description', 'pages', 'language', 'tags', 'availableCopies', 'totalCopies'];
+
+// MARC21 language codes for the language names books are usually stored with
+const MARC_LANGUAGE_CODES = {
+  english: 'eng',
+  spanish: 'spa',
+  french: 'fre',
+  german: 'ger',
+  italian: 'ita',
+  portuguese: 'por',
+  russian: 'rus',
+  japanese: 'jpn',
+  chinese: 'chi',
+  korean: 'kor',
+  arabic: 'ara',
+  dutch: 'dut',
+  latin: 'lat'
+};
+
+const booksCollection = () => getDB().collection(process.env.MONGO_COLLECTION_BOOKS);
+
+/**
+ * Book authors that still exist, with their names
+ * @param {Object} book - Book with expanded authors
+ * @returns {Array<Object>} [{ author, name, role }]
+ */
+const namedAuthors = (book) => book.authors
+  .filter((entry) => entry.author)
+  .map((entry) => ({ author: entry.author, name: fullName(entry.author), role: entry.role }));
+
+/**
+ * "Last, First" form of an author's name used by MARC and BibTeX
+ * @param {Object} author - Author document
+ * @returns {string} Inverted name
+ */
+const invertedName = (author) => {
+  return author.lastName && author.firstName ? `${author.lastName}, ${author.firstName}` : fullName(author);
+};
+
+const publicationYear = (book) => {
+  const match = /^\d{4}/.exec(book.publishedDate instanceof Date ? book.publishedDate.toISOString() : String(book.publishedDate || ''));
+  return match ? match[0] : null;
+};
+
+const plainIsbn = (isbn) => String(isbn || '').replace(/[-\s]/g, '');
+
+const toCsv = (book) => formatCsvRow([
+  book._id,
+  book.title,
+  namedAuthors(book).map((entry) => entry.name).join('; '),
+  book.isbn,
+  book.publishedDate instanceof Date ? book.publishedDate.toISOString().slice(0, 10) : book.publishedDate,
+  book.genre,
+  book.publisher,
+  book.description,
+  book.pages,
+  book.language,
+  (book.tags || []).join('; '),
+  book.availableCopies,
+  book.totalCopies
+]);
+
+/**
+ * Build a MARC21 bibliographic record for a book
+ * @param {Object} book - Book with expanded authors
+ * @returns {Object} { leader, fields } as expected by utils/marc
+ */
+const toMarcRecord = (book) => {
+  const year = publicationYear(book);
+  const language = String(book.language || '').trim().toLowerCase();
+  const languageCode = MARC_LANGUAGE_CODES[language] || (/^[a-z]{3}$/.test(language) ? language : 'und');
+  const created = book.createdAt instanceof Date ? book.createdAt : new Date();
+  const updated = book.updatedAt instanceof Date ? book.updatedAt : created;
+
+  // 008: date entered, single known date, place unknown, language, other positions blank
+  const fixedData = created.toISOString().slice(2, 10).replace(/-/g, '')
+    + (year ? `s${year}` : 'nuuuu')
+    + '    xx '
+    + ' '.repeat(17)
+    + languageCode
+    + ' d';
+
+  const fields = [
+    { tag: '001', value: book._id.toString() },
+    { tag: '005', value: updated.toISOString().replace(/[-:T]/g, '').slice(0, 14) + '.0' },
+    { tag: '008', value: fixedData }
+  ];
+
+  if (book.isbn) {
+    fields.push({ tag: '020', ind1: ' ', ind2: ' ', subfields: [['a', book.isbn13 || plainIsbn(book.isbn)]] });
+  }
+
+  const authors = namedAuthors(book);
+  const mainEntry = authors.find((entry) => entry.role === 'author');
+  if (mainEntry) {
+    fields.push({ tag: '100', ind1: '1', ind2: ' ', subfields: [['a', `${invertedName(mainEntry.author)},`], ['e', 'author.']] });
+  }
+
+  fields.push({ tag: '245', ind1: mainEntry ? '1' : '0', ind2: '0', subfields: [['a', book.title || '']] });
+
+  const publication = [];
+  if (book.publisher) {
+    publication.push(['b', book.publisher]);
+  }
+  if (year) {
+    publication.push(['c', year]);
+  }
+  if (publication.length > 0) {
+    fields.push({ tag: '264', ind1: ' ', ind2: '1', subfields: publication });
+  }
+
+  if (book.pages) {
+    fields.push({ tag: '300', ind1: ' ', ind2: ' ', subfields: [['a', `${book.pages} pages`]] });
+  }
+  if (book.description) {
+    fields.push({ tag: '520', ind1: ' ', ind2: ' ', subfields: [['a', book.description]] });
+  }
+  if (book.genre) {
+    fields.push({ tag: '655', ind1: ' ', ind2: '4', subfields: [['a', book.genre]] });
+  }
+
+  authors.filter((entry) => entry !== mainEntry).forEach((entry) => {
+    fields.push({ tag: '700', ind1: '1', ind2: ' ', subfields: [['a', `${invertedName(entry.author)},`], ['e', `${entry.role}.`]] });
+  });
+
+  return { leader: '00000nam a2200000 i 4500', fields };
+};
+
+/**
+ * Escape text for a BibTeX field value
+ * @param {*} value - Raw value
+ * @returns {string} Escaped value
+ */
+const escapeBibtex = (value) => String(value)
+  .replace(/\\/g, '\\textbackslash{}')
+  .replace(/([{}&%$#_])/g, '\\$1')
+  .replace(/~/g, '\\textasciitilde{}')
+  .replace(/\^/g, '\\textasciicircum{}')
+  .replace(/\s+/g, ' ');
+
+/**
+ * Citation key such as "austen1813pride", made unique within one export
+ * @param {Object} book - Book with expanded authors
+ * @param {Set<string>} usedKeys - Keys already written
+ * @returns {string} Citation key
+ */
+const citationKey = (book, usedKeys) => {
+  const ascii = (value) => String(value || '').normalize('NFD').replace(/[^A-Za-z0-9]/g, '').toLowerCase();
+  const [firstAuthor] = namedAuthors(book);
+  const firstWord = String(book.title || '').split(/\s+/)
+    .map(ascii)
+    .find((word) => word.length > 3 && !['the', 'and', 'with', 'from'].includes(word));
+  const base = [firstAuthor ? ascii(firstAuthor.author.lastName || firstAuthor.name) : 'book', publicationYear(book), firstWord]
+    .filter(Boolean)
+    .join('') || book._id.toString();
+
+  let key = base;
+  for (let suffix = 0; usedKeys.has(key); suffix++) {
+    key = base + String.fromCharCode(97 + (suffix % 26)).repeat(Math.floor(suffix / 26) + 1);
+  }
+  usedKeys.add(key);
+  return key;
+};
+
+const toBibtex = (book, usedKeys) => {
+  const authors = namedAuthors(book);
+  const namesFor = (roles) => authors
+    .filter((entry) => roles.includes(entry.role))
+    .map((entry) => invertedName(entry.author))
+    .join(' and ');
+
+  const entries = [
+    ['author', namesFor(['author'])],
+    ['editor', namesFor(['editor'])],
+    ['title', book.title],
+    ['publisher', book.publisher],
+    ['year', publicationYear(book)],
+    ['isbn', book.isbn],
+    ['pagetotal', book.pages],
+    ['language', book.language]
+  ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+  const body = entries.map(([name, value]) => `  ${name} = {${escapeBibtex(value)}}`).join(',\n');
+  return `@book{${citationKey(book, usedKeys)},\n${body}\n}\n\n`;
+};
+
+/**
+ * Export formats: content type, file extension, and how to write the start, each book and the end
+ * Writers receive the book with expanded authors, a per-export state object and the stored book.
+ */
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: () => formatCsvRow(CSV_COLUMNS),
+    write: (book) => toCsv(book)
+  },
+  jsonl: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'jsonl',
+    write: (book, state, stored) => JSON.stringify(state.expandAuthors ? book : stored) + '\n'
+  },
+  marc: {
+    contentType: 'application/marc',
+    extension: 'mrc',
+    write: (book) => toIso2709(toMarcRecord(book))
+  },
+  marcxml: {
+    contentType: 'application/marcxml+xml; charset=utf-8',
+    extension: 'xml',
+    header: () => MARCXML_HEADER,
+    write: (book) => toMarcXml(toMarcRecord(book)),
+    footer: () => MARCXML_FOOTER
+  },
+  bibtex: {
+    contentType: 'application/x-bibtex; charset=utf-8',
+    extension: 'bib',
+    write: (book, state) => toBibtex(book, state.usedKeys)
+  }
+};
+
+/**
+ * Generate the export file chunk by chunk
+ * The cursor is closed when the consumer stops early, e.g. when the client disconnects.
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object} filter - MongoDB filter built by buildBookFilter
+ * @param {Object} [options] - { sort, expandAuthors } where sort is [field, direction] pairs
+ * @returns {AsyncGenerator<string|Buffer>} Chunks of the file
+ */
+async function* exportBooks(format, filter, { sort = [['title', 1], ['_id', 1]], expandAuthors = false } = {}) {
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  const writer = EXPORT_FORMATS[format];
+  const state = { expandAuthors, usedKeys: new Set() };
+  const cursor = booksCollection().find(filter).sort(sort).batchSize(EXPORT_BATCH_SIZE);
+
+  const writeBatch = async (batch) => {
+    const books = await expandBookAuthors(batch);
+    return books.map((book, index) => writer.write(book, state, batch[index]));
+  };
+
+  try {
+    if (writer.header) {
+      yield writer.header();
+    }
+
+    let batch = [];
+    for await (const book of cursor) {
+      batch.push(book);
+      if (batch.length === EXPORT_BATCH_SIZE) {
+        yield* await writeBatch(batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      yield* await writeBatch(batch);
+    }
+
+    if (writer.footer) {
+      yield writer.footer();
+    }
+  } finally {
+    await cursor.close();
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportBooks
+};
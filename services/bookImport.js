@@ -0,0 +1,447 @@
+const path = require('path');
+const { ObjectId } = require('mongodb');
+const { getDB } = require('../config/database');
+const Book = require('../models/Book');
+const { parseCsv } = require('../utils/csv');
+const { isDuplicateKeyError } = require('../utils/mongoErrors');
+const { INITIAL_VERSION } = require('../utils/versioning');
+const { createAuthorMatcher, splitAuthorNames } = require('./authorMatching');
+const { findMissingAuthors } = require('./bookAuthors');
+const { MAX_NEW_COPIES, itemsCollection, prepareItems, countCopies, insertItems, addCopies, removeAvailableCopies, isHeldOnlyByOtherBranches } = require('./bookItems');
+const { allocateCopy } = require('./holdQueue');
+
+/**
+ * Book Import
+ * Imports books from CSV or JSON files. Every row is validated on its own, so a bad
+ * row is reported without rejecting the rest of the file. Files with more than
+ * IMPORT_SYNC_MAX_ROWS rows (default 100) are processed in the background; the import
+ * document in the imports collection tracks progress and the per-row error report.
+ */
+
+const DEFAULT_SYNC_MAX_ROWS = 100;
+const PROGRESS_INTERVAL_ROWS = 25;
+const MAX_REPORTED_ERRORS = 1000;
+// An import whose progress has not been saved for this long was interrupted by a restart
+const STALE_IMPORT_MS = 10 * 60 * 1000;
+
+const IMPORT_FIELDS = ['title', 'authors', 'authorId', 'isbn', 'publishedDate', 'genre', 'publisher', 'description', 'pages', 'language', 'tags', 'totalCopies'];
+
+// Column names recognized without an explicit mapping, compared lowercase without punctuation
+const COLUMN_ALIASES = {
+  title: ['title', 'booktitle'],
+  authors: ['author', 'authors', 'authorname', 'authornames'],
+  authorId: ['authorid', 'authorids'],
+  isbn: ['isbn', 'isbn13', 'isbn10'],
+  publishedDate: ['publisheddate', 'publicationdate', 'published', 'pubdate'],
+  genre: ['genre', 'category'],
+  publisher: ['publisher', 'imprint'],
+  description: ['description', 'summary', 'synopsis'],
+  pages: ['pages', 'pagecount', 'numberofpages'],
+  language: ['language', 'lang'],
+  tags: ['tags', 'tag', 'keywords', 'subjects'],
+  totalCopies: ['totalcopies', 'copies', 'quantity']
+};
+
+const importsCollection = () => getDB().collection(process.env.MONGO_COLLECTION_IMPORTS || 'imports');
+const booksCollection = () => getDB().collection(process.env.MONGO_COLLECTION_BOOKS);
+
+const getSyncMaxRows = () => {
+  const rows = parseInt(process.env.IMPORT_SYNC_MAX_ROWS, 10);
+  return Number.isInteger(rows) && rows >= 0 ? rows : DEFAULT_SYNC_MAX_ROWS;
+};
+
+const normalizeColumn = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Parse an uploaded file into records
+ * @param {Object} file - Uploaded file: { originalname, mimetype, buffer }
+ * @returns {Object} { format, columns, records }
+ * @throws {Error} When the file type is unsupported or the content cannot be parsed
+ */
+const parseImportFile = (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  const text = file.buffer.toString('utf8');
+
+  if (extension === '.json' || file.mimetype === 'application/json') {
+    const parsed = JSON.parse(text);
+    const records = Array.isArray(parsed) ? parsed : parsed && parsed.books;
+    if (!Array.isArray(records)) {
+      throw new Error('A JSON import must be an array of books or an object with a "books" array');
+    }
+    const columns = [...new Set(records.flatMap((record) =>
+      record && typeof record === 'object' && !Array.isArray(record) ? Object.keys(record) : []))];
+    return { format: 'json', columns, records };
+  }
+
+  if (extension === '.csv' || ['text/csv', 'application/vnd.ms-excel'].includes(file.mimetype)) {
+    const { headers, records } = parseCsv(text);
+    return { format: 'csv', columns: headers, records };
+  }
+
+  throw new Error('Only .csv and .json files can be imported');
+};
+
+/**
+ * Map file columns to book fields: explicit mappings first, then well-known column names
+ * @param {Array<string>} columns - Column names found in the file
+ * @param {Object} [custom] - { "<column>": "<field>" }; map a column to null to ignore it
+ * @returns {Object} { mapping, ignored, errors }
+ */
+const buildColumnMapping = (columns, custom = {}) => {
+  const errors = [];
+  const mapping = {};
+
+  Object.entries(custom).forEach(([column, field]) => {
+    if (!columns.includes(column)) {
+      errors.push(`Column "${column}" does not exist in the file`);
+    } else if (field !== null && !IMPORT_FIELDS.includes(field)) {
+      errors.push(`Column "${column}" cannot be mapped to "${field}". Fields: ${IMPORT_FIELDS.join(', ')}`);
+    } else if (field !== null) {
+      mapping[column] = field;
+    }
+  });
+
+  columns
+    .filter((column) => !(column in custom))
+    .forEach((column) => {
+      const normalized = normalizeColumn(column);
+      const field = IMPORT_FIELDS.find((name) => COLUMN_ALIASES[name].includes(normalized));
+      if (field && !Object.values(mapping).includes(field)) {
+        mapping[column] = field;
+      }
+    });
+
+  const mappedFields = Object.values(mapping);
+  const repeated = mappedFields.find((field, index) => mappedFields.indexOf(field) !== index);
+  if (repeated) {
+    errors.push(`More than one column is mapped to "${repeated}"`);
+  }
+
+  ['title', 'isbn'].forEach((field) => {
+    if (!mappedFields.includes(field)) {
+      errors.push(`No column is mapped to "${field}"`);
+    }
+  });
+  if (!mappedFields.includes('authors') && !mappedFields.includes('authorId')) {
+    errors.push('No column is mapped to "authors" or "authorId"');
+  }
+
+  return {
+    mapping,
+    ignored: columns.filter((column) => !(column in mapping)),
+    errors
+  };
+};
+
+/**
+ * Build book data from one record of the file
+ * @param {Object} record - Parsed record
+ * @param {Object} mapping - Column mapping from buildColumnMapping
+ * @param {Function} match - Author name matcher
+ * @returns {Object} { data, errors }
+ */
+const recordToBook = (record, mapping, match) => {
+  const errors = [];
+  const data = {};
+
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { data, errors: ['Row must be an object'] };
+  }
+
+  Object.entries(mapping).forEach(([column, field]) => {
+    const value = record[column];
+    if (value !== undefined && value !== null && value !== '') {
+      data[field] = value;
+    }
+  });
+
+  ['pages', 'totalCopies'].forEach((field) => {
+    if (typeof data[field] === 'string') {
+      data[field] = Number(data[field]);
+    }
+  });
+  // Spreadsheet cells and JSON values may hold numbers where text is expected, e.g. the title 1984
+  [...Book.TEXT_FIELDS, 'publishedDate'].forEach((field) => {
+    if (typeof data[field] === 'number') {
+      data[field] = String(data[field]);
+    }
+  });
+
+  // A CSV cell lists tags separated by ; or , while JSON files may hold an array
+  if (typeof data.tags === 'string') {
+    data.tags = data.tags.split(/[;,]/).map((tag) => tag.trim()).filter(Boolean);
+  }
+
+  const authors = [];
+
+  if (data.authorId !== undefined) {
+    const ids = Array.isArray(data.authorId) ? data.authorId : String(data.authorId).split(/[;,]/);
+    ids.map((id) => String(id).trim()).filter(Boolean).forEach((authorId) => {
+      authors.push({ authorId, role: 'author' });
+    });
+  }
+
+  // JSON files may already hold { authorId, role } entries; names are resolved to authors
+  const entries = Array.isArray(data.authors) ? data.authors : splitAuthorNames(data.authors);
+  entries.forEach((entry) => {
+    if (entry && typeof entry === 'object') {
+      authors.push({ authorId: entry.authorId, role: entry.role || 'author' });
+      return;
+    }
+    const result = match(String(entry));
+    if (result.status === 'matched') {
+      authors.push({ authorId: result.author._id.toString(), role: 'author' });
+    } else {
+      errors.push(result.status === 'ambiguous'
+        ? `Author name is ambiguous: ${entry}`
+        : `Author not found: ${entry}`);
+    }
+  });
+
+  delete data.authorId;
+  data.authors = authors;
+  return { data, errors };
+};
+
+/**
+ * Insert or update the book of one row
+ * @param {Object} data - Book data from recordToBook
+ * @param {Object} options - { upsert: update a book with the same ISBN instead of reporting it,
+ *   branchId: branch of the copies; with a branch, totalCopies counts the copies at that branch only,
+ *   staffBranchId: branch of the librarian importing, who cannot update books only other branches hold }
+ * @param {Array<string>} [authorErrors] - Author names of the row that could not be resolved
+ * @returns {Promise<string>} 'inserted' or 'updated'
+ * @throws {Error} With the row errors in error.details when the row cannot be imported
+ */
+const importBook = async (data, { upsert, branchId = null, staffBranchId = null }, authorErrors = []) => {
+  const fail = (errors) => Object.assign(new Error('Row rejected'), { details: errors });
+
+  const book = new Book(data);
+
+  // Unresolved names explain an empty authors list better than the generic validation message
+  const { errors } = book.validate();
+  const rowErrors = authorErrors.length > 0
+    ? [...authorErrors, ...errors.filter((error) => !error.startsWith('At least one author'))]
+    : errors;
+  if (rowErrors.length > 0) {
+    throw fail(rowErrors);
+  }
+
+  const missing = await findMissingAuthors(book.authors);
+  if (missing.length > 0) {
+    throw fail(missing.map((id) => `Author not found: ${id}`));
+  }
+
+  const existing = await booksCollection().findOne({ isbn13: book.isbn13 });
+  if (existing && existing.deletedAt) {
+    throw fail(['A deleted book with this ISBN is in the trash; restore or purge it first']);
+  }
+  if (!existing) {
+    // Each copy becomes an item with a generated barcode
+    const bookId = new ObjectId();
+    const copies = data.totalCopies !== undefined ? Number(data.totalCopies) : 1;
+    if (copies > MAX_NEW_COPIES) {
+      throw fail([`A book can be created with at most ${MAX_NEW_COPIES} copies`]);
+    }
+    const { items } = await prepareItems(bookId, Array.from({ length: copies }, () => ({})), { branchId });
+    Object.assign(book, countCopies(items));
+    try {
+      await booksCollection().insertOne({ _id: bookId, ...book.toDatabase(), version: INITIAL_VERSION });
+    } catch (error) {
+      if (isDuplicateKeyError(error, 'isbn13')) {
+        throw fail(['Book with this ISBN already exists']);
+      }
+      throw error;
+    }
+    try {
+      await insertItems(items, { adjustCounts: false });
+    } catch (error) {
+      await booksCollection().deleteOne({ _id: bookId });
+      await itemsCollection().deleteMany({ bookId });
+      throw error;
+    }
+    return 'inserted';
+  }
+
+  if (!upsert) {
+    throw fail(['Book with this ISBN already exists']);
+  }
+  if (staffBranchId && await isHeldOnlyByOtherBranches(existing._id, staffBranchId)) {
+    throw fail(['Only other branches hold copies of this book']);
+  }
+
+  // totalCopies adds copies, or removes copies that are on the shelf
+  const branchFilter = branchId ? { branchId: new ObjectId(branchId) } : {};
+  const held = branchId
+    ? await itemsCollection().countDocuments({ bookId: existing._id, ...branchFilter, status: { $ne: 'lost' } })
+    : existing.totalCopies || 0;
+  const delta = data.totalCopies !== undefined ? Number(data.totalCopies) - held : 0;
+  if (delta > MAX_NEW_COPIES) {
+    throw fail([`At most ${MAX_NEW_COPIES} copies can be added to a book at once`]);
+  }
+  if (delta < 0) {
+    const available = await itemsCollection().countDocuments({ bookId: existing._id, ...branchFilter, status: 'available' });
+    if (available < -delta) {
+      throw fail([branchId
+        ? `Total copies cannot be lower than the ${held - available} copies at the branch that are not on the shelf`
+        : `Total copies cannot be lower than the ${held - available} copies that are not on the shelf`]);
+    }
+  }
+
+  const fields = book.toDatabase();
+  ['availableCopies', 'totalCopies', 'createdAt'].forEach((field) => delete fields[field]);
+  await booksCollection().updateOne({ _id: existing._id }, { $set: fields, $unset: { author: '' }, $inc: { version: 1 } });
+
+  if (delta > 0) {
+    // New copies go to waiting holds first, like returned ones
+    const added = await addCopies(existing._id, delta, { branchId });
+    for (const item of added) {
+      await allocateCopy(existing._id, new Date(), { itemId: item._id });
+    }
+  } else if (delta < 0) {
+    await removeAvailableCopies(existing._id, -delta, { branchId });
+  }
+  return 'updated';
+};
+
+/**
+ * Create an import document
+ * @param {Object} details - { fileName, format, mapping, ignoredColumns, upsert, branchId, totalRows, createdBy }
+ * @returns {Promise<Object>} The import document
+ */
+const createImport = async (details) => {
+  const now = new Date();
+  const job = {
+    ...details,
+    status: 'pending',
+    processedRows: 0,
+    inserted: 0,
+    updated: 0,
+    failed: 0,
+    errors: [],
+    errorsTruncated: false,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    completedAt: null
+  };
+  const result = await importsCollection().insertOne(job);
+  return { ...job, _id: result.insertedId };
+};
+
+/**
+ * Import every record, saving progress on the import document as it goes
+ * @param {ObjectId} importId - Import document id
+ * @param {Array<Object>} records - Parsed records
+ * @param {Object} options - { mapping, upsert, branchId, staffBranchId }
+ * @returns {Promise<Object>} The finished import document
+ */
+const runImport = async (importId, records, { mapping, upsert, branchId, staffBranchId }) => {
+  const progress = { processedRows: 0, inserted: 0, updated: 0, failed: 0, errors: [], errorsTruncated: false };
+  const save = (fields = {}) => importsCollection().updateOne(
+    { _id: importId },
+    { $set: { ...progress, ...fields, updatedAt: new Date() } }
+  );
+
+  try {
+    await save({ status: 'processing', startedAt: new Date() });
+
+    const authors = await getDB().collection(process.env.MONGO_COLLECTION_AUTHORS)
+      .find({ deletedAt: null }, { projection: { firstName: 1, lastName: 1 } })
+      .toArray();
+    const match = createAuthorMatcher(authors);
+
+    for (const [index, record] of records.entries()) {
+      let data = {};
+      try {
+        const parsed = recordToBook(record, mapping, match);
+        data = parsed.data;
+        progress[await importBook(data, { upsert, branchId, staffBranchId }, parsed.errors)]++;
+      } catch (error) {
+        // An unexpected error fails its row rather than the rest of the file
+        if (!error.details) {
+          console.error(`Error importing row ${index + 1}:`, error);
+        }
+        progress.failed++;
+        if (progress.errors.length < MAX_REPORTED_ERRORS) {
+          // Rows are numbered from 1; in a CSV file row 1 is the line after the header
+          progress.errors.push({
+            row: index + 1,
+            isbn: typeof data.isbn === 'string' ? data.isbn : null,
+            errors: error.details || [`Row could not be imported: ${error.message}`]
+          });
+        } else {
+          progress.errorsTruncated = true;
+        }
+      }
+
+      progress.processedRows++;
+      if (progress.processedRows % PROGRESS_INTERVAL_ROWS === 0) {
+        await save();
+      }
+    }
+
+    await save({ status: 'completed', completedAt: new Date() });
+  } catch (error) {
+    console.error('Error running book import:', error);
+    await save({ status: 'failed', error: error.message, completedAt: new Date() });
+  }
+
+  return importsCollection().findOne({ _id: importId });
+};
+
+/**
+ * Start an import; small files finish before this returns, large ones continue in the background
+ * @param {Object} details - Fields for createImport
+ * @param {Array<Object>} records - Parsed records
+ * @param {Object} [caller] - { staffBranchId: branch of the librarian importing, if any }
+ * @returns {Promise<Object>} { background, data } where data is the import document
+ */
+const startImport = async (details, records, { staffBranchId = null } = {}) => {
+  const job = await createImport({ ...details, totalRows: records.length });
+  const options = { mapping: details.mapping, upsert: details.upsert, branchId: details.branchId, staffBranchId };
+
+  if (records.length <= getSyncMaxRows()) {
+    return { background: false, data: await runImport(job._id, records, options) };
+  }
+
+  // runImport records its own failures; this only catches one it could not save
+  runImport(job._id, records, options).catch((error) => {
+    console.error('Error saving book import failure:', error);
+  });
+  return { background: true, data: job };
+};
+
+/**
+ * Find an import, marking it failed if it stopped making progress
+ * @param {ObjectId} id - Import id
+ * @returns {Promise<Object|null>} The import document
+ */
+const getImport = async (id) => {
+  const job = await importsCollection().findOne({ _id: new ObjectId(id) });
+  if (!job || !['pending', 'processing'].includes(job.status)) {
+    return job;
+  }
+
+  const staleBefore = new Date(Date.now() - STALE_IMPORT_MS);
+  if (job.updatedAt >= staleBefore) {
+    return job;
+  }
+
+  const now = new Date();
+  const failed = await importsCollection().findOneAndUpdate(
+    { _id: job._id, status: job.status, updatedAt: { $lt: staleBefore } },
+    { $set: { status: 'failed', error: 'The import was interrupted before it finished', completedAt: now, updatedAt: now } },
+    { returnDocument: 'after' }
+  );
+  return failed || importsCollection().findOne({ _id: job._id });
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  parseImportFile,
+  buildColumnMapping,
+  startImport,
+  getImport
+};
@@ -0,0 +1,248 @@
+const { ObjectId } = require('mongodb');
+const { getDB } = require('../config/database');
+const Item = require('../models/Item');
+const { findMissingBranches } = require('./branches');
+
+/**
+ * Book Items
+ * Each physical copy of a book is an item with its own barcode. The availableCopies and
+ * totalCopies counters of a book are derived from its items: every status change goes
+ * through transitionItem, which adjusts the counters from the status the item had before
+ * the change, so concurrent changes never leave them out of step.
+ */
+
+const BARCODE_PREFIX = 'LIB';
+const BARCODE_DIGITS = 8;
+// Most copies one request or import row may add to a book
+const MAX_NEW_COPIES = 500;
+
+const itemsCollection = () => getDB().collection(process.env.MONGO_COLLECTION_ITEMS || 'items');
+const countersCollection = () => getDB().collection(process.env.MONGO_COLLECTION_COUNTERS || 'counters');
+const booksCollection = () => getDB().collection(process.env.MONGO_COLLECTION_BOOKS);
+
+/**
+ * Reserve a run of generated barcodes such as LIB00000042
+ * @param {number} count - Number of barcodes needed
+ * @returns {Promise<Array<string>>} Barcodes, never handed out before
+ */
+const nextBarcodes = async (count) => {
+  if (count <= 0) {
+    return [];
+  }
+
+  const counter = await countersCollection().findOneAndUpdate(
+    { _id: 'itemBarcode' },
+    { $inc: { seq: count } },
+    { upsert: true, returnDocument: 'after' }
+  );
+  const first = counter.seq - count + 1;
+  return Array.from({ length: count }, (_, index) => `${BARCODE_PREFIX}${String(first + index).padStart(BARCODE_DIGITS, '0')}`);
+};
+
+/**
+ * Counter changes caused by items moving between statuses
+ * @param {Array<Array>} changes - [fromStatus, toStatus] pairs; null for an item added or removed
+ * @returns {Object} $inc document, empty when nothing changes
+ */
+const copyCountChanges = (changes) => {
+  const inc = { availableCopies: 0, totalCopies: 0 };
+  changes.forEach(([from, to]) => {
+    inc.availableCopies += (to === 'available' ? 1 : 0) - (from === 'available' ? 1 : 0);
+    inc.totalCopies += (to && Item.isHeld(to) ? 1 : 0) - (from && Item.isHeld(from) ? 1 : 0);
+  });
+  return Object.fromEntries(Object.entries(inc).filter(([, value]) => value !== 0));
+};
+
+const adjustCopyCounts = async (bookId, changes) => {
+  const inc = copyCountChanges(changes);
+  if (Object.keys(inc).length === 0) {
+    return;
+  }
+  await booksCollection().updateOne({ _id: bookId }, { $inc: inc, $set: { updatedAt: new Date() } });
+};
+
+/**
+ * Build and validate new items for a book, generating the barcodes that were left out
+ * @param {ObjectId} bookId - Book the copies belong to
+ * @param {Array<Object>} itemsData - Item fields sent by the client
+ * @param {Object} [options] - { branchId: branch of the copies that do not name one }
+ * @returns {Promise<Object>} { items, errors } with errors prefixed by the item index
+ */
+const prepareItems = async (bookId, itemsData, { branchId = null } = {}) => {
+  const missing = itemsData.filter((data) => !data || data.barcode === undefined || data.barcode === '').length;
+  const generated = await nextBarcodes(missing);
+  const errors = [];
+  const seen = new Set();
+
+  const items = itemsData.map((data, index) => {
+    const fields = data && typeof data === 'object' ? data : {};
+    const item = new Item({
+      ...fields,
+      bookId,
+      branchId: fields.branchId === undefined ? branchId : fields.branchId,
+      barcode: fields.barcode === undefined || fields.barcode === '' ? generated.shift() : fields.barcode
+    });
+
+    const validation = Item.validateItem({ ...fields, bookId, branchId: item.branchId, barcode: item.barcode });
+    validation.errors.forEach((error) => errors.push(`items[${index}]: ${error}`));
+    if (fields.status !== undefined && !Item.MANUAL_STATUSES.includes(fields.status)) {
+      errors.push(`items[${index}]: New copies can only be ${Item.MANUAL_STATUSES.join(', ')}`);
+    }
+    if (seen.has(item.barcode)) {
+      errors.push(`items[${index}]: Barcode ${item.barcode} is listed more than once`);
+    }
+    seen.add(item.barcode);
+    return item;
+  });
+
+  const missingBranches = await findMissingBranches(items.map((item) => item.branchId));
+  missingBranches.forEach((id) => errors.push(`Branch ${id} not found`));
+
+  return { items, errors };
+};
+
+/**
+ * Copy counters of a set of new items, for a book inserted together with them
+ * @param {Array<Item>} items - Prepared items
+ * @returns {Object} { availableCopies, totalCopies }
+ */
+const countCopies = (items) => ({
+  availableCopies: items.filter((item) => item.status === 'available').length,
+  totalCopies: items.filter((item) => Item.isHeld(item.status)).length
+});
+
+/**
+ * Insert prepared items
+ * @param {Array<Item>} items - Items from prepareItems, all of the same book
+ * @param {Object} [options] - { adjustCounts: false when the book was inserted with countCopies }
+ * @returns {Promise<Array<Object>>} Inserted item documents
+ * @throws {Error} Duplicate key error when a barcode is already in use
+ */
+const insertItems = async (items, { adjustCounts = true } = {}) => {
+  if (items.length === 0) {
+    return [];
+  }
+
+  const documents = items.map((item) => item.toDatabase());
+  await itemsCollection().insertMany(documents);
+  if (adjustCounts) {
+    await adjustCopyCounts(documents[0].bookId, documents.map((item) => [null, item.status]));
+  }
+  return documents;
+};
+
+/**
+ * Add copies with generated barcodes to a book
+ * @param {ObjectId} bookId - Book id
+ * @param {number} count - Number of copies
+ * @param {Object} [options] - { branchId: branch the copies are added to }
+ * @returns {Promise<Array<Object>>} Inserted item documents
+ */
+const addCopies = async (bookId, count, { branchId = null } = {}) => {
+  const { items } = await prepareItems(bookId, Array.from({ length: count }, () => ({})), { branchId });
+  return insertItems(items);
+};
+
+/**
+ * Remove available copies of a book, newest first
+ * @param {ObjectId} bookId - Book id
+ * @param {number} count - Number of copies to remove
+ * @param {Object} [options] - { branchId: only remove copies of this branch }
+ * @returns {Promise<number>} Copies removed, fewer than count when not enough were available
+ */
+const removeAvailableCopies = async (bookId, count, { branchId } = {}) => {
+  const filter = { bookId, status: 'available' };
+  if (branchId) {
+    filter.branchId = new ObjectId(branchId);
+  }
+
+  let removed = 0;
+  while (removed < count) {
+    const item = await itemsCollection().findOneAndDelete(
+      filter,
+      { sort: { createdAt: -1, _id: -1 } }
+    );
+    if (!item) {
+      break;
+    }
+    await adjustCopyCounts(bookId, [[item.status, null]]);
+    removed++;
+  }
+  return removed;
+};
+
+/**
+ * Atomically move the first item matching a filter to another status
+ * @param {Object} filter - Item filter, including the statuses the change is allowed from
+ * @param {string} status - New status
+ * @param {Object} [fields] - Other fields to set with the status
+ * @returns {Promise<Object|null>} The updated item, or null if no item matched
+ */
+const transitionItem = async (filter, status, fields = {}) => {
+  const now = new Date();
+  const before = await itemsCollection().findOneAndUpdate(
+    filter,
+    { $set: { ...fields, status, updatedAt: now } },
+    { sort: { createdAt: 1, _id: 1 }, returnDocument: 'before' }
+  );
+  if (!before) {
+    return null;
+  }
+
+  await adjustCopyCounts(before.bookId, [[before.status, status]]);
+  return { ...before, ...fields, status, updatedAt: now };
+};
+
+/**
+ * Delete an item and update its book's counters
+ * @param {Object} filter - Item filter, including the statuses deletion is allowed from
+ * @returns {Promise<Object|null>} The deleted item, or null if no item matched
+ */
+const deleteItem = async (filter) => {
+  const item = await itemsCollection().findOneAndDelete(filter);
+  if (item) {
+    await adjustCopyCounts(item.bookId, [[item.status, null]]);
+  }
+  return item;
+};
+
+/**
+ * Check whether a book has copies and none of them is at a branch
+ * @param {ObjectId} bookId - Book id
+ * @param {ObjectId|string} branchId - Branch id
+ * @returns {Promise<boolean>} True when only other branches hold copies of the book
+ */
+const isHeldOnlyByOtherBranches = async (bookId, branchId) => {
+  const [anyCopy, ownCopy] = await Promise.all([
+    itemsCollection().findOne({ bookId }, { projection: { _id: 1 } }),
+    itemsCollection().findOne({ bookId, branchId: new ObjectId(branchId) }, { projection: { _id: 1 } })
+  ]);
+  return !!anyCopy && !ownCopy;
+};
+
+/**
+ * Recompute the copy counters of a book from its items
+ * @param {ObjectId} bookId - Book id
+ * @returns {Promise<Object>} { availableCopies, totalCopies }
+ */
+const recountCopies = async (bookId) => {
+  const items = await itemsCollection().find({ bookId }, { projection: { status: 1 } }).toArray();
+  const counts = countCopies(items);
+  await booksCollection().updateOne({ _id: bookId }, { $set: counts });
+  return counts;
+};
+
+module.exports = {
+  MAX_NEW_COPIES,
+  itemsCollection,
+  nextBarcodes,
+  prepareItems,
+  countCopies,
+  insertItems,
+  addCopies,
+  removeAvailableCopies,
+  transitionItem,
+  deleteItem,
+  isHeldOnlyByOtherBranches,
+  recountCopies
+};
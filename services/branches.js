@@ -0,0 +1,128 @@
+const { ObjectId } = require('mongodb');
+const { getDB } = require('../config/database');
+
+/**
+ * Branches
+ * Every copy of a book (item) and every loan belongs to a branch. These helpers resolve
+ * branch references, find the books held at a branch for the catalog filters and add the
+ * per-branch availability to book responses. Copies without a branch are reported under
+ * a null branch so the counts always add up to the book's counters.
+ */
+
+const branchesCollection = () => getDB().collection(process.env.MONGO_COLLECTION_BRANCHES || 'branches');
+const transfersCollection = () => getDB().collection(process.env.MONGO_COLLECTION_TRANSFERS || 'transfers');
+const itemsCollection = () => getDB().collection(process.env.MONGO_COLLECTION_ITEMS || 'items');
+
+/**
+ * Find referenced branches that do not exist
+ * @param {Array<ObjectId|string>} ids - Branch ids, duplicates and nulls allowed
+ * @returns {Promise<Array<string>>} Ids of the missing branches
+ */
+const findMissingBranches = async (ids) => {
+  const unique = [...new Set(ids.filter(Boolean).map((id) => id.toString()))].filter((id) => ObjectId.isValid(id));
+  if (unique.length === 0) {
+    return [];
+  }
+
+  const found = await branchesCollection()
+    .find({ _id: { $in: unique.map((id) => new ObjectId(id)) } }, { projection: { _id: 1 } })
+    .toArray();
+  const foundIds = new Set(found.map((branch) => branch._id.toString()));
+
+  return unique.filter((id) => !foundIds.has(id));
+};
+
+/**
+ * Ids of the books with copies at a branch, for the branchId catalog filter
+ * @param {string} branchId - Branch id from the query
+ * @param {string} [available] - 'true' for books with a copy on the shelf there,
+ *   'false' for books with copies there but none on the shelf
+ * @returns {Promise<Array<ObjectId>>} Book ids, empty for an invalid branch id
+ */
+const findBookIdsAtBranch = async (branchId, available) => {
+  if (!ObjectId.isValid(branchId)) {
+    return [];
+  }
+
+  const filter = { branchId: new ObjectId(branchId), status: { $ne: 'lost' } };
+  if (available === 'true') {
+    return itemsCollection().distinct('bookId', { ...filter, status: 'available' });
+  }
+
+  const held = await itemsCollection().distinct('bookId', filter);
+  if (available !== 'false') {
+    return held;
+  }
+  const onShelf = new Set((await itemsCollection().distinct('bookId', { ...filter, status: 'available' }))
+    .map((id) => id.toString()));
+  return held.filter((id) => !onShelf.has(id.toString()));
+};
+
+/**
+ * Add the copies of each book per branch as book.branches
+ * @param {Array<Object>} books - Book documents
+ * @returns {Promise<Array<Object>>} Books with branches: [{ branchId, code, name, availableCopies, totalCopies }]
+ */
+const addBranchAvailability = async (books) => {
+  if (books.length === 0) {
+    return books;
+  }
+
+  const items = await itemsCollection()
+    .find(
+      { bookId: { $in: books.map((book) => book._id) }, status: { $ne: 'lost' } },
+      { projection: { bookId: 1, branchId: 1, status: 1 } }
+    )
+    .toArray();
+
+  const branchIds = [...new Set(items.filter((item) => item.branchId).map((item) => item.branchId.toString()))];
+  const branches = branchIds.length > 0
+    ? await branchesCollection()
+      .find({ _id: { $in: branchIds.map((id) => new ObjectId(id)) } }, { projection: { code: 1, name: 1 } })
+      .toArray()
+    : [];
+  const branchesById = new Map(branches.map((branch) => [branch._id.toString(), branch]));
+
+  const counts = new Map();
+  items.forEach((item) => {
+    const key = `${item.bookId}:${item.branchId || ''}`;
+    if (!counts.has(key)) {
+      const branch = item.branchId ? branchesById.get(item.branchId.toString()) : null;
+      counts.set(key, {
+        bookId: item.bookId.toString(),
+        entry: {
+          branchId: item.branchId || null,
+          code: branch ? branch.code : null,
+          name: branch ? branch.name : null,
+          availableCopies: 0,
+          totalCopies: 0
+        }
+      });
+    }
+    const { entry } = counts.get(key);
+    entry.totalCopies++;
+    if (item.status === 'available') {
+      entry.availableCopies++;
+    }
+  });
+
+  const byBook = new Map();
+  counts.forEach(({ bookId, entry }) => {
+    byBook.set(bookId, [...(byBook.get(bookId) || []), entry]);
+  });
+
+  // Branches by code, copies without a branch last
+  return books.map((book) => ({
+    ...book,
+    branches: (byBook.get(book._id.toString()) || [])
+      .sort((a, b) => (a.code === null) - (b.code === null) || String(a.code).localeCompare(String(b.code)))
+  }));
+};
+
+module.exports = {
+  branchesCollection,
+  transfersCollection,
+  findMissingBranches,
+  findBookIdsAtBranch,
+  addBranchAvailability
+};
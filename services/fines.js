@@ -0,0 +1,168 @@
+const { getDB } = require('../config/database');
+const Fine = require('../models/Fine');
+
+/**
+ * Fines
+ * Overdue fine assessment and the per-patron fines ledger.
+ * Rates are configured through environment variables, in currency units:
+ * FINE_DAILY_RATE (default 0.25), FINE_MAX_PER_LOAN (default 10.00) and
+ * FINE_BLOCK_THRESHOLD (default 5.00).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const finesCollection = () => getDB().collection(process.env.MONGO_COLLECTION_FINES || 'fines');
+const loansCollection = () => getDB().collection(process.env.MONGO_COLLECTION_LOANS || 'loans');
+
+/**
+ * Read a non-negative amount from an environment variable
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value used when the variable is missing or invalid
+ * @returns {number} Amount
+ */
+const amountFromEnv = (name, defaultValue) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) && value >= 0
+    ? value
+    : defaultValue;
+};
+
+/**
+ * Current fine settings
+ * @returns {Object} { dailyRate, maxPerLoan, blockThreshold }
+ */
+const getFineConfig = () => ({
+  dailyRate: amountFromEnv('FINE_DAILY_RATE', 0.25),
+  maxPerLoan: amountFromEnv('FINE_MAX_PER_LOAN', 10),
+  blockThreshold: amountFromEnv('FINE_BLOCK_THRESHOLD', 5)
+});
+
+/**
+ * Total fine owed for a loan at a point in time.
+ * Every started day past the due date counts as a full day, up to the per-loan cap.
+ * @param {Object} loan - Loan document
+ * @param {Date} asOf - Point in time (return date or now)
+ * @returns {number} Fine amount
+ */
+const calculateLoanFine = (loan, asOf) => {
+  const { dailyRate, maxPerLoan } = getFineConfig();
+  const lateMs = new Date(asOf) - new Date(loan.dueDate);
+  if (lateMs <= 0) {
+    return 0;
+  }
+  const daysLate = Math.ceil(lateMs / DAY_MS);
+  return Fine.roundAmount(Math.min(daysLate * dailyRate, maxPerLoan));
+};
+
+/**
+ * Charge whatever part of a loan's fine has not been charged yet.
+ * The loan's fineAccrued is only moved forward if nobody else charged it meanwhile,
+ * so concurrent runs cannot charge the same days twice.
+ * @param {Object} loan - Loan document
+ * @param {Date} asOf - Point in time (return date or now)
+ * @returns {Promise<Object|null>} The ledger entry created, if any
+ */
+const assessLoanFine = async (loan, asOf = new Date()) => {
+  const total = calculateLoanFine(loan, asOf);
+  const alreadyCharged = loan.fineAccrued || 0;
+  const amount = Fine.roundAmount(total - alreadyCharged);
+
+  if (amount <= 0) {
+    return null;
+  }
+
+  const claimed = await loansCollection().updateOne(
+    { _id: loan._id, fineAccrued: alreadyCharged === 0 ? { $in: [0, null] } : alreadyCharged },
+    { $set: { fineAccrued: total, overdue: true, updatedAt: new Date() } }
+  );
+
+  if (claimed.modifiedCount !== 1) {
+    return null;
+  }
+
+  const daysLate = Math.ceil((new Date(asOf) - new Date(loan.dueDate)) / DAY_MS);
+  const charge = new Fine({
+    userId: loan.userId,
+    type: 'charge',
+    amount,
+    loanId: loan._id,
+    bookId: loan.bookId,
+    description: `Overdue fine for "${loan.bookTitle}" (${daysLate} day${daysLate === 1 ? '' : 's'} late)`
+  });
+
+  const entry = charge.toDatabase();
+  await finesCollection().insertOne(entry);
+  return entry;
+};
+
+/**
+ * Mark every active loan past its due date as overdue and charge its fine
+ * @returns {Promise<Object>} { overdue, charged }
+ */
+const processOverdueLoans = async () => {
+  const now = new Date();
+  const cursor = loansCollection().find({ status: 'active', dueDate: { $lt: now } });
+  let overdue = 0;
+  let charged = 0;
+
+  for await (const loan of cursor) {
+    overdue++;
+    if (!loan.overdue) {
+      await loansCollection().updateOne({ _id: loan._id }, { $set: { overdue: true, updatedAt: now } });
+    }
+    if (await assessLoanFine(loan, now)) {
+      charged++;
+    }
+  }
+
+  return { overdue, charged };
+};
+
+/**
+ * Outstanding balance of a patron
+ * @param {ObjectId} userId - Patron id
+ * @returns {Promise<Object>} { balance, charges, payments, waivers }
+ */
+const getBalance = async (userId) => {
+  const totals = await finesCollection().aggregate([
+    { $match: { userId } },
+    { $group: { _id: '$type', total: { $sum: '$amount' } } }
+  ]).toArray();
+
+  const byType = Object.fromEntries(Fine.ENTRY_TYPES.map((type) => [type, 0]));
+  for (const { _id, total } of totals) {
+    byType[_id] = Fine.roundAmount(total);
+  }
+
+  return {
+    balance: Fine.roundAmount(byType.charge - byType.payment - byType.waiver),
+    charges: byType.charge,
+    payments: byType.payment,
+    waivers: byType.waiver
+  };
+};
+
+/**
+ * Whether outstanding fines stop a patron from borrowing
+ * @param {ObjectId} userId - Patron id
+ * @returns {Promise<Object>} { blocked, balance, threshold }
+ */
+const checkBorrowingBlock = async (userId) => {
+  const { blockThreshold } = getFineConfig();
+  const { balance } = await getBalance(userId);
+  return {
+    blocked: balance > blockThreshold,
+    balance,
+    threshold: blockThreshold
+  };
+};
+
+module.exports = {
+  finesCollection,
+  getFineConfig,
+  calculateLoanFine,
+  assessLoanFine,
+  processOverdueLoans,
+  getBalance,
+  checkBorrowingBlock
+};
@@ -0,0 +1,339 @@
+const fs = require('fs');
+const path = require('path');
+const { ObjectId } = require('mongodb');
+const { getDB } = require('../config/database');
+const Author = require('../models/Author');
+const Book = require('../models/Book');
+const { INITIAL_VERSION } = require('../utils/versioning');
+const { createAuthorMatcher, splitAuthorNames } = require('./authorMatching');
+const { itemsCollection, addCopies } = require('./bookItems');
+const { transfersCollection } = require('./branches');
+const { finesCollection } = require('./fines');
+const { holdsCollection } = require('./holdQueue');
+const { revisionsCollection } = require('./revisions');
+
+/**
+ * Fixtures
+ * Loads the sample authors and books in data/ into the database.
+ * data/authors.json and data/books.json are the default set; a directory such as
+ * data/test/ holding the same two files is used instead for that environment.
+ * Authors are upserted by email and books by ISBN, so loading twice changes nothing.
+ * A new book gets totalCopies copies (default 1) with generated barcodes.
+ */
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'data');
+
+// Timestamps and circulation counters are owned by the database, not by the fixtures
+const IGNORED_ON_UPDATE = ['createdAt', 'updatedAt', 'availableCopies', 'totalCopies'];
+
+const loansCollection = () => getDB().collection(process.env.MONGO_COLLECTION_LOANS || 'loans');
+
+/**
+ * Read a JSON array from a fixture file
+ * @param {string} file - Absolute path
+ * @returns {Array<Object>} Records
+ * @throws {Error} When the file does not hold a JSON array
+ */
+const readFixtureFile = (file) => {
+  const records = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(records)) {
+    throw new Error(`${path.relative(process.cwd(), file)} must contain a JSON array`);
+  }
+  return records;
+};
+
+/**
+ * Names of the per-environment fixture sets (subdirectories of data/)
+ * @returns {Array<string>} Set names
+ */
+const listFixtureSets = () => fs.readdirSync(FIXTURES_DIR, { withFileTypes: true })
+  .filter((entry) => entry.isDirectory())
+  .map((entry) => entry.name)
+  .sort();
+
+/**
+ * Load the fixture set for an environment, falling back to the default set in data/
+ * @param {string} environment - Environment name, e.g. development or test
+ * @returns {Object} { name, directory, authors, books }
+ */
+const loadFixtureSet = (environment) => {
+  const envDirectory = path.join(FIXTURES_DIR, environment);
+  const useEnvSet = /^[\w-]+$/.test(environment) && fs.existsSync(envDirectory);
+  const directory = useEnvSet ? envDirectory : FIXTURES_DIR;
+
+  const read = (file) => {
+    const fullPath = path.join(directory, file);
+    return fs.existsSync(fullPath) ? readFixtureFile(fullPath) : [];
+  };
+
+  return {
+    name: useEnvSet ? environment : 'default',
+    directory,
+    authors: read('authors.json'),
+    books: read('books.json')
+  };
+};
+
+/**
+ * Check whether saving a document would change the stored one
+ * @param {Object} existing - Stored document
+ * @param {Object} document - Document built from the fixture
+ * @returns {boolean} True if any field differs
+ */
+const hasChanges = (existing, document) => Object.keys(document)
+  .filter((field) => !IGNORED_ON_UPDATE.includes(field))
+  // The driver stores undefined fields as null
+  .some((field) => JSON.stringify(existing[field] ?? null) !== JSON.stringify(document[field] ?? null));
+
+/**
+ * Fields to $set when updating an existing document from a fixture
+ * @param {Object} document - Document built from the fixture
+ * @returns {Object} Fields to set
+ */
+const updatableFields = (document) => Object.fromEntries(
+  Object.entries(document).filter(([field]) => !IGNORED_ON_UPDATE.includes(field))
+);
+
+const emptyCounts = () => ({ inserted: 0, updated: 0, skipped: 0, invalid: 0 });
+
+/**
+ * Resolve the authors of a book fixture to { authorId, role } entries.
+ * A fixture lists either a legacy `author` name string, or `authors` entries
+ * identifying each author by `email`, `name` or `authorId`.
+ * @param {Object} record - Book fixture
+ * @param {Map<string, Object>} authorsByEmail - Known authors by email
+ * @param {Function} match - (name) => result of a createAuthorMatcher matcher
+ * @returns {Object} { authors, errors }
+ */
+const resolveBookAuthors = (record, authorsByEmail, match) => {
+  const errors = [];
+
+  const byName = (name, role) => {
+    const result = match(name);
+    if (result.status === 'matched') {
+      return { authorId: result.author._id, role };
+    }
+    errors.push(result.status === 'ambiguous'
+      ? `Author name is ambiguous: ${name}`
+      : `Author not found: ${name}`);
+    return null;
+  };
+
+  if (!Array.isArray(record.authors)) {
+    const names = splitAuthorNames(record.author);
+    return { authors: names.map((name) => byName(name, 'author')).filter(Boolean), errors };
+  }
+
+  const authors = record.authors.map((entry) => {
+    const role = (entry && entry.role) || 'author';
+    if (entry && entry.email) {
+      const author = authorsByEmail.get(entry.email);
+      if (!author) {
+        errors.push(`Author not found: ${entry.email}`);
+        return null;
+      }
+      return { authorId: author._id, role };
+    }
+    if (entry && entry.name) {
+      return byName(entry.name, role);
+    }
+    return entry;
+  }).filter(Boolean);
+
+  return { authors, errors };
+};
+
+/**
+ * Upsert the authors of a fixture set by email
+ * @param {Array<Object>} records - Author fixtures
+ * @param {Object} options - { dryRun, empty: treat the collection as empty }
+ * @returns {Promise<Object>} { counts, invalid, authors } where authors are the stored (or would-be) documents
+ */
+const seedAuthors = async (records, { dryRun, empty }) => {
+  const collection = getDB().collection(process.env.MONGO_COLLECTION_AUTHORS);
+  const counts = emptyCounts();
+  const invalid = [];
+  const seen = new Set();
+  const authors = [];
+
+  for (const [index, record] of records.entries()) {
+    const label = (record && record.email) || `#${index + 1}`;
+    const author = new Author(record || {});
+    const { isValid, errors } = author.validate();
+
+    if (isValid && seen.has(author.email)) {
+      errors.push('Email is listed more than once in the fixtures');
+    }
+    if (errors.length > 0) {
+      counts.invalid++;
+      invalid.push({ record: label, errors });
+      continue;
+    }
+    seen.add(author.email);
+
+    const document = author.toDatabase();
+    const existing = empty ? null : await collection.findOne({ email: author.email });
+
+    if (!existing) {
+      const inserted = dryRun ? { insertedId: new ObjectId() } : await collection.insertOne({ ...document, version: INITIAL_VERSION });
+      authors.push({ ...document, _id: inserted.insertedId });
+      counts.inserted++;
+    } else if (hasChanges(existing, document) || existing.deletedAt) {
+      // Fixture authors in the trash are restored
+      if (!dryRun) {
+        await collection.updateOne(
+          { _id: existing._id },
+          { $set: updatableFields(document), $unset: { deletedAt: '', deletedBy: '' }, $inc: { version: 1 } }
+        );
+      }
+      authors.push({ ...existing, ...document, _id: existing._id });
+      counts.updated++;
+    } else {
+      authors.push(existing);
+      counts.skipped++;
+    }
+  }
+
+  return { counts, invalid, authors };
+};
+
+/**
+ * Upsert the books of a fixture set by ISBN, linking them to authors
+ * @param {Array<Object>} records - Book fixtures
+ * @param {Array<Object>} seededAuthors - Authors of the same fixture set, matched by name first
+ * @param {Array<Object>} otherAuthors - Other stored authors books may refer to
+ * @param {Object} options - { dryRun, empty: treat the collection as empty }
+ * @returns {Promise<Object>} { counts, invalid }
+ */
+const seedBooks = async (records, seededAuthors, otherAuthors, { dryRun, empty }) => {
+  const collection = getDB().collection(process.env.MONGO_COLLECTION_BOOKS);
+  const counts = emptyCounts();
+  const invalid = [];
+  const seen = new Set();
+  const knownAuthors = [...otherAuthors, ...seededAuthors];
+  const authorsByEmail = new Map(knownAuthors.filter((author) => author.email).map((author) => [author.email, author]));
+  const matchSeeded = createAuthorMatcher(seededAuthors);
+  const matchOther = createAuthorMatcher(otherAuthors);
+  const match = (name) => {
+    const result = matchSeeded(name);
+    return result.status === 'missing' ? matchOther(name) : result;
+  };
+
+  for (const [index, record] of records.entries()) {
+    const label = (record && (record.isbn || record.title)) || `#${index + 1}`;
+    const { authors, errors: authorErrors } = resolveBookAuthors(record || {}, authorsByEmail, match);
+    const data = { ...record, authors };
+    delete data.author;
+    const book = new Book(data);
+    const { errors } = book.validate();
+
+    // Report unresolved names instead of the generic "at least one author" message they cause
+    const allErrors = authorErrors.length > 0
+      ? [...authorErrors, ...errors.filter((error) => !error.startsWith('At least one author'))]
+      : errors;
+    if (allErrors.length === 0 && seen.has(book.isbn13)) {
+      allErrors.push('ISBN is listed more than once in the fixtures');
+    }
+    if (allErrors.length > 0) {
+      counts.invalid++;
+      invalid.push({ record: label, errors: allErrors });
+      continue;
+    }
+    seen.add(book.isbn13);
+
+    const document = book.toDatabase();
+    const existing = empty ? null : await collection.findOne({ isbn13: book.isbn13 });
+
+    if (!existing) {
+      if (!dryRun) {
+        const copies = record.totalCopies !== undefined ? Number(record.totalCopies) : 1;
+        const inserted = await collection.insertOne({ ...document, availableCopies: 0, totalCopies: 0, version: INITIAL_VERSION });
+        await addCopies(inserted.insertedId, copies);
+      }
+      counts.inserted++;
+    } else if (hasChanges(existing, document) || existing.author !== undefined || existing.deletedAt) {
+      // Fixture books in the trash are restored
+      if (!dryRun) {
+        await collection.updateOne(
+          { _id: existing._id },
+          { $set: updatableFields(document), $unset: { author: '', deletedAt: '', deletedBy: '' }, $inc: { version: 1 } }
+        );
+      }
+      counts.updated++;
+    } else {
+      counts.skipped++;
+    }
+  }
+
+  return { counts, invalid };
+};
+
+/**
+ * Load a fixture set into the database
+ * @param {Object} fixtures - Result of loadFixtureSet
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Report what would change without writing anything
+ * @param {boolean} [options.reset=false] - Delete every book (with its copies and circulation) and author first
+ * @returns {Promise<Object>} { dryRun, reset: { books, items, authors, loans, holds, fines } | null, authors, books, invalid }
+ */
+const seedDatabase = async (fixtures, { dryRun = false, reset = false } = {}) => {
+  const db = getDB();
+  let removed = null;
+
+  if (reset) {
+    const booksCollection = db.collection(process.env.MONGO_COLLECTION_BOOKS);
+    const authorsCollection = db.collection(process.env.MONGO_COLLECTION_AUTHORS);
+    if (dryRun) {
+      removed = {
+        books: await booksCollection.countDocuments({}),
+        items: await itemsCollection().countDocuments({}),
+        authors: await authorsCollection.countDocuments({}),
+        loans: await loansCollection().countDocuments({}),
+        holds: await holdsCollection().countDocuments({}),
+        fines: await finesCollection().countDocuments({})
+      };
+    } else {
+      removed = {
+        books: (await booksCollection.deleteMany({})).deletedCount,
+        items: (await itemsCollection().deleteMany({})).deletedCount,
+        authors: (await authorsCollection.deleteMany({})).deletedCount,
+        // Loans and holds point at the deleted books and copies, and the fines of those loans would still block patrons
+        loans: (await loansCollection().deleteMany({})).deletedCount,
+        holds: (await holdsCollection().deleteMany({})).deletedCount,
+        fines: (await finesCollection().deleteMany({})).deletedCount
+      };
+      // Transfers and revisions only make sense for the copies, books and authors that were just deleted
+      await transfersCollection().deleteMany({});
+      await revisionsCollection().deleteMany({});
+    }
+  }
+
+  // A dry-run reset leaves the documents in place, so seed as if the collections were empty
+  const seedOptions = { dryRun, empty: reset && dryRun };
+
+  const authors = await seedAuthors(fixtures.authors, seedOptions);
+  // Books may also refer to authors that exist already but are not part of the fixtures
+  const storedAuthors = seedOptions.empty ? [] : await db.collection(process.env.MONGO_COLLECTION_AUTHORS)
+    .find({ deletedAt: null }, { projection: { firstName: 1, lastName: 1, email: 1 } })
+    .toArray();
+  const seededIds = new Set(authors.authors.map((author) => author._id.toString()));
+  const otherAuthors = storedAuthors.filter((author) => !seededIds.has(author._id.toString()));
+  const books = await seedBooks(fixtures.books, authors.authors, otherAuthors, seedOptions);
+
+  return {
+    dryRun,
+    reset: removed,
+    authors: authors.counts,
+    books: books.counts,
+    invalid: [
+      ...authors.invalid.map((entry) => ({ type: 'author', ...entry })),
+      ...books.invalid.map((entry) => ({ type: 'book', ...entry }))
+    ]
+  };
+};
+
+module.exports = {
+  listFixtureSets,
+  loadFixtureSet,
+  seedDatabase
+};
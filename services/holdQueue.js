@@ -0,0 +1,116 @@
+const { getDB } = require('../config/database');
+const Hold = require('../models/Hold');
+const { transitionItem } = require('./bookItems');
+
+/**
+ * Hold Queue
+ * Shared logic for the first-come hold queue. Returned copies go to the front
+ * of the queue before they become available to everyone again; a copy set aside
+ * for a ready hold has the reserved status and its id is recorded on the hold.
+ */
+
+const holdsCollection = () => getDB().collection(process.env.MONGO_COLLECTION_HOLDS || 'holds');
+
+/**
+ * Mark the oldest waiting hold of a book as ready for pickup
+ * @param {ObjectId} bookId - Book the copy belongs to
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} The promoted hold, or null if nobody is waiting
+ */
+const promoteNextHold = async (bookId, now = new Date()) => {
+  return holdsCollection().findOneAndUpdate(
+    { bookId, status: 'waiting' },
+    {
+      $set: {
+        status: 'ready',
+        readyAt: now,
+        expiresAt: Hold.calculateExpiryDate(now),
+        updatedAt: now
+      }
+    },
+    { sort: { placedAt: 1, _id: 1 }, returnDocument: 'after' }
+  );
+};
+
+/**
+ * Hand a copy that came back (returned, released by an expired or cancelled hold, or
+ * newly shelved) to the next patron in the queue, or make it available when nobody is waiting
+ * @param {ObjectId} bookId - Book the copy belongs to
+ * @param {Date} now - Current time
+ * @param {Object} copy - { itemId } of the copy, or { status } to take any copy of the book
+ *   in that status, for loans and holds recorded before copies had their own items
+ * @returns {Promise<Object|null>} The hold the copy is now reserved for, if any
+ */
+const allocateCopy = async (bookId, now = new Date(), copy = {}) => {
+  const filter = copy.itemId ? { _id: copy.itemId } : { bookId, status: copy.status };
+
+  const hold = await promoteNextHold(bookId, now);
+  if (!hold) {
+    await transitionItem(filter, 'available');
+    return null;
+  }
+
+  const item = await transitionItem(filter, 'reserved');
+  if (!item) {
+    return hold;
+  }
+  await holdsCollection().updateOne({ _id: hold._id }, { $set: { itemId: item._id } });
+  return { ...hold, itemId: item._id };
+};
+
+/**
+ * Expire ready holds whose pickup window has passed and pass their copy on
+ * @param {Object} filter - Optional extra filter (e.g. { bookId }) to limit the sweep
+ * @returns {Promise<number>} Number of holds expired
+ */
+const expireHolds = async (filter = {}) => {
+  const now = new Date();
+  let expired = 0;
+
+  // Claim one hold at a time so that concurrent sweeps never expire the same hold twice
+  for (;;) {
+    const hold = await holdsCollection().findOneAndUpdate(
+      { ...filter, status: 'ready', expiresAt: { $lte: now } },
+      { $set: { status: 'expired', updatedAt: now } },
+      { sort: { expiresAt: 1 } }
+    );
+
+    if (!hold) {
+      break;
+    }
+
+    expired++;
+    await allocateCopy(hold.bookId, now, hold.itemId ? { itemId: hold.itemId } : { status: 'reserved' });
+  }
+
+  return expired;
+};
+
+/**
+ * Position of a waiting hold in its book's queue (1 = next in line)
+ * @param {Object} hold - Hold document
+ * @returns {Promise<number|null>} Position, or null if the hold is not waiting
+ */
+const getQueuePosition = async (hold) => {
+  if (hold.status !== 'waiting') {
+    return null;
+  }
+
+  const ahead = await holdsCollection().countDocuments({
+    bookId: hold.bookId,
+    status: 'waiting',
+    $or: [
+      { placedAt: { $lt: hold.placedAt } },
+      { placedAt: hold.placedAt, _id: { $lt: hold._id } }
+    ]
+  });
+  return ahead + 1;
+};
+
+module.exports = {
+  holdsCollection,
+  promoteNextHold,
+  allocateCopy,
+  expireHolds,
+  getQueuePosition
+};
@@ -0,0 +1,17 @@
+/**
+ * Mail transport that prints messages to the console. Default outside production.
+ */
+class ConsoleTransport {
+  async send(message) {
+    console.log('📧 ----- Outgoing email -----');
+    console.log(`To: ${message.to}`);
+    console.log(`From: ${message.from}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('📧 --------------------------');
+    return { transport: 'console' };
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,23 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Mail transport that writes every message as a JSON file.
+ * Useful for tests, which can read the newest file to pick up tokens.
+ */
+class FileTransport {
+  constructor(options = {}) {
+    this.directory = path.resolve(options.directory || process.env.MAIL_FILE_DIR || 'tmp/mail');
+  }
+
+  async send(message) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    const filePath = path.join(this.directory, fileName);
+    await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    return { transport: 'file', path: filePath };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,65 @@
+const ConsoleTransport = require('./consoleTransport');
+const FileTransport = require('./fileTransport');
+const SmtpTransport = require('./smtpTransport');
+
+/**
+ * Mailer
+ * Pluggable mail delivery. A transport is any object with an async send(message) method,
+ * where message is { from, to, subject, text, html }. MAIL_TRANSPORT selects one of the
+ * built-in transports (console, file, smtp); setTransport replaces it, e.g. in tests.
+ */
+
+const TRANSPORTS = {
+  console: ConsoleTransport,
+  file: FileTransport,
+  smtp: SmtpTransport
+};
+
+let transport = null;
+
+/**
+ * Build the transport named by MAIL_TRANSPORT
+ * @returns {Object} Transport instance
+ */
+const createTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+  const Transport = TRANSPORTS[name];
+  if (!Transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  return new Transport();
+};
+
+/**
+ * Replace the active transport
+ * @param {Object} customTransport - Object with an async send(message) method
+ */
+const setTransport = (customTransport) => {
+  if (!customTransport || typeof customTransport.send !== 'function') {
+    throw new Error('A mail transport must implement send(message)');
+  }
+  transport = customTransport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} Transport specific result
+ */
+const sendMail = async (message) => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport.send({
+    from: process.env.MAIL_FROM || 'Library Management API <no-reply@library.local>',
+    ...message
+  });
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  ConsoleTransport,
+  FileTransport,
+  SmtpTransport
+};
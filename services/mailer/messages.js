@@ -0,0 +1,60 @@
+/**
+ * Account email messages
+ */
+
+const PORT = process.env.PORT || 3000;
+
+/**
+ * Public base URL of the API, used in links sent by email
+ * @returns {string} Base URL without trailing slash
+ */
+const apiBaseUrl = () => (process.env.SERVER || `http://localhost:${PORT}`).replace(/\/$/, '');
+
+/**
+ * Base URL of the client application, used for pages the user opens in a browser
+ * @returns {string} Base URL without trailing slash
+ */
+const clientBaseUrl = () => (process.env.CLIENT_URL || apiBaseUrl()).replace(/\/$/, '');
+
+const formatExpiry = (expiresAt) => new Date(expiresAt).toUTCString();
+
+const passwordResetMessage = (user, token, expiresAt) => {
+  const link = `${clientBaseUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+  return {
+    to: user.email,
+    subject: 'Reset your Library Management password',
+    text: [
+      `Hi ${user.firstName || ''},`.trim(),
+      '',
+      'We received a request to reset your password. Open the link below to choose a new one:',
+      link,
+      '',
+      `Or send this token to POST /auth/password/reset: ${token}`,
+      '',
+      `The link expires on ${formatExpiry(expiresAt)} and can only be used once.`,
+      'If you did not request a reset, you can ignore this email.'
+    ].join('\n')
+  };
+};
+
+const emailVerificationMessage = (user, token, expiresAt) => {
+  const link = `${apiBaseUrl()}/auth/verify-email/${encodeURIComponent(token)}`;
+  return {
+    to: user.email,
+    subject: 'Verify your Library Management email address',
+    text: [
+      `Hi ${user.firstName || ''},`.trim(),
+      '',
+      'Please confirm your email address by opening the link below:',
+      link,
+      '',
+      `The link expires on ${formatExpiry(expiresAt)}.`,
+      'Until your email is verified your account has read-only access.'
+    ].join('\n')
+  };
+};
+
+module.exports = {
+  passwordResetMessage,
+  emailVerificationMessage
+};
@@ -0,0 +1,31 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Mail transport that delivers through an SMTP server.
+ * Configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASS.
+ */
+class SmtpTransport {
+  constructor(options = {}) {
+    const host = options.host || process.env.SMTP_HOST;
+    if (!host) {
+      throw new Error('SMTP_HOST environment variable is not defined');
+    }
+
+    const user = options.user || process.env.SMTP_USER;
+    const pass = options.pass || process.env.SMTP_PASS;
+
+    this.transporter = nodemailer.createTransport({
+      host,
+      port: Number(options.port || process.env.SMTP_PORT || 587),
+      secure: (options.secure !== undefined ? String(options.secure) : process.env.SMTP_SECURE) === 'true',
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { transport: 'smtp', messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,197 @@
+const { getDB } = require('../../config/database');
+const { toIsbn13 } = require('../../utils/isbn');
+const { createAuthorMatcher } = require('../authorMatching');
+const OpenLibraryProvider = require('./openLibraryProvider');
+
+/**
+ * Book Metadata
+ * Pluggable lookup of book metadata by ISBN. A provider is any object with a name and an
+ * async lookup(isbn13) method resolving to { title, authorNames, publisher, publishedDate,
+ * pages, description } or null. METADATA_PROVIDER selects a built-in provider (openlibrary,
+ * or none to disable lookups); setProvider replaces it, e.g. in tests. Results, including
+ * "not found", are cached in memory for METADATA_CACHE_TTL_MINUTES (default 1440).
+ */
+
+const PROVIDERS = {
+  openlibrary: OpenLibraryProvider
+};
+
+const DEFAULT_CACHE_TTL_MINUTES = 24 * 60;
+const MAX_CACHE_ENTRIES = 1000;
+
+const ENRICHABLE_FIELDS = ['title', 'authors', 'publisher', 'publishedDate', 'pages', 'description'];
+
+let provider;
+const cache = new Map();
+
+const getCacheTtlMs = () => {
+  const minutes = Number(process.env.METADATA_CACHE_TTL_MINUTES);
+  return (Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_CACHE_TTL_MINUTES) * 60 * 1000;
+};
+
+/**
+ * Build the provider named by METADATA_PROVIDER
+ * @returns {Object|null} Provider instance, or null when lookups are disabled
+ */
+const createProvider = () => {
+  const name = process.env.METADATA_PROVIDER || 'openlibrary';
+  if (name === 'none') {
+    return null;
+  }
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown METADATA_PROVIDER "${name}". Use one of: ${[...Object.keys(PROVIDERS), 'none'].join(', ')}`);
+  }
+  return new Provider();
+};
+
+const getProvider = () => {
+  if (provider === undefined) {
+    provider = createProvider();
+  }
+  return provider;
+};
+
+/**
+ * Replace the active provider and clear the cache
+ * @param {Object|null} customProvider - Object with an async lookup(isbn13) method, or null to disable lookups
+ */
+const setProvider = (customProvider) => {
+  if (customProvider !== null && (!customProvider || typeof customProvider.lookup !== 'function')) {
+    throw new Error('A metadata provider must implement lookup(isbn13)');
+  }
+  provider = customProvider;
+  cache.clear();
+};
+
+/**
+ * Look up the metadata of an ISBN, from the cache when possible
+ * @param {string} isbn13 - Canonical ISBN-13
+ * @returns {Promise<Object|null>} Provider metadata, or null if the ISBN is unknown
+ * @throws {Error} When lookups are disabled or the provider fails
+ */
+const lookupIsbn = async (isbn13) => {
+  const cached = cache.get(isbn13);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.metadata;
+  }
+
+  const active = getProvider();
+  if (!active) {
+    throw new Error('Metadata lookups are disabled (METADATA_PROVIDER=none)');
+  }
+
+  const metadata = await active.lookup(isbn13);
+
+  // Maps iterate in insertion order, so the first key is the oldest entry
+  cache.delete(isbn13);
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(isbn13, { metadata, expiresAt: Date.now() + getCacheTtlMs() });
+  return metadata;
+};
+
+/**
+ * Normalize a provider publication date to the YYYY-MM-DD form books are stored with
+ * A year or year and month alone is completed with the first day.
+ * @param {string} value - Date such as "1813", "1813-01" or "Jan 28, 1813"
+ * @returns {string|null} Normalized date or null if it cannot be read
+ */
+const normalizePublishedDate = (value) => {
+  const partial = /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/.exec(String(value || '').trim());
+  if (partial) {
+    return `${partial[1]}-${partial[2] || '01'}-${partial[3] || '01'}`;
+  }
+
+  const time = Date.parse(value);
+  if (isNaN(time)) {
+    return null;
+  }
+  // Dates without a time zone are parsed as local time
+  const date = new Date(time);
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map((part, index) => String(part).padStart(index === 0 ? 4 : 2, '0'))
+    .join('-');
+};
+
+const isSupplied = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Fill in the book fields the client left empty from the metadata of its ISBN
+ * Author names are matched against the authors collection like book imports do; names
+ * without a single matching author are reported instead of filled in.
+ * @param {Object} bookData - Book fields sent by the client, including isbn
+ * @returns {Promise<Object>} { data, enrichment } where enrichment is
+ *   { source, isbn13, found, filled, unmatchedAuthors }
+ * @throws {Error} When the ISBN is invalid, lookups are disabled or the provider fails
+ */
+const enrichBookData = async (bookData) => {
+  const isbn13 = toIsbn13(bookData.isbn);
+  if (!isbn13) {
+    throw new Error('A valid ISBN is required to look up book metadata');
+  }
+
+  const metadata = await lookupIsbn(isbn13);
+  const data = { ...bookData };
+  const enrichment = {
+    source: getProvider().name,
+    isbn13,
+    found: Boolean(metadata),
+    filled: [],
+    unmatchedAuthors: []
+  };
+  if (!metadata) {
+    return { data, enrichment };
+  }
+
+  const values = {
+    title: metadata.title,
+    publisher: metadata.publisher,
+    publishedDate: normalizePublishedDate(metadata.publishedDate),
+    pages: metadata.pages,
+    description: metadata.description
+  };
+
+  Object.entries(values).forEach(([field, value]) => {
+    if (!isSupplied(data[field]) && isSupplied(value)) {
+      data[field] = value;
+      enrichment.filled.push(field);
+    }
+  });
+
+  const authorsSupplied = isSupplied(data.authorId) || (Array.isArray(data.authors) ? data.authors.length > 0 : isSupplied(data.authors));
+  if (!authorsSupplied && metadata.authorNames && metadata.authorNames.length > 0) {
+    const authors = await getDB().collection(process.env.MONGO_COLLECTION_AUTHORS)
+      .find({ deletedAt: null }, { projection: { firstName: 1, lastName: 1 } })
+      .toArray();
+    const match = createAuthorMatcher(authors);
+
+    const matched = [];
+    metadata.authorNames.forEach((name) => {
+      const result = match(name);
+      if (result.status === 'matched') {
+        matched.push({ authorId: result.author._id.toString(), role: 'author' });
+      } else {
+        enrichment.unmatchedAuthors.push(name);
+      }
+    });
+
+    // A partial author list would look complete, so authors are only filled in when all match
+    if (matched.length > 0 && enrichment.unmatchedAuthors.length === 0) {
+      data.authors = matched;
+      enrichment.filled.push('authors');
+    }
+  }
+
+  enrichment.filled.sort((a, b) => ENRICHABLE_FIELDS.indexOf(a) - ENRICHABLE_FIELDS.indexOf(b));
+  return { data, enrichment };
+};
+
+module.exports = {
+  ENRICHABLE_FIELDS,
+  lookupIsbn,
+  enrichBookData,
+  setProvider,
+  OpenLibraryProvider
+};
@@ -0,0 +1,83 @@
+/**
+ * Metadata provider for the Open Library API, or any service exposing the same routes:
+ * GET /isbn/{isbn}.json for the edition, /authors/{id}.json and /works/{id}.json.
+ * Configured with METADATA_BASE_URL (default https://openlibrary.org) and
+ * METADATA_TIMEOUT_MS (default 5000).
+ */
+
+const DEFAULT_BASE_URL = 'https://openlibrary.org';
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * Open Library descriptions are either a string or { type, value }
+ * @param {string|Object} description - Raw description
+ * @returns {string|null} Description text
+ */
+const descriptionText = (description) => {
+  const text = typeof description === 'string' ? description : description && description.value;
+  return text ? text.trim() : null;
+};
+
+class OpenLibraryProvider {
+  constructor(options = {}) {
+    this.name = 'openlibrary';
+    this.baseUrl = (options.baseUrl || process.env.METADATA_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const timeout = Number(options.timeoutMs || process.env.METADATA_TIMEOUT_MS);
+    this.timeoutMs = Number.isFinite(timeout) && timeout > 0 ? timeout : DEFAULT_TIMEOUT_MS;
+  }
+
+  /**
+   * Fetch a JSON document from the service
+   * @param {string} route - Path starting with /, e.g. /isbn/9780141439518.json
+   * @returns {Promise<Object|null>} Parsed body, or null when the service answers 404
+   * @throws {Error} When the service is unreachable, times out or answers with another error
+   */
+  async getJson(route) {
+    const response = await fetch(`${this.baseUrl}${route}`, {
+      headers: { Accept: 'application/json' },
+      redirect: 'follow',
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Metadata service answered ${response.status} for ${route}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Look up an edition by ISBN
+   * @param {string} isbn13 - Canonical ISBN-13
+   * @returns {Promise<Object|null>} { title, authorNames, publisher, publishedDate, pages, description }
+   *   with null for unknown fields, or null if the ISBN is unknown
+   */
+  async lookup(isbn13) {
+    const edition = await this.getJson(`/isbn/${isbn13}.json`);
+    if (!edition) {
+      return null;
+    }
+
+    // Editions usually link their authors; some only list them on the work
+    const [workRef] = edition.works || [];
+    const work = workRef && workRef.key ? await this.getJson(`${workRef.key}.json`) : null;
+    const authorRefs = (edition.authors && edition.authors.length > 0 ? edition.authors : (work && work.authors) || [])
+      .map((entry) => (entry.author || entry).key)
+      .filter(Boolean);
+    const authors = await Promise.all(authorRefs.map((key) => this.getJson(`${key}.json`)));
+
+    const title = [edition.title, edition.subtitle].filter(Boolean).join(': ');
+    return {
+      title: title || null,
+      authorNames: authors.filter((author) => author && author.name).map((author) => author.name.trim()),
+      publisher: (edition.publishers || [])[0] || null,
+      publishedDate: edition.publish_date || null,
+      pages: Number.isInteger(edition.number_of_pages) && edition.number_of_pages > 0 ? edition.number_of_pages : null,
+      description: descriptionText(edition.description) || descriptionText(work && work.description)
+    };
+  }
+}
+
+module.exports = OpenLibraryProvider;
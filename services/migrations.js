@@ -0,0 +1,308 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { getDB } = require('../config/database');
+
+/**
+ * Versioned Migrations
+ * Each file in migrations/ is named <version>-<name>.js and exports
+ * { description, up(db), down(db) }. Applied versions are recorded in the
+ * migrations collection as { version, name, appliedAt, durationMs }.
+ * Up and down runs hold a lock document in the same collection, so two
+ * instances starting together never migrate at the same time.
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)-([a-z0-9-]+)\.js$/;
+const LOCK_ID = 'migration-lock';
+const LOCK_POLL_MS = 1000;
+const DEFAULT_LOCK_TIMEOUT_MINUTES = 10;
+
+const STARTUP_MODES = ['warn', 'require', 'apply'];
+
+const migrationsCollection = () => getDB().collection(process.env.MONGO_COLLECTION_MIGRATIONS || 'migrations');
+
+const getLockTimeoutMs = () => {
+  const minutes = Number(process.env.MIGRATION_LOCK_TIMEOUT_MINUTES);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_LOCK_TIMEOUT_MINUTES) * 60 * 1000;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Load the migration scripts, ordered by version
+ * @returns {Array<Object>} [{ version, name, description, up, down }]
+ * @throws {Error} When a file is malformed or two files share a version
+ */
+const loadMigrations = () => {
+  const files = fs.existsSync(MIGRATIONS_DIR) ? fs.readdirSync(MIGRATIONS_DIR) : [];
+  const migrations = [];
+
+  files.filter((file) => file.endsWith('.js')).forEach((file) => {
+    const match = MIGRATION_FILE_PATTERN.exec(file);
+    if (!match) {
+      throw new Error(`Migration file ${file} must be named <version>-<name>.js`);
+    }
+
+    const migration = require(path.join(MIGRATIONS_DIR, file));
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${file} must export up and down functions`);
+    }
+
+    const version = Number(match[1]);
+    const duplicate = migrations.find((item) => item.version === version);
+    if (duplicate) {
+      throw new Error(`Migrations ${duplicate.file} and ${file} share version ${version}`);
+    }
+
+    migrations.push({
+      version,
+      name: match[2],
+      file,
+      description: migration.description || '',
+      up: migration.up,
+      down: migration.down
+    });
+  });
+
+  return migrations.sort((a, b) => a.version - b.version);
+};
+
+/**
+ * Applied migration records, ordered by version
+ * @returns {Promise<Array<Object>>} Records from the migrations collection
+ */
+const getAppliedMigrations = async () => {
+  return migrationsCollection()
+    .find({ version: { $exists: true } })
+    .sort({ version: 1 })
+    .toArray();
+};
+
+/**
+ * Status of every known migration
+ * @returns {Promise<Array<Object>>} [{ version, name, description, status, appliedAt }]
+ *   status is 'applied', 'pending', or 'missing' for a recorded version without a file
+ */
+const getMigrationStatus = async () => {
+  const migrations = loadMigrations();
+  const applied = await getAppliedMigrations();
+  const appliedByVersion = new Map(applied.map((record) => [record.version, record]));
+
+  const status = migrations.map((migration) => {
+    const record = appliedByVersion.get(migration.version);
+    return {
+      version: migration.version,
+      name: migration.name,
+      description: migration.description,
+      status: record ? 'applied' : 'pending',
+      appliedAt: record ? record.appliedAt : null
+    };
+  });
+
+  applied
+    .filter((record) => !migrations.some((migration) => migration.version === record.version))
+    .forEach((record) => {
+      status.push({
+        version: record.version,
+        name: record.name,
+        description: '',
+        status: 'missing',
+        appliedAt: record.appliedAt
+      });
+    });
+
+  return status.sort((a, b) => a.version - b.version);
+};
+
+/**
+ * Take the migration lock, or take over one that has expired
+ * @param {string} owner - Unique id of this process
+ * @returns {Promise<boolean>} True if the lock was acquired
+ */
+const tryAcquireLock = async (owner) => {
+  const now = new Date();
+  const lock = { owner, lockedAt: now, expiresAt: new Date(now.getTime() + getLockTimeoutMs()) };
+
+  try {
+    await migrationsCollection().insertOne({ _id: LOCK_ID, ...lock });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  // The previous holder crashed without releasing the lock
+  const result = await migrationsCollection().updateOne(
+    { _id: LOCK_ID, expiresAt: { $lt: now } },
+    { $set: lock }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Run a task while holding the migration lock, waiting for another holder to finish first
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} Result of the task
+ * @throws {Error} When the lock is not released within the lock timeout
+ */
+const withMigrationLock = async (task) => {
+  const owner = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+  const timeoutMs = getLockTimeoutMs();
+  const deadline = Date.now() + timeoutMs;
+  let waiting = false;
+
+  while (!(await tryAcquireLock(owner))) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the migration lock');
+    }
+    if (!waiting) {
+      console.log('⏳ Another process is running migrations, waiting for it to finish...');
+      waiting = true;
+    }
+    await sleep(LOCK_POLL_MS);
+  }
+
+  // Keep the lock alive while long migrations run
+  const heartbeat = setInterval(() => {
+    migrationsCollection()
+      .updateOne({ _id: LOCK_ID, owner }, { $set: { expiresAt: new Date(Date.now() + timeoutMs) } })
+      .catch((error) => console.error('Error extending migration lock:', error));
+  }, timeoutMs / 3);
+  heartbeat.unref();
+
+  try {
+    return await task();
+  } finally {
+    clearInterval(heartbeat);
+    await migrationsCollection().deleteOne({ _id: LOCK_ID, owner });
+  }
+};
+
+/**
+ * Apply pending migrations in version order
+ * @param {Object} [options] - { to: highest version to apply (default: all) }
+ * @returns {Promise<Array<Object>>} The migrations that were applied
+ */
+const migrateUp = async ({ to } = {}) => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async () => {
+    // Re-read inside the lock: another instance may have migrated while we waited
+    const appliedVersions = new Set((await getAppliedMigrations()).map((record) => record.version));
+    const pending = migrations.filter((migration) =>
+      !appliedVersions.has(migration.version) && (to === undefined || migration.version <= to));
+
+    const applied = [];
+    for (const migration of pending) {
+      console.log(`⬆️  Applying migration ${migration.file}`);
+      const startedAt = Date.now();
+      try {
+        await migration.up(getDB());
+      } catch (error) {
+        error.message = `Migration ${migration.file} failed: ${error.message}`;
+        throw error;
+      }
+
+      await migrationsCollection().insertOne({
+        version: migration.version,
+        name: migration.name,
+        appliedAt: new Date(),
+        durationMs: Date.now() - startedAt
+      });
+      applied.push(migration);
+    }
+
+    return applied;
+  });
+};
+
+/**
+ * Revert applied migrations, newest first
+ * @param {Object} [options] - { steps: number of migrations to revert (default 1), to: revert every version above this one }
+ * @returns {Promise<Array<Object>>} The migrations that were reverted
+ * @throws {Error} When an applied version has no migration file
+ */
+const migrateDown = async ({ steps = 1, to } = {}) => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async () => {
+    const applied = (await getAppliedMigrations()).reverse();
+    const toRevert = to === undefined
+      ? applied.slice(0, steps)
+      : applied.filter((record) => record.version > to);
+
+    const reverted = [];
+    for (const record of toRevert) {
+      const migration = migrations.find((item) => item.version === record.version);
+      if (!migration) {
+        throw new Error(`Cannot revert version ${record.version} (${record.name}): migration file not found`);
+      }
+
+      console.log(`⬇️  Reverting migration ${migration.file}`);
+      try {
+        await migration.down(getDB());
+      } catch (error) {
+        error.message = `Reverting migration ${migration.file} failed: ${error.message}`;
+        throw error;
+      }
+
+      await migrationsCollection().deleteOne({ version: record.version });
+      reverted.push(migration);
+    }
+
+    return reverted;
+  });
+};
+
+/**
+ * Configured startup behaviour for pending migrations
+ * @returns {string} 'warn' (default), 'require' or 'apply'
+ * @throws {Error} When MIGRATIONS_ON_START has an unknown value
+ */
+const getStartupMode = () => {
+  const mode = (process.env.MIGRATIONS_ON_START || 'warn').trim().toLowerCase();
+  if (!STARTUP_MODES.includes(mode)) {
+    throw new Error(`MIGRATIONS_ON_START must be one of: ${STARTUP_MODES.join(', ')}`);
+  }
+  return mode;
+};
+
+/**
+ * Handle pending migrations when the server starts, according to MIGRATIONS_ON_START:
+ * warn logs them, require refuses to start, apply runs them
+ * @throws {Error} When migrations are pending and the mode is require
+ */
+const checkMigrationsOnStartup = async () => {
+  const mode = getStartupMode();
+
+  if (mode === 'apply') {
+    const applied = await migrateUp();
+    console.log(applied.length > 0
+      ? `✅ Applied ${applied.length} migration(s)`
+      : '✅ Database schema is up to date');
+    return;
+  }
+
+  const pending = (await getMigrationStatus()).filter((migration) => migration.status === 'pending');
+  if (pending.length === 0) {
+    return;
+  }
+
+  const names = pending.map((migration) => `${migration.version}-${migration.name}`).join(', ');
+  if (mode === 'require') {
+    throw new Error(`Pending migrations: ${names}. Run npm run migrate:up before starting the server.`);
+  }
+  console.log(`⚠️ Pending migrations: ${names}. Run npm run migrate:up to apply them.`);
+};
+
+module.exports = {
+  migrationsCollection,
+  withMigrationLock,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  checkMigrationsOnStartup
+};
@@ -0,0 +1,145 @@
+const { ObjectId } = require('mongodb');
+const { getDB } = require('../config/database');
+const { isDuplicateKeyError } = require('../utils/mongoErrors');
+
+/**
+ * Revisions
+ * Every create, update, delete, restore and revert of a book or an author made through the API
+ * is stored as a revision: who made it, when, a field-level diff against the previous state and
+ * a snapshot of the fields after the change, which is what reverting to the revision puts back.
+ * Revisions are numbered from 1 for each document. Timestamps and copy counters are not tracked.
+ */
+
+const REVISION_ACTIONS = ['create', 'update', 'delete', 'restore', 'revert'];
+const UNTRACKED_FIELDS = ['_id', 'version', 'createdAt', 'updatedAt', 'availableCopies', 'totalCopies', 'deletedBy'];
+const MAX_NUMBERING_ATTEMPTS = 3;
+
+const REVISION_LIST_OPTIONS = {
+  sortable: ['revision', 'createdAt'],
+  defaultSort: '-revision'
+};
+
+const revisionsCollection = () => getDB().collection(process.env.MONGO_COLLECTION_REVISIONS || 'revisions');
+
+/**
+ * The tracked fields of a document
+ * @param {Object|null} document - Book or author document
+ * @returns {Object} Fields that revisions record
+ */
+const trackedFields = (document) => Object.fromEntries(
+  Object.entries(document || {}).filter(([field, value]) => !UNTRACKED_FIELDS.includes(field) && value !== undefined)
+);
+
+/**
+ * Field-level differences between two states of a document
+ * @param {Object} before - Tracked fields before the change
+ * @param {Object} after - Tracked fields after the change
+ * @returns {Array<Object>} [{ field, from, to }], null standing for a missing field
+ */
+const diffFields = (before, after) => {
+  const fields = [...new Set([...Object.keys(after), ...Object.keys(before)])];
+  return fields
+    // ObjectIds and dates compare by their JSON form, like the values clients see
+    .filter((field) => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .map((field) => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+};
+
+/**
+ * Record a change to a book or an author. The change itself is already saved, so a revision
+ * that cannot be stored is logged rather than failing the request.
+ * @param {string} entityType - 'book' or 'author'
+ * @param {Object} change
+ * @param {string} change.action - One of REVISION_ACTIONS
+ * @param {Object|null} change.before - The document before the change (null on create)
+ * @param {Object} change.after - The document after the change
+ * @param {string|ObjectId} change.userId - The user who made the change
+ * @param {number} [change.revertedTo] - The revision a revert went back to
+ * @returns {Promise<Object|null>} The stored revision, or null if nothing tracked changed
+ */
+const recordRevision = async (entityType, { action, before, after, userId, revertedTo }) => {
+  const snapshot = trackedFields(after);
+  const changes = diffFields(trackedFields(before), snapshot);
+  if (changes.length === 0 && ['update', 'revert'].includes(action)) {
+    return null;
+  }
+
+  try {
+    // The next number is taken optimistically; the unique index turns a race into a retry
+    for (let attempt = 1; ; attempt++) {
+      const [last] = await revisionsCollection()
+        .find({ entityType, entityId: after._id }, { projection: { revision: 1 } })
+        .sort({ revision: -1 })
+        .limit(1)
+        .toArray();
+
+      const revision = {
+        entityType,
+        entityId: after._id,
+        revision: last ? last.revision + 1 : 1,
+        // The document version the change produced, i.e. its ETag afterwards
+        version: after.version,
+        action,
+        userId: userId ? new ObjectId(userId) : null,
+        changes,
+        snapshot,
+        createdAt: new Date()
+      };
+      if (revertedTo !== undefined) {
+        revision.revertedTo = revertedTo;
+      }
+
+      try {
+        const result = await revisionsCollection().insertOne(revision);
+        return { _id: result.insertedId, ...revision };
+      } catch (error) {
+        if (!isDuplicateKeyError(error, 'revision') || attempt >= MAX_NUMBERING_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  } catch (error) {
+    console.error(`Error recording ${entityType} revision:`, error);
+    return null;
+  }
+};
+
+/**
+ * Read a revision number from a path parameter
+ * @param {string} value - Raw parameter
+ * @returns {number|null} Revision number, or null if it is not a positive integer
+ */
+const parseRevisionNumber = (value) => {
+  const revision = Number(value);
+  return Number.isInteger(revision) && revision > 0 ? revision : null;
+};
+
+/**
+ * Find one revision of a document
+ * @param {string} entityType - 'book' or 'author'
+ * @param {ObjectId} entityId - Document id
+ * @param {number} revision - Revision number
+ * @returns {Promise<Object|null>} The revision with its snapshot
+ */
+const findRevision = (entityType, entityId, revision) => {
+  return revisionsCollection().findOne({ entityType, entityId, revision });
+};
+
+/**
+ * Check whether a document has any history, e.g. after it was purged
+ * @param {string} entityType - 'book' or 'author'
+ * @param {ObjectId} entityId - Document id
+ * @returns {Promise<boolean>} True if at least one revision exists
+ */
+const hasRevisions = async (entityType, entityId) => {
+  return Boolean(await revisionsCollection().findOne({ entityType, entityId }, { projection: { _id: 1 } }));
+};
+
+module.exports = {
+  REVISION_ACTIONS,
+  REVISION_LIST_OPTIONS,
+  revisionsCollection,
+  recordRevision,
+  parseRevisionNumber,
+  findRevision,
+  hasRevisions
+};
@@ -0,0 +1,211 @@
+const { ObjectId } = require('mongodb');
+const { getDB } = require('../config/database');
+const Transfer = require('../models/Transfer');
+const { itemsCollection } = require('./bookItems');
+const { transfersCollection } = require('./branches');
+const { holdsCollection } = require('./holdQueue');
+const { versionFilter } = require('../utils/versioning');
+
+/**
+ * Trash
+ * Deleting a book or an author only marks it with deletedAt and deletedBy, and every read
+ * leaves marked documents out with a deletedAt: null condition. A trashed document keeps its
+ * ISBN or email, and its copies, until it is purged: by an admin, or automatically once it
+ * has been in the trash for TRASH_RETENTION_DAYS (default 30, 0 keeps it until purged by hand).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+// Copies that an active loan, a ready hold or a shipped transfer still points at
+const CIRCULATING_STATUSES = ['on_loan', 'reserved', 'in_transit'];
+
+const TRASH_TYPES = {
+  books: {
+    collection: () => getDB().collection(process.env.MONGO_COLLECTION_BOOKS),
+    projection: { title: 1, isbn: 1, isbn13: 1, authors: 1, totalCopies: 1, deletedAt: 1, deletedBy: 1 }
+  },
+  authors: {
+    collection: () => getDB().collection(process.env.MONGO_COLLECTION_AUTHORS),
+    projection: { firstName: 1, lastName: 1, email: 1, deletedAt: 1, deletedBy: 1 }
+  }
+};
+
+const IN_TRASH = { deletedAt: { $ne: null } };
+
+/**
+ * Days a document stays in the trash before it is purged, from TRASH_RETENTION_DAYS
+ * @returns {number} Days, or 0 when trashed documents are kept until purged by hand
+ */
+const getRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isInteger(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+/**
+ * When a trashed document will be purged automatically
+ * @param {Date} deletedAt - When it was moved to the trash
+ * @returns {Date|null} Purge date, or null when automatic purging is off
+ */
+const getPurgeDate = (deletedAt) => {
+  const days = getRetentionDays();
+  return days > 0 ? new Date(new Date(deletedAt).getTime() + days * DAY_MS) : null;
+};
+
+/**
+ * Move a live document to the trash, unless it changed since it was read
+ * @param {string} type - Key of TRASH_TYPES
+ * @param {Object} document - The document as it was read
+ * @param {string|ObjectId} userId - The user deleting it
+ * @returns {Promise<Object|null>} The trashed document, or null if it is no longer live or has a newer version
+ */
+const moveToTrash = (type, document, userId) => {
+  return TRASH_TYPES[type].collection().findOneAndUpdate(
+    { _id: document._id, deletedAt: null, ...versionFilter(document) },
+    { $set: { deletedAt: new Date(), deletedBy: new ObjectId(userId) }, $inc: { version: 1 } },
+    { returnDocument: 'after' }
+  );
+};
+
+/**
+ * Take a document back out of the trash
+ * @param {string} type - Key of TRASH_TYPES
+ * @param {ObjectId} id - Document id
+ * @returns {Promise<Object|null>} The restored document, or null if it is not in the trash
+ */
+const restoreFromTrash = (type, id) => {
+  return TRASH_TYPES[type].collection().findOneAndUpdate(
+    { _id: id, ...IN_TRASH },
+    { $set: { updatedAt: new Date() }, $unset: { deletedAt: '', deletedBy: '' }, $inc: { version: 1 } },
+    { returnDocument: 'after' }
+  );
+};
+
+/**
+ * Delete a trashed book for good, with its copies; its open transfers and holds are cancelled.
+ * A book with copies on loan, on the hold shelf or in transit is kept until they come back.
+ * @param {Object} book - Trashed book document
+ * @returns {Promise<Object>} { purged, items: copies deleted, circulating: copies that kept it }
+ */
+const purgeBook = async (book) => {
+  const circulating = await itemsCollection().countDocuments({ bookId: book._id, status: { $in: CIRCULATING_STATUSES } });
+  if (circulating > 0) {
+    return { purged: false, items: 0, circulating };
+  }
+
+  const now = new Date();
+  await TRASH_TYPES.books.collection().deleteOne({ _id: book._id, ...IN_TRASH });
+  const items = await itemsCollection().deleteMany({ bookId: book._id });
+  await transfersCollection().updateMany(
+    { bookId: book._id, status: { $in: Transfer.OPEN_STATUSES } },
+    { $set: { status: 'cancelled', cancelledAt: now, updatedAt: now } }
+  );
+  await holdsCollection().updateMany(
+    { bookId: book._id, status: { $in: ['waiting', 'ready'] } },
+    { $set: { status: 'cancelled', cancelledAt: now, updatedAt: now } }
+  );
+  return { purged: true, items: items.deletedCount, circulating: 0 };
+};
+
+/**
+ * Delete a trashed author for good. Trashed books that still name the author cannot be
+ * restored afterwards until they are linked to another author.
+ * @param {Object} author - Trashed author document
+ * @returns {Promise<Object>} { purged: true, items: 0, circulating: 0 }
+ */
+const purgeAuthor = async (author) => {
+  await TRASH_TYPES.authors.collection().deleteOne({ _id: author._id, ...IN_TRASH });
+  return { purged: true, items: 0, circulating: 0 };
+};
+
+const PURGERS = { books: purgeBook, authors: purgeAuthor };
+
+/**
+ * Find a trashed document
+ * @param {string} type - Key of TRASH_TYPES
+ * @param {ObjectId} id - Document id
+ * @returns {Promise<Object|null>} The document, or null if it is not in the trash
+ */
+const findInTrash = (type, id) => TRASH_TYPES[type].collection().findOne({ _id: id, ...IN_TRASH });
+
+/**
+ * Delete a trashed document for good
+ * @param {string} type - Key of TRASH_TYPES
+ * @param {Object} document - Trashed document
+ * @returns {Promise<Object>} { purged, items: copies deleted with it, circulating: copies that kept it }
+ */
+const purgeFromTrash = (type, document) => PURGERS[type](document);
+
+/**
+ * Purge every trashed document of the given types, optionally only those trashed before a date
+ * @param {Object} [options]
+ * @param {Array<string>} [options.types] - Keys of TRASH_TYPES (default all)
+ * @param {Date} [options.before] - Only purge documents trashed before this date
+ * @returns {Promise<Object>} Number of documents purged per type, of copies deleted with them,
+ *   and of books kept because copies are still circulating
+ */
+const purgeTrash = async ({ types = Object.keys(TRASH_TYPES), before } = {}) => {
+  const filter = before ? { deletedAt: { $ne: null, $lt: before } } : IN_TRASH;
+  const purged = { books: 0, authors: 0, items: 0, kept: 0 };
+
+  for (const type of Object.keys(TRASH_TYPES).filter((key) => types.includes(key))) {
+    const documents = await TRASH_TYPES[type].collection().find(filter, { projection: { _id: 1 } }).toArray();
+    for (const document of documents) {
+      const result = await purgeFromTrash(type, document);
+      if (!result.purged) {
+        purged.kept++;
+        continue;
+      }
+      purged[type]++;
+      purged.items += result.items;
+    }
+  }
+
+  return purged;
+};
+
+/**
+ * Purge what has been in the trash for longer than the retention period
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} Result of purgeTrash, or zero counts when automatic purging is off
+ */
+const purgeExpiredTrash = async (now = new Date()) => {
+  const days = getRetentionDays();
+  if (days === 0) {
+    return { books: 0, authors: 0, items: 0, kept: 0 };
+  }
+  return purgeTrash({ before: new Date(now.getTime() - days * DAY_MS) });
+};
+
+/**
+ * The most recently trashed documents of each type
+ * @param {Array<string>} types - Keys of TRASH_TYPES
+ * @param {number} limit - Maximum number of documents per type
+ * @returns {Promise<Object>} { [type]: { count, items } } where items carry their purgeAt date
+ */
+const listTrash = async (types, limit) => {
+  const results = {};
+  for (const type of types) {
+    const { collection, projection } = TRASH_TYPES[type];
+    const [count, documents] = await Promise.all([
+      collection().countDocuments(IN_TRASH),
+      collection().find(IN_TRASH, { projection }).sort({ deletedAt: -1, _id: -1 }).limit(limit).toArray()
+    ]);
+    results[type] = {
+      count,
+      items: documents.map((document) => ({ ...document, purgeAt: getPurgeDate(document.deletedAt) }))
+    };
+  }
+  return results;
+};
+
+module.exports = {
+  TRASH_TYPES,
+  getRetentionDays,
+  moveToTrash,
+  restoreFromTrash,
+  findInTrash,
+  purgeFromTrash,
+  purgeTrash,
+  purgeExpiredTrash,
+  listTrash
+};
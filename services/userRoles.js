@@ -0,0 +1,115 @@
+const { getDB } = require('../config/database');
+
+/**
+ * User Roles
+ * Admin bootstrapping: the user named by ADMIN_EMAIL, or the very first user
+ * when ADMIN_EMAIL is not set, becomes an admin. Only once the email is verified,
+ * so that registering someone else's address does not grant the role.
+ */
+
+const usersCollection = () => getDB().collection('users');
+
+/**
+ * Whether an email is the configured bootstrap admin
+ * @param {string} email - Email address
+ * @returns {boolean} True if the email matches ADMIN_EMAIL
+ */
+const isBootstrapAdminEmail = (email) => {
+  const adminEmail = (process.env.ADMIN_EMAIL || '').trim().toLowerCase();
+  return adminEmail.length > 0 && !!email && email.trim().toLowerCase() === adminEmail;
+};
+
+// Users created before email verification existed have no emailVerified field
+const VERIFIED = { emailVerified: { $ne: false } };
+
+/**
+ * Role given to a user that is about to be created
+ * @param {string} email - Email of the new user
+ * @param {Object} [options]
+ * @param {boolean} [options.emailVerified] - Whether the email is already verified, e.g. by Google
+ * @returns {Promise<string>} 'admin' or 'patron'
+ */
+const determineInitialRole = async (email, { emailVerified = false } = {}) => {
+  if (!emailVerified) {
+    return 'patron';
+  }
+
+  if (isBootstrapAdminEmail(email)) {
+    return 'admin';
+  }
+
+  if (!process.env.ADMIN_EMAIL) {
+    const existingUsers = await usersCollection().countDocuments({}, { limit: 1 });
+    if (existingUsers === 0) {
+      return 'admin';
+    }
+  }
+
+  return 'patron';
+};
+
+/**
+ * Give the admin role to a user whose email was just verified, if the bootstrap rules name them:
+ * their email is ADMIN_EMAIL or, when it is not set, there is no admin yet
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} True if the user was promoted
+ */
+const grantBootstrapAdmin = async (user) => {
+  if (user.role === 'admin') {
+    return false;
+  }
+
+  const eligible = process.env.ADMIN_EMAIL
+    ? isBootstrapAdminEmail(user.email)
+    : !(await usersCollection().findOne({ role: 'admin' }, { projection: { _id: 1 } }));
+  if (!eligible) {
+    return false;
+  }
+
+  await usersCollection().updateOne({ _id: user._id }, { $set: { role: 'admin', updatedAt: new Date() } });
+  console.log(`👑 ${user.email} promoted to admin (email verified)`);
+  return true;
+};
+
+/**
+ * Make sure there is an admin. Runs at startup so that deployments created before
+ * roles existed (or with a newly configured ADMIN_EMAIL) get one.
+ * @returns {Promise<Object|null>} The promoted user, if any
+ */
+const bootstrapAdmin = async () => {
+  const users = usersCollection();
+
+  if (process.env.ADMIN_EMAIL) {
+    // Strength 2 collation compares emails case-insensitively
+    const result = await users.findOneAndUpdate(
+      { email: process.env.ADMIN_EMAIL.trim(), role: { $ne: 'admin' }, ...VERIFIED },
+      { $set: { role: 'admin', updatedAt: new Date() } },
+      { returnDocument: 'after', collation: { locale: 'en', strength: 2 } }
+    );
+    if (result) {
+      console.log(`👑 ${result.email} promoted to admin (ADMIN_EMAIL)`);
+    }
+    return result;
+  }
+
+  const existingAdmin = await users.findOne({ role: 'admin' });
+  if (existingAdmin) {
+    return null;
+  }
+
+  const firstUser = await users.find(VERIFIED).sort({ createdAt: 1, _id: 1 }).limit(1).next();
+  if (!firstUser) {
+    return null;
+  }
+
+  await users.updateOne({ _id: firstUser._id }, { $set: { role: 'admin', updatedAt: new Date() } });
+  console.log(`👑 ${firstUser.email} promoted to admin (first user)`);
+  return firstUser;
+};
+
+module.exports = {
+  isBootstrapAdminEmail,
+  determineInitialRole,
+  grantBootstrapAdmin,
+  bootstrapAdmin
+};
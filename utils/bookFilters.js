@@ -0,0 +1,204 @@
+const { ObjectId } = require('mongodb');
+
+/**
+ * Book Filters
+ * Translates catalog query parameters into a MongoDB filter for the books collection
+ */
+
+const BOOK_SORTABLE_FIELDS = [
+  'title',
+  'publishedDate',
+  'genre',
+  'publisher',
+  'language',
+  'pages',
+  'availableCopies',
+  'totalCopies',
+  'createdAt',
+  'updatedAt'
+];
+
+const BOOK_LIST_OPTIONS = {
+  sortable: BOOK_SORTABLE_FIELDS,
+  defaultSort: 'title'
+};
+
+const BOOK_EXPANSIONS = ['authors'];
+
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a query parameter that may be repeated or comma-separated into a list
+ * @param {string|Array} value - Raw query parameter
+ * @returns {Array<string>} Trimmed, non-empty values
+ */
+const toList = (value) => {
+  return [].concat(value)
+    .flatMap((item) => String(item).split(','))
+    .map((item) => item.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Case-insensitive exact match on one or more values
+ * @param {string|Array} value - Raw query parameter
+ * @returns {Object} MongoDB condition
+ */
+const matchAny = (value) => {
+  const regexes = toList(value).map((item) => new RegExp(`^${escapeRegex(item)}$`, 'i'));
+  return regexes.length === 1 ? regexes[0] : { $in: regexes };
+};
+
+/**
+ * Normalize a date query parameter to the YYYY-MM-DD form books are stored with
+ * @param {string} value - Raw date
+ * @returns {string|null} Normalized date or null if invalid
+ */
+const normalizeDate = (value) => {
+  const time = Date.parse(value);
+  if (isNaN(time)) {
+    return null;
+  }
+  return new Date(time).toISOString().slice(0, 10);
+};
+
+/**
+ * Build a MongoDB filter from the book list query parameters, leaving out books in the trash
+ * Supported parameters: genre, language, publisher, author, authorId, branchId, publishedFrom,
+ * publishedTo, minPages, maxPages, available
+ * @param {Object} query - Express req.query
+ * @param {Object} [resolved] - Lookups done by the caller
+ * @param {Array<ObjectId>} [resolved.authorMatches] - Ids of authors whose name matches query.author
+ * @param {Array<ObjectId>} [resolved.branchBookIds] - Ids of the books held at query.branchId,
+ *   already limited by query.available (see findBookIdsAtBranch)
+ * @returns {Object} { filter, errors }
+ */
+const buildBookFilter = (query, { authorMatches = [], branchBookIds = [] } = {}) => {
+  const filter = { deletedAt: null };
+  const errors = [];
+
+  if (query.genre) {
+    filter.genre = matchAny(query.genre);
+  }
+
+  if (query.language) {
+    filter.language = matchAny(query.language);
+  }
+
+  if (query.publisher) {
+    filter.publisher = matchAny(query.publisher);
+  }
+
+  if (query.author) {
+    const patterns = toList(query.author).map((item) => new RegExp(escapeRegex(item), 'i'));
+    // Books not yet linked to author records still carry the legacy free-text author
+    filter.$or = [
+      { 'authors.authorId': { $in: authorMatches } },
+      { author: patterns.length === 1 ? patterns[0] : { $in: patterns } }
+    ];
+  }
+
+  if (query.authorId) {
+    const ids = toList(query.authorId);
+    if (ids.every((id) => ObjectId.isValid(id))) {
+      filter['authors.authorId'] = { $in: ids.map((id) => new ObjectId(id)) };
+    } else {
+      errors.push('authorId must be a valid author ID or a comma-separated list of them');
+    }
+  }
+
+  if (query.publishedFrom || query.publishedTo) {
+    filter.publishedDate = {};
+
+    if (query.publishedFrom) {
+      const from = normalizeDate(query.publishedFrom);
+      if (from) {
+        filter.publishedDate.$gte = from;
+      } else {
+        errors.push('publishedFrom must be a valid date');
+      }
+    }
+
+    if (query.publishedTo) {
+      const to = normalizeDate(query.publishedTo);
+      if (to) {
+        filter.publishedDate.$lte = to;
+      } else {
+        errors.push('publishedTo must be a valid date');
+      }
+    }
+  }
+
+  if (query.minPages !== undefined || query.maxPages !== undefined) {
+    filter.pages = {};
+
+    if (query.minPages !== undefined) {
+      const minPages = Number(query.minPages);
+      if (Number.isInteger(minPages) && minPages >= 0) {
+        filter.pages.$gte = minPages;
+      } else {
+        errors.push('minPages must be a non-negative integer');
+      }
+    }
+
+    if (query.maxPages !== undefined) {
+      const maxPages = Number(query.maxPages);
+      if (Number.isInteger(maxPages) && maxPages >= 0) {
+        filter.pages.$lte = maxPages;
+      } else {
+        errors.push('maxPages must be a non-negative integer');
+      }
+    }
+
+    if (filter.pages.$gte !== undefined && filter.pages.$lte !== undefined && filter.pages.$gte > filter.pages.$lte) {
+      errors.push('minPages cannot be greater than maxPages');
+    }
+  }
+
+  if (query.branchId !== undefined) {
+    if (ObjectId.isValid(query.branchId)) {
+      filter._id = { $in: branchBookIds };
+    } else {
+      errors.push('branchId must be a valid branch ID');
+    }
+  }
+
+  if (query.available !== undefined) {
+    if (!['true', 'false'].includes(query.available)) {
+      errors.push('available must be true or false');
+    } else if (query.branchId === undefined) {
+      filter.availableCopies = query.available === 'true' ? { $gt: 0 } : { $lte: 0 };
+    }
+    // With branchId, availability at that branch is already part of branchBookIds
+  }
+
+  return { filter, errors };
+};
+
+/**
+ * Parse the expand query parameter of book endpoints, e.g. ?expand=authors
+ * @param {Object} query - Express req.query
+ * @returns {Object} { expand, errors }
+ */
+const parseBookExpand = (query) => {
+  const expand = query.expand !== undefined ? toList(query.expand) : [];
+  const unknown = expand.filter((item) => !BOOK_EXPANSIONS.includes(item));
+  const errors = unknown.length > 0
+    ? [`Unknown expand option: ${unknown.join(', ')}. Allowed options: ${BOOK_EXPANSIONS.join(', ')}`]
+    : [];
+  return { expand, errors };
+};
+
+module.exports = {
+  BOOK_SORTABLE_FIELDS,
+  BOOK_LIST_OPTIONS,
+  buildBookFilter,
+  parseBookExpand,
+  escapeRegex,
+  toList
+};
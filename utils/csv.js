@@ -0,0 +1,110 @@
+/**
+ * CSV Helpers
+ * Parses and writes RFC 4180 CSV: comma separated, fields optionally quoted with ",
+ * "" inside a quoted field is a literal quote, and quoted fields may span lines.
+ */
+
+/**
+ * Split CSV text into rows of raw field values
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows, without empty lines
+ * @throws {Error} When a quoted field is never closed
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  // Drop the byte order mark spreadsheet programs often add
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Parse CSV text whose first row holds the column names
+ * @param {string} text - CSV text
+ * @returns {Object} { headers, records } where each record maps a header to its trimmed value
+ * @throws {Error} When the text has no header row or duplicate column names
+ */
+const parseCsv = (text) => {
+  const [headerRow, ...rows] = parseCsvRows(text);
+  if (!headerRow) {
+    throw new Error('The file is empty');
+  }
+
+  const headers = headerRow.map((header) => header.trim());
+  const duplicate = headers.find((header, index) => header && headers.indexOf(header) !== index);
+  if (duplicate) {
+    throw new Error(`Column "${duplicate}" appears more than once`);
+  }
+
+  const records = rows.map((row) => Object.fromEntries(
+    headers
+      .map((header, index) => [header, (row[index] || '').trim()])
+      .filter(([header]) => header)
+  ));
+
+  return { headers: headers.filter(Boolean), records };
+};
+
+/**
+ * Format one CSV row, quoting the fields that need it
+ * @param {Array} values - Field values; null and undefined become empty fields
+ * @returns {string} Row terminated by CRLF
+ */
+const formatCsvRow = (values) => {
+  return values.map((value) => {
+    const field = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+  }).join(',') + '\r\n';
+};
+
+module.exports = {
+  parseCsvRows,
+  parseCsv,
+  formatCsvRow
+};
@@ -0,0 +1,132 @@
+/**
+ * Highlight Helpers
+ * Builds short snippets with the matched search terms wrapped in <mark> tags
+ */
+
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Escape HTML special characters so snippets are safe to render
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+/**
+ * Extract the positive terms from a MongoDB $text search string
+ * Quoted phrases are kept together, negated terms ("-word") are ignored
+ * @param {string} q - Search string
+ * @returns {Array<string>} Terms to highlight
+ */
+const extractTerms = (q) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(q)) !== null) {
+    if (match[1] === '-' || match[3] === '-') {
+      continue;
+    }
+    const term = (match[2] || match[4]).trim();
+    if (term) {
+      terms.push(term);
+    }
+  }
+
+  return terms;
+};
+
+/**
+ * Build a regular expression that matches any of the terms
+ * Words are matched by prefix so that stemmed matches ("adventures" for "adventure") are highlighted too
+ * @param {Array<string>} terms - Search terms
+ * @returns {RegExp|null} Regular expression or null when there is nothing to match
+ */
+const buildTermRegex = (terms) => {
+  if (terms.length === 0) {
+    return null;
+  }
+  const alternatives = [...terms]
+    .sort((a, b) => b.length - a.length)
+    .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+  return new RegExp(`\\b(?:${alternatives.join('|')})\\w*`, 'gi');
+};
+
+/**
+ * Build a highlighted snippet for a single text value
+ * @param {string} text - Field value
+ * @param {RegExp} regex - Regex from buildTermRegex
+ * @returns {string|null} Snippet or null when no term matches
+ */
+const highlightText = (text, regex) => {
+  regex.lastIndex = 0;
+  const first = regex.exec(text);
+  if (!first) {
+    return null;
+  }
+
+  const start = Math.max(0, first.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+  const excerpt = text.slice(start, end);
+
+  let snippet = '';
+  let cursor = 0;
+  regex.lastIndex = 0;
+  let match;
+  while ((match = regex.exec(excerpt)) !== null) {
+    snippet += escapeHtml(excerpt.slice(cursor, match.index));
+    snippet += `<mark>${escapeHtml(match[0])}</mark>`;
+    cursor = match.index + match[0].length;
+  }
+  snippet += escapeHtml(excerpt.slice(cursor));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Build highlighted snippets for every matching field of a document
+ * @param {Object} doc - Document returned by the search
+ * @param {Array<string>} fields - Fields to inspect
+ * @param {Array<string>} terms - Terms from extractTerms
+ * @returns {Object} Map of field name to snippet (array fields yield the matching entries)
+ */
+const buildHighlights = (doc, fields, terms) => {
+  const regex = buildTermRegex(terms);
+  const highlights = {};
+  if (!regex) {
+    return highlights;
+  }
+
+  for (const field of fields) {
+    const value = doc[field];
+
+    if (Array.isArray(value)) {
+      const snippets = value
+        .filter((item) => typeof item === 'string')
+        .map((item) => highlightText(item, regex))
+        .filter(Boolean);
+      if (snippets.length > 0) {
+        highlights[field] = snippets;
+      }
+    } else if (typeof value === 'string') {
+      const snippet = highlightText(value, regex);
+      if (snippet) {
+        highlights[field] = snippet;
+      }
+    }
+  }
+
+  return highlights;
+};
+
+module.exports = {
+  extractTerms,
+  buildHighlights,
+  escapeHtml
+};
@@ -0,0 +1,89 @@
+/**
+ * ISBN Helpers
+ * Validates ISBN-10 and ISBN-13 check digits and converts between the two forms.
+ * Books are compared by their canonical form: the 13 digits of the ISBN-13, without hyphens.
+ */
+
+/**
+ * Strip hyphens and spaces and uppercase a trailing x
+ * @param {string} isbn - ISBN as entered
+ * @returns {string} Bare ISBN characters
+ */
+const cleanIsbn = (isbn) => String(isbn).replace(/[-\s]/g, '').toUpperCase();
+
+const isbn10CheckDigit = (first9) => {
+  const sum = [...first9].reduce((total, digit, index) => total + Number(digit) * (10 - index), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+};
+
+const isbn13CheckDigit = (first12) => {
+  const sum = [...first12].reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Explain why an ISBN is invalid
+ * @param {string} isbn - ISBN as entered, hyphens and spaces allowed
+ * @returns {string|null} Error message, or null if the ISBN is valid
+ */
+const validateIsbn = (isbn) => {
+  const clean = cleanIsbn(isbn);
+
+  if (/^\d{9}[\dX]$/.test(clean)) {
+    return isbn10CheckDigit(clean.slice(0, 9)) === clean[9] ? null : 'ISBN-10 check digit is wrong';
+  }
+
+  if (/^\d{13}$/.test(clean)) {
+    if (!/^97[89]/.test(clean)) {
+      return 'ISBN-13 must start with 978 or 979';
+    }
+    return isbn13CheckDigit(clean.slice(0, 12)) === clean[12] ? null : 'ISBN-13 check digit is wrong';
+  }
+
+  return 'Invalid ISBN format';
+};
+
+const isValidIsbn = (isbn) => validateIsbn(isbn) === null;
+
+/**
+ * Canonical ISBN-13 of a valid ISBN-10 or ISBN-13
+ * @param {string} isbn - ISBN as entered
+ * @returns {string|null} 13 digits without hyphens, or null if the ISBN is invalid
+ */
+const toIsbn13 = (isbn) => {
+  if (typeof isbn !== 'string' || !isValidIsbn(isbn)) {
+    return null;
+  }
+
+  const clean = cleanIsbn(isbn);
+  if (clean.length === 13) {
+    return clean;
+  }
+
+  const first12 = `978${clean.slice(0, 9)}`;
+  return first12 + isbn13CheckDigit(first12);
+};
+
+/**
+ * ISBN-10 of a valid ISBN; only 978 ISBN-13s have one
+ * @param {string} isbn - ISBN as entered
+ * @returns {string|null} 10 characters without hyphens, or null if there is none
+ */
+const toIsbn10 = (isbn) => {
+  const isbn13 = toIsbn13(isbn);
+  if (!isbn13 || !isbn13.startsWith('978')) {
+    return null;
+  }
+
+  const first9 = isbn13.slice(3, 12);
+  return first9 + isbn10CheckDigit(first9);
+};
+
+module.exports = {
+  cleanIsbn,
+  validateIsbn,
+  isValidIsbn,
+  toIsbn13,
+  toIsbn10
+};
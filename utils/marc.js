@@ -0,0 +1,145 @@
+/**
+ * MARC21 Helpers
+ * Serializes bibliographic records to ISO 2709 (binary MARC) and MARCXML.
+ * A record is { leader, fields } where a control field (tags 001-009) is { tag, value }
+ * and a data field is { tag, ind1, ind2, subfields: [[code, value], ...] }.
+ */
+
+const FIELD_TERMINATOR = '\x1e';
+const RECORD_TERMINATOR = '\x1d';
+const SUBFIELD_DELIMITER = '\x1f';
+const LEADER_LENGTH = 24;
+const DIRECTORY_ENTRY_LENGTH = 12;
+const MAX_FIELD_BYTES = 9999;
+const MAX_RECORD_BYTES = 99999;
+
+const MARCXML_NAMESPACE = 'http://www.loc.gov/MARC21/slim';
+
+const isControlField = (field) => field.value !== undefined;
+
+/**
+ * Remove the characters ISO 2709 uses as delimiters from a value
+ * @param {*} value - Raw value
+ * @returns {string} Value safe to embed in a field
+ */
+const cleanValue = (value) => String(value).replace(/[\x1d\x1e\x1f]/g, ' ');
+
+/**
+ * Cut a string so that it fits in a number of UTF-8 bytes without splitting a character
+ * @param {string} value - String to cut
+ * @param {number} maxBytes - Maximum byte length
+ * @returns {string} The string, shortened if needed
+ */
+const truncateBytes = (value, maxBytes) => {
+  if (Buffer.byteLength(value) <= maxBytes) {
+    return value;
+  }
+  let result = '';
+  let bytes = 0;
+  for (const char of value) {
+    bytes += Buffer.byteLength(char);
+    if (bytes > maxBytes) {
+      break;
+    }
+    result += char;
+  }
+  return result;
+};
+
+/**
+ * Encode the content of one field, terminator included
+ * @param {Object} field - Control or data field
+ * @returns {string} Field data
+ */
+const encodeField = (field) => {
+  const content = isControlField(field)
+    ? cleanValue(field.value)
+    : `${field.ind1 || ' '}${field.ind2 || ' '}` + field.subfields
+      .map(([code, value]) => `${SUBFIELD_DELIMITER}${code}${cleanValue(value)}`)
+      .join('');
+  // Field lengths have four digits in the directory; overlong fields lose their tail
+  return truncateBytes(content, MAX_FIELD_BYTES - 1) + FIELD_TERMINATOR;
+};
+
+/**
+ * Serialize a record to ISO 2709 with UTF-8 character coding
+ * Fields that would push the record past 99999 bytes are left out.
+ * @param {Object} record - { leader, fields }
+ * @returns {Buffer} Encoded record
+ */
+const toIso2709 = (record) => {
+  const directory = [];
+  const data = [];
+  let offset = 0;
+
+  record.fields.forEach((field) => {
+    const encoded = Buffer.from(encodeField(field));
+    const recordLength = LEADER_LENGTH + (directory.length + 1) * DIRECTORY_ENTRY_LENGTH + 1 + offset + encoded.length + 1;
+    if (recordLength > MAX_RECORD_BYTES) {
+      return;
+    }
+    directory.push(`${field.tag}${String(encoded.length).padStart(4, '0')}${String(offset).padStart(5, '0')}`);
+    data.push(encoded);
+    offset += encoded.length;
+  });
+
+  const directoryBuffer = Buffer.from(directory.join('') + FIELD_TERMINATOR);
+  const baseAddress = LEADER_LENGTH + directoryBuffer.length;
+  const recordLength = baseAddress + offset + 1;
+
+  const leader = String(recordLength).padStart(5, '0')
+    + record.leader.slice(5, 9)
+    + 'a22'
+    + String(baseAddress).padStart(5, '0')
+    + record.leader.slice(17, 20)
+    + '4500';
+
+  return Buffer.concat([Buffer.from(leader), directoryBuffer, ...data, Buffer.from(RECORD_TERMINATOR)]);
+};
+
+/**
+ * Escape text for use in XML content or a double-quoted attribute
+ * @param {*} value - Raw value
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) => String(value)
+  // Control characters other than tab and newlines are not allowed in XML 1.0
+  .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, ' ')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Serialize a record to a MARCXML <record> element
+ * @param {Object} record - { leader, fields }
+ * @returns {string} XML element, without the XML declaration
+ */
+const toMarcXml = (record) => {
+  const lines = ['  <record>', `    <leader>${escapeXml(record.leader)}</leader>`];
+
+  record.fields.forEach((field) => {
+    if (isControlField(field)) {
+      lines.push(`    <controlfield tag="${field.tag}">${escapeXml(field.value)}</controlfield>`);
+      return;
+    }
+    lines.push(`    <datafield tag="${field.tag}" ind1="${field.ind1 || ' '}" ind2="${field.ind2 || ' '}">`);
+    field.subfields.forEach(([code, value]) => {
+      lines.push(`      <subfield code="${code}">${escapeXml(value)}</subfield>`);
+    });
+    lines.push('    </datafield>');
+  });
+
+  lines.push('  </record>');
+  return lines.join('\n') + '\n';
+};
+
+const MARCXML_HEADER = `<?xml version="1.0" encoding="UTF-8"?>\n<collection xmlns="${MARCXML_NAMESPACE}">\n`;
+const MARCXML_FOOTER = '</collection>\n';
+
+module.exports = {
+  MARCXML_HEADER,
+  MARCXML_FOOTER,
+  toIso2709,
+  toMarcXml
+};
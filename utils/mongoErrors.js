@@ -0,0 +1,27 @@
+/**
+ * MongoDB Error Helpers
+ * Recognize errors raised by the indexes in config/indexes.js
+ */
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Check whether an error is a duplicate key error (E11000)
+ * @param {Error} error - Error thrown by the driver
+ * @param {string} [field] - Only match violations of an index that includes this field
+ * @returns {boolean} True if a unique index rejected the write
+ */
+const isDuplicateKeyError = (error, field) => {
+  if (!error || error.code !== DUPLICATE_KEY_ERROR) {
+    return false;
+  }
+  if (!field) {
+    return true;
+  }
+  const keys = error.keyPattern || error.keyValue || {};
+  return Object.prototype.hasOwnProperty.call(keys, field);
+};
+
+module.exports = {
+  isDuplicateKeyError
+};
@@ -0,0 +1,330 @@
+const { ObjectId } = require('mongodb');
+
+/**
+ * Pagination Helpers
+ * Shared sorting, offset pagination and cursor pagination for list endpoints
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Encode a single sort value so that it survives the round trip through a cursor
+ * @param {*} value - Value taken from a document
+ * @returns {*} JSON-safe value
+ */
+const encodeValue = (value) => {
+  if (value instanceof ObjectId) {
+    return { $oid: value.toString() };
+  }
+  if (value instanceof Date) {
+    return { $date: value.toISOString() };
+  }
+  return value === undefined ? null : value;
+};
+
+/**
+ * Reverse of encodeValue. Cursors come from clients, so only the values encodeValue produces
+ * are accepted: anything else, such as an operator object, would end up in the filter.
+ * @param {*} value - Value read from a cursor
+ * @returns {*} Value usable in a MongoDB filter
+ * @throws {Error} When the value is not a scalar, an encoded ObjectId or an encoded date
+ */
+const decodeValue = (value) => {
+  if (value === null || typeof value === 'string' || typeof value === 'boolean' || Number.isFinite(value)) {
+    return value;
+  }
+
+  const keys = value && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : [];
+  if (keys.length === 1 && keys[0] === '$oid' && typeof value.$oid === 'string' && ObjectId.isValid(value.$oid)) {
+    return new ObjectId(value.$oid);
+  }
+  if (keys.length === 1 && keys[0] === '$date' && typeof value.$date === 'string' && !isNaN(Date.parse(value.$date))) {
+    return new Date(value.$date);
+  }
+
+  throw new Error('Invalid cursor value');
+};
+
+/**
+ * Build an opaque cursor pointing at a document
+ * @param {Object} doc - The document the cursor points at
+ * @param {Array} sort - Sort specification as [field, direction] pairs
+ * @param {string} direction - 'next' or 'prev'
+ * @returns {string} Base64url encoded cursor
+ */
+const encodeCursor = (doc, sort, direction) => {
+  const payload = {
+    d: direction,
+    v: sort.map(([field]) => encodeValue(getField(doc, field)))
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor string from the query
+ * @param {Array} sort - Sort specification the cursor must match
+ * @returns {Object|null} { direction, values } or null if the cursor is invalid
+ */
+const decodeCursor = (cursor, sort) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!payload || !['next', 'prev'].includes(payload.d) || !Array.isArray(payload.v) || payload.v.length !== sort.length) {
+      return null;
+    }
+    return {
+      direction: payload.d,
+      values: payload.v.map(decodeValue)
+    };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Read a (possibly dotted) field from a document
+ * @param {Object} doc - Document
+ * @param {string} field - Field path
+ * @returns {*} Field value
+ */
+const getField = (doc, field) => {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+};
+
+/**
+ * Parse a sort expression such as "-publishedDate,title"
+ * @param {string|Array} sortParam - Raw sort query parameter
+ * @param {Array<string>} sortable - Whitelisted sort fields
+ * @param {string} defaultSort - Sort expression used when none is supplied
+ * @returns {Object} { sort, errors } where sort is an array of [field, 1|-1]
+ */
+const parseSort = (sortParam, sortable, defaultSort) => {
+  const errors = [];
+  const raw = [].concat(sortParam || defaultSort || [])
+    .flatMap((value) => String(value).split(','))
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+  const sort = [];
+  for (const entry of raw) {
+    const direction = entry.startsWith('-') ? -1 : 1;
+    const field = entry.replace(/^[-+]/, '');
+
+    if (!sortable.includes(field)) {
+      errors.push(`Cannot sort by "${field}". Sortable fields: ${sortable.join(', ')}`);
+      continue;
+    }
+
+    if (!sort.some(([existing]) => existing === field)) {
+      sort.push([field, direction]);
+    }
+  }
+
+  // _id is always the final tie breaker so that pages and cursors are stable
+  if (!sort.some(([field]) => field === '_id')) {
+    sort.push(['_id', 1]);
+  }
+
+  return { sort, errors };
+};
+
+/**
+ * Parse sort, limit, page and cursor query parameters
+ * @param {Object} query - Express req.query
+ * @param {Object} config - { sortable, defaultSort, defaultLimit, maxLimit }
+ * @returns {Object} { options, errors }
+ */
+const parseListOptions = (query, config = {}) => {
+  const {
+    sortable = [],
+    defaultSort = '',
+    defaultLimit = DEFAULT_LIMIT,
+    maxLimit = MAX_LIMIT
+  } = config;
+
+  const { sort, errors } = parseSort(query.sort, sortable, defaultSort);
+
+  let limit = defaultLimit;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+      errors.push(`Limit must be an integer between 1 and ${maxLimit}`);
+    }
+  }
+
+  let page = 1;
+  if (query.page !== undefined) {
+    page = Number(query.page);
+    if (!Number.isInteger(page) || page < 1) {
+      errors.push('Page must be a positive integer');
+    }
+  }
+
+  let cursor = null;
+  if (query.cursor !== undefined) {
+    if (query.page !== undefined) {
+      errors.push('Use either page or cursor, not both');
+    }
+    cursor = decodeCursor(String(query.cursor), sort);
+    if (!cursor) {
+      errors.push('Invalid or expired cursor');
+    }
+  }
+
+  return {
+    options: { sort, limit, page, cursor },
+    errors
+  };
+};
+
+/**
+ * Build the keyset filter that selects documents after (or before) a cursor.
+ * MongoDB sorts null and missing values before any other, but $gt and $lt never match them,
+ * so they are handled separately: every value is greater than null, and null is lower than any value.
+ * @param {Array} sort - Sort specification
+ * @param {Array} values - Sort values of the cursor document
+ * @param {string} direction - 'next' or 'prev'
+ * @returns {Object} MongoDB filter
+ */
+const buildKeysetFilter = (sort, values, direction) => {
+  const clauses = [];
+  sort.forEach(([field, order], index) => {
+    const upward = direction === 'next' ? order === 1 : order === -1;
+    const value = values[index];
+    // Nothing sorts lower than null
+    if (value === null && !upward) {
+      return;
+    }
+
+    const clause = {};
+    for (let i = 0; i < index; i++) {
+      // { field: null } matches null and missing values alike
+      clause[sort[i][0]] = values[i];
+    }
+    if (value === null) {
+      clause[field] = { $ne: null };
+    } else if (upward) {
+      clause[field] = { $gt: value };
+    } else {
+      clause.$or = [{ [field]: { $lt: value } }, { [field]: null }];
+    }
+    clauses.push(clause);
+  });
+
+  // Only reachable with a cursor at the very start; nothing comes before it
+  return clauses.length > 0 ? { $or: clauses } : { _id: { $exists: false } };
+};
+
+/**
+ * Build a link to the same endpoint with some query parameters replaced
+ * @param {Object} req - Express request object
+ * @param {Object} changes - Query parameters to set (null removes the parameter)
+ * @returns {string} Relative URL
+ */
+const buildLink = (req, changes) => {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(req.query)) {
+    for (const item of [].concat(value)) {
+      params.append(key, item);
+    }
+  }
+  for (const [key, value] of Object.entries(changes)) {
+    params.delete(key);
+    if (value !== null && value !== undefined) {
+      params.set(key, value);
+    }
+  }
+  const path = req.originalUrl.split('?')[0];
+  const search = params.toString();
+  return search ? `${path}?${search}` : path;
+};
+
+/**
+ * Run a paginated query against a collection
+ * @param {Collection} collection - MongoDB collection
+ * @param {Object} filter - MongoDB filter
+ * @param {Object} options - Options returned by parseListOptions
+ * @param {Object} req - Express request object, used to build next/prev links
+ * @param {Object} findOptions - Extra options passed to find (e.g. projection)
+ * @returns {Promise<Object>} { data, total, page, limit, links, cursors }
+ */
+const paginate = async (collection, filter, options, req, findOptions = {}) => {
+  const { sort, limit, page, cursor } = options;
+  const total = await collection.countDocuments(filter);
+
+  if (!cursor) {
+    const data = await collection.find(filter, findOptions)
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray();
+
+    const hasNext = page * limit < total;
+    const hasPrev = page > 1;
+    const nextCursor = hasNext && data.length ? encodeCursor(data[data.length - 1], sort, 'next') : null;
+
+    return {
+      data,
+      total,
+      page,
+      limit,
+      links: {
+        self: buildLink(req, {}),
+        next: hasNext ? buildLink(req, { page: page + 1 }) : null,
+        prev: hasPrev ? buildLink(req, { page: page - 1 }) : null
+      },
+      cursors: {
+        next: nextCursor,
+        prev: null
+      }
+    };
+  }
+
+  const { direction, values } = cursor;
+  const querySort = direction === 'next' ? sort : sort.map(([field, order]) => [field, -order]);
+  const keysetFilter = buildKeysetFilter(sort, values, direction);
+
+  const rows = await collection.find({ $and: [filter, keysetFilter] }, findOptions)
+    .sort(querySort)
+    .limit(limit + 1)
+    .toArray();
+
+  const hasMore = rows.length > limit;
+  const data = rows.slice(0, limit);
+  if (direction === 'prev') {
+    data.reverse();
+  }
+
+  const hasNext = direction === 'next' ? hasMore : true;
+  const hasPrev = direction === 'prev' ? hasMore : true;
+  const nextCursor = hasNext && data.length ? encodeCursor(data[data.length - 1], sort, 'next') : null;
+  const prevCursor = hasPrev && data.length ? encodeCursor(data[0], sort, 'prev') : null;
+
+  return {
+    data,
+    total,
+    page: null,
+    limit,
+    links: {
+      self: buildLink(req, {}),
+      next: nextCursor ? buildLink(req, { cursor: nextCursor, page: null }) : null,
+      prev: prevCursor ? buildLink(req, { cursor: prevCursor, page: null }) : null
+    },
+    cursors: {
+      next: nextCursor,
+      prev: prevCursor
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseSort,
+  parseListOptions,
+  paginate,
+  encodeCursor,
+  decodeCursor,
+  buildLink
+};
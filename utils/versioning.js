@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+/**
+ * Document Versions
+ * Books and authors carry a version number that every write increments, starting at 1 when they
+ * are created. It is exposed as a strong ETag, e.g. "3", for optimistic concurrency control.
+ * Documents stored before versions existed count as version 0 until their next write.
+ * Reads add a digest of the response data, e.g. "3.5d41402abc4b2a76", because copy counters,
+ * branch availability and expanded authors change without a new version: If-None-Match compares
+ * the whole tag, If-Match only the version.
+ */
+
+const INITIAL_VERSION = 1;
+
+/**
+ * The version of a document
+ * @param {Object} document - Book or author document
+ * @returns {number} Version, 0 for documents without one
+ */
+const getVersion = (document) => document.version || 0;
+
+/**
+ * The ETag of a document
+ * @param {Object} document - Book or author document
+ * @param {Object} [representation] - The data a read responds with, to tell apart its variants
+ * @returns {string} Quoted entity tag
+ */
+const toEtag = (document, representation) => {
+  if (representation === undefined) {
+    return `"${getVersion(document)}"`;
+  }
+  const digest = crypto.createHash('sha1').update(JSON.stringify(representation)).digest('hex').slice(0, 16);
+  return `"${getVersion(document)}.${digest}"`;
+};
+
+/**
+ * The entity tags of an If-Match or If-None-Match header, without quotes. The weak W/ prefix
+ * is dropped, because proxies that compress responses turn strong ETags into weak ones.
+ * @param {string} header - Header value: "*" or a comma-separated list of entity tags
+ * @returns {Array<string>} Tags, ['*'] for any
+ */
+const parseEtags = (header) => {
+  return String(header || '').split(',')
+    .map((tag) => tag.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1'))
+    .filter(Boolean);
+};
+
+/**
+ * Check an If-Match header against a document: only the version part of the tags is compared
+ * @param {string} header - Header value
+ * @param {Object} document - Book or author document
+ * @returns {boolean} True if the header names the document's current version
+ */
+const versionMatches = (header, document) => {
+  const version = String(getVersion(document));
+  return parseEtags(header).some((tag) => tag === '*' || tag.split('.')[0] === version);
+};
+
+/**
+ * Check an If-None-Match header against the ETag of a response
+ * @param {string} header - Header value
+ * @param {string} etag - Quoted entity tag of the response
+ * @returns {boolean} True if the header names the tag
+ */
+const etagMatches = (header, etag) => {
+  const value = etag.replace(/^"(.*)"$/, '$1');
+  return parseEtags(header).some((tag) => tag === '*' || tag === value);
+};
+
+/**
+ * Filter condition matching a document only while it still has the version it was read with
+ * @param {Object} document - Book or author document
+ * @returns {Object} MongoDB condition on the version field
+ */
+const versionFilter = (document) => ({ version: document.version || null });
+
+module.exports = {
+  INITIAL_VERSION,
+  getVersion,
+  toEtag,
+  versionMatches,
+  etagMatches,
+  versionFilter
+};